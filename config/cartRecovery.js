@@ -0,0 +1,43 @@
+// Abandoned cart reminders used by utils/cartRecovery.js.
+const delays = (process.env.CART_RECOVERY_DELAYS_HOURS || '1,24,72')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0);
+
+const couponPercent = process.env.CART_RECOVERY_COUPON_PERCENT !== undefined
+  ? parseFloat(process.env.CART_RECOVERY_COUPON_PERCENT)
+  : 10;
+
+module.exports = {
+  enabled: process.env.CART_RECOVERY_ENABLED !== 'false',
+
+  // Carts below this subtotal are left alone
+  minCartValue: parseFloat(process.env.CART_RECOVERY_MIN_VALUE) || 0,
+
+  // One reminder per step, sent once the cart has been idle for delayHours.
+  // A step with a coupon issues a single-use code for that shopper.
+  steps: delays.map((delayHours, index) => ({
+    step: index + 1,
+    delayHours,
+    subject: [
+      '{{name}}, you left something in your cart',
+      'Your cart is still waiting for you',
+      'A little something to help you decide'
+    ][Math.min(index, 2)],
+    coupon: index === delays.length - 1 && couponPercent > 0
+      ? { discountType: 'percentage', discountValue: couponPercent, maxDiscountAmount: 500, validDays: 3 }
+      : null
+  })),
+
+  // Carts idle longer than this are not reminded at all
+  maxIdleDays: 14,
+
+  // How long the restore link in a reminder stays valid
+  restoreLinkDays: 7,
+
+  // Orders placed this long after a reminder count as recovered by it
+  attributionDays: 7,
+
+  // Carts processed per run
+  batchSize: 100
+};
@@ -0,0 +1,22 @@
+// Words review moderation scores as profanity (utils/reviewModeration.js).
+// Entries match whole words after lowercasing and undoing common
+// obfuscation (sh1t, fuuuck); a trailing * matches any word starting with
+// the entry, and entries with spaces match that phrase.
+module.exports = {
+  english: [
+    'fuck*', 'motherfuck*', 'shit*', 'bullshit', 'bitch*', 'bastard*', 'asshole*',
+    'cunt*', 'dick', 'dickhead', 'slut*', 'whore*', 'wanker', 'retard*'
+  ],
+
+  // Bangla script
+  bangla: [
+    'চোদ*', 'চুদ*', 'মাগি', 'মাগী', 'খানকি', 'খানকী', 'হারামি', 'হারামী', 'হারামজাদা*',
+    'বেশ্যা', 'কুত্তার বাচ্চা', 'শুয়োরের বাচ্চা', 'শুওরের বাচ্চা'
+  ],
+
+  // Bangla as customers type it in Latin script
+  banglish: [
+    'choda', 'chod*', 'chud*', 'magi', 'khanki', 'harami', 'haramjada*', 'beshya',
+    'kuttar bacha', 'kuttar baccha', 'shuorer bacha'
+  ]
+};
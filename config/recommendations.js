@@ -0,0 +1,40 @@
+// Product recommendations used by utils/recommendations.js.
+module.exports = {
+  // How often server.js recomputes everything
+  refreshIntervalMinutes: parseInt(process.env.RECOMMENDATIONS_REFRESH_MINUTES, 10) || 360,
+
+  // Cached lists outlive a couple of refreshes, so a failed run doesn't
+  // empty the storefront
+  cacheTtlSeconds: 24 * 60 * 60,
+
+  // Orders and product views this recent feed the co-occurrence counts
+  orderLookbackDays: 180,
+  viewLookbackDays: 30,
+
+  // Two products must appear together this often to be recommended
+  minCoOccurrence: 2,
+
+  // Product views from a session beyond this are ignored (bots, crawlers)
+  maxViewsPerSession: 50,
+
+  // Products kept per list
+  maxPerProduct: 12,
+  maxPersonalPicks: 24,
+
+  // Users with an order or wishlist change this recent get picks precomputed;
+  // anyone else gets them computed on their first visit
+  activeUserDays: 30,
+
+  // Personal pick scoring: what a candidate product has in common with the
+  // shopper's orders, wishlist and shoppingPreferences
+  weights: {
+    boughtTogether: 3,
+    alsoViewed: 2,
+    favoriteCategory: 2,
+    category: 1,
+    favoriteBrand: 1.5,
+    brand: 1,
+    priceRange: 1,
+    popularity: 0.5
+  }
+};
@@ -0,0 +1,26 @@
+// Review request emails after delivery, used by utils/reviewRequests.js.
+const delays = (process.env.REVIEW_REQUEST_DELAYS_DAYS || '3,10')
+  .split(',')
+  .map(days => parseFloat(days))
+  .filter(days => days > 0);
+
+module.exports = {
+  enabled: process.env.REVIEW_REQUESTS_ENABLED !== 'false',
+
+  // One email per step, sent this many days after delivery, so the number of
+  // steps also caps the reminders. Products reviewed in the meantime are
+  // left out of later steps.
+  steps: delays.map((delayDays, index) => ({
+    step: index + 1,
+    delayDays,
+    subject: index === 0
+      ? '{{name}}, how was your order {{order_number}}?'
+      : 'A minute to review your order {{order_number}}?'
+  })),
+
+  // How long the review links in an email stay valid
+  linkDays: 30,
+
+  // Orders processed per run
+  batchSize: 100
+};
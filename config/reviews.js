@@ -0,0 +1,46 @@
+// Product reviews used by routes/reviews.js and utils/reviewMedia.js.
+module.exports = {
+  // Photos a shopper can attach to one review
+  maxImages: 5,
+  maxImageSize: 5 * 1024 * 1024,
+
+  // Stored photos are re-encoded as WebP and scaled to fit this box
+  imageMaxDimension: 1600,
+  imageQuality: 82,
+
+  // The sizing aspect is asked as "how did it fit?": 1-2 runs small,
+  // 3 true to size, 4-5 runs large. The summary calls a product small or
+  // large once the average leans this far from 3.
+  sizingLean: 0.5,
+
+  // Automated moderation (utils/reviewModeration.js). Each signal adds to a
+  // review's score; the total decides what happens to it.
+  moderation: {
+    // Quarantined at or above this score: hidden until an admin looks
+    quarantineAt: 60,
+
+    // Approved straight away below these scores, otherwise held for an
+    // admin. Reviews from verified purchases get more benefit of the doubt.
+    approveVerifiedBelow: 30,
+    approveUnverifiedBelow: 10,
+
+    scores: {
+      profanity: 40, // per word, up to profanityMax
+      profanityMax: 80,
+      link: 30, // per link, up to linkMax
+      linkMax: 60,
+      duplicate: 60, // same text posted from another account
+      burst: 25, // unusually many reviews on the product at once
+      report: 15, // per report from shoppers, up to reportMax
+      reportMax: 60
+    },
+
+    // Reviews shorter than this (after normalizing) are too generic to call
+    // duplicates: plenty of people write "good product"
+    duplicateMinLength: 30,
+
+    // More than burstCount reviews on one product within burstMinutes
+    burstMinutes: 60,
+    burstCount: 5
+  }
+};
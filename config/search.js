@@ -0,0 +1,49 @@
+// Product search facets used by utils/productSearch.js.
+module.exports = {
+  // Price facet bucket boundaries; the last bucket is "this much and up"
+  priceBuckets: [0, 500, 1000, 2000, 5000, 10000],
+
+  // Rating facet: "n stars & up"
+  ratingThresholds: [4, 3, 2, 1],
+
+  // Discount facet: "n% off or more"
+  discountBands: [10, 20, 30, 50],
+
+  // Most values returned for the brand, size and color facets
+  maxFacetValues: 30,
+
+  maxPageSize: 100,
+
+  // In-process search index (utils/searchIndex.js)
+  index: {
+    // Rebuilt on the next search once older than this, which also picks up
+    // changes made by other server processes
+    maxAgeMinutes: parseInt(process.env.SEARCH_INDEX_MAX_AGE_MINUTES) || 10,
+
+    // How much a match in each product field counts
+    fieldWeights: { name: 3, brand: 2, category: 2, tags: 2, description: 1 },
+
+    // Match quality by kind; a product's score adds up the best match of
+    // every query word
+    matchScores: { exact: 1, phonetic: 0.9, synonym: 0.85, prefix: 0.75, fuzzy: 0.6 },
+
+    // Typos allowed per word length: none under 4 letters, one up to 6, then two
+    fuzzyMinLength: 4,
+    fuzzyTwoEditLength: 7,
+
+    // Ranked products handed to the result/facet aggregation
+    maxResults: 1000
+  },
+
+  // Search analytics (utils/searchAnalytics.js)
+  analytics: {
+    // Add-to-carts and orders this long after a search are credited to it
+    attributionDays: 7,
+
+    // Search events are deleted after this many days
+    retentionDays: 180,
+
+    // Searches a query needs before /popular suggests it
+    popularMinSearches: 3
+  }
+};
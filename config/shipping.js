@@ -0,0 +1,83 @@
+// Shipping rules used by utils/shippingCalculator.js.
+// Rates are in BDT, weights in kg and dimensions in cm.
+
+// A configured 0 (e.g. free shipping on every order) is kept
+const envNumber = (name, fallback) => {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  // Orders at or above this subtotal ship free (per-zone values override it)
+  freeShippingThreshold: envNumber('SHIPPING_FREE_THRESHOLD', 1000),
+
+  // Used when a product has no weight or dimensions
+  defaultItemWeight: 0.5,
+
+  // Volumetric weight = length × width × height / divisor
+  volumetricDivisor: 5000,
+
+  // Matched against the address city, then state/district (case-insensitive).
+  // The zone marked isDefault catches everything else.
+  zones: [
+    {
+      id: 'inside_dhaka',
+      name: 'Inside Dhaka',
+      areas: ['dhaka', 'dhaka city', 'dhaka north', 'dhaka south'],
+      baseRate: 60,
+      baseWeight: 1,
+      perKgRate: 15,
+      estimatedDays: { min: 1, max: 2 }
+    },
+    {
+      id: 'dhaka_suburbs',
+      name: 'Dhaka Suburbs',
+      areas: ['gazipur', 'narayanganj', 'savar', 'keraniganj', 'tongi', 'ashulia'],
+      baseRate: 100,
+      baseWeight: 1,
+      perKgRate: 20,
+      estimatedDays: { min: 2, max: 3 }
+    },
+    {
+      id: 'outside_dhaka',
+      name: 'Outside Dhaka',
+      areas: [],
+      isDefault: true,
+      baseRate: 120,
+      baseWeight: 1,
+      perKgRate: 25,
+      freeShippingThreshold: envNumber('SHIPPING_FREE_THRESHOLD_OUTSIDE_DHAKA', 2000),
+      estimatedDays: { min: 3, max: 5 }
+    }
+  ],
+
+  // Courier options offered at checkout; the first available one is the
+  // default. Couriers without a zones list serve every zone.
+  couriers: [
+    {
+      id: 'steadfast',
+      name: 'Steadfast',
+      rateMultiplier: 1,
+      surcharge: 0,
+      maxWeight: 20,
+      extraDays: 0
+    },
+    {
+      id: 'pathao',
+      name: 'Pathao',
+      rateMultiplier: 1,
+      surcharge: 10,
+      maxWeight: 10,
+      extraDays: 0,
+      zones: ['inside_dhaka', 'dhaka_suburbs']
+    },
+    {
+      id: 'redx',
+      name: 'RedX',
+      rateMultiplier: 0.9,
+      surcharge: 0,
+      maxWeight: 15,
+      extraDays: 1
+    }
+  ]
+};
@@ -0,0 +1,47 @@
+// Tax rules used by utils/taxCalculator.js. Rates are fractions (0.15 = 15%).
+
+// A configured 0 rate is kept
+const envNumber = (name, fallback) => {
+  const parsed = parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  // Bangladesh retail prices are normally quoted VAT-inclusive; set
+  // TAX_PRICES_INCLUDE_TAX=false to add VAT on top of catalogue prices
+  pricesIncludeTax: process.env.TAX_PRICES_INCLUDE_TAX !== 'false',
+
+  // Printed on invoices (BIN issued by the National Board of Revenue)
+  registrationNumber: process.env.VAT_REGISTRATION_NUMBER || '',
+
+  // Checked in order; the first rule whose conditions all match a line wins.
+  // categories: product category; regions: address city or state/district;
+  // countries: address country (all case-insensitive). The rule marked
+  // isDefault applies when nothing else matches.
+  rules: [
+    {
+      id: 'export',
+      name: 'Zero-rated export',
+      rate: 0,
+      excludeCountries: ['bangladesh']
+    },
+    {
+      id: 'vat_exempt',
+      name: 'VAT exempt',
+      rate: 0,
+      categories: ['books']
+    },
+    {
+      id: 'vat_reduced',
+      name: 'Reduced VAT',
+      rate: 0.05,
+      categories: ['kids', 'baby']
+    },
+    {
+      id: 'vat_standard',
+      name: 'VAT',
+      rate: envNumber('TAX_STANDARD_RATE', 0.15),
+      isDefault: true
+    }
+  ]
+};
@@ -0,0 +1,22 @@
+// Back-in-stock and price-drop alerts for wishlisted products, used by
+// utils/wishlistAlerts.js.
+module.exports = {
+  enabled: process.env.WISHLIST_ALERTS_ENABLED !== 'false',
+
+  // A price drop is announced once the price is at least this many percent
+  // below the price the shopper last saw (when they wishlisted the product
+  // or got the previous alert). Shoppers can pick their own, within bounds.
+  priceDropPercent: parseFloat(process.env.WISHLIST_PRICE_DROP_PERCENT) || 10,
+  minPriceDropPercent: 1,
+  maxPriceDropPercent: 90,
+
+  // At most one alert per shopper and product in this window; an alert that
+  // falls inside it is sent once the window has passed, if still true
+  minHoursBetweenAlerts: 24,
+
+  // How long the unsubscribe link in an alert email stays valid
+  unsubscribeLinkDays: 365,
+
+  // Products checked per database round trip
+  batchSize: 200
+};
@@ -301,6 +301,14 @@ const sendCampaign = async (req, res) => {
       });
     }
 
+    // Automated campaigns go out one shopper at a time
+    if (campaign.type !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        error: 'Automated campaigns cannot be sent manually'
+      });
+    }
+
     // Cancel scheduled job if exists
     if (campaign.cronJobId) {
       emailScheduler.cancelScheduledCampaign(campaign.cronJobId);
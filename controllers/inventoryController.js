@@ -3,6 +3,51 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const emailService = require('../utils/emailService');
 
+// Matches products that are low/out of stock overall or in any variant
+const variantStockBelow = (bound) => ({
+  $expr: {
+    $gt: [
+      {
+        $size: {
+          $filter: {
+            input: { $ifNull: ['$variants', []] },
+            cond: { $lte: ['$$this.stock', bound] }
+          }
+        }
+      },
+      0
+    ]
+  }
+});
+
+const lowStockQuery = {
+  $or: [
+    { stock: 0 },
+    { $expr: { $lte: ['$stock', '$lowStockThreshold'] } },
+    variantStockBelow('$lowStockThreshold')
+  ]
+};
+
+const outOfStockQuery = {
+  $or: [
+    { stock: 0 },
+    variantStockBelow(0)
+  ]
+};
+
+// Per-variant breakdown reported next to each low stock product
+const withLowStockVariants = (product) => ({
+  ...product.toObject(),
+  lowStockVariants: product.getLowStockVariants().map(variant => ({
+    variantId: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+    stock: variant.stock,
+    status: variant.stock <= 0 ? 'out-of-stock' : 'low-stock'
+  }))
+});
+
 class InventoryController {
   // Get inventory overview
   async getInventory(req, res) {
@@ -26,10 +71,10 @@ class InventoryController {
       if (status) {
         switch (status) {
           case 'low-stock':
-            query.$expr = { $lte: ['$stock', '$lowStockThreshold'] };
+            query.$and = [lowStockQuery];
             break;
           case 'out-of-stock':
-            query.stock = 0;
+            query.$and = [outOfStockQuery];
             break;
           case 'in-stock':
             query.$expr = { $gt: ['$stock', '$lowStockThreshold'] };
@@ -74,18 +119,13 @@ class InventoryController {
   // Get low stock alerts
   async getLowStockAlerts(req, res) {
     try {
-      const lowStockProducts = await Product.find({
-        $or: [
-          { stock: 0 },
-          { $expr: { $lte: ['$stock', '$lowStockThreshold'] } }
-        ]
-      })
-      .sort({ stock: 1 })
-      .populate('supplier', 'name contactInfo');
+      const lowStockProducts = await Product.find(lowStockQuery)
+        .sort({ stock: 1 })
+        .populate('supplier', 'name contactInfo');
 
       res.json({
         success: true,
-        data: lowStockProducts
+        data: lowStockProducts.map(withLowStockVariants)
       });
     } catch (error) {
       console.error('Low stock alerts error:', error);
@@ -101,7 +141,7 @@ class InventoryController {
   async updateStock(req, res) {
     try {
       const { productId } = req.params;
-      const { quantity, operation = 'set', reason } = req.body;
+      const { quantity, operation = 'set', reason, variantId } = req.body;
 
       const product = await Product.findById(productId);
       if (!product) {
@@ -111,23 +151,41 @@ class InventoryController {
         });
       }
 
+      // Products sold in variants derive their total stock from the
+      // variants, so the variant to adjust has to be named
+      let variant = null;
+      if (product.hasVariants()) {
+        variant = variantId ? product.variants.id(variantId) : null;
+        if (!variant) {
+          return res.status(400).json({
+            success: false,
+            message: variantId ? 'Variant not found' : 'variantId is required for products with variants'
+          });
+        }
+      }
+
+      const currentStock = variant ? variant.stock : product.stock;
       let newStock;
       switch (operation) {
         case 'set':
           newStock = quantity;
           break;
         case 'add':
-          newStock = product.stock + quantity;
+          newStock = currentStock + quantity;
           break;
         case 'subtract':
-          newStock = Math.max(0, product.stock - quantity);
+          newStock = Math.max(0, currentStock - quantity);
           break;
         default:
           newStock = quantity;
       }
 
-      const oldStock = product.stock;
-      product.stock = newStock;
+      const oldStock = currentStock;
+      if (variant) {
+        variant.stock = newStock;
+      } else {
+        product.stock = newStock;
+      }
       
       // Add stock movement history
       if (!product.stockHistory) {
@@ -141,6 +199,7 @@ class InventoryController {
         operation,
         quantity,
         reason: reason || `Stock ${operation} via admin panel`,
+        variantId: variant ? variant._id : undefined,
         updatedBy: req.user.id
       });
 
@@ -161,6 +220,7 @@ class InventoryController {
         message: 'Stock updated successfully',
         data: {
           product,
+          variantId: variant ? variant._id : undefined,
           oldStock,
           newStock
         }
@@ -276,12 +336,7 @@ class InventoryController {
         products = await Product.find({ _id: { $in: productIds } });
       } else {
         // Get all low stock products
-        products = await Product.find({
-          $or: [
-            { stock: 0 },
-            { $expr: { $lte: ['$stock', '$lowStockThreshold'] } }
-          ]
-        });
+        products = await Product.find(lowStockQuery);
       }
 
       if (products.length === 0) {
@@ -459,8 +514,8 @@ class InventoryController {
   async calculateInventoryMetrics() {
     const [totalProducts, lowStockCount, outOfStockCount, totalValue] = await Promise.all([
       Product.countDocuments(),
-      Product.countDocuments({ $expr: { $lte: ['$stock', '$lowStockThreshold'] } }),
-      Product.countDocuments({ stock: 0 }),
+      Product.countDocuments(lowStockQuery),
+      Product.countDocuments(outOfStockQuery),
       Product.aggregate([
         {
           $group: {
@@ -496,22 +551,35 @@ class InventoryController {
       }
       
       // Send alerts through integrated alerting system
-      try {
-        const alertingSystem = require('../utils/alertingSystem');
-        await alertingSystem.handleInventoryAlert(type, {
-          productId: product._id,
-          productName: product.name,
-          currentStock: product.stock,
-          threshold: threshold || product.lowStockThreshold || 10,
-          ...additionalData
-        });
-      } catch (error) {
-        const logger = require('../utils/structuredLogger');
-        logger.error('Failed to send inventory alert', { 
-          error: error.message, 
-          productId: product._id, 
-          alertType: type 
-        });
+      const alertingSystem = require('../utils/alertingSystem');
+      for (const product of products) {
+        const lowStockVariants = product.getLowStockVariants();
+        const type = product.stock <= 0 || lowStockVariants.some(variant => variant.stock <= 0)
+          ? 'out_of_stock'
+          : 'low_stock';
+
+        try {
+          await alertingSystem.handleInventoryAlert(type, {
+            productId: product._id,
+            productName: product.name,
+            currentStock: product.stock,
+            quantity: product.stock,
+            threshold: product.lowStockThreshold || 10,
+            variants: lowStockVariants.map(variant => ({
+              sku: variant.sku,
+              size: variant.size,
+              color: variant.color,
+              stock: variant.stock
+            }))
+          });
+        } catch (error) {
+          const logger = require('../utils/structuredLogger');
+          logger.error('Failed to send inventory alert', { 
+            error: error.message, 
+            productId: product._id, 
+            alertType: type 
+          });
+        }
       }
       
     } catch (error) {
@@ -521,18 +589,31 @@ class InventoryController {
   }
 
   generateLowStockEmailContent(products, customMessage) {
-    const productList = products.map(product => `
+    const renderRow = (name, stock, threshold) => `
       <tr>
-        <td style="padding: 8px; border-bottom: 1px solid #eee;">${product.name}</td>
-        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${product.stock}</td>
-        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${product.lowStockThreshold}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${name}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${stock}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">${threshold}</td>
         <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: center;">
-          <span style="color: ${product.stock === 0 ? '#e53e3e' : '#d69e2e'}; font-weight: bold;">
-            ${product.stock === 0 ? 'Out of Stock' : 'Low Stock'}
+          <span style="color: ${stock <= 0 ? '#e53e3e' : '#d69e2e'}; font-weight: bold;">
+            ${stock <= 0 ? 'Out of Stock' : 'Low Stock'}
           </span>
         </td>
       </tr>
-    `).join('');
+    `;
+
+    // Variant products get one row per low stock variant
+    const productList = products.map(product => {
+      const lowStockVariants = product.getLowStockVariants();
+      if (lowStockVariants.length === 0) {
+        return renderRow(product.name, product.stock, product.lowStockThreshold);
+      }
+
+      return lowStockVariants.map(variant => {
+        const label = [variant.size, variant.color].filter(Boolean).join(' / ') || variant.sku;
+        return renderRow(`${product.name} (${label})`, variant.stock, product.lowStockThreshold);
+      }).join('');
+    }).join('');
 
     return `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
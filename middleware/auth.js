@@ -96,4 +96,15 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
\ No newline at end of file
+// Guest-or-user middleware: a request with a bearer token must authenticate
+// (bad or expired tokens are rejected), one without continues as a guest
+const authOrGuest = (req, res, next) => {
+  if (req.header('Authorization')) {
+    return auth(req, res, next);
+  }
+
+  req.user = null;
+  next();
+};
+
+module.exports = { auth, optionalAuth, authOrGuest };
\ No newline at end of file
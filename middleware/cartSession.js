@@ -0,0 +1,51 @@
+const Cart = require('../models/Cart');
+const { authOrGuest } = require('./auth');
+const { createCartToken, verifyCartToken } = require('../utils/cartToken');
+
+/**
+ * Cart session: signed-in shoppers use their own cart, guests use the
+ * anonymous cart named by the X-Cart-Token header. A request with an
+ * invalid bearer token is rejected rather than falling back to a guest cart.
+ *
+ * Sets req.cartOwner to { userId } or { guestKey } (null for a guest
+ * without a cart yet), and req.guestKey whenever a valid cart token was
+ * sent, so a signed-in request can still name the guest cart to merge.
+ */
+const cartSession = (req, res, next) => {
+  req.guestKey = verifyCartToken(req.header('X-Cart-Token'));
+
+  authOrGuest(req, res, () => {
+    if (req.user) {
+      req.cartOwner = { userId: req.user.userId };
+    } else {
+      req.cartOwner = req.guestKey ? { guestKey: req.guestKey } : null;
+    }
+    next();
+  });
+};
+
+// The session's cart, or null
+const findSessionCart = (req) => (req.cartOwner ? Cart.findOne(req.cartOwner) : Promise.resolve(null));
+
+// The session's cart, starting a guest cart (and issuing its token) if needed.
+// A newly issued token is left on req.cartToken for the response.
+const findOrCreateSessionCart = async (req, res) => {
+  if (req.cartOwner && req.cartOwner.userId) {
+    return Cart.findOrCreateByUserId(req.cartOwner.userId);
+  }
+
+  if (!req.cartOwner) {
+    const { key, token } = createCartToken();
+    req.cartOwner = { guestKey: key };
+    req.cartToken = token;
+    res.set('X-Cart-Token', token);
+  }
+
+  return Cart.findOrCreateByGuestKey(req.cartOwner.guestKey);
+};
+
+module.exports = {
+  cartSession,
+  findSessionCart,
+  findOrCreateSessionCart
+};
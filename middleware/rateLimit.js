@@ -39,8 +39,34 @@ const passwordResetLimiter = rateLimit({
   }
 });
 
+// Guest order lookup (order number + phone), kept tight against guessing
+const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: {
+    error: 'Too many order lookups, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Gift card balance checks and redemptions, against code guessing
+const giftCardLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: 'Too many gift card attempts, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 module.exports = {
   apiLimiter,
   authLimiter,
-  passwordResetLimiter
+  passwordResetLimiter,
+  orderLookupLimiter,
+  giftCardLimiter
 };
\ No newline at end of file
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { calculateShipping } = require('../utils/shippingCalculator');
+const { calculateTax } = require('../utils/taxCalculator');
+const { evaluatePromotions, applyLineDiscounts } = require('../utils/promotionEngine');
+const Promotion = require('./Promotion');
 
 const cartItemSchema = new mongoose.Schema({
   productId: {
@@ -19,12 +23,22 @@ const cartItemSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  variantId: {
+    type: String,
+    default: null
+  },
+  sku: String,
   price: {
     type: Number,
     required: true
   },
   originalPrice: Number,
   discount: Number,
+  // Share of automatic promotions on this line
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
   // Cache product data for performance
   productData: {
     name: String,
@@ -33,7 +47,13 @@ const cartItemSchema = new mongoose.Schema({
     category: String,
     brand: String,
     inStock: Boolean,
-    maxQuantity: Number
+    maxQuantity: Number,
+    dimensions: {
+      weight: Number,
+      length: Number,
+      width: Number,
+      height: Number
+    }
   },
   addedAt: {
     type: Date,
@@ -48,11 +68,17 @@ const cartItemSchema = new mongoose.Schema({
 });
 
 const cartSchema = new mongoose.Schema({
+  // Exactly one of userId (signed-in shopper) or guestKey (anonymous cart)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  guestKey: {
+    type: String,
+    unique: true,
+    sparse: true
   },
   items: [cartItemSchema],
   totalItems: {
@@ -71,6 +97,10 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
   estimatedShipping: {
     type: Number,
     default: 0
@@ -79,6 +109,26 @@ const cartSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  promotionDiscount: {
+    type: Number,
+    default: 0
+  },
+  // One entry per promotion applied, for the line-by-line breakdown
+  appliedPromotions: [{
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number,
+    freeGift: {
+      productId: String,
+      quantity: Number
+    }
+  }],
   appliedCoupons: [{
     code: String,
     discountAmount: Number,
@@ -96,6 +146,26 @@ const cartSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  shippingCourier: String,
+  // Abandoned cart reminders for the current idle period (see utils/cartRecovery.js)
+  recovery: {
+    stepsSent: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date,
+    // lastActivity when the sequence started; newer activity restarts it
+    idleSince: Date,
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailCampaign'
+    },
+    couponCode: String,
+    recoveredOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
   lastActivity: {
     type: Date,
     default: Date.now
@@ -119,7 +189,11 @@ cartSchema.virtual('totalWeight').get(function() {
 
 // Methods
 cartSchema.methods.addItem = async function(productData, quantity = 1, options = {}) {
-  const { size, color } = options;
+  const { size = null, color = null } = options;
+  const variant = typeof productData.findVariant === 'function'
+    ? productData.findVariant({ size, color })
+    : null;
+  const snapshot = this.constructor.snapshotProduct(productData, variant);
   const existingItemIndex = this.items.findIndex(item => 
     item.productId === productData.id &&
     item.size === size &&
@@ -130,15 +204,8 @@ cartSchema.methods.addItem = async function(productData, quantity = 1, options =
     // Update existing item
     this.items[existingItemIndex].quantity += quantity;
     this.items[existingItemIndex].updatedAt = new Date();
-    this.items[existingItemIndex].productData = {
-      name: productData.name,
-      images: productData.images,
-      description: productData.description,
-      category: productData.category,
-      brand: productData.brand,
-      inStock: productData.inStock,
-      maxQuantity: productData.stock
-    };
+    this.items[existingItemIndex].price = snapshot.price;
+    this.items[existingItemIndex].productData = snapshot.productData;
   } else {
     // Add new item
     this.items.push({
@@ -146,18 +213,12 @@ cartSchema.methods.addItem = async function(productData, quantity = 1, options =
       quantity,
       size,
       color,
-      price: productData.price,
+      variantId: snapshot.variantId,
+      sku: snapshot.sku,
+      price: snapshot.price,
       originalPrice: productData.originalPrice,
       discount: productData.discount,
-      productData: {
-        name: productData.name,
-        images: productData.images,
-        description: productData.description,
-        category: productData.category,
-        brand: productData.brand,
-        inStock: productData.inStock,
-        maxQuantity: productData.stock
-      }
+      productData: snapshot.productData
     });
   }
 
@@ -166,7 +227,7 @@ cartSchema.methods.addItem = async function(productData, quantity = 1, options =
   return this.save();
 };
 
-cartSchema.methods.removeItem = function(productId, size = null, color = null) {
+cartSchema.methods.removeItem = async function(productId, size = null, color = null) {
   this.items = this.items.filter(item => 
     !(item.productId === productId && 
       item.size === size && 
@@ -174,11 +235,11 @@ cartSchema.methods.removeItem = function(productId, size = null, color = null) {
   );
   
   this.lastActivity = new Date();
-  this.calculateTotals();
+  await this.calculateTotals();
   return this.save();
 };
 
-cartSchema.methods.updateQuantity = function(productId, quantity, size = null, color = null) {
+cartSchema.methods.updateQuantity = async function(productId, quantity, size = null, color = null) {
   const item = this.items.find(item => 
     item.productId === productId &&
     item.size === size &&
@@ -193,20 +254,20 @@ cartSchema.methods.updateQuantity = function(productId, quantity, size = null, c
     item.quantity = quantity;
     item.updatedAt = new Date();
     this.lastActivity = new Date();
-    this.calculateTotals();
+    await this.calculateTotals();
   }
   
   return this.save();
 };
 
-cartSchema.methods.clearCart = function() {
+cartSchema.methods.clearCart = async function() {
   this.items = [];
   this.appliedCoupons = [];
-  this.calculateTotals();
+  await this.calculateTotals();
   return this.save();
 };
 
-cartSchema.methods.calculateTotals = function() {
+cartSchema.methods.calculateTotals = async function() {
   this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0);
   
   this.subtotal = this.items.reduce((total, item) => {
@@ -220,6 +281,20 @@ cartSchema.methods.calculateTotals = function() {
     return total + itemDiscount;
   }, 0);
   
+  // Automatic promotions first, then coupons on the promoted prices
+  const lines = this.getPromotionLines();
+  const promotions = evaluatePromotions({
+    items: lines,
+    promotions: await Promotion.getRunning(),
+    hasCoupon: this.appliedCoupons.length > 0
+  });
+  this.items.forEach((item, index) => {
+    item.promotionDiscount = promotions.lines[index].promotionDiscount;
+  });
+  this.appliedPromotions = promotions.applied;
+  this.promotionDiscount = promotions.discount;
+  this.totalDiscount += promotions.discount;
+  
   // Add coupon discounts
   const couponDiscount = this.appliedCoupons.reduce((total, coupon) => {
     return total + coupon.discountAmount;
@@ -227,18 +302,76 @@ cartSchema.methods.calculateTotals = function() {
   
   this.totalDiscount += couponDiscount;
   
-  // Calculate tax (placeholder - implement based on business logic)
-  this.estimatedTax = this.subtotal * 0.1; // 10% tax rate
+  // Same VAT rules as order creation, on the coupon-discounted subtotal
+  const taxResult = calculateTax({
+    items: lines.map((line, index) => ({ ...line, discount: promotions.lines[index].promotionDiscount })),
+    address: this.shippingAddress || {},
+    discount: couponDiscount
+  });
+  this.estimatedTax = taxResult.tax;
+  this.pricesIncludeTax = taxResult.pricesIncludeTax;
   
-  // Calculate shipping (placeholder - implement based on business logic)
-  this.estimatedShipping = this.subtotal > 1000 ? 0 : 100; // Free shipping over 1000 BDT
+  // Shipping is only an estimate until checkout; an undeliverable cart shows 0
+  try {
+    this.estimatedShipping = this.getShippingQuote().cost;
+  } catch (error) {
+    this.estimatedShipping = 0;
+  }
   
-  this.estimatedTotal = this.subtotal - this.totalDiscount + this.estimatedTax + this.estimatedShipping;
+  // Item prices are already net of product discounts (totalDiscount includes
+  // them for display), so only promotions and coupons come off the subtotal -
+  // as at checkout
+  this.estimatedTotal = this.subtotal - promotions.discount - couponDiscount +
+    taxResult.taxAdded + this.estimatedShipping;
   
   return this;
 };
 
-cartSchema.methods.applyCoupon = function(couponCode, discountAmount, discountType) {
+cartSchema.methods.getPromotionLines = function() {
+  return this.items.map(item => ({
+    productId: item.productId,
+    category: item.productData && item.productData.category,
+    price: item.price,
+    quantity: item.quantity
+  }));
+};
+
+// Lines at the prices a coupon will discount: after the promotions that
+// still apply once a coupon is used
+cartSchema.methods.getCouponItems = async function() {
+  const lines = this.getPromotionLines();
+  const promotions = evaluatePromotions({
+    items: lines,
+    promotions: await Promotion.getRunning(),
+    hasCoupon: true
+  });
+  return applyLineDiscounts(lines, promotions.lines);
+};
+
+// Same quote order creation will charge for these items and address. The
+// saved courier is used when it still serves the address, else the default.
+cartSchema.methods.getShippingQuote = function(courier) {
+  const params = {
+    items: this.items.map(item => ({
+      dimensions: item.productData && item.productData.dimensions,
+      quantity: item.quantity
+    })),
+    address: this.shippingAddress || {},
+    subtotal: this.subtotal
+  };
+
+  if (courier) {
+    return calculateShipping({ ...params, courier });
+  }
+
+  const quote = calculateShipping(params);
+  const saved = quote.options.find(option => option.courier === this.shippingCourier);
+  return saved
+    ? { ...quote, courier: saved.courier, cost: saved.cost, estimatedDays: saved.estimatedDays }
+    : quote;
+};
+
+cartSchema.methods.applyCoupon = async function(couponCode, discountAmount, discountType) {
   // Remove existing coupon if already applied
   this.appliedCoupons = this.appliedCoupons.filter(c => c.code !== couponCode);
   
@@ -249,17 +382,37 @@ cartSchema.methods.applyCoupon = function(couponCode, discountAmount, discountTy
     discountType
   });
   
-  this.calculateTotals();
+  await this.calculateTotals();
   return this.save();
 };
 
-cartSchema.methods.removeCoupon = function(couponCode) {
+cartSchema.methods.removeCoupon = async function(couponCode) {
   this.appliedCoupons = this.appliedCoupons.filter(c => c.code !== couponCode);
-  this.calculateTotals();
+  await this.calculateTotals();
   return this.save();
 };
 
 // Statics
+// Price, SKU and cached product data for a cart line. When the product is
+// sold in variants, the variant's price and stock take precedence.
+cartSchema.statics.snapshotProduct = function(product, variant = null) {
+  return {
+    variantId: variant ? variant._id.toString() : null,
+    sku: (variant && variant.sku) || product.sku,
+    price: variant && typeof variant.price === 'number' ? variant.price : product.price,
+    productData: {
+      name: product.name,
+      images: (variant && variant.images && variant.images.length > 0) ? variant.images : product.images,
+      description: product.description,
+      category: product.category,
+      brand: product.brand,
+      inStock: variant ? variant.stock > 0 : product.inStock,
+      maxQuantity: variant ? variant.stock : product.stock,
+      dimensions: product.dimensions
+    }
+  };
+};
+
 cartSchema.statics.findOrCreateByUserId = async function(userId) {
   let cart = await this.findOne({ userId });
   
@@ -275,6 +428,68 @@ cartSchema.statics.findOrCreateByUserId = async function(userId) {
   return cart;
 };
 
+cartSchema.statics.findOrCreateByGuestKey = async function(guestKey) {
+  let cart = await this.findOne({ guestKey });
+  
+  if (!cart) {
+    cart = new this({
+      guestKey,
+      items: [],
+      lastActivity: new Date()
+    });
+    await cart.save();
+  }
+  
+  return cart;
+};
+
+// Add another cart's lines to this one. Matching lines are combined, capped
+// at the cached stock level. Coupons are not carried over: per-user limits
+// have to be checked again for the signed-in shopper.
+cartSchema.methods.mergeItems = async function(otherCart) {
+  otherCart.items.forEach(otherItem => {
+    const existing = this.items.find(item =>
+      item.productId === otherItem.productId &&
+      item.size === otherItem.size &&
+      item.color === otherItem.color
+    );
+
+    if (existing) {
+      const maxQuantity = existing.productData && existing.productData.maxQuantity;
+      const combined = existing.quantity + otherItem.quantity;
+      existing.quantity = typeof maxQuantity === 'number' && maxQuantity > 0 ? Math.min(combined, maxQuantity) : combined;
+      existing.updatedAt = new Date();
+    } else {
+      this.items.push(otherItem.toObject());
+    }
+  });
+
+  if (!this.shippingAddress || !this.shippingAddress.address) {
+    this.shippingAddress = otherCart.shippingAddress;
+    this.shippingCourier = this.shippingCourier || otherCart.shippingCourier;
+  }
+
+  this.lastActivity = new Date();
+  await this.calculateTotals();
+  return this;
+};
+
+// Move a guest cart into the user's cart (on login, register or sync). The
+// guest cart is removed first so it can only ever be merged once.
+cartSchema.statics.mergeGuestCart = async function(guestKey, userId) {
+  const guestCart = await this.findOneAndDelete({ guestKey });
+  const cart = await this.findOrCreateByUserId(userId);
+  
+  if (!guestCart || guestCart.items.length === 0) {
+    return { cart, merged: false };
+  }
+  
+  await cart.mergeItems(guestCart);
+  await cart.save();
+  
+  return { cart, merged: true };
+};
+
 // Remove abandoned carts (older than 30 days)
 cartSchema.statics.cleanupAbandonedCarts = async function() {
   const cutoffDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // 30 days ago
@@ -287,9 +502,8 @@ cartSchema.statics.cleanupAbandonedCarts = async function() {
 };
 
 // Pre-save middleware to update totals
-cartSchema.pre('save', function(next) {
-  this.calculateTotals();
-  next();
+cartSchema.pre('save', async function() {
+  await this.calculateTotals();
 });
 
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/ErrorResponse');
+const { buildCategoryTree, wouldCreateCycle } = require('../utils/categoryTree');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -29,6 +31,11 @@ const categorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
   }],
+  // Path from the root down to the parent, maintained on save and on moves
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -41,10 +48,6 @@ const categorySchema = new mongoose.Schema({
     metaTitle: String,
     metaDescription: String,
     metaKeywords: [String]
-  },
-  productCount: {
-    type: Number,
-    default: 0
   }
 }, {
   timestamps: true,
@@ -62,36 +65,162 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Resolve the ancestor path whenever the parent is set or changed
+categorySchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('parentCategory')) {
+    return;
+  }
+
+  const parent = this.parentCategory
+    ? await this.constructor.findById(this.parentCategory).select('ancestors')
+    : null;
+  if (this.parentCategory && !parent) {
+    throw new ErrorResponse('Parent category not found', 404, 'PARENT_CATEGORY_NOT_FOUND');
+  }
+  if (wouldCreateCycle(this, parent)) {
+    throw new ErrorResponse('A category cannot be moved under itself or one of its subcategories', 400, 'CATEGORY_CYCLE');
+  }
+
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+});
+
 // Virtual for full path (for breadcrumbs)
 categorySchema.virtual('fullPath').get(function() {
   // This would need to be populated with parent data
   return this.name;
 });
 
-// Get category hierarchy
-categorySchema.statics.getHierarchy = async function() {
-  const categories = await this.find({ isActive: true })
-    .populate('subcategories', 'name slug')
-    .sort('sortOrder name');
-  
-  const topLevel = categories.filter(cat => !cat.parentCategory);
-  return topLevel;
+// Find by id, slug or exact name
+categorySchema.statics.findByIdentifier = function(identifier) {
+  const value = String(identifier || '');
+  return /^[0-9a-fA-F]{24}$/.test(value)
+    ? this.findById(value)
+    : this.findOne({ $or: [{ slug: value.toLowerCase() }, { name: value }] });
+};
+
+// The category and every category below it
+categorySchema.statics.getSubtreeIds = async function(categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).distinct('_id');
+  return [categoryId, ...descendants];
 };
 
-// Update product count
-categorySchema.methods.updateProductCount = async function() {
+// Active products per category id
+categorySchema.statics.getProductCounts = async function() {
   const Product = mongoose.model('Product');
-  const count = await Product.countDocuments({ 
-    category: this.name,
-    isActive: true 
-  });
-  this.productCount = count;
-  return this.save();
+  const counts = await Product.aggregate([
+    { $match: { status: 'active', categoryId: { $ne: null } } },
+    { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(entry => [String(entry._id), entry.count]));
+};
+
+// Full category tree with product counts rolled up to every parent
+categorySchema.statics.getTree = async function({ includeInactive = false } = {}) {
+  const [categories, counts] = await Promise.all([
+    this.find(includeInactive ? {} : { isActive: true })
+      .select('-subcategories')
+      .sort('sortOrder name')
+      .lean(),
+    this.getProductCounts()
+  ]);
+  return buildCategoryTree(categories, counts);
+};
+
+// Root-to-self trail of { _id, name, slug }
+categorySchema.methods.getBreadcrumbs = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } }).select('name slug');
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+
+  return [...this.ancestors.map(id => byId.get(String(id))).filter(Boolean), this]
+    .map(category => ({ _id: category._id, name: category.name, slug: category.slug }));
+};
+
+// Matches a stored ancestor path exactly; categories saved before paths were
+// tracked have none at all
+const samePath = (ancestors) => (ancestors.length > 0 ? ancestors : { $in: [[], null] });
+
+const moveConflict = () => new ErrorResponse(
+  'The category tree was changed by another request, please retry',
+  409,
+  'CATEGORY_MOVE_CONFLICT'
+);
+
+// Re-parent the category (null makes it top-level) and give the whole branch
+// below it its new ancestor path. There are no transactions, so every write
+// is conditional on the paths that were read: the category is moved first,
+// then the new parent's path is checked again. Of two moves racing to put
+// categories under each other, at least one sees the other and backs out.
+categorySchema.methods.moveTo = async function(parentId) {
+  const Category = this.constructor;
+  const oldParentId = this.parentCategory || null;
+  const oldAncestors = [...this.ancestors];
+  if (String(oldParentId || '') === String(parentId || '')) {
+    return this;
+  }
+
+  const parent = parentId ? await Category.findById(parentId).select('ancestors') : null;
+  if (parentId && !parent) {
+    throw new ErrorResponse('Parent category not found', 404, 'PARENT_CATEGORY_NOT_FOUND');
+  }
+  if (wouldCreateCycle(this, parent)) {
+    throw new ErrorResponse('A category cannot be moved under itself or one of its subcategories', 400, 'CATEGORY_CYCLE');
+  }
+  const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  const moved = await Category.updateOne(
+    { _id: this._id, parentCategory: oldParentId, ancestors: samePath(oldAncestors) },
+    { $set: { parentCategory: parent ? parent._id : null, ancestors } }
+  );
+  if (moved.modifiedCount === 0) {
+    throw moveConflict();
+  }
+
+  // Every category on the new path must still sit where it was read
+  if (ancestors.length > 0) {
+    const intact = await Category.countDocuments({
+      $or: ancestors.map((id, index) => ({ _id: id, ancestors: samePath(ancestors.slice(0, index)) }))
+    });
+    if (intact !== ancestors.length) {
+      await Category.updateOne(
+        { _id: this._id, ancestors },
+        { $set: { parentCategory: oldParentId, ancestors: oldAncestors } }
+      );
+      throw moveConflict();
+    }
+  }
+
+  this.parentCategory = parent ? parent._id : null;
+  this.ancestors = ancestors;
+  this.unmarkModified('parentCategory');
+  this.unmarkModified('ancestors');
+
+  if (oldParentId) {
+    await Category.updateOne({ _id: oldParentId }, { $pull: { subcategories: this._id } });
+  }
+  if (parent) {
+    await Category.updateOne({ _id: parent._id }, { $addToSet: { subcategories: this._id } });
+  }
+
+  const descendants = await Category.find({ ancestors: this._id }).select('ancestors');
+  if (descendants.length > 0) {
+    await Category.bulkWrite(descendants.map(descendant => {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)) + 1);
+      return {
+        updateOne: {
+          filter: { _id: descendant._id, ancestors: descendant.ancestors },
+          update: { $set: { ancestors: [...ancestors, this._id, ...below] } }
+        }
+      };
+    }));
+  }
+
+  return this;
 };
 
 // Add indexes
 categorySchema.index({ slug: 1 });
 categorySchema.index({ parentCategory: 1 });
+categorySchema.index({ ancestors: 1 });
 categorySchema.index({ isActive: 1, sortOrder: 1 });
 categorySchema.index({ name: 'text', description: 'text' });
 
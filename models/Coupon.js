@@ -91,10 +91,21 @@ const couponSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Personal coupons (e.g. cart recovery) can only be used by this user
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'cart_recovery'],
+    default: 'admin'
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.source === 'admin'; }
   }
 }, {
   timestamps: true,
@@ -153,65 +164,55 @@ couponSchema.methods.canBeUsedBy = function(userId, orderAmount, cartItems = [])
     return { valid: false, reason: `Maximum order amount is ৳${this.maxOrderAmount}` };
   }
   
+  if (this.assignedTo && this.assignedTo.toString() !== userId.toString()) {
+    return { valid: false, reason: 'This coupon is not valid for your account' };
+  }
+  
   // Check user usage limit
   const userUsageCount = this.usedBy.filter(usage => usage.userId.toString() === userId.toString()).length;
   if (userUsageCount >= this.userUsageLimit) {
     return { valid: false, reason: 'You have already used this coupon' };
   }
   
-  // Check if first time user only
-  if (this.firstTimeUserOnly) {
-    // This would require checking if user has any previous orders
-    // Implementation depends on your business logic
+  // First-time-user restriction needs an order lookup, see findValidCoupon
+
+  // Check category and product restrictions
+  if (cartItems.length > 0 && !cartItems.some(item => this.isItemEligible(item))) {
+    return { valid: false, reason: 'Coupon not applicable to items in cart' };
   }
   
-  // Check category restrictions
-  if (this.applicableCategories.length > 0 || this.excludedCategories.length > 0) {
-    const cartCategories = cartItems.map(item => item.category);
-    
-    if (this.applicableCategories.length > 0) {
-      const hasApplicableCategory = cartCategories.some(cat => 
-        this.applicableCategories.includes(cat)
-      );
-      if (!hasApplicableCategory) {
-        return { valid: false, reason: 'Coupon not applicable to items in cart' };
-      }
-    }
-    
-    if (this.excludedCategories.length > 0) {
-      const hasExcludedCategory = cartCategories.some(cat => 
-        this.excludedCategories.includes(cat)
-      );
-      if (hasExcludedCategory) {
-        return { valid: false, reason: 'Coupon not applicable to some items in cart' };
-      }
-    }
+  return { valid: true };
+};
+
+// Category/product restrictions are evaluated per line so excluded items
+// simply don't receive the discount instead of blocking the whole cart
+couponSchema.methods.isItemEligible = function(item) {
+  const category = item.category || (item.productData && item.productData.category);
+  const productId = item.productId ? item.productId.toString() : null;
+  
+  if (this.applicableCategories.length > 0 && !this.applicableCategories.includes(category)) {
+    return false;
   }
   
-  // Check product restrictions
-  if (this.applicableProducts.length > 0 || this.excludedProducts.length > 0) {
-    const cartProductIds = cartItems.map(item => item.productId);
-    
-    if (this.applicableProducts.length > 0) {
-      const hasApplicableProduct = cartProductIds.some(id => 
-        this.applicableProducts.includes(id)
-      );
-      if (!hasApplicableProduct) {
-        return { valid: false, reason: 'Coupon not applicable to items in cart' };
-      }
-    }
-    
-    if (this.excludedProducts.length > 0) {
-      const hasExcludedProduct = cartProductIds.some(id => 
-        this.excludedProducts.includes(id)
-      );
-      if (hasExcludedProduct) {
-        return { valid: false, reason: 'Coupon not applicable to some items in cart' };
-      }
-    }
+  if (this.excludedCategories.length > 0 && this.excludedCategories.includes(category)) {
+    return false;
   }
   
-  return { valid: true };
+  if (this.applicableProducts.length > 0 && !this.applicableProducts.includes(productId)) {
+    return false;
+  }
+  
+  if (this.excludedProducts.length > 0 && this.excludedProducts.includes(productId)) {
+    return false;
+  }
+  
+  return true;
+};
+
+couponSchema.methods.getEligibleAmount = function(cartItems = []) {
+  return cartItems
+    .filter(item => this.isItemEligible(item))
+    .reduce((total, item) => total + (item.price * item.quantity), 0);
 };
 
 couponSchema.methods.calculateDiscount = function(orderAmount) {
@@ -265,15 +266,90 @@ couponSchema.statics.findValidCoupon = async function(code, userId, orderAmount,
     return { coupon: null, error: validation.reason };
   }
   
-  const discountAmount = coupon.calculateDiscount(orderAmount);
+  if (coupon.firstTimeUserOnly) {
+    const hasOrders = await mongoose.model('Order').exists({
+      userId,
+      orderStatus: { $ne: 'cancelled' }
+    });
+    if (hasOrders) {
+      return { coupon: null, error: 'Coupon is only valid on your first order' };
+    }
+  }
+  
+  // Restricted coupons only discount the eligible part of the cart
+  const eligibleAmount = cartItems.length > 0
+    ? coupon.getEligibleAmount(cartItems)
+    : orderAmount;
+  const discountAmount = coupon.calculateDiscount(eligibleAmount);
   
   return { 
     coupon, 
     discountAmount,
+    eligibleAmount,
     error: null 
   };
 };
 
+// Atomically record a redemption. The usage and per-user limits are part of
+// the update filter, so concurrent checkouts can't both take the last use.
+// Returns the updated coupon, or null if a limit was reached in the meantime.
+couponSchema.statics.redeem = function(couponId, userId, orderId, discountAmount) {
+  const userObjectId = new mongoose.Types.ObjectId(userId.toString());
+  
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $and: [
+        {
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+          ]
+        },
+        {
+          $expr: {
+            $lt: [
+              {
+                $size: {
+                  $filter: {
+                    input: '$usedBy',
+                    cond: { $eq: ['$$this.userId', userObjectId] }
+                  }
+                }
+              },
+              '$userUsageLimit'
+            ]
+          }
+        }
+      ]
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: {
+        usedBy: {
+          userId: userObjectId,
+          orderId,
+          discountAmount,
+          usedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Undo a redemption, e.g. when the order it was made for failed to save
+couponSchema.statics.releaseRedemption = function(couponId, orderId) {
+  return this.updateOne(
+    { _id: couponId, 'usedBy.orderId': orderId },
+    {
+      $inc: { usageCount: -1 },
+      $pull: { usedBy: { orderId } }
+    }
+  );
+};
+
 // Clean up expired coupons
 couponSchema.statics.cleanupExpiredCoupons = async function() {
   const result = await this.updateMany(
@@ -52,9 +52,19 @@ const emailCampaignSchema = new mongoose.Schema({
       default: {}
     }
   },
+  // Automated campaigns are created and sent by the app, one per step
+  type: {
+    type: String,
+    enum: ['manual', 'abandoned_cart', 'review_request'],
+    default: 'manual'
+  },
+  automationStep: {
+    type: Number,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['draft', 'scheduled', 'sending', 'sent', 'cancelled', 'failed'],
+    enum: ['draft', 'scheduled', 'sending', 'sent', 'active', 'cancelled', 'failed'],
     default: 'draft'
   },
   scheduledAt: {
@@ -105,6 +115,15 @@ const emailCampaignSchema = new mongoose.Schema({
     bounceRate: {
       type: Number,
       default: 0
+    },
+    // Orders attributed to the campaign, and their value
+    totalConversions: {
+      type: Number,
+      default: 0
+    },
+    conversionRevenue: {
+      type: Number,
+      default: 0
     }
   },
   settings: {
@@ -128,7 +147,7 @@ const emailCampaignSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.type === 'manual'; }
   },
   lastModifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -150,6 +169,7 @@ const emailCampaignSchema = new mongoose.Schema({
 emailCampaignSchema.index({ status: 1 });
 emailCampaignSchema.index({ scheduledAt: 1 });
 emailCampaignSchema.index({ createdBy: 1 });
+emailCampaignSchema.index({ type: 1, automationStep: 1 });
 emailCampaignSchema.index({ 'recipientList.email': 1 });
 
 // Virtual for open rate calculation
@@ -183,6 +203,8 @@ emailCampaignSchema.statics.getCampaignStats = async function() {
         totalSent: { $sum: '$analytics.totalSent' },
         totalOpened: { $sum: '$analytics.totalOpened' },
         totalClicked: { $sum: '$analytics.totalClicked' },
+        totalConversions: { $sum: '$analytics.totalConversions' },
+        conversionRevenue: { $sum: '$analytics.conversionRevenue' },
         avgOpenRate: { $avg: '$analytics.openRate' },
         avgClickRate: { $avg: '$analytics.clickRate' }
       }
@@ -194,6 +216,8 @@ emailCampaignSchema.statics.getCampaignStats = async function() {
     totalSent: 0,
     totalOpened: 0,
     totalClicked: 0,
+    totalConversions: 0,
+    conversionRevenue: 0,
     avgOpenRate: 0,
     avgClickRate: 0
   };
@@ -14,7 +14,7 @@ const emailEventSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['sent', 'delivered', 'open', 'click', 'bounce', 'spam', 'unsubscribe'],
+    enum: ['sent', 'delivered', 'open', 'click', 'bounce', 'spam', 'unsubscribe', 'conversion'],
     required: true,
     index: true
   },
@@ -23,6 +23,11 @@ const emailEventSchema = new mongoose.Schema({
     ipAddress: String,
     clickedUrl: String,
     bounceReason: String,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    amount: Number,
     timestamp: {
       type: Date,
       default: Date.now
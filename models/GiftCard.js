@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes survive being read out or typed from a card
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Redeemed cards have moved their whole balance into a store credit wallet
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'disabled'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['admin', 'purchase'],
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Order and order line the card was bought in, and the buyer
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderItemId: mongoose.Schema.Types.ObjectId,
+  purchasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recipientName: String,
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    maxlength: 300
+  },
+  deliveredAt: Date,
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  redeemedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+giftCardSchema.index({ orderId: 1 });
+giftCardSchema.index({ status: 1, createdAt: -1 });
+
+giftCardSchema.virtual('isExpired').get(function() {
+  return Boolean(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+// Last four characters only, for lists and receipts
+giftCardSchema.virtual('maskedCode').get(function() {
+  return this.code ? `****-${this.code.slice(-4)}` : null;
+});
+
+// GC-XXXX-XXXX-XXXX
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+// Atomically take the card's whole balance. Resolves to the card as it was
+// before the claim, or null when it can't be redeemed.
+giftCardSchema.statics.claim = function(code, userId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      code: String(code || '').trim().toUpperCase(),
+      status: 'active',
+      balance: { $gt: 0 },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    },
+    { $set: { status: 'redeemed', balance: 0, redeemedBy: userId, redeemedAt: now } }
+  );
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
@@ -15,11 +15,13 @@ const notificationSchema = new mongoose.Schema({
       'order_shipped',
       'order_delivered',
       'order_cancelled',
+      'order_refunded',
       'payment_received',
       'payment_failed',
       'product_back_in_stock',
       'new_message',
       'price_drop',
+      'review_request',
       'promotional',
       'system',
       'welcome'
@@ -125,9 +127,9 @@ notificationSchema.statics.createNotification = async function(data) {
   const notification = new this(data);
   await notification.save();
   
-  // Emit real-time notification if user is connected
+  // Emit real-time notification if user is connected and takes push
   const io = require('../utils/socket').getIO();
-  if (io) {
+  if (io && notification.channels.push) {
     io.to(`user_${data.userId}`).emit('notification', {
       id: notification._id,
       type: notification.type,
@@ -189,6 +191,18 @@ notificationSchema.statics.templates = {
     priority: 'high',
     channels: { push: true, email: true }
   },
+  order_cancelled: {
+    title: 'Order Cancelled',
+    message: 'Your order #{orderNumber} has been cancelled.',
+    priority: 'high',
+    channels: { push: true, email: true }
+  },
+  order_refunded: {
+    title: 'Refund Processed',
+    message: 'We have refunded ৳{amount} for order #{orderNumber}.',
+    priority: 'high',
+    channels: { push: true, email: true }
+  },
   payment_received: {
     title: 'Payment Received',
     message: 'We have received your payment of ৳{amount} for order #{orderNumber}.',
@@ -206,11 +220,24 @@ notificationSchema.statics.templates = {
     message: '{productName} is now back in stock. Get it before it runs out again!',
     priority: 'high',
     channels: { push: true, email: true }
+  },
+  price_drop: {
+    title: 'Price Drop',
+    message: '{productName} is now ৳{price}, down from ৳{previousPrice}.',
+    priority: 'high',
+    channels: { push: true, email: true }
+  },
+  review_request: {
+    title: 'How was your order?',
+    message: 'Your order #{orderNumber} was delivered. Tell other shoppers what you think with a quick review.',
+    priority: 'low',
+    channels: { push: true, email: true }
   }
 };
 
-// Create notification with template
-notificationSchema.statics.createFromTemplate = async function(userId, templateKey, variables = {}) {
+// Create notification with template. options.channels overrides the
+// template's channels, e.g. to follow the user's preferences.
+notificationSchema.statics.createFromTemplate = async function(userId, templateKey, variables = {}, options = {}) {
   const template = this.templates[templateKey];
   if (!template) {
     throw new Error(`Notification template '${templateKey}' not found`);
@@ -232,7 +259,7 @@ notificationSchema.statics.createFromTemplate = async function(userId, templateK
     title,
     message,
     priority: template.priority,
-    channels: template.channels,
+    channels: options.channels || template.channels,
     data: variables
   });
 };
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 
-const orderStatusEnum = ['pending', 'confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned'];
+const orderStatusEnum = ['pending', 'confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery', 'delivered', 'return_requested', 'cancelled', 'returned'];
+const paymentStatusEnum = ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'];
+
+const statusMessages = {
+  pending: 'Order received and waiting for confirmation',
+  confirmed: 'Order confirmed and being prepared',
+  processing: 'Your order is being processed',
+  packed: 'Order packed and ready for shipment',
+  shipped: 'Order has been shipped',
+  out_for_delivery: 'Order is out for delivery',
+  delivered: 'Order has been delivered successfully',
+  return_requested: 'Return requested and awaiting review',
+  cancelled: 'Order has been cancelled',
+  returned: 'Order has been returned'
+};
 
 const trackingEventSchema = new mongoose.Schema({
   status: {
@@ -52,9 +66,64 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  sku: String
+  sku: String,
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  restockedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Automatic promotions on the whole line (see utils/promotionEngine.js)
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Added by a free gift promotion, at no charge
+  isFreeGift: {
+    type: Boolean,
+    default: false
+  },
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
+  // Gift card lines are delivered by email once the order is paid
+  giftCard: {
+    recipientName: String,
+    recipientEmail: String,
+    message: String
+  },
+  // Tax for the whole line, after its share of the order discount
+  taxRule: String,
+  taxName: String,
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
 });
 
+// Gift card lines are never reserved from stock, so they are never restocked
+orderItemSchema.methods.isGiftCard = function() {
+  return Boolean(this.giftCard && this.giftCard.recipientEmail);
+};
+
 const shippingAddressSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -89,7 +158,18 @@ const orderSchema = new mongoose.Schema({
   userId: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User',
-    required: true
+    required: function() { return !this.isGuest; }
+  },
+  // Guest checkout: no account, the customer is reached by email and phone
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    required: function() { return this.isGuest; }
   },
   items: [orderItemSchema],
   totalAmount: { 
@@ -112,12 +192,51 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // When true, `tax` is already included in item prices and not added to the total
+  pricesIncludeTax: {
+    type: Boolean,
+    default: true
+  },
+  // All discounts: promotions plus the coupon
   discount: {
     type: Number,
     default: 0,
     min: 0
   },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  promotions: [{
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  }],
   couponCode: String,
+  // Part of totalAmount paid from the customer's store credit; the payment
+  // method is charged the rest
+  storeCreditApplied: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Store credit returned to the customer by refunds and cancellation
+  storeCreditRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  giftCardsIssued: {
+    type: Boolean,
+    default: false
+  },
   shippingAddress: {
     type: shippingAddressSchema,
     required: true
@@ -125,12 +244,12 @@ const orderSchema = new mongoose.Schema({
   billingAddress: shippingAddressSchema,
   paymentMethod: { 
     type: String, 
-    enum: ['bkash', 'nagad', 'rocket', 'upay', 'card', 'cod'],
+    enum: ['bkash', 'nagad', 'rocket', 'upay', 'card', 'cod', 'store_credit'],
     required: true
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+    enum: paymentStatusEnum,
     default: 'pending'
   },
   orderStatus: {
@@ -140,10 +259,22 @@ const orderSchema = new mongoose.Schema({
   },
   trackingNumber: String,
   courierService: String,
+  shippingZone: String,
+  shippingWeight: Number,
+  // Courier booking; shipmentStatus is the courier's own latest status
+  consignmentId: String,
+  shipmentStatus: String,
+  lastCourierUpdateAt: Date,
   estimatedDelivery: Date,
   actualDelivery: Date,
   transactionId: String,
   paymentReference: String,
+  paidAt: Date,
+  // Provider references and confirmation details from the payment gateway
+  paymentMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   notes: String,
   adminNotes: String,
   trackingHistory: [trackingEventSchema],
@@ -153,8 +284,25 @@ const orderSchema = new mongoose.Schema({
     min: 0
   },
   refundReason: String,
+  // Set once cancelled/returned items have been put back into stock
+  stockRestored: {
+    type: Boolean,
+    default: false
+  },
   cancellationReason: String,
   returnReason: String,
+  returnRequest: {
+    items: [{
+      productId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      quantity: Number,
+      reason: String
+    }],
+    reason: String,
+    requestedAt: Date
+  },
   priority: {
     type: String,
     enum: ['low', 'normal', 'high', 'urgent'],
@@ -176,6 +324,25 @@ const orderSchema = new mongoose.Schema({
     type: String,
     enum: ['web', 'mobile', 'admin', 'pos'],
     default: 'web'
+  },
+  // Marketing touch the order is credited to (e.g. an abandoned cart reminder)
+  attribution: {
+    channel: String,
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EmailCampaign'
+    },
+    step: Number
+  },
+  // Review request emails after delivery (utils/reviewRequests.js). dueAt is
+  // set on delivery and cleared once the requests are finished.
+  reviewRequest: {
+    dueAt: Date,
+    stepsSent: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: Date
   }
 }, {
   timestamps: true
@@ -187,8 +354,11 @@ orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ trackingNumber: 1 });
+orderSchema.index({ transactionId: 1 });
+orderSchema.index({ consignmentId: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'shippingAddress.phone': 1 });
+orderSchema.index({ 'reviewRequest.dueAt': 1 }, { sparse: true });
 
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
@@ -241,45 +411,20 @@ orderSchema.virtual('formattedOrderNumber').get(function() {
 });
 
 // Methods
-orderSchema.methods.addTrackingEvent = function(status, description = '', location = '', updatedBy = null) {
-  const statusDescriptions = {
-    pending: 'Order received and waiting for confirmation',
-    confirmed: 'Order confirmed and being prepared',
-    processing: 'Your order is being processed',
-    packed: 'Order packed and ready for shipment',
-    shipped: 'Order has been shipped',
-    out_for_delivery: 'Order is out for delivery',
-    delivered: 'Order has been delivered successfully',
-    cancelled: 'Order has been cancelled',
-    returned: 'Order has been returned'
-  };
-  
-  this.trackingHistory.push({
-    status,
-    description: description || statusDescriptions[status] || '',
-    location,
-    updatedBy,
-    timestamp: new Date()
-  });
-  
-  this.orderStatus = status;
-  
-  // Set delivery date if status is delivered
-  if (status === 'delivered' && !this.actualDelivery) {
-    this.actualDelivery = new Date();
-  }
-  
-  return this.save();
+orderSchema.methods.calculateTotal = function() {
+  this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const taxAdded = this.pricesIncludeTax ? 0 : this.tax;
+  this.totalAmount = this.subtotal + this.shippingCost + taxAdded - this.discount;
+  return this.totalAmount;
 };
 
-orderSchema.methods.updateStatus = function(newStatus, description = '', location = '', updatedBy = null) {
-  return this.addTrackingEvent(newStatus, description, location, updatedBy);
+// What the payment method has to collect
+orderSchema.methods.getAmountDue = function() {
+  return Math.round((this.totalAmount - (this.storeCreditApplied || 0)) * 100) / 100;
 };
 
-orderSchema.methods.calculateTotal = function() {
-  this.subtotal = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  this.totalAmount = this.subtotal + this.shippingCost + this.tax - this.discount;
-  return this.totalAmount;
+orderSchema.methods.getGiftCardItems = function() {
+  return this.items.filter(item => item.isGiftCard());
 };
 
 orderSchema.methods.canCancel = function() {
@@ -293,24 +438,12 @@ orderSchema.methods.canReturn = function() {
 };
 
 orderSchema.methods.getStatusMessage = function() {
-  const statusMessages = {
-    pending: 'Order received and waiting for confirmation',
-    confirmed: 'Order confirmed and being prepared',
-    processing: 'Your order is being processed',
-    packed: 'Order packed and ready for shipment',
-    shipped: 'Order has been shipped',
-    out_for_delivery: 'Order is out for delivery',
-    delivered: 'Order has been delivered successfully',
-    cancelled: 'Order has been cancelled',
-    returned: 'Order has been returned'
-  };
-  
   return statusMessages[this.orderStatus] || 'Status unknown';
 };
 
 orderSchema.methods.getProgressPercentage = function() {
   const statusOrder = ['pending', 'confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery', 'delivered'];
-  const currentIndex = statusOrder.indexOf(this.orderStatus);
+  const currentIndex = statusOrder.indexOf(this.orderStatus === 'return_requested' ? 'delivered' : this.orderStatus);
   
   if (currentIndex === -1 || this.orderStatus === 'cancelled' || this.orderStatus === 'returned') {
     return 0;
@@ -405,6 +538,10 @@ orderSchema.statics.getMonthlyStats = function(year = new Date().getFullYear())
   ]);
 };
 
+orderSchema.statics.getStatusDescription = function(status) {
+  return statusMessages[status] || '';
+};
+
 orderSchema.statics.findByOrderNumber = function(orderNumber) {
   return this.findOne({ orderNumber })
     .populate('userId', 'name email phone')
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  type: String,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true
+  },
+  status: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// A provider never delivers the same event twice into our ledger
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Static method to record an event; resolves to null if it was already seen
+paymentEventSchema.statics.recordOnce = async function(provider, eventId, data = {}) {
+  try {
+    return await this.create({ provider, eventId, ...data });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
@@ -1,39 +1,6 @@
 const mongoose = require('mongoose');
-
-const reviewSchema = new mongoose.Schema({
-  user: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  name: {
-    type: String,
-    required: true
-  },
-  rating: {
-    type: Number,
-    required: true,
-    min: 1,
-    max: 5
-  },
-  comment: {
-    type: String,
-    required: true,
-    maxlength: 500
-  },
-  verified: {
-    type: Boolean,
-    default: false
-  },
-  helpful: {
-    type: Number,
-    default: 0
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+const Category = require('./Category');
+const searchIndex = require('../utils/searchIndex');
 
 const variantSchema = new mongoose.Schema({
   size: String,
@@ -71,14 +38,26 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Digital gift card: each unit sold issues a code worth the price
+  isGiftCard: {
+    type: Boolean,
+    default: false
+  },
   originalPrice: {
     type: Number,
     min: 0
   },
+  // Name of categoryId, kept in step by the validate hook; coupons,
+  // promotions and tax rules match on it
   category: {
     type: String,
     required: true
   },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
   subcategory: String,
   brand: String,
   sku: {
@@ -130,7 +109,8 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Enhanced review system
+  // Rating aggregates, kept in step with approved reviews by
+  // Review.syncProductRating (models/Review.js)
   averageRating: {
     type: Number,
     default: 0,
@@ -144,7 +124,16 @@ const productSchema = new mongoose.Schema({
     2: { type: Number, default: 0 },
     1: { type: Number, default: 0 }
   },
-  reviews: [reviewSchema],
+  reviewRevision: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  reviewStatsRevision: {
+    type: Number,
+    default: 0,
+    select: false
+  },
   featured: {
     type: Boolean,
     default: false
@@ -205,6 +194,7 @@ const productSchema = new mongoose.Schema({
 // Indexes for performance
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ category: 1, subcategory: 1 });
+productSchema.index({ categoryId: 1, status: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ rating: -1 });
 productSchema.index({ createdAt: -1 });
@@ -227,8 +217,35 @@ productSchema.virtual('stockStatus').get(function() {
   return 'in-stock';
 });
 
+// Link the product to its Category. Setting categoryId fills in the name;
+// setting only the name links the category of that name, if there is one.
+productSchema.pre('validate', async function() {
+  if (this.isModified('categoryId') && this.categoryId) {
+    const category = await Category.findById(this.categoryId).select('name');
+    if (!category) {
+      this.invalidate('categoryId', 'Category not found', this.categoryId);
+      return;
+    }
+    this.category = category.name;
+  } else if (this.isModified('category') && this.category) {
+    const category = await Category.findOne({ name: this.category.trim() })
+      .collation({ locale: 'en', strength: 2 })
+      .select('name');
+    this.categoryId = category ? category._id : null;
+    if (category) {
+      this.category = category.name;
+    }
+  }
+});
+
 // Pre-save middleware
 productSchema.pre('save', function(next) {
+  // Products sold in variants keep the top-level stock as the sum of all
+  // variant stock so listings and reports stay accurate
+  if (this.variants && this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+  }
+  
   // Update inStock based on stock quantity
   this.inStock = this.stock > 0;
   
@@ -237,14 +254,6 @@ productSchema.pre('save', function(next) {
     this.image = this.images[0];
   }
   
-  // Calculate rating and review count
-  if (this.reviews && this.reviews.length > 0) {
-    const sum = this.reviews.reduce((acc, review) => acc + review.rating, 0);
-    this.rating = Math.round((sum / this.reviews.length) * 10) / 10;
-    this.averageRating = this.rating; // Update averageRating field
-    this.reviewCount = this.reviews.length;
-  }
-  
   // Auto-generate SKU if not provided
   if (!this.sku) {
     this.sku = `PRD-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
@@ -253,6 +262,27 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the in-process search index in step with product changes
+productSchema.post('save', function(doc) {
+  searchIndex.update(doc);
+});
+
+productSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    searchIndex.remove(doc._id);
+  }
+});
+
+productSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  if (searchIndex.affectsIndex(this.getUpdate())) {
+    searchIndex.invalidate();
+  }
+});
+
+productSchema.post(['deleteOne', 'deleteMany'], { query: true, document: false }, function() {
+  searchIndex.invalidate();
+});
+
 // Instance methods
 productSchema.methods.updateStock = function(quantity, operation = 'subtract') {
   if (operation === 'subtract') {
@@ -264,14 +294,49 @@ productSchema.methods.updateStock = function(quantity, operation = 'subtract') {
   return this.save();
 };
 
-productSchema.methods.addReview = function(userId, name, rating, comment) {
-  this.reviews.push({
-    user: userId,
-    name,
-    rating,
-    comment
-  });
-  return this.save();
+// Resolve the variant a shopper picked. A SKU wins; otherwise size and
+// color must match wherever the variant defines them. Returns null for
+// products without variants or when nothing matches.
+productSchema.methods.findVariant = function({ size, color, sku, variantId } = {}) {
+  if (!this.variants || this.variants.length === 0) {
+    return null;
+  }
+  
+  if (variantId) {
+    return this.variants.id(variantId) || null;
+  }
+  
+  if (sku) {
+    const bySku = this.variants.find(variant => variant.sku === sku);
+    if (bySku) {
+      return bySku;
+    }
+  }
+  
+  return this.variants.find(variant =>
+    (!variant.size || variant.size === size) &&
+    (!variant.color || variant.color === color)
+  ) || null;
+};
+
+productSchema.methods.hasVariants = function() {
+  return Boolean(this.variants && this.variants.length > 0);
+};
+
+productSchema.methods.getAvailableStock = function(variant = null) {
+  return variant ? (variant.stock || 0) : this.stock;
+};
+
+productSchema.methods.getEffectivePrice = function(variant = null) {
+  return variant && typeof variant.price === 'number' ? variant.price : this.price;
+};
+
+productSchema.methods.getLowStockVariants = function() {
+  if (!this.hasVariants()) {
+    return [];
+  }
+  
+  return this.variants.filter(variant => (variant.stock || 0) <= this.lowStockThreshold);
 };
 
 productSchema.methods.incrementView = function() {
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+/**
+ * Promotion
+ * Automatic discounts applied without a code. How they combine is
+ * described in utils/promotionEngine.js.
+ */
+
+const tierSchema = new mongoose.Schema({
+  minAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const isType = (...types) => function() {
+  return types.includes(this.type);
+};
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 300
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'tiered_spend', 'bundle', 'category_sale', 'free_gift'],
+    required: true
+  },
+  // Higher priority promotions are evaluated first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // An exclusive promotion only applies on its own
+  exclusive: {
+    type: Boolean,
+    default: false
+  },
+  combinableWithCoupons: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    default: null // null means no end date
+  },
+  // Which cart lines count towards the promotion; empty means all
+  applicableCategories: [{
+    type: String
+  }],
+  applicableProducts: [{
+    type: String // Product IDs
+  }],
+  excludedProducts: [{
+    type: String // Product IDs
+  }],
+  // Eligible spend needed before the promotion applies
+  minSubtotal: {
+    type: Number,
+    default: 0
+  },
+  // category_sale: discount per unit
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: isType('category_sale')
+  },
+  discountValue: {
+    type: Number,
+    min: 0,
+    required: isType('category_sale')
+  },
+  maxDiscountAmount: {
+    type: Number,
+    default: null
+  },
+  // buy_x_get_y: of every buyQuantity + getQuantity units, the cheapest
+  // getQuantity are discounted by getDiscountPercent
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    required: isType('buy_x_get_y')
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    required: isType('buy_x_get_y')
+  },
+  getDiscountPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 100
+  },
+  // bundle: one of each product for bundlePrice
+  bundleProducts: {
+    type: [String],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'bundle' || (value && value.length >= 2);
+      },
+      message: 'A bundle needs at least two products'
+    }
+  },
+  bundlePrice: {
+    type: Number,
+    min: 0,
+    required: isType('bundle')
+  },
+  // tiered_spend: the highest tier reached applies
+  tiers: {
+    type: [tierSchema],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'tiered_spend' || (value && value.length > 0);
+      },
+      message: 'A tiered spend promotion needs at least one tier'
+    }
+  },
+  // free_gift
+  giftProductId: {
+    type: String,
+    required: isType('free_gift')
+  },
+  giftQuantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.virtual('isRunning').get(function() {
+  const now = Date.now();
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt > now);
+});
+
+// Promotions running right now, in evaluation order
+promotionSchema.statics.findRunning = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: now },
+    $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+// Cart totals are recalculated on every save, so the running list is kept
+// for a minute; changes made through this process clear it straight away
+const RUNNING_CACHE_MS = 60 * 1000;
+let runningCache = null;
+
+promotionSchema.statics.getRunning = async function() {
+  if (runningCache && Date.now() - runningCache.loadedAt < RUNNING_CACHE_MS) {
+    return runningCache.promotions;
+  }
+  const promotions = await this.findRunning().lean();
+  runningCache = { promotions, loadedAt: Date.now() };
+  return promotions;
+};
+
+const clearRunningCache = () => {
+  runningCache = null;
+};
+
+promotionSchema.post('save', clearRunningCache);
+promotionSchema.post('findOneAndUpdate', clearRunningCache);
+promotionSchema.post('findOneAndDelete', clearRunningCache);
+
+// Count the orders a promotion was applied to (for reporting)
+promotionSchema.statics.recordUsage = function(promotionIds) {
+  if (!promotionIds || promotionIds.length === 0) {
+    return Promise.resolve();
+  }
+  return this.updateMany({ _id: { $in: promotionIds } }, { $inc: { usageCount: 1 } });
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
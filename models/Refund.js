@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const refundItemSchema = new mongoose.Schema({
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Ledger of every refund issued against an order, whichever way the money
+// was returned to the customer
+const refundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  // Null for guest orders
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  items: [refundItemSchema],
+  paymentMethod: {
+    type: String,
+    required: true
+  },
+  // 'stripe' for card refunds, 'manual' when staff send the money themselves
+  provider: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  providerRefundId: String,
+  // Part of the amount returned as store credit instead of to the payment method
+  storeCreditAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Payout reference for manual refunds, e.g. the bKash trxID staff sent
+  reference: String,
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: String,
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
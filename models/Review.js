@@ -1,4 +1,31 @@
 const mongoose = require('mongoose');
+const reviewsConfig = require('../config/reviews');
+
+// A photo uploaded with a review (see utils/reviewMedia.js). Where the files
+// live in storage is only loaded when they are about to be deleted.
+const reviewImageSchema = new mongoose.Schema({
+  url: String,
+  thumbnailUrl: String,
+  alt: String,
+  width: Number,
+  height: Number,
+  storage: {
+    type: { key: String, path: String },
+    select: false
+  },
+  thumbnailStorage: {
+    type: { key: String, path: String },
+    select: false
+  }
+});
+
+reviewImageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.storage;
+    delete ret.thumbnailStorage;
+    return ret;
+  }
+});
 
 const reviewSchema = new mongoose.Schema({
   userId: {
@@ -40,11 +67,15 @@ const reviewSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
-  images: [{
-    url: String,
-    alt: String
-  }],
-  // Review attributes/aspects
+  images: {
+    type: [reviewImageSchema],
+    validate: {
+      validator: images => images.length <= reviewsConfig.maxImages,
+      message: `A review can have at most ${reviewsConfig.maxImages} photos`
+    }
+  },
+  // Review attributes/aspects. sizing is how it fit: 1-2 runs small,
+  // 3 true to size, 4-5 runs large.
   aspects: {
     quality: { type: Number, min: 1, max: 5 },
     value: { type: Number, min: 1, max: 5 },
@@ -80,16 +111,53 @@ const reviewSchema = new mongoose.Schema({
       enum: ['helpful', 'unhelpful']
     }
   }],
-  // Review status
+  // Review status. Quarantined reviews were held back by automated
+  // moderation (utils/reviewModeration.js) and wait for an admin.
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'flagged'],
+    enum: ['pending', 'approved', 'rejected', 'flagged', 'quarantined'],
     default: 'pending'
   },
   moderationNotes: {
     type: String,
     maxlength: 500
   },
+  // Latest automated moderation score, and every moderation decision made
+  moderationScore: {
+    type: Number,
+    default: 0
+  },
+  moderationLog: [{
+    _id: false,
+    status: String,
+    actor: {
+      type: String,
+      enum: ['system', 'admin'],
+      default: 'system'
+    },
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    trigger: String,
+    score: Number,
+    signals: [{
+      _id: false,
+      signal: String,
+      score: Number,
+      detail: String
+    }],
+    notes: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Normalized comment fingerprint for spotting the same text across accounts
+  contentHash: {
+    type: String,
+    select: false
+  },
   // Engagement metrics
   replies: [{
     userId: {
@@ -163,6 +231,7 @@ reviewSchema.index({ userId: 1, productId: 1 }, { unique: true });
 reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
 reviewSchema.index({ userId: 1, createdAt: -1 });
 reviewSchema.index({ status: 1 });
+reviewSchema.index({ contentHash: 1 }, { sparse: true });
 reviewSchema.index({ rating: 1 });
 reviewSchema.index({ verifiedPurchase: 1 });
 
@@ -214,6 +283,114 @@ reviewSchema.statics.getProductRatingStats = async function(productId) {
   }
 };
 
+/**
+ * Recompute a product's rating, review count and breakdown from its approved
+ * reviews. Runs after every review change (see the hooks below).
+ *
+ * Each run first bumps the product's reviewRevision, and only writes its
+ * figures if no run with a later revision has written already, so two
+ * changes landing together can't leave the older figures behind.
+ */
+reviewSchema.statics.syncProductRating = async function(productId) {
+  const Product = mongoose.model('Product');
+  const product = await Product.findByIdAndUpdate(
+    productId,
+    { $inc: { reviewRevision: 1 } },
+    { new: true, projection: { reviewRevision: 1 } }
+  );
+  if (!product) {
+    return null;
+  }
+
+  const stats = await this.getProductRatingStats(productId);
+  const rating = Math.round(stats.averageRating * 10) / 10;
+
+  await Product.updateOne(
+    { _id: productId, reviewStatsRevision: { $not: { $gte: product.reviewRevision } } },
+    {
+      $set: {
+        rating,
+        averageRating: rating,
+        reviewCount: stats.totalReviews,
+        ratingBreakdown: stats.ratingBreakdown,
+        reviewStatsRevision: product.reviewRevision
+      }
+    }
+  );
+  return stats;
+};
+
+const ASPECTS = ['quality', 'value', 'design', 'comfort', 'sizing'];
+
+/**
+ * Averaged aspect scores, a sizing verdict and photo count for a product's
+ * approved reviews.
+ */
+reviewSchema.statics.getAspectSummary = async function(productId) {
+  const aspectFields = {};
+  ASPECTS.forEach(aspect => {
+    aspectFields[`${aspect}Average`] = { $avg: `$aspects.${aspect}` };
+    aspectFields[`${aspect}Count`] = { $sum: { $cond: [{ $gt: [`$aspects.${aspect}`, 0] }, 1, 0] } };
+  });
+
+  const [stats] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    {
+      $group: {
+        _id: null,
+        totalReviews: { $sum: 1 },
+        withPhotos: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$images', []] } }, 0] }, 1, 0] } },
+        ...aspectFields,
+        runsSmall: { $sum: { $cond: [{ $and: [{ $gt: ['$aspects.sizing', 0] }, { $lte: ['$aspects.sizing', 2] }] }, 1, 0] } },
+        trueToSize: { $sum: { $cond: [{ $eq: ['$aspects.sizing', 3] }, 1, 0] } },
+        runsLarge: { $sum: { $cond: [{ $gte: ['$aspects.sizing', 4] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return this.formatAspectSummary(stats);
+};
+
+// Shape the aggregation result (or nothing, for a product without reviews)
+reviewSchema.statics.formatAspectSummary = function(stats = {}) {
+  const round = (value) => Math.round(value * 10) / 10;
+  const aspects = {};
+  ASPECTS.filter(aspect => aspect !== 'sizing').forEach(aspect => {
+    const count = stats[`${aspect}Count`] || 0;
+    aspects[aspect] = { average: count > 0 ? round(stats[`${aspect}Average`]) : null, count };
+  });
+
+  const sizingCount = stats.sizingCount || 0;
+  const average = sizingCount > 0 ? stats.sizingAverage : null;
+  let verdict = null;
+  if (average !== null) {
+    if (average <= 3 - reviewsConfig.sizingLean) {
+      verdict = 'runs_small';
+    } else if (average >= 3 + reviewsConfig.sizingLean) {
+      verdict = 'runs_large';
+    } else {
+      verdict = 'true_to_size';
+    }
+  }
+  const share = (count) => (sizingCount > 0 ? Math.round((count / sizingCount) * 100) : 0);
+
+  return {
+    totalReviews: stats.totalReviews || 0,
+    withPhotos: stats.withPhotos || 0,
+    aspects,
+    sizing: {
+      verdict,
+      average: average === null ? null : round(average),
+      count: sizingCount,
+      percentages: {
+        runsSmall: share(stats.runsSmall || 0),
+        trueToSize: share(stats.trueToSize || 0),
+        runsLarge: share(stats.runsLarge || 0)
+      }
+    }
+  };
+};
+
 // Method to check if user can review product
 reviewSchema.statics.canUserReview = async function(userId, productId) {
   try {
@@ -228,7 +405,7 @@ reviewSchema.statics.canUserReview = async function(userId, productId) {
     const purchase = await Order.findOne({
       userId,
       'items.productId': productId,
-      status: { $in: ['delivered', 'completed'] }
+      orderStatus: 'delivered'
     });
 
     if (!purchase) {
@@ -242,17 +419,20 @@ reviewSchema.statics.canUserReview = async function(userId, productId) {
   }
 };
 
-// Method to vote on helpfulness
+// Method to vote on helpfulness. Counts are adjusted rather than recounted
+// from voters: reviews migrated from products carry votes without voters.
 reviewSchema.methods.vote = function(userId, voteType) {
-  // Remove any existing vote from this user
-  this.voters = this.voters.filter(voter => voter.userId.toString() !== userId.toString());
-  
-  // Add new vote
+  const counter = (type) => (type === 'helpful' ? 'helpfulVotes' : 'unhelpfulVotes');
+
+  // Replace any existing vote from this user
+  const existing = this.voters.find(voter => voter.userId.toString() === userId.toString());
+  if (existing) {
+    this[counter(existing.vote)] = Math.max(0, this[counter(existing.vote)] - 1);
+    this.voters.pull(existing);
+  }
+
   this.voters.push({ userId, vote: voteType });
-  
-  // Recalculate vote counts
-  this.helpfulVotes = this.voters.filter(voter => voter.vote === 'helpful').length;
-  this.unhelpfulVotes = this.voters.filter(voter => voter.vote === 'unhelpful').length;
+  this[counter(voteType)] += 1;
 };
 
 // Method to add reply
@@ -273,6 +453,7 @@ reviewSchema.methods.report = function(userId, reason, details = '') {
     return false; // Already reported
   }
 
+  // Reports count towards the moderation score (utils/reviewModeration.js)
   this.reports.push({
     userId,
     reason,
@@ -280,18 +461,35 @@ reviewSchema.methods.report = function(userId, reason, details = '') {
     createdAt: new Date()
   });
 
-  // Auto-flag if multiple reports
-  if (this.reports.length >= 3) {
-    this.status = 'flagged';
-  }
-
   return true;
 };
 
 // Pre-save middleware to update lastModified
 reviewSchema.pre('save', function(next) {
   this.lastModified = new Date();
+
+  // Product ratings count approved reviews only
+  this.$locals.affectsRating = this.isNew
+    ? this.status === 'approved'
+    : this.isModified('rating') || this.isModified('status');
   next();
 });
 
+// Keep the product's rating aggregates in step with its reviews
+reviewSchema.post('save', async function(doc) {
+  if (doc.$locals.affectsRating) {
+    await doc.constructor.syncProductRating(doc.productId);
+  }
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await doc.constructor.syncProductRating(doc.productId);
+});
+
+reviewSchema.post(['findOneAndUpdate', 'findOneAndDelete'], async function(doc) {
+  if (doc) {
+    await this.model.syncProductRating(doc.productId);
+  }
+});
+
 module.exports = mongoose.model('Review', reviewSchema);
\ No newline at end of file
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const searchConfig = require('../config/search');
+
+// One product search, and what the shopper did with its results afterwards
+const searchEventSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  // Lowercased and trimmed; the report groups by this
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  // Who searched: a signed-in user, or a guest by cart key
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestKey: String,
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  filters: mongoose.Schema.Types.Mixed,
+  // Set when a merchandiser redirect answered the search instead
+  redirectedTo: String,
+  clicks: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    position: Number,
+    at: { type: Date, default: Date.now }
+  }],
+  addedToCart: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    at: { type: Date, default: Date.now }
+  }],
+  // The order that bought products found through this search
+  purchase: {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    revenue: Number,
+    at: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: searchConfig.analytics.retentionDays * 24 * 60 * 60 });
+searchEventSchema.index({ normalizedQuery: 1, createdAt: -1 });
+searchEventSchema.index({ userId: 1, createdAt: -1 });
+searchEventSchema.index({ guestKey: 1, createdAt: -1 }, { sparse: true });
+
+module.exports = mongoose.model('SearchEvent', searchEventSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Sends a search straight to a page (e.g. "eid sale" -> the Eid collection)
+const searchRedirectSchema = new mongoose.Schema({
+  // Matched against the whole query, lowercased and trimmed
+  query: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 200
+  },
+  // A storefront path (/collections/eid) or a full http(s) URL
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500,
+    match: [/^(\/|https?:\/\/)/, 'URL must be a path starting with / or an http(s) URL']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('SearchRedirect', searchRedirectSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const searchIndex = require('../utils/searchIndex');
+
+// A group of words search treats as the same, e.g. panjabi / kurta / পাঞ্জাবি.
+// Searching for any one of them also finds products matching the others.
+const searchSynonymSchema = new mongoose.Schema({
+  terms: {
+    type: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+    validate: [
+      {
+        validator: terms => terms.length >= 2 && terms.length <= 20,
+        message: 'A synonym group needs between 2 and 20 terms'
+      },
+      {
+        // Search matches synonyms word by word
+        validator: terms => terms.every(term => /^\S+$/.test(term)),
+        message: 'Synonym terms must be single words'
+      }
+    ]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+searchSynonymSchema.index({ terms: 1 });
+
+// The search index loads synonyms when it is built
+const invalidateSearchIndex = () => searchIndex.invalidate();
+searchSynonymSchema.post('save', invalidateSearchIndex);
+searchSynonymSchema.post('findOneAndUpdate', invalidateSearchIndex);
+searchSynonymSchema.post('findOneAndDelete', invalidateSearchIndex);
+
+module.exports = mongoose.model('SearchSynonym', searchSynonymSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every change to a customer's store credit balance. Entries
+// are only ever added; corrections are made with an opposite entry.
+const storeCreditTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // User's balance right after this entry
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['gift_card', 'refund', 'order_payment', 'order_reversal', 'adjustment'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  // Admin who made a manual adjustment
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storeCreditTransactionSchema.index({ userId: 1, createdAt: -1 });
+storeCreditTransactionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('StoreCreditTransaction', storeCreditTransactionSchema);
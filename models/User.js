@@ -70,13 +70,23 @@ const userSchema = new mongoose.Schema({
     notifications: {
       email: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      // Emails and notifications asking to review delivered orders
+      reviewRequests: { type: Boolean, default: true },
+      // Back-in-stock and price-drop alerts for wishlisted products
+      wishlistAlerts: { type: Boolean, default: true }
     }
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Changed only through utils/storeCredit.js, which keeps the ledger
+  storeCreditBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   lastLoginIP: {
     type: String,
     default: null
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A shopper's alerts for one wishlisted product. Created and removed along
+// with the wishlist item; sent by utils/wishlistAlerts.js.
+const wishlistAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  backInStock: {
+    type: Boolean,
+    default: true
+  },
+  priceDrop: {
+    type: Boolean,
+    default: true
+  },
+  // Shopper's own threshold; null uses config/wishlistAlerts.js
+  priceDropPercent: {
+    type: Number,
+    min: 1,
+    max: 90,
+    default: null
+  },
+  // Price the next drop is measured from
+  basePrice: Number,
+  // Whether the product could be bought when last checked
+  wasAvailable: Boolean,
+  lastAlertAt: {
+    type: Date,
+    default: null
+  },
+  alertsSent: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+wishlistAlertSchema.index({ userId: 1, productId: 1 }, { unique: true });
+wishlistAlertSchema.index({ productId: 1 });
+
+module.exports = mongoose.model('WishlistAlert', wishlistAlertSchema);
@@ -5,8 +5,12 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Category = require('../models/Category');
 const Coupon = require('../models/Coupon');
+const Refund = require('../models/Refund');
 const { adminAuth, requireRole } = require('../middleware/adminAuth');
 const { validate } = require('../utils/validation');
+const { processRefund, getRefundableAmount } = require('../utils/refundProcessor');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { bookShipment, syncShipment } = require('../utils/shipmentTracker');
 
 // Dashboard Overview
 router.get('/dashboard', adminAuth, async (req, res) => {
@@ -33,7 +37,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       
       // Revenue calculation
       Order.aggregate([
-        { $match: { paymentStatus: 'completed', createdAt: { $gte: startDate } } },
+        { $match: { paymentStatus: 'paid', createdAt: { $gte: startDate } } },
         { $group: { _id: null, total: { $sum: '$totalAmount' } } }
       ]),
       
@@ -67,7 +71,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       
       // Sales data for chart (last 30 days)
       Order.aggregate([
-        { $match: { createdAt: { $gte: startDate }, paymentStatus: 'completed' } },
+        { $match: { createdAt: { $gte: startDate }, paymentStatus: 'paid' } },
         {
           $group: {
             _id: {
@@ -98,7 +102,7 @@ router.get('/dashboard', adminAuth, async (req, res) => {
       Order.aggregate([
         { 
           $match: { 
-            paymentStatus: 'completed',
+            paymentStatus: 'paid',
             createdAt: { $gte: previousPeriodStart, $lt: startDate } 
           } 
         },
@@ -356,7 +360,7 @@ router.get('/analytics/summary', adminAuth, async (req, res) => {
       Promise.resolve(0),
       // Calculate revenue from completed orders
       Order.aggregate([
-        { $match: { paymentStatus: 'completed', createdAt: { $gte: today, $lt: tomorrow } } },
+        { $match: { paymentStatus: 'paid', createdAt: { $gte: today, $lt: tomorrow } } },
         { $group: { _id: null, total: { $sum: '$totalAmount' } } }
       ])
     ]);
@@ -452,7 +456,7 @@ router.get('/orders', adminAuth, async (req, res) => {
 
     const filter = {};
     
-    if (status) filter.status = status;
+    if (status) filter.orderStatus = status;
     if (paymentStatus) filter.paymentStatus = paymentStatus;
     
     if (startDate || endDate) {
@@ -476,7 +480,7 @@ router.get('/orders', adminAuth, async (req, res) => {
     const orderStats = await Order.aggregate([
       {
         $group: {
-          _id: '$status',
+          _id: '$orderStatus',
           count: { $sum: 1 },
           totalAmount: { $sum: '$totalAmount' }
         }
@@ -506,13 +510,95 @@ router.get('/orders', adminAuth, async (req, res) => {
 // Update order status
 router.patch('/orders/:id/status', adminAuth, async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const { status, description, location } = req.body;
 
-    if (!validStatuses.includes(status)) {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const updated = await transitionOrder(order, status, {
+      actor: 'admin',
+      userId: req.user._id,
+      description,
+      location
+    });
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Order status updated successfully'
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to update order status',
+      code: error.code,
+      allowed: error.allowed
+    });
+  }
+});
+
+// List refunds issued for an order
+router.get('/orders/:id/refunds', adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('totalAmount refundAmount paymentStatus');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const refunds = await Refund.find({ orderId: order._id })
+      .populate('processedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        refundedAmount: order.refundAmount,
+        refundableAmount: getRefundableAmount(order),
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch refunds'
+    });
+  }
+});
+
+// Refund a whole order, selected line items, or a fixed amount
+router.post('/orders/:id/refunds', adminAuth, async (req, res) => {
+  try {
+    const { items, amount, reason, restock = true, reference, toStoreCredit } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.some(item => !item || !item.itemId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items must be a list of { itemId, quantity }'
+      });
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a positive number'
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.length > 500) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status'
+        error: 'A refund reason of up to 500 characters is required'
       });
     }
 
@@ -524,31 +610,87 @@ router.patch('/orders/:id/status', adminAuth, async (req, res) => {
       });
     }
 
-    order.status = status;
-    order.statusHistory.push({
-      status,
-      updatedBy: req.user._id,
-      updatedAt: new Date()
+    const result = await processRefund(order, {
+      items,
+      amount,
+      reason: reason.trim(),
+      restock: restock !== false,
+      reference,
+      processedBy: req.user,
+      toStoreCredit: toStoreCredit === true
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `Refunded ৳${result.refund.amount} for order ${order.orderNumber}`
+    });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to process refund',
+      code: error.code
+    });
+  }
+});
+
+// Book the order's parcel with its courier
+router.post('/orders/:id/shipment', adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    const updated = await bookShipment(order, {
+      courier: req.body.courier,
+      userId: req.user._id
     });
 
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    } else if (status === 'shipped') {
-      order.shippedAt = new Date();
+    res.status(201).json({
+      success: true,
+      data: updated,
+      message: `Shipment booked (consignment ${updated.consignmentId})`
+    });
+  } catch (error) {
+    console.error('Book shipment error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to book shipment',
+      code: error.code
+    });
+  }
+});
+
+// Pull the latest status from the courier now
+router.post('/orders/:id/shipment/sync', adminAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
     }
 
-    await order.save();
+    const { order: updated, changed } = await syncShipment(order);
 
     res.json({
       success: true,
-      data: order,
-      message: 'Order status updated successfully'
+      data: updated,
+      changed,
+      message: changed ? 'Shipment status updated' : 'Shipment status is up to date'
     });
   } catch (error) {
-    console.error('Update order status error:', error);
-    res.status(500).json({
+    console.error('Sync shipment error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update order status'
+      error: error.statusCode ? error.message : 'Failed to sync shipment',
+      code: error.code
     });
   }
 });
@@ -582,7 +724,7 @@ router.get('/analytics/sales', adminAuth, async (req, res) => {
       { 
         $match: { 
           createdAt: { $gte: startDate },
-          paymentStatus: 'completed'
+          paymentStatus: 'paid'
         } 
       },
       {
@@ -6,6 +6,8 @@ const { OAuth2Client } = require('google-auth-library');
 const emailService = require('../utils/emailService');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const Cart = require('../models/Cart');
+const { verifyCartToken } = require('../utils/cartToken');
 const { validate } = require('../utils/validation');
 const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
 
@@ -28,6 +30,23 @@ const generateTokens = (userId) => {
   return { accessToken, refreshToken };
 };
 
+// Bring the shopper's guest cart (X-Cart-Token) into their account cart.
+// Never fails the sign-in itself.
+const mergeGuestCart = async (req, userId) => {
+  const guestKey = verifyCartToken(req.header('X-Cart-Token'));
+  if (!guestKey) {
+    return false;
+  }
+
+  try {
+    const { merged } = await Cart.mergeGuestCart(guestKey, userId);
+    return merged;
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+    return false;
+  }
+};
+
 // Use centralized email service
 
 // Register
@@ -74,6 +93,8 @@ router.post('/register', authLimiter, validate(require('../utils/validation').sc
     user.refreshTokens = [refreshToken];
     await user.save();
 
+    const cartMerged = await mergeGuestCart(req, user._id);
+
     res.status(201).json({
       success: true,
       message: 'Registration successful. Please check your email to verify your account.',
@@ -87,7 +108,8 @@ router.post('/register', authLimiter, validate(require('../utils/validation').sc
         email: user.email,
         role: user.role,
         isEmailVerified: user.isEmailVerified
-      }
+      },
+      cartMerged
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -139,6 +161,8 @@ router.post('/login', authLimiter, validate(require('../utils/validation').schem
     
     await user.save();
 
+    const cartMerged = await mergeGuestCart(req, user._id);
+
     res.json({
       success: true,
       tokens: {
@@ -152,7 +176,8 @@ router.post('/login', authLimiter, validate(require('../utils/validation').schem
         role: user.role,
         isEmailVerified: user.isEmailVerified,
         lastLoginAt: user.lastLoginAt
-      }
+      },
+      cartMerged
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -220,6 +245,8 @@ router.post('/google-login', async (req, res) => {
     
     await user.save();
 
+    const cartMerged = await mergeGuestCart(req, user._id);
+
     res.json({
       success: true,
       tokens: {
@@ -234,7 +261,8 @@ router.post('/google-login', async (req, res) => {
         avatar: user.avatar,
         isEmailVerified: user.isEmailVerified,
         authProvider: user.authProvider
-      }
+      },
+      cartMerged
     });
   } catch (error) {
     console.error('Google login error:', error);
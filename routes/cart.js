@@ -3,42 +3,24 @@ const router = express.Router();
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const Coupon = require('../models/Coupon');
-const { auth } = require('../middleware/auth');
+const { cartSession, findSessionCart, findOrCreateSessionCart } = require('../middleware/cartSession');
+const { verifyRestoreToken } = require('../utils/cartToken');
+const { recordRestoreClick } = require('../utils/cartRecovery');
+const { revalidateCart } = require('../utils/cartRevalidation');
+const { attributeAddToCart } = require('../utils/searchAnalytics');
 
 // Get user's cart
-router.get('/', auth, async (req, res) => {
+router.get('/', cartSession, async (req, res) => {
   try {
-    const cart = await Cart.findOrCreateByUserId(req.user._id);
-    
-    // Verify product data is still accurate
-    const updatedItems = await Promise.all(
-      cart.items.map(async (item) => {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          item.productData = {
-            name: product.name,
-            images: product.images,
-            description: product.description,
-            category: product.category,
-            brand: product.brand,
-            inStock: product.inStock,
-            maxQuantity: product.stock
-          };
-          item.price = product.price;
-          item.originalPrice = product.originalPrice;
-          item.discount = product.discount;
-        }
-        return item;
-      })
-    );
+    const cart = await findOrCreateSessionCart(req, res);
     
-    cart.items = updatedItems;
-    cart.calculateTotals();
-    await cart.save();
+    const { warnings } = await revalidateCart(cart, { autoFix: req.query.autoFix === 'true' });
     
     res.json({
       success: true,
-      data: cart
+      data: cart,
+      warnings,
+      ...(req.cartToken && { cartToken: req.cartToken })
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -50,7 +32,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Add item to cart
-router.post('/items', auth, async (req, res) => {
+router.post('/items', cartSession, async (req, res) => {
   try {
     const { productId, quantity = 1, size, color } = req.body;
     
@@ -69,19 +51,39 @@ router.post('/items', auth, async (req, res) => {
       });
     }
     
-    if (!product.inStock || product.stock < quantity) {
+    const variant = product.findVariant({ size, color });
+    if (product.hasVariants() && !variant) {
+      return res.status(400).json({
+        success: false,
+        error: 'Selected size/color is not available'
+      });
+    }
+    
+    if (product.getAvailableStock(variant) < quantity) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient stock'
       });
     }
     
-    const cart = await Cart.findOrCreateByUserId(req.user._id);
+    const cart = await findOrCreateSessionCart(req, res);
     await cart.addItem(product, quantity, { size, color });
     
+    try {
+      await attributeAddToCart({
+        searchId: req.body.searchId,
+        userId: req.cartOwner.userId,
+        guestKey: req.cartOwner.guestKey,
+        productId: product._id
+      });
+    } catch (attributionError) {
+      console.error('Search attribution error:', attributionError);
+    }
+    
     res.json({
       success: true,
       data: cart,
+      ...(req.cartToken && { cartToken: req.cartToken }),
       message: 'Item added to cart successfully'
     });
   } catch (error) {
@@ -94,7 +96,7 @@ router.post('/items', auth, async (req, res) => {
 });
 
 // Update item quantity
-router.put('/items/:productId', auth, async (req, res) => {
+router.put('/items/:productId', cartSession, async (req, res) => {
   try {
     const { productId } = req.params;
     const { quantity, size = null, color = null } = req.body;
@@ -109,7 +111,8 @@ router.put('/items/:productId', auth, async (req, res) => {
     // Check stock if increasing quantity
     if (quantity > 0) {
       const product = await Product.findById(productId);
-      if (!product || !product.inStock || product.stock < quantity) {
+      const variant = product ? product.findVariant({ size, color }) : null;
+      if (!product || product.getAvailableStock(variant) < quantity) {
         return res.status(400).json({
           success: false,
           error: 'Insufficient stock'
@@ -117,7 +120,7 @@ router.put('/items/:productId', auth, async (req, res) => {
       }
     }
     
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -142,12 +145,12 @@ router.put('/items/:productId', auth, async (req, res) => {
 });
 
 // Remove item from cart
-router.delete('/items/:productId', auth, async (req, res) => {
+router.delete('/items/:productId', cartSession, async (req, res) => {
   try {
     const { productId } = req.params;
     const { size = null, color = null } = req.query;
     
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -172,9 +175,9 @@ router.delete('/items/:productId', auth, async (req, res) => {
 });
 
 // Clear entire cart
-router.delete('/', auth, async (req, res) => {
+router.delete('/', cartSession, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -199,10 +202,18 @@ router.delete('/', auth, async (req, res) => {
 });
 
 // Apply coupon
-router.post('/coupon', auth, async (req, res) => {
+router.post('/coupon', cartSession, async (req, res) => {
   try {
     const { couponCode } = req.body;
     
+    // Per-customer coupon limits need an account
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Please sign in to use a coupon'
+      });
+    }
+    
     if (!couponCode) {
       return res.status(400).json({
         success: false,
@@ -210,7 +221,7 @@ router.post('/coupon', auth, async (req, res) => {
       });
     }
     
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({
         success: false,
@@ -218,11 +229,13 @@ router.post('/coupon', auth, async (req, res) => {
       });
     }
     
+    // Coupons discount the promoted prices, as at checkout
+    const couponItems = await cart.getCouponItems();
     const { coupon, discountAmount, error } = await Coupon.findValidCoupon(
       couponCode,
-      req.user._id,
-      cart.subtotal,
-      cart.items
+      req.user.userId,
+      couponItems.reduce((total, item) => total + item.price * item.quantity, 0),
+      couponItems
     );
     
     if (error) {
@@ -249,11 +262,11 @@ router.post('/coupon', auth, async (req, res) => {
 });
 
 // Remove coupon
-router.delete('/coupon/:code', auth, async (req, res) => {
+router.delete('/coupon/:code', cartSession, async (req, res) => {
   try {
     const { code } = req.params;
     
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -278,9 +291,9 @@ router.delete('/coupon/:code', auth, async (req, res) => {
 });
 
 // Update shipping address
-router.put('/shipping-address', auth, async (req, res) => {
+router.put('/shipping-address', cartSession, async (req, res) => {
   try {
-    const { shippingAddress } = req.body;
+    const { shippingAddress, courier } = req.body;
     
     if (!shippingAddress) {
       return res.status(400).json({
@@ -289,7 +302,7 @@ router.put('/shipping-address', auth, async (req, res) => {
       });
     }
     
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await findSessionCart(req);
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -298,27 +311,33 @@ router.put('/shipping-address', auth, async (req, res) => {
     }
     
     cart.shippingAddress = shippingAddress;
+    
+    // Validate the courier choice against the new address
+    const shipping = cart.getShippingQuote(courier);
+    cart.shippingCourier = courier || cart.shippingCourier;
     cart.lastActivity = new Date();
     await cart.save();
     
     res.json({
       success: true,
       data: cart,
+      shipping,
       message: 'Shipping address updated successfully'
     });
   } catch (error) {
     console.error('Update shipping address error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update shipping address'
+      error: error.statusCode ? error.message : 'Failed to update shipping address'
     });
   }
 });
 
 // Get cart summary (minimal data for header display)
-router.get('/summary', auth, async (req, res) => {
+router.get('/summary', cartSession, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id }).select('totalItems subtotal estimatedTotal');
+    // Loaded in full: re-validation may save the cart
+    const cart = await findSessionCart(req);
     
     if (!cart) {
       return res.json({
@@ -326,18 +345,38 @@ router.get('/summary', auth, async (req, res) => {
         data: {
           totalItems: 0,
           subtotal: 0,
+          estimatedTax: 0,
+          estimatedShipping: 0,
           estimatedTotal: 0
         }
       });
     }
     
+    let warnings = [];
+    let shipping = null;
+    if (cart.items.length > 0) {
+      ({ warnings } = await revalidateCart(cart, { autoFix: req.query.autoFix === 'true' }));
+      try {
+        shipping = cart.getShippingQuote();
+      } catch (error) {
+        shipping = { error: error.message };
+      }
+    }
+    
     res.json({
       success: true,
       data: {
         totalItems: cart.totalItems,
         subtotal: cart.subtotal,
-        estimatedTotal: cart.estimatedTotal
-      }
+        promotionDiscount: cart.promotionDiscount,
+        appliedPromotions: cart.appliedPromotions,
+        estimatedTax: cart.estimatedTax,
+        pricesIncludeTax: cart.pricesIncludeTax,
+        estimatedShipping: cart.estimatedShipping,
+        estimatedTotal: cart.estimatedTotal,
+        shipping
+      },
+      warnings
     });
   } catch (error) {
     console.error('Get cart summary error:', error);
@@ -348,69 +387,85 @@ router.get('/summary', auth, async (req, res) => {
   }
 });
 
-// Sync cart with updated product prices
-router.post('/sync', auth, async (req, res) => {
+// Restore a cart from the link in an abandoned cart reminder. The owner
+// gets their cart back as-is; on any other session (e.g. a phone where the
+// shopper isn't signed in) the items are copied into that session's cart.
+router.post('/restore', cartSession, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
-    if (!cart) {
+    const payload = verifyRestoreToken(req.body.token);
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        error: 'This link is invalid or has expired'
+      });
+    }
+    
+    const source = await Cart.findById(payload.cartId);
+    if (!source) {
       return res.status(404).json({
         success: false,
         error: 'Cart not found'
       });
     }
     
-    let hasChanges = false;
-    const updatedItems = [];
+    try {
+      await recordRestoreClick(payload);
+    } catch (trackingError) {
+      console.error('Cart restore tracking error:', trackingError);
+    }
     
-    for (const item of cart.items) {
-      const product = await Product.findById(item.productId);
-      
-      if (!product) {
-        // Product no longer exists, remove from cart
-        hasChanges = true;
-        continue;
-      }
-      
-      if (!product.inStock || product.stock < item.quantity) {
-        // Update quantity to available stock
-        item.quantity = Math.max(0, product.stock);
-        hasChanges = true;
-      }
-      
-      if (item.price !== product.price) {
-        // Update price
-        item.price = product.price;
-        item.originalPrice = product.originalPrice;
-        item.discount = product.discount;
-        hasChanges = true;
-      }
-      
-      // Update product data
-      item.productData = {
-        name: product.name,
-        images: product.images,
-        description: product.description,
-        category: product.category,
-        brand: product.brand,
-        inStock: product.inStock,
-        maxQuantity: product.stock
-      };
-      
-      if (item.quantity > 0) {
-        updatedItems.push(item);
-      }
+    let cart = source;
+    if (!req.user || !source.userId || source.userId.toString() !== req.user.userId) {
+      cart = await findOrCreateSessionCart(req, res);
+      await cart.mergeItems(source);
+    }
+    
+    cart.lastActivity = new Date();
+    await cart.save();
+    
+    res.json({
+      success: true,
+      data: cart,
+      couponCode: source.recovery && source.recovery.couponCode,
+      ...(req.cartToken && { cartToken: req.cartToken }),
+      message: 'Your cart has been restored'
+    });
+  } catch (error) {
+    console.error('Restore cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore cart'
+    });
+  }
+});
+
+// Sync cart with updated product prices. A signed-in request that also
+// sends the guest X-Cart-Token first merges the guest cart into the user's.
+router.post('/sync', cartSession, async (req, res) => {
+  try {
+    let cart;
+    let merged = false;
+    if (req.user && req.guestKey) {
+      ({ cart, merged } = await Cart.mergeGuestCart(req.guestKey, req.user.userId));
+    } else {
+      cart = await findSessionCart(req);
     }
     
-    if (hasChanges) {
-      cart.items = updatedItems;
-      cart.calculateTotals();
-      await cart.save();
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cart not found'
+      });
     }
     
+    const { warnings, changed: hasChanges } = await revalidateCart(cart, { autoFix: true });
+    
     res.json({
       success: true,
       data: cart,
       hasChanges,
+      merged,
+      warnings,
       message: hasChanges ? 'Cart has been updated with latest product information' : 'Cart is up to date'
     });
   } catch (error) {
@@ -8,21 +8,29 @@ const { validate } = require('../utils/validation');
 // Get all categories (with hierarchy)
 router.get('/', async (req, res) => {
   try {
-    const { includeInactive = false, flat = false } = req.query;
+    const { includeInactive, flat } = req.query;
     
     const filter = {};
-    if (!includeInactive) filter.isActive = true;
+    if (includeInactive !== 'true') filter.isActive = true;
     
     let categories;
     
     if (flat === 'true') {
       // Return flat list of categories
-      categories = await Category.find(filter)
-        .select('name slug description image icon parentCategory isActive sortOrder productCount')
-        .sort('sortOrder name');
+      const [list, counts] = await Promise.all([
+        Category.find(filter)
+          .select('name slug description image icon parentCategory ancestors isActive sortOrder')
+          .sort('sortOrder name')
+          .lean(),
+        Category.getProductCounts()
+      ]);
+      categories = list.map(category => ({
+        ...category,
+        productCount: counts.get(String(category._id)) || 0
+      }));
     } else {
       // Return hierarchical structure
-      categories = await Category.getHierarchy();
+      categories = await Category.getTree({ includeInactive: includeInactive === 'true' });
     }
 
     res.json({
@@ -38,16 +46,52 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get category by ID or slug
-router.get('/:identifier', async (req, res) => {
+// Full category tree with product counts rolled up to each parent
+router.get('/tree', async (req, res) => {
   try {
-    const { identifier } = req.params;
-    
-    // Try to find by ID first, then by slug
-    let category = await Category.findById(identifier).populate('subcategories');
+    const tree = await Category.getTree({ includeInactive: req.query.includeInactive === 'true' });
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch category tree'
+    });
+  }
+});
+
+// Breadcrumb trail from the top-level category down to this one
+router.get('/:identifier/breadcrumbs', async (req, res) => {
+  try {
+    const category = await Category.findByIdentifier(req.params.identifier);
     if (!category) {
-      category = await Category.findOne({ slug: identifier }).populate('subcategories');
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found'
+      });
     }
+
+    res.json({
+      success: true,
+      data: await category.getBreadcrumbs()
+    });
+  } catch (error) {
+    console.error('Get category breadcrumbs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch breadcrumbs'
+    });
+  }
+});
+
+// Get category by ID or slug
+router.get('/:identifier', async (req, res) => {
+  try {
+    const category = await Category.findByIdentifier(req.params.identifier).populate('subcategories');
     
     if (!category) {
       return res.status(404).json({
@@ -56,16 +100,21 @@ router.get('/:identifier', async (req, res) => {
       });
     }
     
-    // Get products in this category
-    const products = await Product.find({ 
-      category: category.name,
-      isActive: true 
-    }).limit(12);
+    // Products in this category and every category below it
+    const subtreeIds = await Category.getSubtreeIds(category._id);
+    const productFilter = { categoryId: { $in: subtreeIds }, status: 'active' };
+    const [products, totalProductCount, breadcrumbs] = await Promise.all([
+      Product.find(productFilter).limit(12),
+      Product.countDocuments(productFilter),
+      category.getBreadcrumbs()
+    ]);
     
     res.json({
       success: true,
       data: {
         ...category.toObject(),
+        breadcrumbs,
+        totalProductCount,
         products
       }
     });
@@ -95,6 +144,7 @@ router.post('/', adminAuth, validate(require('../utils/validation').schemas.cate
       });
     }
     
+    // Saving resolves the ancestor path and checks the parent exists
     const category = new Category(categoryData);
     await category.save();
     
@@ -113,6 +163,13 @@ router.post('/', adminAuth, validate(require('../utils/validation').schemas.cate
     });
   } catch (error) {
     console.error('Create category error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -155,28 +212,21 @@ router.put('/:id', adminAuth, validate(require('../utils/validation').schemas.ca
       }
     }
     
-    // Handle parent category changes
-    if (updateData.parentCategory !== category.parentCategory) {
-      // Remove from old parent
-      if (category.parentCategory) {
-        await Category.findByIdAndUpdate(
-          category.parentCategory,
-          { $pull: { subcategories: category._id } }
-        );
-      }
-      
-      // Add to new parent
-      if (updateData.parentCategory) {
-        await Category.findByIdAndUpdate(
-          updateData.parentCategory,
-          { $push: { subcategories: category._id } }
-        );
-      }
+    // Parent changes go through the same checks as a move
+    const { parentCategory, ...fields } = updateData;
+    if (parentCategory !== undefined) {
+      await category.moveTo(parentCategory);
     }
     
-    Object.assign(category, updateData);
+    const renamed = fields.name && fields.name !== category.name;
+    Object.assign(category, fields);
     await category.save();
     
+    // Products keep a copy of their category's name
+    if (renamed) {
+      await Product.updateMany({ categoryId: category._id }, { $set: { category: category.name } });
+    }
+    
     res.json({
       success: true,
       data: category,
@@ -184,6 +234,13 @@ router.put('/:id', adminAuth, validate(require('../utils/validation').schemas.ca
     });
   } catch (error) {
     console.error('Update category error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     if (error.name === 'ValidationError') {
       return res.status(400).json({
         success: false,
@@ -210,7 +267,9 @@ router.delete('/:id', adminAuth, async (req, res) => {
     }
     
     // Check if category has products
-    const productCount = await Product.countDocuments({ category: category.name });
+    const productCount = await Product.countDocuments({
+      $or: [{ categoryId: category._id }, { category: category.name }]
+    });
     if (productCount > 0) {
       return res.status(400).json({
         success: false,
@@ -249,9 +308,19 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
-// Update category product count (Admin only)
-router.patch('/:id/update-count', adminAuth, async (req, res) => {
+// Move a category under another parent, or to the top level with
+// parentCategory: null (Admin only). Its whole branch moves with it.
+router.patch('/:id/move', adminAuth, async (req, res) => {
   try {
+    const { parentCategory, sortOrder } = req.body;
+
+    if (parentCategory === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'parentCategory is required (null for a top-level category)'
+      });
+    }
+
     const category = await Category.findById(req.params.id);
     if (!category) {
       return res.status(404).json({
@@ -259,22 +328,24 @@ router.patch('/:id/update-count', adminAuth, async (req, res) => {
         error: 'Category not found'
       });
     }
-    
-    await category.updateProductCount();
-    
+
+    await category.moveTo(parentCategory);
+    if (typeof sortOrder === 'number') {
+      category.sortOrder = sortOrder;
+      await category.save();
+    }
+
     res.json({
       success: true,
-      data: {
-        categoryId: category._id,
-        productCount: category.productCount
-      },
-      message: 'Product count updated successfully'
+      data: category,
+      message: 'Category moved successfully'
     });
   } catch (error) {
-    console.error('Update category count error:', error);
-    res.status(500).json({
+    console.error('Move category error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update product count'
+      error: error.statusCode ? error.message : 'Failed to move category',
+      code: error.code
     });
   }
 });
@@ -321,18 +392,19 @@ router.get('/:id/stats', adminAuth, async (req, res) => {
       });
     }
     
-    // Get detailed statistics
+    // Get detailed statistics, subcategories included
+    const subtreeIds = await Category.getSubtreeIds(category._id);
     const stats = await Product.aggregate([
-      { $match: { category: category.name } },
+      { $match: { categoryId: { $in: subtreeIds } } },
       {
         $group: {
           _id: null,
           totalProducts: { $sum: 1 },
           activeProducts: {
-            $sum: { $cond: [{ $eq: ['$isActive', true] }, 1, 0] }
+            $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
           },
           inactiveProducts: {
-            $sum: { $cond: [{ $eq: ['$isActive', false] }, 1, 0] }
+            $sum: { $cond: [{ $ne: ['$status', 'active'] }, 1, 0] }
           },
           totalStock: { $sum: '$stock' },
           avgPrice: { $avg: '$price' },
@@ -0,0 +1,214 @@
+const express = require('express');
+const router = express.Router();
+const GiftCard = require('../models/GiftCard');
+const { adminAuth } = require('../middleware/adminAuth');
+const { giftCardLimiter } = require('../middleware/rateLimit');
+const { issueGiftCard } = require('../utils/storeCredit');
+const mailjetService = require('../utils/mailjetEmailService');
+
+// Check a gift card's balance before redeeming it
+router.get('/:code/balance', giftCardLimiter, async (req, res) => {
+  try {
+    const card = await GiftCard.findOne({ code: String(req.params.code).trim().toUpperCase() });
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: card.maskedCode,
+        balance: card.status === 'active' && !card.isExpired ? card.balance : 0,
+        status: card.isExpired && card.status === 'active' ? 'expired' : card.status,
+        expiresAt: card.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Gift card balance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check gift card'
+    });
+  }
+});
+
+// All gift cards (Admin only)
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { status, source, code, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = status;
+    }
+    if (source) {
+      filter.source = source;
+    }
+    if (code) {
+      filter.code = String(code).trim().toUpperCase();
+    }
+
+    const [cards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .populate('purchasedBy redeemedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      GiftCard.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: cards,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get gift cards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gift cards'
+    });
+  }
+});
+
+// Issue a gift card (Admin only), e.g. as a goodwill gesture
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { amount, expiresAt, recipientName, recipientEmail, message } = req.body;
+
+    if (typeof amount !== 'number' || amount < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be at least 1'
+      });
+    }
+
+    const card = await issueGiftCard({
+      initialAmount: amount,
+      expiresAt,
+      source: 'admin',
+      issuedBy: req.user._id,
+      recipientName,
+      recipientEmail,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      data: card,
+      message: 'Gift card issued successfully'
+    });
+  } catch (error) {
+    console.error('Issue gift card error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue gift card'
+    });
+  }
+});
+
+// Disable, re-enable or extend a gift card (Admin only). Redeemed cards are final.
+router.patch('/:id', adminAuth, async (req, res) => {
+  try {
+    const { status, expiresAt } = req.body;
+
+    const card = await GiftCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    if (card.status === 'redeemed') {
+      return res.status(400).json({
+        success: false,
+        error: 'This gift card has already been redeemed'
+      });
+    }
+
+    if (status !== undefined) {
+      if (!['active', 'disabled'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status must be active or disabled'
+        });
+      }
+      card.status = status;
+    }
+    if (expiresAt !== undefined) {
+      card.expiresAt = expiresAt;
+    }
+    await card.save();
+
+    res.json({
+      success: true,
+      data: card,
+      message: 'Gift card updated successfully'
+    });
+  } catch (error) {
+    console.error('Update gift card error:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update gift card'
+    });
+  }
+});
+
+// Send the gift card email again (Admin only)
+router.post('/:id/resend', adminAuth, async (req, res) => {
+  try {
+    const card = await GiftCard.findById(req.params.id);
+    if (!card) {
+      return res.status(404).json({
+        success: false,
+        error: 'Gift card not found'
+      });
+    }
+
+    if (!card.recipientEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'This gift card has no recipient email'
+      });
+    }
+
+    await mailjetService.sendGiftCardEmail(card);
+    card.deliveredAt = new Date();
+    await card.save();
+
+    res.json({
+      success: true,
+      message: `Gift card sent to ${card.recipientEmail}`
+    });
+  } catch (error) {
+    console.error('Resend gift card error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send gift card'
+    });
+  }
+});
+
+module.exports = router;
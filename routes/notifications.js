@@ -203,7 +203,7 @@ router.get('/preferences', auth, async (req, res) => {
 // Update notification preferences
 router.put('/preferences', auth, async (req, res) => {
   try {
-    const { email, sms, push } = req.body;
+    const { email, sms, push, reviewRequests, wishlistAlerts } = req.body;
     const User = require('../models/User');
     
     const user = await User.findById(req.user._id);
@@ -217,7 +217,9 @@ router.put('/preferences', auth, async (req, res) => {
     user.preferences.notifications = {
       email: email !== undefined ? email : user.preferences.notifications.email,
       sms: sms !== undefined ? sms : user.preferences.notifications.sms,
-      push: push !== undefined ? push : user.preferences.notifications.push
+      push: push !== undefined ? push : user.preferences.notifications.push,
+      reviewRequests: reviewRequests !== undefined ? reviewRequests : user.preferences.notifications.reviewRequests,
+      wishlistAlerts: wishlistAlerts !== undefined ? wishlistAlerts : user.preferences.notifications.wishlistAlerts
     };
 
     await user.save();
@@ -2,8 +2,71 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const Product = require('../models/Product');
-const { auth } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const Promotion = require('../models/Promotion');
+const { auth, authOrGuest } = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
 const { validate } = require('../utils/validation');
+const { orderLookupLimiter } = require('../middleware/rateLimit');
+const { reserveStock, releaseStock } = require('../utils/stockReservation');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { calculateShipping } = require('../utils/shippingCalculator');
+const { calculateTax, summarizeTax } = require('../utils/taxCalculator');
+const taxConfig = require('../config/tax');
+const { syncShipment, isShipmentActive } = require('../utils/shipmentTracker');
+const { attributeRecoveredOrder } = require('../utils/cartRecovery');
+const { attributePurchase } = require('../utils/searchAnalytics');
+const { verifyCartToken } = require('../utils/cartToken');
+const { evaluatePromotions, applyLineDiscounts } = require('../utils/promotionEngine');
+const {
+  getStoreCreditBalance,
+  debitStoreCredit,
+  creditStoreCredit,
+  issueOrderGiftCards
+} = require('../utils/storeCredit');
+
+// Compare phone numbers by their last 11 digits (01XXXXXXXXX), so
+// +8801... and 01... match
+const samePhone = (a, b) => {
+  const digits = (value) => String(value || '').replace(/\D/g, '').slice(-11);
+  return digits(a).length === 11 && digits(a) === digits(b);
+};
+
+// Order line (and the product's dimensions, for shipping) for a free gift
+// promotion, or null when the gift is no longer available. Gifts are given
+// while stocks last and never block the order.
+const buildGiftItem = async (promotion) => {
+  const { productId, quantity } = promotion.freeGift;
+  const product = await Product.findById(productId);
+  if (!product || product.status !== 'active') {
+    return null;
+  }
+
+  const variant = product.hasVariants()
+    ? product.variants.find(v => (v.stock || 0) >= quantity)
+    : null;
+  if (product.hasVariants() ? !variant : product.getAvailableStock() < quantity) {
+    return null;
+  }
+
+  const item = {
+    productId: product._id,
+    variantId: variant ? variant._id : null,
+    name: product.name,
+    price: 0,
+    quantity,
+    size: variant ? variant.size : null,
+    color: variant ? variant.color : null,
+    image: variant?.images?.[0] || product.images?.[0] || product.image,
+    sku: variant?.sku || product.sku,
+    isFreeGift: true,
+    promotionId: promotion.promotionId
+  };
+  return { item, dimensions: product.dimensions };
+};
+
+// Public tracking polls the courier at most this often per order
+const TRACKING_REFRESH_INTERVAL = 15 * 60 * 1000;
 
 // Get all orders for a user
 router.get('/', auth, async (req, res) => {
@@ -102,7 +165,7 @@ router.get('/:id', auth, async (req, res) => {
 // Get order by order number (public tracking)
 router.get('/track/:orderNumber', async (req, res) => {
   try {
-    const order = await Order.findByOrderNumber(req.params.orderNumber);
+    let order = await Order.findByOrderNumber(req.params.orderNumber);
 
     if (!order) {
       return res.status(404).json({
@@ -111,6 +174,16 @@ router.get('/track/:orderNumber', async (req, res) => {
       });
     }
 
+    // Refresh from the courier when the last update is stale
+    const lastUpdate = order.lastCourierUpdateAt ? order.lastCourierUpdateAt.getTime() : 0;
+    if (isShipmentActive(order) && Date.now() - lastUpdate > TRACKING_REFRESH_INTERVAL) {
+      try {
+        ({ order } = await syncShipment(order));
+      } catch (error) {
+        console.error('Track order courier sync error:', error.message);
+      }
+    }
+
     // Return limited information for public tracking
     res.json({
       success: true,
@@ -124,6 +197,8 @@ router.get('/track/:orderNumber', async (req, res) => {
         actualDelivery: order.actualDelivery,
         trackingNumber: order.trackingNumber,
         courierService: order.courierService,
+        shipmentStatus: order.shipmentStatus,
+        lastCourierUpdateAt: order.lastCourierUpdateAt,
         trackingUrl: order.getTrackingUrl(),
         createdAt: order.createdAt,
         shippingAddress: {
@@ -147,8 +222,73 @@ router.get('/track/:orderNumber', async (req, res) => {
   }
 });
 
+// Guest order lookup: order number plus the phone number it was placed with
+router.post('/lookup', orderLookupLimiter, async (req, res) => {
+  try {
+    const { orderNumber, phone } = req.body;
+
+    if (!orderNumber || !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order number and phone number are required'
+      });
+    }
+
+    const order = await Order.findOne({ orderNumber: String(orderNumber).trim().toUpperCase() });
+
+    // Same answer for a wrong number and a wrong phone
+    const phones = order ? [order.shippingAddress.phone, order.billingAddress && order.billingAddress.phone] : [];
+    if (!order || !phones.some(orderPhone => samePhone(orderPhone, phone))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        statusMessage: order.getStatusMessage(),
+        progressPercentage: order.getProgressPercentage(),
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus,
+        items: order.items.map(item => ({
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity,
+          size: item.size,
+          color: item.color,
+          image: item.image
+        })),
+        subtotal: order.subtotal,
+        discount: order.discount,
+        shippingCost: order.shippingCost,
+        tax: order.tax,
+        totalAmount: order.totalAmount,
+        shippingAddress: order.shippingAddress,
+        trackingHistory: order.trackingHistory,
+        trackingNumber: order.trackingNumber,
+        courierService: order.courierService,
+        trackingUrl: order.getTrackingUrl(),
+        estimatedDelivery: order.getEstimatedDelivery(),
+        createdAt: order.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Order lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up order'
+    });
+  }
+});
+
 // Create a new order
-router.post('/', auth, validate(require('../utils/validation').schemas.order), async (req, res) => {
+// Guests (no bearer token) can order too: COD only, with an email address
+router.post('/', authOrGuest, validate(require('../utils/validation').schemas.order), async (req, res) => {
   try {
     const {
       items,
@@ -156,10 +296,45 @@ router.post('/', auth, validate(require('../utils/validation').schemas.order), a
       billingAddress,
       paymentMethod,
       couponCode,
+      courier,
       notes,
       isGift,
-      giftMessage
+      giftMessage,
+      guestEmail,
+      storeCreditAmount
     } = req.body;
+    const userId = req.user ? req.user.userId : null;
+
+    if (!userId) {
+      if (!guestEmail) {
+        return res.status(400).json({
+          success: false,
+          message: 'An email address is required for guest checkout'
+        });
+      }
+
+      // Online payment and coupon routes work on the customer's account
+      if (paymentMethod !== 'cod') {
+        return res.status(400).json({
+          success: false,
+          message: 'Guest orders can only be paid cash on delivery. Please sign in to pay online.'
+        });
+      }
+
+      if (couponCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please sign in to use a coupon'
+        });
+      }
+
+      if (storeCreditAmount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please sign in to use store credit'
+        });
+      }
+    }
 
     // Validate required fields
     if (!items || !Array.isArray(items) || items.length === 0) {
@@ -176,9 +351,14 @@ router.post('/', auth, validate(require('../utils/validation').schemas.order), a
       });
     }
 
-    // Calculate totals and validate products
+    // Calculate totals and validate products. Gift cards are sold at face
+    // value: no promotions, coupons, VAT or shipping apply to them.
     let subtotal = 0;
+    let merchandiseSubtotal = 0;
     const orderItems = [];
+    const couponItems = [];
+    const shippingItems = [];
+    const giftCardItems = [];
 
     for (const item of items) {
       const product = await Product.findById(item.productId);
@@ -189,74 +369,312 @@ router.post('/', auth, validate(require('../utils/validation').schemas.order), a
         });
       }
 
+      if (product.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `${product.name} is no longer available`
+        });
+      }
+
+      if (product.isGiftCard) {
+        if (!item.giftCard || !item.giftCard.recipientEmail) {
+          return res.status(400).json({
+            success: false,
+            message: `A recipient email is required for ${product.name}`
+          });
+        }
+        if (paymentMethod === 'cod') {
+          return res.status(400).json({
+            success: false,
+            message: 'Gift cards must be paid for online'
+          });
+        }
+
+        subtotal += product.price * item.quantity;
+        giftCardItems.push({
+          productId: product._id,
+          name: product.name,
+          price: product.price,
+          quantity: item.quantity,
+          image: product.images?.[0] || product.image,
+          sku: product.sku,
+          giftCard: item.giftCard
+        });
+        continue;
+      }
+
+      // Resolve the size/color variant; its stock and price are what count
+      const variant = product.findVariant({ size: item.size, color: item.color, sku: item.sku });
+      if (product.hasVariants() && !variant) {
+        return res.status(400).json({
+          success: false,
+          message: `Selected size/color is not available for ${product.name}`
+        });
+      }
+
       // Check stock
-      if (product.stock < item.quantity) {
+      const available = product.getAvailableStock(variant);
+      if (available < item.quantity) {
         return res.status(400).json({
           success: false,
-          message: `Insufficient stock for ${product.name}. Available: ${product.stock}`
+          message: `Insufficient stock for ${product.name}. Available: ${available}`
         });
       }
 
-      const itemTotal = product.price * item.quantity;
+      const price = product.getEffectivePrice(variant);
+      const itemTotal = price * item.quantity;
       subtotal += itemTotal;
+      merchandiseSubtotal += itemTotal;
 
       orderItems.push({
         productId: product._id,
+        variantId: variant ? variant._id : null,
         name: product.name,
-        price: product.price,
+        price,
         quantity: item.quantity,
         size: item.size,
         color: item.color,
-        image: product.images?.[0] || product.image,
-        sku: product.sku
+        image: variant?.images?.[0] || product.images?.[0] || product.image,
+        sku: variant?.sku || product.sku
       });
+
+      couponItems.push({
+        productId: product._id.toString(),
+        category: product.category,
+        price,
+        quantity: item.quantity
+      });
+
+      shippingItems.push({ dimensions: product.dimensions, quantity: item.quantity });
     }
 
-    // Calculate shipping and tax
-    const shippingCost = subtotal > 1000 ? 0 : 60; // Free shipping over 1000 BDT
-    const tax = Math.round(subtotal * 0.0); // No tax for now, but structure is ready
-    let discount = 0;
+    // Automatic promotions come first; a coupon then discounts the promoted prices
+    const promotionResult = evaluatePromotions({
+      items: couponItems,
+      promotions: await Promotion.getRunning(),
+      hasCoupon: Boolean(couponCode)
+    });
+    promotionResult.lines.forEach((line, index) => {
+      orderItems[index].promotionDiscount = line.promotionDiscount;
+    });
+    const promotionDiscount = promotionResult.discount;
+
+    const appliedPromotions = [];
+    for (const promotion of promotionResult.applied) {
+      if (promotion.freeGift) {
+        const gift = await buildGiftItem(promotion);
+        if (!gift) {
+          continue;
+        }
+        orderItems.push(gift.item);
+        shippingItems.push({ dimensions: gift.dimensions, quantity: gift.item.quantity });
+      }
+      appliedPromotions.push(promotion);
+    }
+
+    // Calculate shipping; an order of gift cards only has nothing to ship
+    let shipping = null;
+    if (shippingItems.length > 0) {
+      try {
+        shipping = calculateShipping({ items: shippingItems, address: shippingAddress, subtotal: merchandiseSubtotal, courier });
+      } catch (shippingError) {
+        if (shippingError.statusCode) {
+          return res.status(400).json({
+            success: false,
+            message: shippingError.message,
+            code: shippingError.code
+          });
+        }
+        throw shippingError;
+      }
+    }
+    const shippingCost = shipping ? shipping.cost : 0;
+    let couponDiscount = 0;
+    let coupon = null;
     
-    // Apply coupon logic here if needed
     if (couponCode) {
-      // TODO: Implement coupon validation
+      const promotedItems = applyLineDiscounts(couponItems, promotionResult.lines);
+      const result = await Coupon.findValidCoupon(couponCode, userId, merchandiseSubtotal - promotionDiscount, promotedItems);
+      
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: `Coupon rejected: ${result.error}`,
+          couponError: result.error
+        });
+      }
+      
+      coupon = result.coupon;
+      couponDiscount = result.discountAmount;
     }
+    const discount = Math.round((promotionDiscount + couponDiscount) * 100) / 100;
+    
+    // VAT per line, after its promotions and its share of the coupon discount
+    const taxResult = calculateTax({
+      items: couponItems.map((item, index) => ({
+        ...item,
+        discount: promotionResult.lines[index].promotionDiscount
+      })),
+      address: shippingAddress,
+      discount: couponDiscount
+    });
+    taxResult.lines.forEach((line, index) => Object.assign(orderItems[index], line));
+    const tax = taxResult.tax;
+    orderItems.push(...giftCardItems);
     
-    const totalAmount = subtotal + shippingCost + tax - discount;
+    const totalAmount = Math.round((subtotal + shippingCost + taxResult.taxAdded - discount) * 100) / 100;
+
+    // Store credit pays first; the payment method covers whatever is left
+    let storeCreditApplied = 0;
+    if (userId && storeCreditAmount > 0) {
+      const balance = await getStoreCreditBalance(userId);
+      storeCreditApplied = Math.round(Math.min(storeCreditAmount, balance, totalAmount) * 100) / 100;
+    }
+    const paidWithStoreCredit = totalAmount > 0 && storeCreditApplied === totalAmount;
+    if (paymentMethod === 'store_credit' && !paidWithStoreCredit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your store credit does not cover this order. Please choose a payment method for the rest.'
+      });
+    }
 
     // Create order
     const order = new Order({
-      userId: req.user.userId,
+      userId,
+      isGuest: !userId,
+      guestEmail: userId ? undefined : guestEmail,
       items: orderItems,
       subtotal,
       shippingCost,
       tax,
+      pricesIncludeTax: taxResult.pricesIncludeTax,
       discount,
+      promotionDiscount,
+      promotions: appliedPromotions,
       totalAmount,
       shippingAddress,
       billingAddress: billingAddress || shippingAddress,
-      paymentMethod,
-      couponCode,
+      shippingZone: shipping ? shipping.zone.id : undefined,
+      shippingWeight: shipping ? shipping.weight : 0,
+      courierService: shipping ? shipping.courier : undefined,
+      estimatedDelivery: shipping
+        ? new Date(Date.now() + shipping.estimatedDays.max * 24 * 60 * 60 * 1000)
+        : undefined,
+      paymentMethod: paidWithStoreCredit ? 'store_credit' : paymentMethod,
+      paymentStatus: paidWithStoreCredit ? 'paid' : undefined,
+      paidAt: paidWithStoreCredit ? new Date() : undefined,
+      storeCreditApplied,
+      couponCode: coupon ? coupon.code : undefined,
       notes,
       isGift: isGift || false,
       giftMessage,
       source: 'web'
     });
 
-    await order.save();
+    // Reserve stock for every line up front. Either all items are reserved
+    // or none are, so concurrent checkouts can't oversell the last unit.
+    let reservedItems;
+    try {
+      reservedItems = await reserveStock(orderItems.filter(item => !item.giftCard));
+    } catch (stockError) {
+      if (stockError.code === 'INSUFFICIENT_STOCK') {
+        return res.status(400).json({
+          success: false,
+          message: stockError.message,
+          productId: stockError.productId,
+          variantId: stockError.variantId,
+          available: stockError.available
+        });
+      }
+      throw stockError;
+    }
 
-    // Update product stock
-    for (const item of items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        product.stock -= item.quantity;
-        if (product.stock <= 0) {
-          product.inStock = false;
+    // Redeem before saving so a coupon that ran out in the meantime never
+    // ends up on an order; everything is released if the order can't be saved
+    if (coupon) {
+      const redeemed = await Coupon.redeem(coupon._id, userId, order._id, couponDiscount);
+      if (!redeemed) {
+        await releaseStock(reservedItems);
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon rejected: Coupon usage limit reached',
+          couponError: 'Coupon usage limit reached'
+        });
+      }
+    }
+
+    if (storeCreditApplied > 0) {
+      try {
+        await debitStoreCredit(userId, storeCreditApplied, {
+          reason: 'order_payment',
+          orderId: order._id
+        });
+      } catch (creditError) {
+        await releaseStock(reservedItems);
+        if (coupon) {
+          await Coupon.releaseRedemption(coupon._id, order._id);
         }
-        await product.save();
+        if (creditError.statusCode) {
+          return res.status(creditError.statusCode).json({
+            success: false,
+            message: creditError.message,
+            code: creditError.code
+          });
+        }
+        throw creditError;
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await releaseStock(reservedItems);
+      if (coupon) {
+        await Coupon.releaseRedemption(coupon._id, order._id);
+      }
+      if (storeCreditApplied > 0) {
+        await creditStoreCredit(userId, storeCreditApplied, {
+          reason: 'order_reversal',
+          orderId: order._id,
+          note: 'Order could not be placed'
+        });
+      }
+      throw saveError;
+    }
+
+    // Nothing left to pay: confirm now and issue any gift cards bought
+    if (paidWithStoreCredit) {
+      try {
+        await transitionOrder(order, 'confirmed', {
+          actor: 'system',
+          description: 'Paid with store credit'
+        });
+        await issueOrderGiftCards(order);
+      } catch (confirmError) {
+        console.error('Store credit order confirmation error:', confirmError);
       }
     }
 
+    try {
+      await Promotion.recordUsage(appliedPromotions.map(promotion => promotion.promotionId));
+    } catch (usageError) {
+      console.error('Promotion usage error:', usageError);
+    }
+
+    // Credit the abandoned cart reminder that brought the shopper back, if any
+    try {
+      await attributeRecoveredOrder(order);
+    } catch (attributionError) {
+      console.error('Order attribution error:', attributionError);
+    }
+
+    // Credit the searches that led to the products bought
+    try {
+      await attributePurchase(order, { guestKey: verifyCartToken(req.header('X-Cart-Token')) });
+    } catch (attributionError) {
+      console.error('Search attribution error:', attributionError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
@@ -264,8 +682,24 @@ router.post('/', auth, validate(require('../utils/validation').schemas.order), a
         id: order._id,
         orderNumber: order.orderNumber,
         totalAmount: order.totalAmount,
+        storeCreditApplied: order.storeCreditApplied,
+        amountDue: order.getAmountDue(),
+        discount: order.discount,
+        promotionDiscount: order.promotionDiscount,
+        promotions: order.promotions,
+        couponCode: order.couponCode,
+        shippingCost: order.shippingCost,
+        tax: order.tax,
+        pricesIncludeTax: order.pricesIncludeTax,
+        shipping: shipping && {
+          zone: shipping.zone,
+          courier: shipping.courier,
+          weight: shipping.weight,
+          freeShipping: shipping.freeShipping
+        },
         orderStatus: order.orderStatus,
-        estimatedDelivery: order.getEstimatedDelivery()
+        estimatedDelivery: order.getEstimatedDelivery(),
+        isGuest: order.isGuest
       }
     });
   } catch (error) {
@@ -279,9 +713,8 @@ router.post('/', auth, validate(require('../utils/validation').schemas.order), a
 });
 
 // Update order status (Admin only)
-router.put('/:id/status', auth, async (req, res) => {
+router.put('/:id/status', adminAuth, async (req, res) => {
   try {
-    // TODO: Add admin role check
     const { status, description, location, trackingNumber, courierService } = req.body;
 
     const order = await Order.findById(req.params.id);
@@ -292,21 +725,30 @@ router.put('/:id/status', auth, async (req, res) => {
       });
     }
 
-    if (trackingNumber) order.trackingNumber = trackingNumber;
-    if (courierService) order.courierService = courierService;
+    const updates = {};
+    if (trackingNumber) updates.trackingNumber = trackingNumber;
+    if (courierService) updates.courierService = courierService;
 
-    await order.updateStatus(status, description, location, req.user.userId);
+    const updated = await transitionOrder(order, status, {
+      actor: 'admin',
+      userId: req.user._id,
+      description,
+      location,
+      updates
+    });
 
     res.json({
       success: true,
       message: 'Order status updated successfully',
-      order
+      order: updated
     });
   } catch (error) {
     console.error('Update order status error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update order status',
+      message: error.statusCode ? error.message : 'Failed to update order status',
+      code: error.code,
+      allowed: error.allowed,
       error: error.message
     });
   }
@@ -329,37 +771,23 @@ router.put('/:id/cancel', auth, async (req, res) => {
       });
     }
 
-    if (!order.canCancel()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order cannot be cancelled at this stage'
-      });
-    }
-
-    // Restore product stock
-    for (const item of order.items) {
-      const product = await Product.findById(item.productId);
-      if (product) {
-        product.stock += item.quantity;
-        product.inStock = true;
-        await product.save();
-      }
-    }
-
-    // Update order status
-    order.cancellationReason = cancellationReason;
-    await order.updateStatus('cancelled', `Order cancelled: ${cancellationReason}`, '', req.user.userId);
+    const updated = await transitionOrder(order, 'cancelled', {
+      actor: 'customer',
+      userId: req.user.userId,
+      description: `Order cancelled: ${cancellationReason}`,
+      updates: { cancellationReason }
+    });
 
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      order
+      order: updated
     });
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to cancel order',
+      message: error.statusCode ? error.message : 'Failed to cancel order',
       error: error.message
     });
   }
@@ -382,26 +810,35 @@ router.put('/:id/return', auth, async (req, res) => {
       });
     }
 
-    if (!order.canReturn()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Return period has expired or order is not eligible for return'
-      });
-    }
-
-    order.returnReason = returnReason;
-    await order.updateStatus('returned', `Return requested: ${returnReason}`, '', req.user.userId);
+    // Stock comes back when an admin approves the return
+    const updated = await transitionOrder(order, 'return_requested', {
+      actor: 'customer',
+      userId: req.user.userId,
+      description: `Return requested: ${returnReason}`,
+      updates: {
+        returnReason,
+        returnRequest: {
+          items: order.items.map(item => ({
+            productId: item.productId,
+            quantity: item.quantity,
+            reason: returnReason
+          })),
+          reason: returnReason,
+          requestedAt: new Date()
+        }
+      }
+    });
 
     res.json({
       success: true,
       message: 'Return request submitted successfully',
-      order
+      order: updated
     });
   } catch (error) {
     console.error('Return order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to submit return request',
+      message: error.statusCode ? error.message : 'Failed to submit return request',
       error: error.message
     });
   }
@@ -547,8 +984,72 @@ router.get('/:orderId', auth, async (req, res) => {
   }
 });
 
+// Invoice with per-line VAT and a VAT summary by rate
+router.get('/:orderId/invoice', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      userId: req.user.userId
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invoiceNumber: `INV-${order.orderNumber}`,
+        orderNumber: order.orderNumber,
+        issuedAt: order.createdAt,
+        seller: {
+          name: process.env.APP_NAME || 'StyleShop',
+          vatRegistrationNumber: taxConfig.registrationNumber
+        },
+        billingAddress: order.billingAddress || order.shippingAddress,
+        items: order.items.map(item => ({
+          name: item.name,
+          sku: item.sku,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          lineTotal: item.price * item.quantity,
+          promotionDiscount: item.promotionDiscount,
+          isFreeGift: item.isFreeGift,
+          taxName: item.taxName,
+          taxRate: item.taxRate,
+          taxableAmount: item.taxableAmount,
+          taxAmount: item.taxAmount
+        })),
+        taxSummary: summarizeTax(order.items),
+        subtotal: order.subtotal,
+        promotions: order.promotions,
+        couponCode: order.couponCode,
+        discount: order.discount,
+        shippingCost: order.shippingCost,
+        tax: order.tax,
+        pricesIncludeTax: order.pricesIncludeTax,
+        totalAmount: order.totalAmount,
+        refundAmount: order.refundAmount,
+        paymentMethod: order.paymentMethod,
+        paymentStatus: order.paymentStatus
+      }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice'
+    });
+  }
+});
+
 // Update order tracking (Admin only)
-router.put('/:orderId/tracking', require('../middleware/adminAuth').adminAuth, async (req, res) => {
+router.put('/:orderId/tracking', adminAuth, async (req, res) => {
   try {
     const { orderId } = req.params;
     const { 
@@ -568,43 +1069,49 @@ router.put('/:orderId/tracking', require('../middleware/adminAuth').adminAuth, a
       });
     }
 
-    // Update order status if provided
-    if (status) {
-      order.orderStatus = status;
-    }
-
     // Update tracking information
-    if (trackingNumber) order.trackingNumber = trackingNumber;
-    if (carrier) order.courierService = carrier;
-    if (estimatedDelivery) order.estimatedDelivery = new Date(estimatedDelivery);
-
-    // Add tracking update
-    if (status || message || location) {
-      const update = {
-        status: status || order.orderStatus,
-        timestamp: new Date(),
-        location: location || '',
-        description: message || `Order ${status || 'updated'}`
-      };
-
-      if (!order.trackingHistory) {
-        order.trackingHistory = [];
+    const updates = {};
+    if (trackingNumber) updates.trackingNumber = trackingNumber;
+    if (carrier) updates.courierService = carrier;
+    if (estimatedDelivery) updates.estimatedDelivery = new Date(estimatedDelivery);
+
+    let updated;
+    if (status && status !== order.orderStatus) {
+      updated = await transitionOrder(order, status, {
+        actor: 'admin',
+        userId: req.user._id,
+        description: message,
+        location,
+        updates
+      });
+    } else {
+      // Tracking note without a status change
+      const update = { $set: updates };
+      if (message || location) {
+        update.$push = {
+          trackingHistory: {
+            status: order.orderStatus,
+            timestamp: new Date(),
+            location: location || '',
+            description: message || 'Tracking updated',
+            updatedBy: req.user._id
+          }
+        };
       }
-      order.trackingHistory.push(update);
+      updated = await Order.findByIdAndUpdate(order._id, update, { new: true });
     }
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order tracking updated successfully',
-      data: order
+      data: updated
     });
   } catch (error) {
     console.error('Update order tracking error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to update order tracking'
+      error: error.statusCode ? error.message : 'Failed to update order tracking',
+      code: error.code
     });
   }
 });
@@ -627,41 +1134,23 @@ router.post('/:orderId/cancel', auth, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    const cancellableStatuses = ['pending', 'confirmed', 'processing'];
-    if (!cancellableStatuses.includes(order.orderStatus)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Order cannot be cancelled at this stage'
-      });
-    }
-
-    // Update order status
-    order.orderStatus = 'cancelled';
-    order.cancellationReason = reason;
-
-    // Add tracking update
-    if (!order.trackingHistory) {
-      order.trackingHistory = [];
-    }
-    order.trackingHistory.push({
-      status: 'cancelled',
-      timestamp: new Date(),
-      description: `Order cancelled: ${reason}`
+    const updated = await transitionOrder(order, 'cancelled', {
+      actor: 'customer',
+      userId: req.user.userId,
+      description: `Order cancelled: ${reason}`,
+      updates: { cancellationReason: reason }
     });
 
-    await order.save();
-
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: order
+      data: updated
     });
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to cancel order'
+      error: error.statusCode ? error.message : 'Failed to cancel order'
     });
   }
 });
@@ -691,57 +1180,38 @@ router.post('/:orderId/return', auth, async (req, res) => {
       });
     }
 
-    // Check if order is eligible for return
-    if (order.orderStatus !== 'delivered') {
-      return res.status(400).json({
-        success: false,
-        error: 'Only delivered orders can be returned'
-      });
-    }
-
-    // Check return window (30 days)
-    const deliveredDate = order.actualDelivery || order.updatedAt;
-    const returnWindow = 30 * 24 * 60 * 60 * 1000; // 30 days in milliseconds
-    if (Date.now() - new Date(deliveredDate).getTime() > returnWindow) {
-      return res.status(400).json({
-        success: false,
-        error: 'Return window has expired (30 days)'
-      });
-    }
-
     // Create return request
     const returnRequest = {
-      orderId: order._id,
-      userId: req.user.userId,
       items: items.length > 0 ? items : order.items.map(item => ({
         productId: item.productId,
         quantity: item.quantity,
         reason: reason
       })),
       reason,
-      status: 'pending',
       requestedAt: new Date()
     };
 
-    // Update order with return request
-    order.returnRequest = returnRequest;
-    order.orderStatus = 'return_requested';
-
-    await order.save();
+    // Delivery status and the return window are checked by the state machine
+    const updated = await transitionOrder(order, 'return_requested', {
+      actor: 'customer',
+      userId: req.user.userId,
+      description: `Return requested: ${reason}`,
+      updates: { returnReason: reason, returnRequest }
+    });
 
     res.json({
       success: true,
       message: 'Return request submitted successfully',
       data: {
-        order,
-        returnRequest
+        order: updated,
+        returnRequest: updated.returnRequest
       }
     });
   } catch (error) {
     console.error('Request return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to submit return request'
+      error: error.statusCode ? error.message : 'Failed to submit return request'
     });
   }
 });
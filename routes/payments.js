@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const Order = require('../models/Order');
+const Product = require('../models/Product');
 const Cart = require('../models/Cart');
 const Coupon = require('../models/Coupon');
 const { auth } = require('../middleware/auth');
 const { validate } = require('../utils/validation');
+const { getGateway, listGateways, applyPaymentResult } = require('../utils/paymentGateways');
+const { transitionOrder } = require('../utils/orderStateMachine');
+const { calculateShipping } = require('../utils/shippingCalculator');
+
+const MOBILE_BANKING_METHODS = ['bkash', 'nagad', 'rocket', 'upay'];
 
 // Payment methods configuration
 const PAYMENT_METHODS = {
@@ -53,21 +58,44 @@ const PAYMENT_METHODS = {
   }
 };
 
+// Why an order can't be paid cash on delivery, or null when it can. Mirrors
+// checkout: orders fully paid with store credit or containing gift cards are
+// never COD, and guests (who can only order COD) don't reach this.
+const getCodIneligibility = (order) => {
+  if (order.paymentStatus !== 'pending' || order.paymentMethod === 'store_credit') {
+    return 'This order is not awaiting payment';
+  }
+  if (order.getGiftCardItems().length > 0) {
+    return 'Gift cards must be paid for online';
+  }
+  if (order.getAmountDue() > PAYMENT_METHODS.cod.maxAmount) {
+    return `Cash on Delivery is available for orders up to ৳${PAYMENT_METHODS.cod.maxAmount}`;
+  }
+  return null;
+};
+
 // Get available payment methods
 router.get('/methods', async (req, res) => {
   try {
     const { amount } = req.query;
     const orderAmount = parseFloat(amount) || 0;
+    const gatewayStatus = listGateways().reduce((acc, gateway) => {
+      acc[gateway.method] = gateway;
+      return acc;
+    }, {});
 
     const availableMethods = Object.keys(PAYMENT_METHODS)
       .filter(key => {
         const method = PAYMENT_METHODS[key];
-        return orderAmount >= method.minAmount && orderAmount <= method.maxAmount;
+        const gateway = gatewayStatus[key];
+        return orderAmount >= method.minAmount && orderAmount <= method.maxAmount &&
+          (gateway.configured || gateway.sandbox);
       })
       .map(key => ({
         id: key,
         ...PAYMENT_METHODS[key],
-        isAvailable: true
+        isAvailable: true,
+        sandbox: gatewayStatus[key].sandbox
       }));
 
     res.json({
@@ -83,10 +111,10 @@ router.get('/methods', async (req, res) => {
   }
 });
 
-// Calculate payment fee
+// Calculate payment fee, plus shipping when items and an address are given
 router.post('/calculate-fee', async (req, res) => {
   try {
-    const { paymentMethod, amount } = req.body;
+    const { paymentMethod, amount, items, shippingAddress, courier } = req.body;
 
     if (!PAYMENT_METHODS[paymentMethod]) {
       return res.status(400).json({
@@ -95,21 +123,42 @@ router.post('/calculate-fee', async (req, res) => {
       });
     }
 
+    let shipping = null;
+    if (Array.isArray(items) && items.length > 0) {
+      const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+        .select('dimensions');
+      const dimensionsById = new Map(products.map(product => [product._id.toString(), product.dimensions]));
+
+      shipping = calculateShipping({
+        items: items.map(item => ({
+          dimensions: dimensionsById.get(String(item.productId)),
+          quantity: parseInt(item.quantity) || 1
+        })),
+        address: shippingAddress,
+        subtotal: amount,
+        courier
+      });
+    }
+
     const method = PAYMENT_METHODS[paymentMethod];
+    const shippingCost = shipping ? shipping.cost : 0;
+    const payable = amount + shippingCost;
     let fee = 0;
 
     if (paymentMethod === 'stripe') {
-      fee = Math.round((amount * 0.029 + 30) * 100) / 100; // 2.9% + 30 BDT
+      fee = Math.round((payable * 0.029 + 30) * 100) / 100; // 2.9% + 30 BDT
     } else if (method.fee > 0) {
-      fee = Math.round((amount * method.fee / 1000) * 100) / 100; // Convert from per thousand
+      fee = Math.round((payable * method.fee / 1000) * 100) / 100; // Convert from per thousand
     }
 
-    const total = amount + fee;
+    const total = payable + fee;
 
     res.json({
       success: true,
       data: {
         subtotal: amount,
+        shipping,
+        shippingCost,
         fee,
         total,
         paymentMethod: method.name
@@ -117,9 +166,9 @@ router.post('/calculate-fee', async (req, res) => {
     });
   } catch (error) {
     console.error('Calculate fee error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to calculate payment fee'
+      error: error.statusCode ? error.message : 'Failed to calculate payment fee'
     });
   }
 });
@@ -127,50 +176,55 @@ router.post('/calculate-fee', async (req, res) => {
 // Create Stripe Payment Intent
 router.post('/stripe/create-intent', auth, async (req, res) => {
   try {
-    const { amount, orderId } = req.body;
+    const { orderId } = req.body;
 
-    if (!process.env.STRIPE_SECRET_KEY) {
-      return res.status(400).json({
+    const order = await Order.findOne({ _id: orderId, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        error: 'Stripe is not configured'
+        error: 'Order not found'
       });
     }
 
-    const order = await Order.findOne({ _id: orderId, userId: req.user._id });
-    if (!order) {
-      return res.status(404).json({
+    if (order.paymentStatus === 'paid') {
+      return res.status(400).json({
         success: false,
-        error: 'Order not found'
+        error: 'Order is already paid'
       });
     }
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to paisa
-      currency: 'bdt',
-      metadata: {
-        orderId: order._id.toString(),
-        userId: req.user._id.toString()
-      },
-      description: `Payment for order ${order.orderNumber}`
+    const gateway = getGateway('stripe');
+    const payment = await gateway.initiate(order, {
+      amount: order.getAmountDue(),
+      userId: req.user.userId
     });
 
     // Update order with payment intent
-    order.paymentIntentId = paymentIntent.id;
+    order.paymentMethod = 'card';
     order.paymentStatus = 'pending';
+    order.transactionId = payment.transactionId;
+    order.paymentMetadata = {
+      ...order.paymentMetadata,
+      provider: gateway.method,
+      providerReference: payment.providerReference,
+      initiatedAt: new Date()
+    };
+    order.markModified('paymentMetadata');
     await order.save();
 
     res.json({
       success: true,
       data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id
+        clientSecret: payment.clientSecret,
+        paymentIntentId: payment.transactionId,
+        sandbox: Boolean(gateway.sandbox)
       }
     });
   } catch (error) {
     console.error('Create Stripe payment intent error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to create payment intent',
+      error: error.statusCode ? error.message : 'Failed to create payment intent',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -179,16 +233,16 @@ router.post('/stripe/create-intent', auth, async (req, res) => {
 // Process Mobile Banking Payment (bKash, Nagad, etc.)
 router.post('/mobile-banking/initiate', auth, async (req, res) => {
   try {
-    const { paymentMethod, amount, orderId, mobileNumber } = req.body;
+    const { paymentMethod, orderId, mobileNumber } = req.body;
 
-    if (!['bkash', 'nagad', 'rocket', 'upay'].includes(paymentMethod)) {
+    if (!MOBILE_BANKING_METHODS.includes(paymentMethod)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid mobile banking method'
       });
     }
 
-    const order = await Order.findOne({ _id: orderId, userId: req.user._id });
+    const order = await Order.findOne({ _id: orderId, userId: req.user.userId });
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -196,52 +250,61 @@ router.post('/mobile-banking/initiate', auth, async (req, res) => {
       });
     }
 
-    // In a real implementation, you would integrate with the actual payment gateway APIs
-    // For now, we'll simulate the process
-    const transactionId = `${paymentMethod.toUpperCase()}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    if (order.paymentStatus === 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Order is already paid'
+      });
+    }
+
+    const gateway = getGateway(paymentMethod);
+    const payment = await gateway.initiate(order, {
+      amount: order.getAmountDue(),
+      customerPhone: mobileNumber,
+      callbackUrl: `${process.env.FRONTEND_URL}/orders/${order._id}/payment`
+    });
 
     // Update order with payment details
     order.paymentMethod = paymentMethod;
     order.paymentStatus = 'pending';
-    order.transactionId = transactionId;
+    order.transactionId = payment.transactionId;
     order.paymentMetadata = {
-      mobileNumber: mobileNumber,
+      ...order.paymentMetadata,
+      provider: gateway.method,
+      providerReference: payment.providerReference,
+      mobileNumber,
       initiatedAt: new Date()
     };
+    order.markModified('paymentMetadata');
     await order.save();
 
     res.json({
       success: true,
       data: {
-        transactionId,
+        transactionId: payment.transactionId,
+        redirectUrl: payment.redirectUrl,
+        sandbox: Boolean(gateway.sandbox),
         message: `Please complete payment using ${PAYMENT_METHODS[paymentMethod].name}`,
-        instructions: [
-          `Dial *247# for ${PAYMENT_METHODS[paymentMethod].name}`,
-          `Select "Send Money"`,
-          `Enter Merchant: 01XXXXXXXXX`, // Replace with actual merchant number
-          `Enter Amount: ৳${amount}`,
-          `Reference: ${transactionId}`,
-          `Enter PIN to confirm payment`
-        ]
+        instructions: payment.instructions
       }
     });
   } catch (error) {
     console.error('Initiate mobile banking payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to initiate payment'
+      error: error.statusCode ? error.message : 'Failed to initiate payment'
     });
   }
 });
 
-// Confirm Mobile Banking Payment
+// Confirm Mobile Banking Payment by asking the provider for its status
 router.post('/mobile-banking/confirm', auth, async (req, res) => {
   try {
-    const { transactionId, userTransactionId } = req.body;
+    const { transactionId } = req.body;
 
     const order = await Order.findOne({ 
       transactionId,
-      userId: req.user._id 
+      userId: req.user.userId 
     });
 
     if (!order) {
@@ -251,34 +314,116 @@ router.post('/mobile-banking/confirm', auth, async (req, res) => {
       });
     }
 
-    // In real implementation, verify with payment gateway API
-    // For now, simulate verification
-    const isVerified = userTransactionId && userTransactionId.length >= 6;
-
-    if (isVerified) {
-      order.paymentStatus = 'completed';
-      order.status = 'confirmed';
-      order.paidAt = new Date();
-      order.paymentMetadata.userTransactionId = userTransactionId;
-      order.paymentMetadata.confirmedAt = new Date();
-      await order.save();
-
-      res.json({
+    if (order.paymentStatus === 'paid') {
+      return res.json({
         success: true,
         data: { order },
-        message: 'Payment confirmed successfully'
+        message: 'Payment already confirmed'
       });
-    } else {
-      res.status(400).json({
+    }
+
+    const gateway = getGateway(order.paymentMethod);
+    const result = await gateway.query(transactionId, {
+      providerReference: order.paymentMetadata && order.paymentMetadata.providerReference
+    });
+
+    if (result.status === 'pending') {
+      return res.status(202).json({
         success: false,
-        error: 'Invalid transaction ID'
+        error: 'Payment has not been completed yet',
+        data: { status: result.status }
       });
     }
+
+    const updated = await applyPaymentResult(order, result, { source: 'query' });
+    const current = updated || await Order.findById(order._id);
+
+    if (result.status === 'paid' && current.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Paid amount does not match the order total'
+      });
+    }
+
+    if (current.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        error: 'Payment failed',
+        data: { status: current.paymentStatus }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { order: current },
+      message: 'Payment confirmed successfully'
+    });
   } catch (error) {
     console.error('Confirm mobile banking payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to confirm payment'
+      error: error.statusCode ? error.message : 'Failed to confirm payment'
+    });
+  }
+});
+
+// Settle a sandbox payment and deliver its signed callback (PAYMENT_GATEWAY_MODE=sandbox only)
+router.post('/sandbox/simulate', auth, async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found'
+      });
+    }
+
+    const { transactionId, outcome = 'paid' } = req.body;
+
+    if (!['paid', 'failed'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Outcome must be paid or failed'
+      });
+    }
+
+    const order = await Order.findOne({ transactionId, userId: req.user.userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found'
+      });
+    }
+
+    const gateway = getGateway(order.paymentMethod);
+    if (!gateway.sandbox) {
+      return res.status(400).json({
+        success: false,
+        error: `${gateway.name} is not running in sandbox mode`
+      });
+    }
+
+    const callback = gateway.simulate(transactionId, outcome);
+    if (!callback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sandbox transaction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        webhookUrl: `/api/webhooks/payments/${gateway.method}`,
+        headers: { [callback.signatureHeader]: callback.signature },
+        payload: callback.payload
+      },
+      message: 'Post the payload to the webhook URL with the signature header'
+    });
+  } catch (error) {
+    console.error('Sandbox simulate error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to simulate payment'
     });
   }
 });
@@ -288,7 +433,7 @@ router.post('/cod/confirm', auth, async (req, res) => {
   try {
     const { orderId } = req.body;
 
-    const order = await Order.findOne({ _id: orderId, userId: req.user._id });
+    const order = await Order.findOne({ _id: orderId, userId: req.user.userId });
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -296,21 +441,59 @@ router.post('/cod/confirm', auth, async (req, res) => {
       });
     }
 
-    order.paymentMethod = 'cod';
-    order.paymentStatus = 'cod_pending';
-    order.status = 'confirmed';
-    await order.save();
+    // An online order switched to COD has to pass the same checks
+    const originalMethod = order.paymentMethod;
+    const ineligible = getCodIneligibility(order);
+    if (ineligible) {
+      return res.status(400).json({
+        success: false,
+        error: ineligible
+      });
+    }
+
+    // Payment stays pending until the courier collects the cash on delivery
+    let codOrder = order;
+    if (originalMethod !== 'cod') {
+      codOrder = await Order.findOneAndUpdate(
+        { _id: order._id, orderStatus: 'pending', paymentStatus: 'pending', paymentMethod: originalMethod },
+        { $set: { paymentMethod: 'cod' } },
+        { new: true }
+      );
+      if (!codOrder) {
+        return res.status(409).json({
+          success: false,
+          error: 'Order was changed by another request, please retry'
+        });
+      }
+    }
+
+    let updated;
+    try {
+      updated = await transitionOrder(codOrder, 'confirmed', {
+        actor: 'customer',
+        userId: req.user.userId,
+        description: 'Cash on Delivery order confirmed'
+      });
+    } catch (error) {
+      if (originalMethod !== 'cod') {
+        await Order.updateOne(
+          { _id: order._id, orderStatus: 'pending', paymentMethod: 'cod' },
+          { $set: { paymentMethod: originalMethod } }
+        );
+      }
+      throw error;
+    }
 
     res.json({
       success: true,
-      data: { order },
+      data: { order: updated },
       message: 'Cash on Delivery order confirmed'
     });
   } catch (error) {
     console.error('COD confirmation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to confirm COD order'
+      error: error.statusCode ? error.message : 'Failed to confirm COD order'
     });
   }
 });
@@ -319,7 +502,7 @@ router.post('/cod/confirm', auth, async (req, res) => {
 router.get('/history', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
-    const filter = { userId: req.user._id };
+    const filter = { userId: req.user.userId };
     
     if (status) filter.paymentStatus = status;
 
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
-const { auth } = require('../middleware/auth');
+const Category = require('../models/Category');
+const { auth, optionalAuth } = require('../middleware/auth');
 const { validate } = require('../utils/validation');
+const analyticsTracker = require('../utils/analyticsTracker');
+const { verifyCartToken } = require('../utils/cartToken');
 
 // GET /api/products - Get all products with pagination and filtering
 // Simple test endpoint
@@ -20,7 +23,23 @@ router.get('/', async (req, res) => {
     const { page = 1, limit = 10, category, search, inStock } = req.query;
     const filter = {};
     
-    if (category) filter.category = category;
+    if (category) {
+      // A category id or slug also matches every category below it
+      const match = await Category.findByIdentifier(category);
+      if (match) {
+        const ids = await Category.getSubtreeIds(match._id);
+        const names = await Category.find({ _id: { $in: ids } }).distinct('name');
+        // Products not linked to a category yet only carry its name
+        filter.$and = [{
+          $or: [
+            { categoryId: { $in: ids } },
+            { categoryId: null, category: { $in: names } }
+          ]
+        }];
+      } else {
+        filter.category = category;
+      }
+    }
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -53,12 +72,23 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/products/:id - Get single product
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
+
+    // Views in the same browsing session feed "customers also viewed"
+    const sessionId = req.header('X-Session-ID') || verifyCartToken(req.header('X-Cart-Token'));
+    if (sessionId) {
+      analyticsTracker.track('product_view', {
+        productId: product._id,
+        userId: req.user ? req.user.userId : null,
+        sessionId
+      });
+    }
+
     res.json({ success: true, data: product });
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -66,6 +96,27 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/products/:id/breadcrumbs - Category trail down to the product
+router.get('/:id/breadcrumbs', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name categoryId');
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const category = product.categoryId ? await Category.findById(product.categoryId) : null;
+    const breadcrumbs = category ? await category.getBreadcrumbs() : [];
+
+    res.json({
+      success: true,
+      data: [...breadcrumbs, { _id: product._id, name: product.name }]
+    });
+  } catch (error) {
+    console.error('Error fetching product breadcrumbs:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch breadcrumbs' });
+  }
+});
+
 // POST /api/products - Create new product (admin only)
 router.post('/', async (req, res) => {
   try {
@@ -77,6 +128,7 @@ router.post('/', async (req, res) => {
       price: parseFloat(req.body.price) || 99.99,
       description: req.body.description || 'Test description',
       category: req.body.category || 'General',
+      categoryId: req.body.categoryId || null,
       stock: parseInt(req.body.stock) || 0,
       // Generate SKU if not provided to avoid validation error
       sku: req.body.sku || `PRD-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`,
@@ -187,10 +239,14 @@ router.post('/bulk', auth, async (req, res) => {
         );
         break;
       case 'updateCategory':
-        const { category } = req.body;
+        // updateMany skips the validate hook, so resolve the category here
+        const target = await Category.findByIdentifier(req.body.categoryId || req.body.category);
+        if (!target) {
+          return res.status(400).json({ success: false, error: 'Category not found' });
+        }
         result = await Product.updateMany(
           { _id: { $in: productIds } },
-          { $set: { category, updatedAt: new Date() } }
+          { $set: { category: target.name, categoryId: target._id, updatedAt: new Date() } }
         );
         break;
       default:
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const Promotion = require('../models/Promotion');
+const { adminAuth } = require('../middleware/adminAuth');
+
+// Fields the storefront needs to advertise a running promotion
+const PUBLIC_FIELDS = 'name description type startsAt endsAt applicableCategories applicableProducts minSubtotal ' +
+  'discountType discountValue buyQuantity getQuantity getDiscountPercent bundleProducts bundlePrice tiers giftProductId giftQuantity';
+
+// Maintained by the server, never taken from the request body
+const PROTECTED_FIELDS = ['usageCount', 'createdBy'];
+
+const editableFields = (body = {}) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => !PROTECTED_FIELDS.includes(key))
+);
+
+// Promotions running now (storefront banners and product badges)
+router.get('/', async (req, res) => {
+  try {
+    const promotions = await Promotion.findRunning().select(PUBLIC_FIELDS);
+
+    res.json({
+      success: true,
+      data: promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions'
+    });
+  }
+});
+
+// All promotions (Admin only)
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (type) {
+      filter.type = type;
+    }
+    if (status === 'running') {
+      Object.assign(filter, { isActive: true, startsAt: { $lte: now }, $or: [{ endsAt: null }, { endsAt: { $gt: now } }] });
+    } else if (status === 'scheduled') {
+      Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+    } else if (status === 'ended') {
+      filter.endsAt = { $lte: now };
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    }
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter)
+        .sort({ priority: -1, createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      Promotion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Get admin promotions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch promotions'
+    });
+  }
+});
+
+// Create promotion (Admin only)
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const promotion = new Promotion({ ...editableFields(req.body), createdBy: req.user._id });
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      data: promotion,
+      message: 'Promotion created successfully'
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create promotion'
+    });
+  }
+});
+
+// Update promotion (Admin only)
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    Object.assign(promotion, editableFields(req.body));
+    await promotion.save();
+
+    res.json({
+      success: true,
+      data: promotion,
+      message: 'Promotion updated successfully'
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update promotion'
+    });
+  }
+});
+
+// Delete promotion (Admin only). Orders keep their own copy of what was applied.
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Promotion not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete promotion'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { optionalAuth } = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const {
+  getBoughtTogether,
+  getAlsoViewed,
+  getPersonalPicks,
+  refreshRecommendations
+} = require('../utils/recommendations');
+
+const parseLimit = (value, fallback) => Math.min(24, Math.max(1, parseInt(value) || fallback));
+
+const validProductId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+  next();
+};
+
+// Frequently bought together with a product
+router.get('/products/:productId/bought-together', validProductId, async (req, res) => {
+  try {
+    const products = await getBoughtTogether(req.params.productId, parseLimit(req.query.limit, 6));
+
+    res.json({
+      success: true,
+      data: products
+    });
+  } catch (error) {
+    console.error('Bought together error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recommendations'
+    });
+  }
+});
+
+// Customers who viewed a product also viewed
+router.get('/products/:productId/also-viewed', validProductId, async (req, res) => {
+  try {
+    const products = await getAlsoViewed(req.params.productId, parseLimit(req.query.limit, 6));
+
+    res.json({
+      success: true,
+      data: products
+    });
+  } catch (error) {
+    console.error('Also viewed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recommendations'
+    });
+  }
+});
+
+// Home page picks for the signed-in shopper (bestsellers for guests)
+router.get('/for-you', optionalAuth, async (req, res) => {
+  try {
+    const userId = req.user ? req.user.userId : null;
+    const products = await getPersonalPicks(userId, parseLimit(req.query.limit, 12));
+
+    res.json({
+      success: true,
+      personalized: Boolean(userId),
+      data: products
+    });
+  } catch (error) {
+    console.error('Personal picks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get recommendations'
+    });
+  }
+});
+
+// Recompute all recommendations now instead of waiting for the schedule (Admin only)
+router.post('/refresh', adminAuth, async (req, res) => {
+  try {
+    const result = await refreshRecommendations();
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Recommendations refreshed'
+    });
+  } catch (error) {
+    console.error('Refresh recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh recommendations'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,87 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const User = require('../models/User');
 const { auth } = require('../middleware/auth');
 const { adminAuth } = require('../middleware/adminAuth');
 const { validate } = require('../utils/validation');
+const { createUploadMiddleware, validateUploadedFiles } = require('../middleware/fileUploadSecurity');
+const { storeReviewImages, deleteReviewImage, deleteReviewImages, removeTempFiles } = require('../utils/reviewMedia');
+const { moderateReview } = require('../utils/reviewModeration');
+const { recordReviewClick } = require('../utils/reviewRequests');
+const { verifyReviewToken } = require('../utils/cartToken');
+const reviewsConfig = require('../config/reviews');
+
+// Review photos arrive as multipart "images" files alongside the other fields
+const imageUpload = createUploadMiddleware({
+  allowedTypes: ['images'],
+  maxFileSize: reviewsConfig.maxImageSize,
+  maxFiles: reviewsConfig.maxImages,
+  fieldName: 'images',
+  destination: 'temp'
+});
+
+const uploadReviewImages = [
+  (req, res, next) => imageUpload(req, res, (error) => {
+    if (error) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Each photo must be under ${reviewsConfig.maxImageSize / (1024 * 1024)}MB`,
+        LIMIT_FILE_COUNT: `A review can have at most ${reviewsConfig.maxImages} photos`,
+        LIMIT_UNEXPECTED_FILE: 'Photos must be sent as "images"'
+      };
+      return res.status(400).json({
+        success: false,
+        error: messages[error.code] || error.message
+      });
+    }
+    next();
+  }),
+  validateUploadedFiles()
+];
+
+// Multipart bodies carry every field as a string
+const readReviewFields = (body) => {
+  const fields = { ...body };
+  if (typeof fields.rating === 'string' && fields.rating.trim() !== '') {
+    fields.rating = Number(fields.rating);
+  }
+  if (typeof fields.aspects === 'string') {
+    try {
+      fields.aspects = JSON.parse(fields.aspects);
+    } catch (error) {
+      fields.aspects = undefined;
+    }
+  }
+  return fields;
+};
+
+// Review links in review request emails stand in for signing in, for the
+// one product the link was sent for
+const reviewLinkAuth = async (req, res, next) => {
+  try {
+    const payload = verifyReviewToken(req.params.token);
+    const user = payload && await User.findById(payload.userId).select('isActive');
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'This link is invalid or has expired'
+      });
+    }
+
+    req.user = { userId: payload.userId };
+    req.reviewLink = payload;
+    next();
+  } catch (error) {
+    console.error('Review link error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open review link'
+    });
+  }
+};
 
 // Get reviews for a product
 router.get('/product/:productId', async (req, res) => {
@@ -17,7 +93,8 @@ router.get('/product/:productId', async (req, res) => {
       sortBy = 'createdAt',
       sortOrder = 'desc',
       rating,
-      verifiedOnly = false
+      verifiedOnly = false,
+      withPhotos = false
     } = req.query;
 
     // Build query
@@ -34,6 +111,10 @@ router.get('/product/:productId', async (req, res) => {
       query.verifiedPurchase = true;
     }
 
+    if (withPhotos === 'true') {
+      query['images.0'] = { $exists: true };
+    }
+
     // Build sort object
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -83,6 +164,39 @@ router.get('/product/:productId', async (req, res) => {
   }
 });
 
+// Aspect scores, sizing verdict and photo count for a product
+router.get('/product/:productId/summary', async (req, res) => {
+  try {
+    const { productId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    const [ratingStats, aspectSummary] = await Promise.all([
+      Review.getProductRatingStats(productId),
+      Review.getAspectSummary(productId)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        averageRating: Math.round(ratingStats.averageRating * 10) / 10,
+        ratingBreakdown: ratingStats.ratingBreakdown,
+        ...aspectSummary
+      }
+    });
+  } catch (error) {
+    console.error('Get review summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review summary'
+    });
+  }
+});
+
 // Get user's reviews
 router.get('/user', auth, async (req, res) => {
   try {
@@ -138,17 +252,56 @@ router.get('/can-review/:productId', auth, async (req, res) => {
   }
 });
 
+// Product and purchase behind a review link, for the review form
+router.get('/request/:token', reviewLinkAuth, async (req, res) => {
+  try {
+    const { productId, orderId } = req.reviewLink;
+    const [product, order, canReview] = await Promise.all([
+      Product.findById(productId).select('name images price'),
+      Order.findOne({ _id: orderId, userId: req.user.userId }).select('orderNumber actualDelivery'),
+      Review.canUserReview(req.user.userId, productId)
+    ]);
+
+    if (!product || !order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Product not found'
+      });
+    }
+
+    try {
+      await recordReviewClick(req.reviewLink);
+    } catch (trackingError) {
+      console.error('Review link tracking error:', trackingError);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        product,
+        order,
+        canReview: canReview.canReview,
+        reason: canReview.reason
+      }
+    });
+  } catch (error) {
+    console.error('Get review request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load review request'
+    });
+  }
+});
+
 // Create a new review
-router.post('/', auth, async (req, res) => {
+const createReview = async (req, res) => {
+  const files = req.files || [];
+  let images = [];
+
   try {
-    const {
-      productId,
-      rating,
-      title,
-      comment,
-      aspects = {},
-      images = []
-    } = req.body;
+    const fields = readReviewFields(req.body);
+    const { rating, title, comment, aspects = {} } = fields;
+    const productId = req.reviewLink ? req.reviewLink.productId : fields.productId;
 
     // Validate required fields
     if (!productId || !rating || !title || !comment) {
@@ -188,6 +341,9 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    // Photos only go through the upload pipeline, never as URLs in the body
+    images = await storeReviewImages(files, { alt: `Photo of ${product.name}` });
+
     // Create review
     const reviewData = {
       userId: req.user.userId,
@@ -206,29 +362,23 @@ router.post('/', auth, async (req, res) => {
       ipAddress: req.ip || req.connection.remoteAddress
     };
 
-    // Auto-approve reviews from verified purchases, pending for others
-    reviewData.status = canReview.verifiedPurchase ? 'approved' : 'pending';
-
     const review = new Review(reviewData);
+    await moderateReview(review, { trigger: 'created' });
     await review.save();
 
     // Populate user info for response
     await review.populate('userId', 'name avatar');
 
-    // Update product rating if review is approved
-    if (review.status === 'approved') {
-      await updateProductRating(productId);
-    }
-
     res.status(201).json({
       success: true,
-      message: canReview.verifiedPurchase ? 
-        'Review submitted and approved!' : 
+      message: review.status === 'approved' ?
+        'Review submitted and approved!' :
         'Review submitted for moderation',
       data: review
     });
   } catch (error) {
     console.error('Create review error:', error);
+    await deleteReviewImages(images);
     if (error.code === 11000) {
       res.status(400).json({
         success: false,
@@ -240,8 +390,15 @@ router.post('/', auth, async (req, res) => {
         error: 'Failed to create review'
       });
     }
+  } finally {
+    await removeTempFiles(files);
   }
-});
+};
+
+router.post('/', auth, uploadReviewImages, createReview);
+
+// Submit the review form opened from a review link
+router.post('/request/:token', reviewLinkAuth, uploadReviewImages, createReview);
 
 // Update a review
 router.put('/:reviewId', auth, async (req, res) => {
@@ -251,8 +408,7 @@ router.put('/:reviewId', auth, async (req, res) => {
       rating,
       title,
       comment,
-      aspects,
-      images
+      aspects
     } = req.body;
 
     const review = await Review.findOne({
@@ -281,19 +437,11 @@ router.put('/:reviewId', auth, async (req, res) => {
     if (title !== undefined) review.title = title.trim();
     if (comment !== undefined) review.comment = comment.trim();
     if (aspects !== undefined) review.aspects = aspects;
-    if (images !== undefined) review.images = images;
-
-    // Reset status to pending for re-moderation if not a verified purchase
-    if (!review.verifiedPurchase) {
-      review.status = 'pending';
-    }
 
+    await moderateReview(review, { trigger: 'edited' });
     await review.save();
     await review.populate('userId', 'name avatar');
 
-    // Update product rating
-    await updateProductRating(review.productId);
-
     res.json({
       success: true,
       message: 'Review updated successfully',
@@ -316,7 +464,7 @@ router.delete('/:reviewId', auth, async (req, res) => {
     const review = await Review.findOne({
       _id: reviewId,
       userId: req.user.userId
-    });
+    }).select('+images.storage +images.thumbnailStorage');
 
     if (!review) {
       return res.status(404).json({
@@ -325,11 +473,8 @@ router.delete('/:reviewId', auth, async (req, res) => {
       });
     }
 
-    const productId = review.productId;
     await review.deleteOne();
-
-    // Update product rating
-    await updateProductRating(productId);
+    await deleteReviewImages(review.images);
 
     res.json({
       success: true,
@@ -344,6 +489,89 @@ router.delete('/:reviewId', auth, async (req, res) => {
   }
 });
 
+// Add photos to your review
+router.post('/:reviewId/images', auth, uploadReviewImages, async (req, res) => {
+  const files = req.files || [];
+  let images = [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No photos provided'
+      });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, userId: req.user.userId });
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        error: 'Review not found'
+      });
+    }
+
+    if (review.images.length + files.length > reviewsConfig.maxImages) {
+      return res.status(400).json({
+        success: false,
+        error: `A review can have at most ${reviewsConfig.maxImages} photos`
+      });
+    }
+
+    const product = await Product.findById(review.productId).select('name');
+    images = await storeReviewImages(files, { alt: `Photo of ${product ? product.name : 'product'}` });
+    review.images.push(...images);
+
+    await moderateReview(review, { trigger: 'photos_added' });
+    await review.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Photos added successfully',
+      data: review.images
+    });
+  } catch (error) {
+    console.error('Add review photos error:', error);
+    await deleteReviewImages(images);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add photos'
+    });
+  } finally {
+    await removeTempFiles(files);
+  }
+});
+
+// Remove a photo from your review
+router.delete('/:reviewId/images/:imageId', auth, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, userId: req.user.userId })
+      .select('+images.storage +images.thumbnailStorage');
+    const image = review && review.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Photo not found'
+      });
+    }
+
+    review.images.pull(image._id);
+    await review.save();
+    await deleteReviewImage(image);
+
+    res.json({
+      success: true,
+      message: 'Photo removed successfully',
+      data: review.images
+    });
+  } catch (error) {
+    console.error('Remove review photo error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove photo'
+    });
+  }
+});
+
 // Vote on review helpfulness
 router.post('/:reviewId/vote', auth, async (req, res) => {
   try {
@@ -424,6 +652,7 @@ router.post('/:reviewId/report', auth, async (req, res) => {
       });
     }
 
+    await moderateReview(review, { trigger: 'reported', escalateOnly: true });
     await review.save();
 
     res.json({
@@ -490,7 +719,7 @@ router.get('/admin/pending', adminAuth, async (req, res) => {
     const reviews = await Review.find({ status })
       .populate('userId', 'name email avatar')
       .populate('productId', 'name images')
-      .sort({ createdAt: -1 })
+      .sort({ moderationScore: -1, createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
       .lean();
@@ -524,11 +753,11 @@ router.patch('/admin/:reviewId/moderate', adminAuth, async (req, res) => {
     const { reviewId } = req.params;
     const { status, moderationNotes = '' } = req.body;
 
-    const validStatuses = ['approved', 'rejected', 'flagged'];
+    const validStatuses = ['approved', 'rejected', 'flagged', 'quarantined'];
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Valid status is required (approved, rejected, flagged)'
+        error: 'Valid status is required (approved, rejected, flagged, quarantined)'
       });
     }
 
@@ -542,13 +771,14 @@ router.patch('/admin/:reviewId/moderate', adminAuth, async (req, res) => {
 
     review.status = status;
     review.moderationNotes = moderationNotes;
+    review.moderationLog.push({
+      status,
+      actor: 'admin',
+      adminId: req.user._id,
+      notes: moderationNotes
+    });
     await review.save();
 
-    // Update product rating if approved
-    if (status === 'approved') {
-      await updateProductRating(review.productId);
-    }
-
     res.json({
       success: true,
       message: `Review ${status} successfully`,
@@ -563,21 +793,6 @@ router.patch('/admin/:reviewId/moderate', adminAuth, async (req, res) => {
   }
 });
 
-// Helper function to update product rating
-async function updateProductRating(productId) {
-  try {
-    const stats = await Review.getProductRatingStats(productId);
-    
-    await Product.findByIdAndUpdate(productId, {
-      averageRating: stats.averageRating,
-      reviewCount: stats.totalReviews,
-      ratingBreakdown: stats.ratingBreakdown
-    });
-  } catch (error) {
-    console.error('Error updating product rating:', error);
-  }
-}
-
 // Helper function to get browser from user agent
 function getBrowserFromUserAgent(userAgent) {
   if (userAgent.includes('Chrome')) return 'Chrome';
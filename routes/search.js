@@ -2,190 +2,82 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const SearchSynonym = require('../models/SearchSynonym');
+const SearchRedirect = require('../models/SearchRedirect');
 const { optionalAuth } = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const { searchProducts } = require('../utils/productSearch');
+const searchIndex = require('../utils/searchIndex');
+const searchAnalytics = require('../utils/searchAnalytics');
+const { verifyCartToken } = require('../utils/cartToken');
+
+// Fallback for /popular until enough searches have been recorded
+const DEFAULT_POPULAR_SEARCHES = [
+  'casual shirt',
+  'formal wear',
+  'jeans',
+  'sneakers',
+  'accessories',
+  'winter wear',
+  'summer collection',
+  'ethnic wear'
+];
+
+// Record a first-page search; analytics never fail the search itself
+const recordSearch = async (req, details) => {
+  if (!String(req.query.q || '').trim() || parseInt(req.query.page) > 1) {
+    return null;
+  }
 
-// Advanced product search with filters
-router.get('/products', optionalAuth, async (req, res) => {
   try {
-    const {
-      q = '', // search query
-      category,
-      minPrice,
-      maxPrice,
-      brand,
-      rating,
-      inStock,
-      featured,
-      sortBy = 'relevance',
-      sortOrder = 'desc',
-      page = 1,
-      limit = 20,
-      sizes,
-      colors,
-      tags,
-      discount
-    } = req.query;
-
-    // Build search filter
-    const filter = { isActive: true };
-    const sort = {};
-
-    // Text search
-    if (q.trim()) {
-      filter.$text = { $search: q };
-    }
-
-    // Category filter
-    if (category) {
-      if (Array.isArray(category)) {
-        filter.category = { $in: category };
-      } else {
-        filter.category = category;
-      }
-    }
-
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
-
-    // Brand filter
-    if (brand) {
-      if (Array.isArray(brand)) {
-        filter.brand = { $in: brand };
-      } else {
-        filter.brand = brand;
-      }
-    }
-
-    // Rating filter
-    if (rating) {
-      filter.averageRating = { $gte: parseFloat(rating) };
-    }
-
-    // Stock filter
-    if (inStock !== undefined) {
-      if (inStock === 'true') {
-        filter.stock = { $gt: 0 };
-        filter.inStock = true;
-      } else {
-        filter.stock = 0;
-      }
-    }
-
-    // Featured filter
-    if (featured !== undefined) {
-      filter.featured = featured === 'true';
-    }
-
-    // Size filter
-    if (sizes) {
-      const sizeArray = Array.isArray(sizes) ? sizes : [sizes];
-      filter.sizes = { $in: sizeArray };
-    }
-
-    // Color filter
-    if (colors) {
-      const colorArray = Array.isArray(colors) ? colors : [colors];
-      filter.colors = { $in: colorArray };
-    }
-
-    // Tags filter
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      filter.tags = { $in: tagArray };
-    }
+    const event = await searchAnalytics.recordSearch({
+      query: req.query.q,
+      userId: req.user ? req.user.userId : null,
+      guestKey: verifyCartToken(req.header('X-Cart-Token')),
+      ...details
+    });
+    return event._id;
+  } catch (error) {
+    console.error('Record search error:', error);
+    return null;
+  }
+};
 
-    // Discount filter
-    if (discount) {
-      filter.discount = { $gte: parseFloat(discount) };
+// Advanced product search with filters and facet counts for the filter UI
+router.get('/products', optionalAuth, async (req, res) => {
+  try {
+    // A merchandiser redirect answers the query before any search runs
+    const redirect = req.query.q ? await searchAnalytics.findRedirect(req.query.q) : null;
+    if (redirect) {
+      const searchId = await recordSearch(req, { resultCount: 0, redirectedTo: redirect.url });
+      return res.json({
+        success: true,
+        redirect: redirect.url,
+        searchId,
+        data: []
+      });
     }
 
-    // Sorting
-    if (q.trim() && sortBy === 'relevance') {
-      sort.score = { $meta: 'textScore' };
-    } else {
-      switch (sortBy) {
-        case 'price':
-          sort.price = sortOrder === 'desc' ? -1 : 1;
-          break;
-        case 'rating':
-          sort.averageRating = sortOrder === 'desc' ? -1 : 1;
-          break;
-        case 'popularity':
-          sort.totalSales = sortOrder === 'desc' ? -1 : 1;
-          break;
-        case 'newest':
-          sort.createdAt = -1;
-          break;
-        case 'discount':
-          sort.discount = sortOrder === 'desc' ? -1 : 1;
-          break;
-        default:
-          sort.createdAt = sortOrder === 'desc' ? -1 : 1;
-      }
-    }
+    const { products, total, page, limit, facets } = await searchProducts(req.query);
 
-    // Execute search
-    const products = await Product.find(filter)
-      .select('name price originalPrice discount images description category brand averageRating totalReviews stock inStock featured tags sizes colors')
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Product.countDocuments(filter);
-
-    // Get search facets for filtering UI
-    const facets = await Product.aggregate([
-      { $match: filter },
-      {
-        $facet: {
-          categories: [
-            { $group: { _id: '$category', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          brands: [
-            { $group: { _id: '$brand', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          priceRanges: [
-            {
-              $group: {
-                _id: null,
-                minPrice: { $min: '$price' },
-                maxPrice: { $max: '$price' },
-                avgPrice: { $avg: '$price' }
-              }
-            }
-          ],
-          sizes: [
-            { $unwind: '$sizes' },
-            { $group: { _id: '$sizes', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          colors: [
-            { $unwind: '$colors' },
-            { $group: { _id: '$colors', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ]
-        }
-      }
-    ]);
+    const filters = Object.fromEntries(
+      Object.entries(req.query).filter(([key]) => !['q', 'page', 'limit', 'sortBy', 'sortOrder'].includes(key))
+    );
+    const searchId = await recordSearch(req, { resultCount: total, filters });
 
     res.json({
       success: true,
+      searchId,
       data: products,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
         pages: Math.ceil(total / limit)
       },
-      facets: facets[0] || {},
+      facets,
       searchInfo: {
-        query: q,
+        query: req.query.q || '',
         resultsFound: total,
         searchTime: new Date().toISOString()
       }
@@ -211,35 +103,17 @@ router.get('/suggestions', async (req, res) => {
       });
     }
 
-    // Get product name suggestions
-    const productSuggestions = await Product.find({
-      name: { $regex: q, $options: 'i' },
-      isActive: true
-    })
-    .select('name category')
-    .limit(limit)
-    .sort({ totalSales: -1 });
-
-    // Get category suggestions
-    const categorySuggestions = await Category.find({
-      name: { $regex: q, $options: 'i' },
-      isActive: true
-    })
-    .select('name slug')
-    .limit(5);
+    // Prefix and typo-tolerant matches from the search index
+    const matches = await searchIndex.suggestions(q, parseInt(limit));
 
-    // Get brand suggestions
-    const brandSuggestions = await Product.aggregate([
-      { $match: { brand: { $regex: q, $options: 'i' }, isActive: true } },
-      { $group: { _id: '$brand', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]);
+    const categorySuggestions = matches.categories.length > 0
+      ? await Category.find({ name: { $in: matches.categories }, isActive: true }).select('name slug')
+      : [];
 
     const suggestions = [
-      ...productSuggestions.map(p => ({ type: 'product', name: p.name, category: p.category })),
+      ...matches.products.map(p => ({ type: 'product', id: p._id, name: p.name, category: p.category })),
       ...categorySuggestions.map(c => ({ type: 'category', name: c.name, slug: c.slug })),
-      ...brandSuggestions.map(b => ({ type: 'brand', name: b._id }))
+      ...matches.brands.map(brand => ({ type: 'brand', name: brand }))
     ];
 
     res.json({
@@ -255,74 +129,14 @@ router.get('/suggestions', async (req, res) => {
   }
 });
 
-// Get search filters/facets
+// Get search filters/facets for the same query and filters as /products
 router.get('/filters', async (req, res) => {
   try {
-    const { category } = req.query;
-    const matchStage = { isActive: true };
-    
-    if (category) {
-      matchStage.category = category;
-    }
-
-    const filters = await Product.aggregate([
-      { $match: matchStage },
-      {
-        $facet: {
-          categories: [
-            { $group: { _id: '$category', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          brands: [
-            { $match: { brand: { $ne: null, $ne: '' } } },
-            { $group: { _id: '$brand', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          priceRange: [
-            {
-              $group: {
-                _id: null,
-                minPrice: { $min: '$price' },
-                maxPrice: { $max: '$price' }
-              }
-            }
-          ],
-          ratings: [
-            { $match: { averageRating: { $gte: 1 } } },
-            {
-              $group: {
-                _id: { $floor: '$averageRating' },
-                count: { $sum: 1 }
-              }
-            },
-            { $sort: { _id: -1 } }
-          ],
-          sizes: [
-            { $unwind: '$sizes' },
-            { $group: { _id: '$sizes', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          colors: [
-            { $unwind: '$colors' },
-            { $group: { _id: '$colors', count: { $sum: 1 } } },
-            { $sort: { count: -1 } }
-          ],
-          availability: [
-            {
-              $group: {
-                _id: null,
-                inStock: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } },
-                outOfStock: { $sum: { $cond: [{ $eq: ['$stock', 0] }, 1, 0] } }
-              }
-            }
-          ]
-        }
-      }
-    ]);
+    const { facets } = await searchProducts(req.query, { includeResults: false });
 
     res.json({
       success: true,
-      data: filters[0] || {}
+      data: facets
     });
   } catch (error) {
     console.error('Get search filters error:', error);
@@ -407,19 +221,35 @@ router.get('/recent', optionalAuth, async (req, res) => {
   }
 });
 
-// Track search query (for analytics)
+// Track a click on a search result ({ searchId, productId, position }).
+// Clients searching elsewhere can still report a whole search
+// ({ query, resultCount, filters }).
 router.post('/track', optionalAuth, async (req, res) => {
   try {
-    const { query, resultCount, filters } = req.body;
-
-    // In a real application, you would store this in a search analytics collection
-    console.log('Search tracked:', {
-      userId: req.user?._id,
-      query,
-      resultCount,
-      filters,
-      timestamp: new Date()
-    });
+    const { searchId, productId, position, query, resultCount, filters } = req.body;
+
+    if (searchId) {
+      const event = await searchAnalytics.recordClick(searchId, { productId, position });
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          error: 'Search not found'
+        });
+      }
+    } else if (query && typeof query === 'string') {
+      await searchAnalytics.recordSearch({
+        query,
+        userId: req.user ? req.user.userId : null,
+        guestKey: verifyCartToken(req.header('X-Cart-Token')),
+        resultCount: parseInt(resultCount) || 0,
+        filters
+      });
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'searchId and productId, or a query, are required'
+      });
+    }
 
     res.json({
       success: true,
@@ -437,22 +267,11 @@ router.post('/track', optionalAuth, async (req, res) => {
 // Get popular searches
 router.get('/popular', async (req, res) => {
   try {
-    // This could be implemented with a SearchHistory model
-    // For now, return static popular searches
-    const popularSearches = [
-      'casual shirt',
-      'formal wear',
-      'jeans',
-      'sneakers',
-      'accessories',
-      'winter wear',
-      'summer collection',
-      'ethnic wear'
-    ];
+    const popularSearches = await searchAnalytics.getPopularQueries();
 
     res.json({
       success: true,
-      data: popularSearches
+      data: popularSearches.length > 0 ? popularSearches : DEFAULT_POPULAR_SEARCHES
     });
   } catch (error) {
     console.error('Popular searches error:', error);
@@ -463,4 +282,290 @@ router.get('/popular', async (req, res) => {
   }
 });
 
+// Search report: top queries, zero-result queries, click-through and
+// conversion (Admin only)
+router.get('/analytics', adminAuth, async (req, res) => {
+  try {
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const report = await searchAnalytics.getSearchReport({ days, limit });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Search analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch search analytics'
+    });
+  }
+});
+
+// Search redirects (Admin only)
+router.get('/redirects', adminAuth, async (req, res) => {
+  try {
+    const redirects = await SearchRedirect.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: redirects
+    });
+  } catch (error) {
+    console.error('Get search redirects error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch redirects'
+    });
+  }
+});
+
+// Create a redirect, e.g. for a zero-result query from the report (Admin only)
+router.post('/redirects', adminAuth, async (req, res) => {
+  try {
+    const { query, url, isActive } = req.body;
+
+    const redirect = new SearchRedirect({
+      query: searchAnalytics.normalizeQuery(query),
+      url,
+      isActive,
+      createdBy: req.user._id
+    });
+    await redirect.save();
+
+    res.status(201).json({
+      success: true,
+      data: redirect,
+      message: 'Redirect created successfully'
+    });
+  } catch (error) {
+    console.error('Create search redirect error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A redirect for this query already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create redirect'
+    });
+  }
+});
+
+// Update redirect (Admin only)
+router.put('/redirects/:id', adminAuth, async (req, res) => {
+  try {
+    const redirect = await SearchRedirect.findById(req.params.id);
+    if (!redirect) {
+      return res.status(404).json({
+        success: false,
+        error: 'Redirect not found'
+      });
+    }
+
+    const { query, url, isActive } = req.body;
+    if (query !== undefined) {
+      redirect.query = searchAnalytics.normalizeQuery(query);
+    }
+    if (url !== undefined) {
+      redirect.url = url;
+    }
+    if (isActive !== undefined) {
+      redirect.isActive = isActive;
+    }
+    await redirect.save();
+
+    res.json({
+      success: true,
+      data: redirect,
+      message: 'Redirect updated successfully'
+    });
+  } catch (error) {
+    console.error('Update search redirect error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A redirect for this query already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update redirect'
+    });
+  }
+});
+
+// Delete redirect (Admin only)
+router.delete('/redirects/:id', adminAuth, async (req, res) => {
+  try {
+    const redirect = await SearchRedirect.findByIdAndDelete(req.params.id);
+    if (!redirect) {
+      return res.status(404).json({
+        success: false,
+        error: 'Redirect not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Redirect deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete search redirect error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete redirect'
+    });
+  }
+});
+
+// Synonym groups (Admin only)
+router.get('/synonyms', adminAuth, async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.find().sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: synonyms
+    });
+  } catch (error) {
+    console.error('Get search synonyms error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch synonyms'
+    });
+  }
+});
+
+// Create synonym group (Admin only)
+router.post('/synonyms', adminAuth, async (req, res) => {
+  try {
+    const { terms, isActive } = req.body;
+
+    const synonym = new SearchSynonym({ terms, isActive, createdBy: req.user._id });
+    await synonym.save();
+
+    res.status(201).json({
+      success: true,
+      data: synonym,
+      message: 'Synonyms created successfully'
+    });
+  } catch (error) {
+    console.error('Create search synonyms error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create synonyms'
+    });
+  }
+});
+
+// Update synonym group (Admin only)
+router.put('/synonyms/:id', adminAuth, async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findById(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        error: 'Synonyms not found'
+      });
+    }
+
+    const { terms, isActive } = req.body;
+    if (terms !== undefined) {
+      synonym.terms = terms;
+    }
+    if (isActive !== undefined) {
+      synonym.isActive = isActive;
+    }
+    await synonym.save();
+
+    res.json({
+      success: true,
+      data: synonym,
+      message: 'Synonyms updated successfully'
+    });
+  } catch (error) {
+    console.error('Update search synonyms error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: Object.values(error.errors).map(e => e.message)
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update synonyms'
+    });
+  }
+});
+
+// Delete synonym group (Admin only)
+router.delete('/synonyms/:id', adminAuth, async (req, res) => {
+  try {
+    const synonym = await SearchSynonym.findByIdAndDelete(req.params.id);
+    if (!synonym) {
+      return res.status(404).json({
+        success: false,
+        error: 'Synonyms not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Synonyms deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete search synonyms error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete synonyms'
+    });
+  }
+});
+
+// Rebuild the search index now, e.g. after a bulk import (Admin only)
+router.post('/index/rebuild', adminAuth, async (req, res) => {
+  try {
+    searchIndex.invalidate();
+    await searchIndex.ensureFresh();
+
+    res.json({
+      success: true,
+      data: { products: searchIndex.documents.size, builtAt: new Date(searchIndex.builtAt) },
+      message: 'Search index rebuilt'
+    });
+  } catch (error) {
+    console.error('Rebuild search index error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild search index'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
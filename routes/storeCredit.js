@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const { auth } = require('../middleware/auth');
+const { adminAuth } = require('../middleware/adminAuth');
+const { giftCardLimiter } = require('../middleware/rateLimit');
+const {
+  creditStoreCredit,
+  debitStoreCredit,
+  getStoreCreditBalance,
+  redeemGiftCard
+} = require('../utils/storeCredit');
+
+// Balance and ledger for a user
+const getWallet = async (userId, query) => {
+  const { page = 1, limit = 20 } = query;
+  const [balance, transactions, total] = await Promise.all([
+    getStoreCreditBalance(userId),
+    StoreCreditTransaction.find({ userId })
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit)),
+    StoreCreditTransaction.countDocuments({ userId })
+  ]);
+
+  return {
+    balance,
+    transactions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / parseInt(limit))
+    }
+  };
+};
+
+// Current user's store credit
+router.get('/', auth, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.user.userId, req.query);
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    console.error('Get store credit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch store credit'
+    });
+  }
+});
+
+// Redeem a gift card into the current user's store credit
+router.post('/redeem', auth, giftCardLimiter, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Gift card code is required'
+      });
+    }
+
+    const result = await redeemGiftCard(code, req.user.userId);
+
+    res.json({
+      success: true,
+      data: { amount: result.amount, balance: result.balance },
+      message: `৳${result.amount} added to your store credit`
+    });
+  } catch (error) {
+    console.error('Redeem gift card error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to redeem gift card',
+      code: error.code
+    });
+  }
+});
+
+// A customer's store credit (Admin only)
+router.get('/admin/:userId', adminAuth, async (req, res) => {
+  try {
+    const wallet = await getWallet(req.params.userId, req.query);
+
+    res.json({
+      success: true,
+      data: wallet
+    });
+  } catch (error) {
+    console.error('Get customer store credit error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch store credit'
+    });
+  }
+});
+
+// Manually add (positive amount) or remove (negative amount) store credit (Admin only)
+router.post('/admin/:userId/adjust', adminAuth, async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    if (typeof amount !== 'number' || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a non-zero number'
+      });
+    }
+
+    if (!note || typeof note !== 'string' || note.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'A note of up to 500 characters is required'
+      });
+    }
+
+    const details = { reason: 'adjustment', note: note.trim(), createdBy: req.user._id };
+    const result = amount > 0
+      ? await creditStoreCredit(req.params.userId, amount, details)
+      : await debitStoreCredit(req.params.userId, -amount, details);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Store credit adjusted successfully'
+    });
+  } catch (error) {
+    console.error('Adjust store credit error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to adjust store credit',
+      code: error.code
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+const { getGateway, getAdapter, resolveMethod, applyPaymentResult } = require('../utils/paymentGateways');
+const { getCourier } = require('../utils/couriers');
+const { applyCourierUpdate } = require('../utils/shipmentTracker');
+
+// Verify, de-duplicate and apply one payment callback. Unknown orders and
+// event types are acknowledged so providers stop retrying them.
+const handlePaymentCallback = async (provider, gateway, req, res) => {
+  let event;
+  try {
+    const callback = await gateway.verifyCallback(req);
+
+    if (!callback.valid) {
+      console.warn(`Rejected ${provider} payment callback: ${callback.reason}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    if (!callback.transactionId || !callback.status) {
+      // Signed but not a payment status change we act on
+      return res.json({ received: true, ignored: true });
+    }
+
+    let order = await Order.findOne({ transactionId: callback.transactionId });
+    if (!order && callback.orderId) {
+      order = await Order.findById(callback.orderId);
+    }
+
+    if (!order) {
+      console.warn(`No order found for ${provider} transaction ${callback.transactionId}`);
+      return res.json({ received: true, ignored: true });
+    }
+
+    event = await PaymentEvent.recordOnce(provider, callback.eventId || `${callback.transactionId}:${callback.status}`, {
+      type: callback.type || 'payment.callback',
+      orderId: order._id,
+      status: callback.status,
+      payload: callback.raw
+    });
+
+    if (!event) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    await applyPaymentResult(order, callback, { source: 'webhook' });
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`Payment webhook error (${provider}):`, error);
+
+    // Forget the event so the provider's retry is processed again
+    if (event) {
+      await PaymentEvent.deleteOne({ _id: event._id }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process payment callback'
+    });
+  }
+};
+
+// Stripe sends payment_intent.succeeded, payment_intent.payment_failed and
+// charge.refunded here. Always verified against STRIPE_WEBHOOK_SECRET, also
+// in development (use `stripe listen --forward-to`).
+router.post('/stripe', async (req, res) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    return res.status(503).json({
+      success: false,
+      error: 'Stripe webhooks are not configured'
+    });
+  }
+
+  return handlePaymentCallback('stripe', getAdapter('stripe'), req, res);
+});
+
+// Provider callbacks for the other gateways (and the local sandbox)
+router.post('/payments/:method', async (req, res) => {
+  const method = resolveMethod(req.params.method);
+  let gateway;
+
+  try {
+    gateway = getGateway(method);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  return handlePaymentCallback(method, gateway, req, res);
+});
+
+// Courier status updates. Out-of-order and repeated updates are dropped by
+// applyCourierUpdate, so retries are safe to process again.
+router.post('/couriers/:courier', async (req, res) => {
+  try {
+    const courier = getCourier(req.params.courier);
+    const update = await courier.verifyWebhook(req);
+
+    if (!update.valid) {
+      console.warn(`Rejected ${req.params.courier} courier webhook: ${update.reason}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    const order = update.consignmentId
+      ? await Order.findOne({ consignmentId: update.consignmentId })
+      : null;
+
+    if (!order) {
+      console.warn(`No order found for ${req.params.courier} consignment ${update.consignmentId}`);
+      return res.json({ received: true, ignored: true });
+    }
+
+    const { changed } = await applyCourierUpdate(order, update);
+
+    res.json({ received: true, ...(!changed && { duplicate: true }) });
+  } catch (error) {
+    console.error(`Courier webhook error (${req.params.courier}):`, error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to process courier webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Wishlist = require('../models/Wishlist');
+const WishlistAlert = require('../models/WishlistAlert');
 const { auth } = require('../middleware/auth');
+const { subscribe } = require('../utils/wishlistAlerts');
+const { verifyAlertUnsubscribeToken } = require('../utils/cartToken');
+const alertsConfig = require('../config/wishlistAlerts');
+
+// Wishlisting a product subscribes to its alerts; a failure there shouldn't
+// fail the wishlist change itself
+const subscribeToAlerts = async (userId, productIds) => {
+  try {
+    await Promise.all(productIds.map(productId => subscribe(userId, productId)));
+  } catch (error) {
+    console.error('Subscribe to wishlist alerts error:', error);
+  }
+};
 
 // Get user's wishlist
 router.get('/', auth, async (req, res) => {
@@ -40,6 +55,7 @@ router.post('/', auth, async (req, res) => {
 
     const wishlist = await Wishlist.findOrCreateByUserId(req.user.userId);
     await wishlist.addItem(productId, productData);
+    await subscribeToAlerts(req.user.userId, [productId]);
 
     res.json({
       success: true,
@@ -67,6 +83,9 @@ router.delete('/:productId', auth, async (req, res) => {
 
     const wishlist = await Wishlist.findOrCreateByUserId(req.user.userId);
     await wishlist.removeItem(productId);
+    if (mongoose.isValidObjectId(productId)) {
+      await WishlistAlert.deleteOne({ userId: req.user.userId, productId });
+    }
 
     res.json({
       success: true,
@@ -92,6 +111,7 @@ router.delete('/clear', auth, async (req, res) => {
   try {
     const wishlist = await Wishlist.findOrCreateByUserId(req.user.userId);
     await wishlist.clearAll();
+    await WishlistAlert.deleteMany({ userId: req.user.userId });
 
     res.json({
       success: true,
@@ -157,6 +177,13 @@ router.post('/sync', auth, async (req, res) => {
       await wishlist.addItem(productId.toString(), productData || {});
     }
 
+    const itemIds = wishlist.getItemIds();
+    await WishlistAlert.deleteMany({
+      userId: req.user.userId,
+      productId: { $nin: itemIds.filter(id => mongoose.isValidObjectId(id)) }
+    });
+    await subscribeToAlerts(req.user.userId, itemIds);
+
     res.json({
       success: true,
       message: 'Wishlist synced successfully',
@@ -176,6 +203,112 @@ router.post('/sync', auth, async (req, res) => {
   }
 });
 
+// Get alert settings for every wishlisted product
+router.get('/alerts', auth, async (req, res) => {
+  try {
+    const alerts = await WishlistAlert.find({ userId: req.user.userId })
+      .select('productId backInStock priceDrop priceDropPercent basePrice lastAlertAt')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        defaultPriceDropPercent: alertsConfig.priceDropPercent
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wishlist alerts',
+      error: error.message
+    });
+  }
+});
+
+// Turn a wishlisted product's alerts on or off, or set its price drop threshold
+router.put('/:productId/alerts', auth, async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { backInStock, priceDrop, priceDropPercent } = req.body;
+
+    const updates = {};
+    if (typeof backInStock === 'boolean') {
+      updates.backInStock = backInStock;
+    }
+    if (typeof priceDrop === 'boolean') {
+      updates.priceDrop = priceDrop;
+    }
+    if (priceDropPercent !== undefined) {
+      const percent = priceDropPercent === null ? null : Number(priceDropPercent);
+      if (percent !== null && !(percent >= alertsConfig.minPriceDropPercent && percent <= alertsConfig.maxPriceDropPercent)) {
+        return res.status(400).json({
+          success: false,
+          message: `Price drop threshold must be between ${alertsConfig.minPriceDropPercent}% and ${alertsConfig.maxPriceDropPercent}%`
+        });
+      }
+      updates.priceDropPercent = percent;
+    }
+
+    const alert = mongoose.isValidObjectId(productId) && await WishlistAlert.findOneAndUpdate(
+      { userId: req.user.userId, productId },
+      { $set: updates },
+      { new: true }
+    );
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product is not in your wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Wishlist alerts updated',
+      data: alert
+    });
+  } catch (error) {
+    console.error('Update wishlist alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update wishlist alerts',
+      error: error.message
+    });
+  }
+});
+
+// Stop alerts for one product from the link in an alert email, without
+// signing in
+router.post('/alerts/unsubscribe', async (req, res) => {
+  try {
+    const payload = verifyAlertUnsubscribeToken(req.body.token);
+    if (!payload) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+
+    await WishlistAlert.updateOne(
+      { userId: payload.userId, productId: payload.productId },
+      { $set: { backInStock: false, priceDrop: false } }
+    );
+
+    res.json({
+      success: true,
+      message: 'You will no longer get alerts for this product'
+    });
+  } catch (error) {
+    console.error('Unsubscribe wishlist alerts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe from alerts',
+      error: error.message
+    });
+  }
+});
+
 // Get wishlist statistics
 router.get('/stats', auth, async (req, res) => {
   try {
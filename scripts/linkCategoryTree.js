@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+require('dotenv').config();
+
+// One-off backfill for data created before categories kept their ancestor
+// path and products referenced their category: rebuilds every category's
+// ancestors and subcategories from parentCategory, then links products to
+// the category matching their category name.
+const linkCategoryTree = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for category tree backfill');
+
+    const categories = await Category.find().select('parentCategory').lean();
+    const parentOf = new Map(categories.map(category => [String(category._id), category.parentCategory]));
+
+    const categoryUpdates = categories.map(category => {
+      const ancestors = [];
+      const seen = new Set([String(category._id)]);
+      let parentId = category.parentCategory;
+      while (parentId && parentOf.has(String(parentId)) && !seen.has(String(parentId))) {
+        ancestors.unshift(parentId);
+        seen.add(String(parentId));
+        parentId = parentOf.get(String(parentId));
+      }
+      if (parentId && seen.has(String(parentId))) {
+        logger.warn('Category parent chain loops back on itself', { categoryId: category._id });
+      }
+
+      const subcategories = categories
+        .filter(child => child.parentCategory && String(child.parentCategory) === String(category._id))
+        .map(child => child._id);
+
+      return {
+        updateOne: {
+          filter: { _id: category._id },
+          update: { $set: { ancestors, subcategories } }
+        }
+      };
+    });
+    if (categoryUpdates.length > 0) {
+      await Category.bulkWrite(categoryUpdates);
+    }
+    logger.info(`Rebuilt ancestor paths for ${categoryUpdates.length} categories`);
+
+    const named = await Category.find().select('name');
+    let linked = 0;
+    for (const category of named) {
+      const result = await Product.updateMany(
+        { categoryId: null, category: category.name },
+        { $set: { categoryId: category._id } }
+      ).collation({ locale: 'en', strength: 2 });
+      linked += result.modifiedCount || 0;
+    }
+    logger.info(`Linked ${linked} products to their categories`);
+
+    const unlinked = await Product.distinct('category', { categoryId: null });
+    if (unlinked.length > 0) {
+      logger.warn('Products whose category name matches no category', { categories: unlinked });
+    }
+  } finally {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+  }
+};
+
+// Run backfill if called directly
+if (require.main === module) {
+  linkCategoryTree()
+    .then(() => {
+      console.log('✅ Category tree backfill completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Category tree backfill failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = linkCategoryTree;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { logger } = require('../utils/logger');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+require('dotenv').config();
+
+// Review titles are required; embedded reviews never had one
+const titleFrom = (comment, rating) => {
+  const text = String(comment || '').trim().replace(/\s+/g, ' ');
+  if (!text) {
+    return `${rating}-star review`;
+  }
+
+  const sentence = text.split(/(?<=[.!?।])\s/)[0];
+  if (sentence.length <= 100) {
+    return sentence;
+  }
+  return `${sentence.slice(0, 97).replace(/\s+\S*$/, '')}...`;
+};
+
+// A Review document for one review embedded in a product. Embedded reviews
+// were shown as soon as they were posted, so they arrive approved.
+const toReviewDocument = (productId, embedded) => ({
+  userId: embedded.user,
+  productId,
+  rating: Math.min(5, Math.max(1, Math.round(embedded.rating))),
+  title: titleFrom(embedded.comment, embedded.rating),
+  comment: String(embedded.comment || '').trim() || titleFrom('', embedded.rating),
+  verifiedPurchase: Boolean(embedded.verified),
+  helpfulVotes: embedded.helpful || 0,
+  status: 'approved',
+  createdAt: embedded.createdAt,
+  updatedAt: embedded.createdAt,
+  lastModified: embedded.createdAt
+});
+
+// One-off move of the reviews embedded in products (Product.reviews) into
+// the Review collection, which is now the only place reviews live. Safe to
+// re-run: a user's existing review of a product is kept, and a product's
+// embedded reviews are only removed once all of them are stored.
+const migrateEmbeddedReviews = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB for review migration');
+
+    // Product no longer declares `reviews`, so read the raw documents
+    const cursor = Product.collection.find(
+      { 'reviews.0': { $exists: true } },
+      { projection: { reviews: 1 } }
+    );
+
+    let moved = 0;
+    let kept = 0;
+    const synced = new Set();
+    for await (const product of cursor) {
+      const reviews = product.reviews.filter(embedded => embedded.user && embedded.rating);
+      if (reviews.length > 0) {
+        const result = await Review.bulkWrite(reviews.map(embedded => ({
+          updateOne: {
+            filter: { userId: embedded.user, productId: product._id },
+            update: { $setOnInsert: toReviewDocument(product._id, embedded) },
+            upsert: true,
+            timestamps: false
+          }
+        })));
+        moved += result.upsertedCount || 0;
+        kept += reviews.length - (result.upsertedCount || 0);
+      }
+
+      await Product.collection.updateOne({ _id: product._id }, { $unset: { reviews: '' } });
+      await Review.syncProductRating(product._id);
+      synced.add(String(product._id));
+    }
+    logger.info(`Moved ${moved} reviews from ${synced.size} products`);
+    if (kept > 0) {
+      logger.warn(`Kept ${kept} existing reviews by the same users instead of their embedded ones`);
+    }
+
+    // Bring every other reviewed product's figures up to date as well
+    const reviewed = (await Review.distinct('productId')).filter(productId => !synced.has(String(productId)));
+    for (const productId of reviewed) {
+      await Review.syncProductRating(productId);
+    }
+    logger.info(`Recomputed ratings for ${reviewed.length} more products`);
+  } finally {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateEmbeddedReviews()
+    .then(() => {
+      console.log('✅ Review migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Review migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateEmbeddedReviews, toReviewDocument };
@@ -136,6 +136,7 @@ const corsOptions = {
     'Authorization', 
     'X-Requested-With', 
     'X-CSRF-Token', 
+    'X-Cart-Token',
     'Accept', 
     'Origin',
     'Cache-Control',  // ✅ ADD THIS - Fixes CORS cache-control header error
@@ -144,7 +145,7 @@ const corsOptions = {
     'If-None-Match',
     'If-Modified-Since'
   ],
-  exposedHeaders: ['Content-Length', 'X-Total-Count', 'ETag', 'Last-Modified'],
+  exposedHeaders: ['Content-Length', 'X-Total-Count', 'ETag', 'Last-Modified', 'X-Cart-Token'],
   preflightContinue: false,
   optionsSuccessStatus: 200
 };
@@ -172,7 +173,7 @@ app.use((req, res, next) => {
   }
   
   res.header('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token, Accept, Origin, Cache-Control');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Cart-Token, Accept, Origin, Cache-Control');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400');
   
@@ -187,7 +188,7 @@ app.use((req, res, next) => {
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.get('Origin') || 'https://my-ecommerce-frontend-1osx.onrender.com');
   res.header('Access-Control-Allow-Methods', 'GET,HEAD,PUT,PATCH,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token, Accept, Origin, Cache-Control');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-CSRF-Token, X-Cart-Token, Accept, Origin, Cache-Control');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.sendStatus(200);
 });
@@ -213,6 +214,9 @@ app.use(generateCSRFToken());
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
+    // Keep the raw bytes for webhook signature verification
+    req.rawBody = buf;
+
     // Log large payloads for monitoring
     if (buf.length > 1024 * 1024) { // 1MB
       logger.logPerformance('large_payload', buf.length, {
@@ -280,13 +284,18 @@ const routes = [
   { path: '/api/orders', module: './routes/orders', cache: false },
   { path: '/api/wishlist', module: './routes/wishlist', cache: false },
   { path: '/api/cart', module: './routes/cart', cache: false },
+  { path: '/api/promotions', module: './routes/promotions', cache: false },
+  { path: '/api/gift-cards', module: './routes/giftCards', cache: false },
+  { path: '/api/store-credit', module: './routes/storeCredit', cache: false },
   { path: '/api/upload', module: './routes/upload', cache: false },
   { path: '/api/analytics', module: './routes/analytics', cache: true },
   { path: '/api/admin/analytics', module: './routes/adminAnalyticsRoutes', cache: true },
   { path: '/api/payments', module: './routes/payments', cache: false },
+  { path: '/api/webhooks', module: './routes/webhooks', cache: false },
   { path: '/api/admin', module: './routes/admin', cache: false },
   { path: '/api/notifications', module: './routes/notifications', cache: false },
   { path: '/api/search', module: './routes/search', cache: true },
+  { path: '/api/recommendations', module: './routes/recommendations', cache: false },
   // Theme Editor Routes - FIXED: Correct route paths
   { path: '/api/pages', module: './routes/pages', cache: false },
   { path: '/api/sections', module: './routes/sections', cache: false },
@@ -504,6 +513,8 @@ app.use((err, req, res, next) => {
 // Server startup with enhanced error handling
 const startServer = async () => {
   try {
+    require('./utils/paymentGateways').validatePaymentConfig();
+
     // Connect to MongoDB first
     await connectDB();
     logger.info('Database connection established');
@@ -574,6 +585,76 @@ const startServer = async () => {
       }
     }, 24 * 60 * 60 * 1000); // 24 hours
 
+    // Pull courier status for shipments still in transit
+    const { syncActiveShipments } = require('./utils/shipmentTracker');
+    const courierSyncMinutes = parseInt(process.env.COURIER_SYNC_INTERVAL_MINUTES, 10) || 30;
+    setInterval(async () => {
+      try {
+        const result = await syncActiveShipments();
+        if (result.updated > 0 || result.failed > 0) {
+          logger.logBusinessEvent('courier_sync', result);
+        }
+      } catch (error) {
+        logger.logError(error, { task: 'courier_sync' });
+      }
+    }, courierSyncMinutes * 60 * 1000);
+
+    // Abandoned cart reminders
+    const { runCartRecovery } = require('./utils/cartRecovery');
+    const cartRecoveryMinutes = parseInt(process.env.CART_RECOVERY_INTERVAL_MINUTES, 10) || 15;
+    setInterval(async () => {
+      try {
+        const result = await runCartRecovery();
+        if (result.sent > 0 || result.failed > 0) {
+          logger.logBusinessEvent('cart_recovery', result);
+        }
+      } catch (error) {
+        logger.logError(error, { task: 'cart_recovery' });
+      }
+    }, cartRecoveryMinutes * 60 * 1000);
+
+    // Review request emails for delivered orders
+    const { runReviewRequests } = require('./utils/reviewRequests');
+    const reviewRequestMinutes = parseInt(process.env.REVIEW_REQUEST_INTERVAL_MINUTES, 10) || 60;
+    setInterval(async () => {
+      try {
+        const result = await runReviewRequests();
+        if (result.sent > 0 || result.failed > 0) {
+          logger.logBusinessEvent('review_requests', result);
+        }
+      } catch (error) {
+        logger.logError(error, { task: 'review_requests' });
+      }
+    }, reviewRequestMinutes * 60 * 1000);
+
+    // Back-in-stock and price-drop alerts for wishlisted products
+    const { runWishlistAlerts } = require('./utils/wishlistAlerts');
+    const wishlistAlertMinutes = parseInt(process.env.WISHLIST_ALERTS_INTERVAL_MINUTES, 10) || 30;
+    setInterval(async () => {
+      try {
+        const result = await runWishlistAlerts();
+        if (result.sent > 0 || result.failed > 0) {
+          logger.logBusinessEvent('wishlist_alerts', result);
+        }
+      } catch (error) {
+        logger.logError(error, { task: 'wishlist_alerts' });
+      }
+    }, wishlistAlertMinutes * 60 * 1000);
+
+    // Recompute product recommendations into the cache
+    const { refreshRecommendations } = require('./utils/recommendations');
+    const recommendationsConfig = require('./config/recommendations');
+    const runRecommendations = async () => {
+      try {
+        const result = await refreshRecommendations();
+        logger.logBusinessEvent('recommendations_refresh', result);
+      } catch (error) {
+        logger.logError(error, { task: 'recommendations_refresh' });
+      }
+    };
+    runRecommendations();
+    setInterval(runRecommendations, recommendationsConfig.refreshIntervalMinutes * 60 * 1000);
+
     // Graceful shutdown handling
     const gracefulShutdown = async (signal) => {
       logger.logShutdown(signal);
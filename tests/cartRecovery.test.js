@@ -0,0 +1,61 @@
+jest.mock('../utils/emailScheduler', () => ({}));
+
+const { getDueStep } = require('../utils/cartRecovery');
+const { createRestoreToken, verifyRestoreToken } = require('../utils/cartToken');
+
+describe('Cart Recovery', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date('2026-03-10T12:00:00Z');
+  const config = {
+    minCartValue: 0,
+    maxIdleDays: 14,
+    steps: [
+      { step: 1, delayHours: 1 },
+      { step: 2, delayHours: 24 },
+      { step: 3, delayHours: 72, coupon: { discountType: 'percentage', discountValue: 10, validDays: 3 } }
+    ]
+  };
+  const idleCart = (hours, recovery = {}) => ({
+    items: [{ productId: 'p1', quantity: 1, price: 500 }],
+    subtotal: 500,
+    lastActivity: new Date(now - hours * HOUR),
+    recovery
+  });
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should send the first reminder once the cart is idle long enough', () => {
+    expect(getDueStep(idleCart(0.5), now, config)).toBeNull();
+    expect(getDueStep(idleCart(2), now, config).step).toBe(1);
+    expect(getDueStep(idleCart(24 * 20), now, config)).toBeNull();
+  });
+
+  it('should space out later reminders even for long idle carts', () => {
+    const cart = idleCart(80);
+    cart.recovery = { stepsSent: 1, idleSince: cart.lastActivity, lastSentAt: new Date(now - 2 * HOUR) };
+
+    expect(getDueStep(cart, now, config)).toBeNull();
+
+    cart.recovery.lastSentAt = new Date(now - 30 * HOUR);
+    expect(getDueStep(cart, now, config).step).toBe(2);
+  });
+
+  it('should restart after new activity and stop after an order', () => {
+    const cart = idleCart(2);
+    cart.recovery = { stepsSent: 3, idleSince: new Date(now - 100 * HOUR), lastSentAt: new Date(now - 20 * HOUR) };
+    expect(getDueStep(cart, now, config).step).toBe(1);
+
+    cart.recovery = { stepsSent: 1, idleSince: cart.lastActivity, recoveredOrderId: 'order1' };
+    expect(getDueStep(cart, now, config)).toBeNull();
+  });
+
+  it('should only restore from unexpired, untampered links', () => {
+    const token = createRestoreToken({ cartId: 'c1', campaignId: 'k1' }, HOUR);
+
+    expect(verifyRestoreToken(token).cartId).toBe('c1');
+    expect(verifyRestoreToken(`${token.split('.')[0]}x.${token.split('.')[1]}`)).toBeNull();
+    expect(verifyRestoreToken(createRestoreToken({ cartId: 'c1' }, -1))).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const { revalidateCart } = require('../utils/cartRevalidation');
+
+describe('Cart Re-validation', () => {
+  const shirt = new Product({ name: 'Shirt', price: 600, stock: 2, category: 'men', status: 'active' });
+  const cap = new Product({ name: 'Cap', price: 200, stock: 5, category: 'men', status: 'discontinued' });
+
+  const buildCart = () => new Cart({
+    userId: '507f1f77bcf86cd799439011',
+    items: [
+      { productId: shirt._id.toString(), quantity: 3, price: 500, productData: { name: 'Shirt' } },
+      { productId: cap._id.toString(), quantity: 1, price: 200, productData: { name: 'Cap' } }
+    ]
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockResolvedValue([shirt, cap]);
+    jest.spyOn(Promotion, 'getRunning').mockResolvedValue([]);
+    jest.spyOn(Cart.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should report stale lines without changing quantities', async () => {
+    const { cart, warnings } = await revalidateCart(buildCart());
+
+    expect(warnings.map(warning => warning.type)).toEqual(['price_changed', 'insufficient_stock', 'product_unavailable']);
+    expect(cart.items).toHaveLength(2);
+    expect(cart.items[0].price).toBe(600);
+    expect(cart.items[0].quantity).toBe(3);
+  });
+
+  it('should remove unavailable lines and clamp quantities with autoFix', async () => {
+    const { cart, warnings, changed } = await revalidateCart(buildCart(), { autoFix: true });
+
+    expect(changed).toBe(true);
+    expect(cart.items.map(item => [item.productId, item.quantity])).toEqual([[shirt._id.toString(), 2]]);
+    expect(warnings.find(warning => warning.type === 'insufficient_stock')).toMatchObject({
+      requestedQuantity: 3,
+      availableQuantity: 2,
+      fixed: true
+    });
+  });
+});
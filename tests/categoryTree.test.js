@@ -0,0 +1,67 @@
+const Category = require('../models/Category');
+const { buildCategoryTree, wouldCreateCycle } = require('../utils/categoryTree');
+
+describe('Category Tree', () => {
+  const categories = [
+    { _id: 'men', name: 'Men', parentCategory: null, ancestors: [] },
+    { _id: 'shirts', name: 'Shirts', parentCategory: 'men', ancestors: ['men'] },
+    { _id: 'formal', name: 'Formal', parentCategory: 'shirts', ancestors: ['men', 'shirts'] },
+    { _id: 'women', name: 'Women', parentCategory: null, ancestors: [] },
+    { _id: 'orphan', name: 'Orphan', parentCategory: 'hidden', ancestors: ['hidden'] }
+  ];
+
+  it('should nest categories and roll product counts up to every parent', () => {
+    const tree = buildCategoryTree(categories, new Map([['men', 2], ['shirts', 5], ['formal', 3], ['women', 4]]));
+
+    expect(tree.map(node => node.name)).toEqual(['Men', 'Women']);
+
+    const [men] = tree;
+    expect(men.productCount).toBe(2);
+    expect(men.totalProductCount).toBe(10);
+    expect(men.children[0].totalProductCount).toBe(8);
+    expect(men.children[0].children[0].totalProductCount).toBe(3);
+  });
+
+  it('should block moves under the category itself or its descendants', () => {
+    const [men, shirts, formal, women] = categories;
+
+    expect(wouldCreateCycle(men, men)).toBe(true);
+    expect(wouldCreateCycle(men, formal)).toBe(true);
+    expect(wouldCreateCycle(shirts, women)).toBe(false);
+    expect(wouldCreateCycle(formal, null)).toBe(false);
+  });
+
+  describe('moveTo', () => {
+    const men = new Category({ name: 'Men', slug: 'men', ancestors: [] });
+    const shirts = new Category({ name: 'Shirts', slug: 'shirts', parentCategory: men._id, ancestors: [men._id] });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should back out when the new parent moved after it was read', async () => {
+      const women = new Category({ name: 'Women', slug: 'women', ancestors: [] });
+      jest.spyOn(Category, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(shirts) });
+      const update = jest.spyOn(Category, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Category, 'countDocuments').mockResolvedValue(0);
+
+      await expect(women.moveTo(shirts._id)).rejects.toMatchObject({ code: 'CATEGORY_MOVE_CONFLICT' });
+
+      expect(update.mock.calls[0][0]).toEqual({
+        _id: women._id,
+        parentCategory: null,
+        ancestors: { $in: [[], null] }
+      });
+      expect(update.mock.calls[1][1]).toEqual({ $set: { parentCategory: null, ancestors: [] } });
+      expect(women.parentCategory).toBeNull();
+    });
+
+    it('should fail when the category itself moved after it was read', async () => {
+      const formal = new Category({ name: 'Formal', slug: 'formal', ancestors: [] });
+      jest.spyOn(Category, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(men) });
+      jest.spyOn(Category, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(formal.moveTo(men._id)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const Coupon = require('../models/Coupon');
+
+describe('Coupon Model', () => {
+  const buildCoupon = (overrides = {}) => new Coupon({
+    code: 'SAVE10',
+    description: 'Ten percent off',
+    discountType: 'percentage',
+    discountValue: 10,
+    validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    createdBy: '507f1f77bcf86cd799439011',
+    ...overrides
+  });
+
+  const cartItems = [
+    { productId: 'p1', category: 'shirts', price: 500, quantity: 2 },
+    { productId: 'p2', category: 'shoes', price: 1000, quantity: 1 }
+  ];
+
+  describe('canBeUsedBy', () => {
+    it('should accept a valid coupon', () => {
+      const coupon = buildCoupon();
+      const result = coupon.canBeUsedBy('507f1f77bcf86cd799439012', 2000, cartItems);
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject orders below the minimum amount', () => {
+      const coupon = buildCoupon({ minOrderAmount: 5000 });
+      const result = coupon.canBeUsedBy('507f1f77bcf86cd799439012', 2000, cartItems);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toContain('Minimum order amount');
+    });
+
+    it('should reject when no item matches the applicable categories', () => {
+      const coupon = buildCoupon({ applicableCategories: ['bags'] });
+      const result = coupon.canBeUsedBy('507f1f77bcf86cd799439012', 2000, cartItems);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('Coupon not applicable to items in cart');
+    });
+
+    it('should reject users who reached their usage limit', () => {
+      const userId = '507f1f77bcf86cd799439012';
+      const coupon = buildCoupon({ usedBy: [{ userId }] });
+      const result = coupon.canBeUsedBy(userId, 2000, cartItems);
+
+      expect(result.valid).toBe(false);
+      expect(result.reason).toBe('You have already used this coupon');
+    });
+  });
+
+  describe('getEligibleAmount', () => {
+    it('should only count items from applicable categories', () => {
+      const coupon = buildCoupon({ applicableCategories: ['shirts'] });
+
+      expect(coupon.getEligibleAmount(cartItems)).toBe(1000);
+    });
+
+    it('should skip excluded products', () => {
+      const coupon = buildCoupon({ excludedProducts: ['p2'] });
+
+      expect(coupon.getEligibleAmount(cartItems)).toBe(1000);
+    });
+
+    it('should read the category from cached cart product data', () => {
+      const coupon = buildCoupon({ applicableCategories: ['shoes'] });
+      const items = [{ productId: 'p2', productData: { category: 'shoes' }, price: 1000, quantity: 1 }];
+
+      expect(coupon.getEligibleAmount(items)).toBe(1000);
+    });
+  });
+
+  describe('calculateDiscount', () => {
+    it('should cap percentage discounts at maxDiscountAmount', () => {
+      const coupon = buildCoupon({ maxDiscountAmount: 50 });
+
+      expect(coupon.calculateDiscount(2000)).toBe(50);
+    });
+
+    it('should not let a fixed discount exceed the order amount', () => {
+      const coupon = buildCoupon({ discountType: 'fixed', discountValue: 500 });
+
+      expect(coupon.calculateDiscount(300)).toBe(300);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const Order = require('../models/Order');
+const { getCourier } = require('../utils/couriers');
+const SteadfastCourier = require('../utils/couriers/steadfast');
+const { getTransitionPath } = require('../utils/orderStateMachine');
+
+describe('Couriers', () => {
+  const order = {
+    _id: 'order1',
+    orderNumber: 'ORD-1',
+    paymentMethod: 'cod',
+    paymentStatus: 'pending',
+    totalAmount: 1200,
+    shippingAddress: { name: 'Rahim', phone: '01700000000', address: 'House 1', city: 'Dhaka' }
+  };
+
+  it('should use the mock for unconfigured couriers outside production', () => {
+    const courier = getCourier('steadfast');
+    expect(courier.mock).toBe(true);
+    expect(() => getCourier('unknown')).toThrow('Unsupported courier');
+  });
+
+  it('should advance a mock shipment one step per poll', async () => {
+    const courier = getCourier('redx');
+    const shipment = await courier.createShipment(order);
+
+    expect(shipment.status).toBe('booked');
+    expect((await courier.track(shipment)).status).toBe('picked_up');
+    expect((await courier.track(shipment)).status).toBe('in_transit');
+  });
+
+  it('should map courier wording to shipment statuses', () => {
+    const steadfast = new SteadfastCourier();
+    expect(steadfast.mapStatus('delivered_approval_pending')).toBe('delivered');
+    expect(steadfast.mapStatus('Hold')).toBe('on_hold');
+  });
+
+  it('should collect only what store credit did not cover on COD orders', () => {
+    const steadfast = new SteadfastCourier();
+    const codOrder = (overrides = {}) => new Order({ ...order, _id: undefined, ...overrides });
+
+    expect(steadfast.getCollectAmount(codOrder())).toBe(1200);
+    expect(steadfast.getCollectAmount(codOrder({ storeCreditApplied: 450 }))).toBe(750);
+    expect(steadfast.getCollectAmount(codOrder({ paymentStatus: 'paid' }))).toBe(0);
+    expect(steadfast.getCollectAmount(codOrder({ paymentMethod: 'bkash', storeCreditApplied: 450 }))).toBe(0);
+  });
+
+  it('should find the shortest path between order statuses', () => {
+    expect(getTransitionPath('packed', 'delivered')).toEqual(['shipped', 'delivered']);
+    expect(getTransitionPath('confirmed', 'shipped')).toEqual(['packed', 'shipped']);
+    expect(getTransitionPath('delivered', 'shipped')).toBeNull();
+    expect(getTransitionPath('shipped', 'shipped')).toEqual([]);
+  });
+});
@@ -0,0 +1,41 @@
+const Cart = require('../models/Cart');
+const Promotion = require('../models/Promotion');
+const { createCartToken, verifyCartToken } = require('../utils/cartToken');
+
+describe('Guest Carts', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should only accept cart tokens it signed', () => {
+    const { key, token } = createCartToken();
+
+    expect(verifyCartToken(token)).toBe(key);
+    expect(verifyCartToken(`${key}.forged`)).toBeNull();
+    expect(verifyCartToken(`${createCartToken().key}.${token.split('.')[1]}`)).toBeNull();
+    expect(verifyCartToken(undefined)).toBeNull();
+  });
+
+  it('should merge guest lines into the user cart, capped at stock', async () => {
+    jest.spyOn(Promotion, 'getRunning').mockResolvedValue([]);
+    const line = (productId, quantity, maxQuantity) => ({
+      productId,
+      quantity,
+      price: 500,
+      productData: { name: productId, maxQuantity }
+    });
+    const userCart = new Cart({ userId: '507f1f77bcf86cd799439011', items: [line('shirt', 2, 3)] });
+    const guestCart = new Cart({
+      guestKey: 'abc',
+      items: [line('shirt', 2, 3), line('cap', 1, 10)],
+      shippingAddress: { name: 'Guest', address: 'House 1', city: 'Dhaka' },
+      appliedCoupons: [{ code: 'WELCOME', discountAmount: 50, discountType: 'fixed' }]
+    });
+
+    await userCart.mergeItems(guestCart);
+
+    expect(userCart.items.map(item => [item.productId, item.quantity])).toEqual([['shirt', 3], ['cap', 1]]);
+    expect(userCart.shippingAddress.city).toBe('Dhaka');
+    expect(userCart.appliedCoupons).toHaveLength(0);
+  });
+});
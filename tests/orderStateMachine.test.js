@@ -0,0 +1,70 @@
+const Order = require('../models/Order');
+const { canTransition, transitionOrder } = require('../utils/orderStateMachine');
+
+describe('Order State Machine', () => {
+  const buildOrder = (overrides = {}) => new Order({
+    orderNumber: 'ORD1001',
+    userId: '507f1f77bcf86cd799439011',
+    items: [
+      { productId: '507f1f77bcf86cd799439021', name: 'Shirt', price: 500, quantity: 2, image: 'shirt.jpg' }
+    ],
+    subtotal: 1000,
+    totalAmount: 1000,
+    shippingAddress: { name: 'Test', phone: '01700000000', address: 'House 1, Road 2', city: 'Dhaka' },
+    paymentMethod: 'bkash',
+    ...overrides
+  });
+
+  describe('canTransition', () => {
+    it('should follow the order lifecycle', () => {
+      expect(canTransition('pending', 'confirmed')).toBe(true);
+      expect(canTransition('packed', 'shipped')).toBe(true);
+      expect(canTransition('delivered', 'return_requested')).toBe(true);
+    });
+
+    it('should not allow skipping back or leaving final states', () => {
+      expect(canTransition('shipped', 'pending')).toBe(false);
+      expect(canTransition('pending', 'delivered')).toBe(false);
+      expect(canTransition('cancelled', 'confirmed')).toBe(false);
+    });
+  });
+
+  describe('transitionOrder', () => {
+    it('should reject transitions outside the lifecycle', async () => {
+      const order = buildOrder({ orderStatus: 'delivered' });
+
+      await expect(transitionOrder(order, 'pending', { actor: 'admin' }))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', statusCode: 400 });
+    });
+
+    it('should not confirm unpaid online orders', async () => {
+      const order = buildOrder({ paymentStatus: 'pending' });
+
+      await expect(transitionOrder(order, 'confirmed', { actor: 'admin' }))
+        .rejects.toMatchObject({ code: 'TRANSITION_GUARD_FAILED' });
+    });
+
+    it('should only let customers confirm Cash on Delivery orders', async () => {
+      await expect(transitionOrder(buildOrder({ paymentStatus: 'paid' }), 'confirmed', { actor: 'customer' }))
+        .rejects.toMatchObject({ code: 'TRANSITION_GUARD_FAILED' });
+    });
+
+    it('should not let customers ship or cancel shipped orders', async () => {
+      await expect(transitionOrder(buildOrder({ orderStatus: 'packed' }), 'shipped', { actor: 'customer' }))
+        .rejects.toMatchObject({ code: 'TRANSITION_NOT_PERMITTED', statusCode: 403 });
+
+      await expect(transitionOrder(buildOrder({ orderStatus: 'packed' }), 'cancelled', { actor: 'customer' }))
+        .rejects.toMatchObject({ code: 'TRANSITION_GUARD_FAILED' });
+    });
+
+    it('should refuse return requests after the return window', async () => {
+      const order = buildOrder({
+        orderStatus: 'delivered',
+        actualDelivery: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000)
+      });
+
+      await expect(transitionOrder(order, 'return_requested', { actor: 'customer' }))
+        .rejects.toMatchObject({ code: 'TRANSITION_GUARD_FAILED' });
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const Order = require('../models/Order');
+const SandboxGateway = require('../utils/paymentGateways/sandbox');
+const StripeGateway = require('../utils/paymentGateways/stripe');
+const { applyPaymentResult, getGateway, validatePaymentConfig } = require('../utils/paymentGateways');
+
+describe('Sandbox Payment Gateway', () => {
+  const order = { _id: '507f1f77bcf86cd799439011', orderNumber: 'ORD1001', totalAmount: 1500 };
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.PAYMENT_SANDBOX_SECRET = 'test-sandbox-secret';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const buildRequest = (gateway, rawBody, signature) => ({
+    rawBody: Buffer.from(rawBody),
+    body: JSON.parse(rawBody),
+    get: (header) => (header === gateway.signatureHeader ? signature : undefined)
+  });
+
+  it('should keep initiated payments pending until simulated', async () => {
+    const gateway = new SandboxGateway('bkash', 'bKash');
+    const payment = await gateway.initiate(order);
+    const result = await gateway.query(payment.transactionId);
+
+    expect(result.status).toBe('pending');
+    expect(result.amount).toBe(1500);
+  });
+
+  it('should accept a correctly signed callback', async () => {
+    const gateway = new SandboxGateway('nagad', 'Nagad');
+    const payment = await gateway.initiate(order);
+    const callback = gateway.simulate(payment.transactionId, 'paid');
+    const rawBody = JSON.stringify(callback.payload);
+
+    const result = await gateway.verifyCallback(buildRequest(gateway, rawBody, callback.signature));
+
+    expect(result.valid).toBe(true);
+    expect(result.status).toBe('paid');
+    expect(result.transactionId).toBe(payment.transactionId);
+  });
+
+  it('should reject a tampered callback', async () => {
+    const gateway = new SandboxGateway('rocket', 'Rocket');
+    const payment = await gateway.initiate(order);
+    const callback = gateway.simulate(payment.transactionId, 'paid');
+    const rawBody = JSON.stringify({ ...callback.payload, amount: 1 });
+
+    const result = await gateway.verifyCallback(buildRequest(gateway, rawBody, callback.signature));
+
+    expect(result.valid).toBe(false);
+  });
+
+  it('should require a sandbox secret', () => {
+    delete process.env.PAYMENT_SANDBOX_SECRET;
+
+    expect(() => new SandboxGateway('bkash', 'bKash')).toThrow('PAYMENT_SANDBOX_SECRET');
+  });
+
+  it('should only stand in for gateways when sandbox mode is set', () => {
+    delete process.env.PAYMENT_GATEWAY_MODE;
+
+    expect(() => getGateway('bkash')).toThrow('bKash is not configured');
+
+    process.env.PAYMENT_GATEWAY_MODE = 'sandbox';
+    expect(getGateway('bkash').sandbox).toBe(true);
+  });
+
+  it('should refuse sandbox mode without a secret or in production', () => {
+    expect(() => validatePaymentConfig()).not.toThrow();
+
+    process.env.PAYMENT_GATEWAY_MODE = 'sandbox';
+    expect(() => validatePaymentConfig()).not.toThrow();
+
+    delete process.env.PAYMENT_SANDBOX_SECRET;
+    expect(() => validatePaymentConfig()).toThrow('PAYMENT_SANDBOX_SECRET');
+
+    process.env.PAYMENT_SANDBOX_SECRET = 'test-sandbox-secret';
+    process.env.NODE_ENV = 'production';
+    expect(() => validatePaymentConfig()).toThrow('not allowed in production');
+  });
+});
+
+describe('Stripe Payment Gateway', () => {
+  const secret = 'whsec_test_secret';
+  let gateway;
+
+  beforeEach(() => {
+    process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+    process.env.STRIPE_WEBHOOK_SECRET = secret;
+    gateway = new StripeGateway();
+  });
+
+  afterEach(() => {
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+  });
+
+  const buildEvent = (type, object) => {
+    const payload = JSON.stringify({ id: `evt_${type}`, type, data: { object } });
+    const signature = gateway.stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    return {
+      rawBody: Buffer.from(payload),
+      get: (header) => (header === 'stripe-signature' ? signature : undefined)
+    };
+  };
+
+  it('should map a succeeded payment intent to paid', async () => {
+    const req = buildEvent('payment_intent.succeeded', {
+      id: 'pi_1',
+      amount_received: 150000,
+      latest_charge: 'ch_1',
+      metadata: { orderId: '507f1f77bcf86cd799439011' }
+    });
+
+    const result = await gateway.verifyCallback(req);
+
+    expect(result).toMatchObject({
+      valid: true,
+      eventId: 'evt_payment_intent.succeeded',
+      status: 'paid',
+      transactionId: 'pi_1',
+      orderId: '507f1f77bcf86cd799439011',
+      amount: 1500
+    });
+  });
+
+  it('should distinguish partial from full refunds', async () => {
+    const partial = await gateway.verifyCallback(buildEvent('charge.refunded', {
+      id: 'ch_1', payment_intent: 'pi_1', amount: 150000, amount_refunded: 50000, metadata: {}
+    }));
+    const full = await gateway.verifyCallback(buildEvent('charge.refunded', {
+      id: 'ch_1', payment_intent: 'pi_1', amount: 150000, amount_refunded: 150000, metadata: {}
+    }));
+
+    expect(partial.status).toBe('partially_refunded');
+    expect(partial.refundAmount).toBe(500);
+    expect(full.status).toBe('refunded');
+  });
+
+  it('should reject events with a bad signature', async () => {
+    const req = buildEvent('payment_intent.succeeded', { id: 'pi_1' });
+    req.rawBody = Buffer.from(req.rawBody.toString().replace('pi_1', 'pi_2'));
+
+    const result = await gateway.verifyCallback(req);
+
+    expect(result.valid).toBe(false);
+  });
+});
+
+describe('Applying payment results', () => {
+  const buildOrder = () => new Order({
+    orderNumber: 'ORD1001',
+    userId: '507f1f77bcf86cd799439011',
+    items: [
+      { productId: '507f1f77bcf86cd799439021', name: 'Shirt', price: 1500, quantity: 1, image: 'shirt.jpg' }
+    ],
+    subtotal: 1500,
+    totalAmount: 1500,
+    storeCreditApplied: 500,
+    paymentMethod: 'bkash',
+    orderStatus: 'confirmed',
+    shippingAddress: { name: 'Rahim', phone: '01700000000', address: 'House 1', city: 'Dhaka' }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should leave a short-paid order unpaid and flag it', async () => {
+    const order = buildOrder();
+    const paidUpdate = jest.spyOn(Order, 'findOneAndUpdate');
+    const flagUpdate = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const updated = await applyPaymentResult(order, { status: 'paid', amount: 900, transactionId: 'TX1' });
+
+    expect(updated).toBeNull();
+    expect(paidUpdate).not.toHaveBeenCalled();
+    const [, update] = flagUpdate.mock.calls[0];
+    expect(update.$set['paymentMetadata.underpayment']).toEqual(expect.objectContaining({
+      amount: 900,
+      amountDue: 1000,
+      transactionId: 'TX1'
+    }));
+    expect(update.$set.paymentStatus).toBeUndefined();
+  });
+
+  it('should mark the order paid once the amount due is covered', async () => {
+    const order = buildOrder();
+    const paid = buildOrder();
+    paid.paymentStatus = 'paid';
+    const paidUpdate = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(paid);
+
+    const updated = await applyPaymentResult(order, { status: 'paid', amount: 1000, transactionId: 'TX1' });
+
+    expect(updated).toBe(paid);
+    const [, update] = paidUpdate.mock.calls[0];
+    expect(update.$set.paymentStatus).toBe('paid');
+    expect(update.$push.trackingHistory.description).toBe('Payment of ৳1000 received via bkash');
+  });
+
+  it('should count store credit refunds towards the refunded total', async () => {
+    const order = buildOrder();
+    order.paymentStatus = 'paid';
+    const refundUpdate = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+
+    // Stripe calls a full refund of the card charge "refunded"
+    await applyPaymentResult(order, { status: 'refunded', refundAmount: 1000 });
+
+    let [filter, update] = refundUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ refundAmount: { $lt: 1000 }, storeCreditRefunded: 0 });
+    expect(update.$set).toMatchObject({ paymentStatus: 'partially_refunded', refundAmount: 1000 });
+
+    order.paymentStatus = 'partially_refunded';
+    order.storeCreditRefunded = 500;
+    order.refundAmount = 500;
+    await applyPaymentResult(order, { status: 'refunded', refundAmount: 1000 });
+
+    [filter, update] = refundUpdate.mock.calls[1];
+    expect(filter).toMatchObject({ refundAmount: { $lt: 1500 }, storeCreditRefunded: 500 });
+    expect(update.$set).toMatchObject({ paymentStatus: 'refunded', refundAmount: 1500 });
+  });
+});
@@ -0,0 +1,32 @@
+const { buildFilterConditions, buildFacetPipelines, formatFacets, matchExcept } = require('../utils/productSearch');
+
+describe('Product Search', () => {
+  it('should count each facet against every filter except its own', () => {
+    const conditions = buildFilterConditions({ brand: ['Aarong', 'Yellow'], sizes: 'M', minPrice: '500' });
+    const facets = buildFacetPipelines(conditions);
+
+    expect(facets.brands[0].$match).toEqual({
+      $and: [{ price: { $gte: 500 } }, { sizes: { $in: ['M'] } }]
+    });
+    expect(facets.sizes[0].$match.$and).toContainEqual({ brand: { $in: ['Aarong', 'Yellow'] } });
+    expect(facets.sizes[0].$match.$and).not.toContainEqual({ sizes: { $in: ['M'] } });
+    expect(matchExcept({})).toEqual({});
+  });
+
+  it('should shape price buckets and cumulative rating and discount counts', () => {
+    const facets = formatFacets({
+      brands: [{ _id: 'Aarong', count: 3 }],
+      price: [{ _id: 500, count: 2 }, { _id: 10000, count: 1 }],
+      rating: [{ _id: null, gte4: 2, gte3: 5, gte2: 5, gte1: 6 }],
+      discount: [{ _id: null, gte10: 4, gte20: 1, gte30: 0, gte50: 0 }]
+    });
+
+    expect(facets.brands).toEqual([{ value: 'Aarong', count: 3 }]);
+    expect(facets.price).toEqual([
+      { min: 500, max: 1000, count: 2 },
+      { min: 10000, max: null, count: 1 }
+    ]);
+    expect(facets.rating.map(entry => entry.min)).toEqual([4, 3, 2, 1]);
+    expect(facets.discount).toEqual([{ min: 10, count: 4 }, { min: 20, count: 1 }]);
+  });
+});
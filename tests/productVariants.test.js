@@ -0,0 +1,94 @@
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const { reserveStock } = require('../utils/stockReservation');
+
+describe('Product Variants', () => {
+  // The top-level stock is deliberately out of line with the variants so the
+  // tests show which one is read
+  const buildProduct = () => new Product({
+    name: 'Shirt',
+    description: 'Cotton shirt',
+    price: 500,
+    sku: 'SHIRT',
+    category: 'men',
+    stock: 100,
+    lowStockThreshold: 5,
+    images: ['shirt.jpg'],
+    variants: [
+      { size: 'M', color: 'red', sku: 'SHIRT-M-RED', stock: 3, price: 550, images: ['shirt-red.jpg'] },
+      { size: 'L', color: 'blue', sku: 'SHIRT-L-BLUE', stock: 20 },
+      { sku: 'SHIRT-GIFT', stock: 0 }
+    ]
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer the SKU over size and color', () => {
+    const product = buildProduct();
+
+    expect(product.findVariant({ sku: 'SHIRT-L-BLUE', size: 'M', color: 'red' }).sku).toBe('SHIRT-L-BLUE');
+    expect(product.findVariant({ sku: 'UNKNOWN', size: 'M', color: 'red' }).sku).toBe('SHIRT-M-RED');
+    expect(product.findVariant({ size: 'M', color: 'blue' }).sku).toBe('SHIRT-GIFT');
+  });
+
+  it('should match a variant without size or color to any choice', () => {
+    const product = new Product({
+      name: 'Gift Box',
+      price: 300,
+      category: 'gifts',
+      variants: [{ sku: 'GIFT-BOX', stock: 4 }]
+    });
+
+    expect(product.findVariant({ size: 'XL', color: 'green' }).sku).toBe('GIFT-BOX');
+    expect(product.findVariant().sku).toBe('GIFT-BOX');
+  });
+
+  it('should price and stock variants on their own', () => {
+    const product = buildProduct();
+    const [red, blue] = product.variants;
+
+    expect(product.getEffectivePrice(red)).toBe(550);
+    expect(product.getEffectivePrice(blue)).toBe(500);
+    expect(product.getEffectivePrice()).toBe(500);
+    expect(product.getAvailableStock(red)).toBe(3);
+    expect(product.getAvailableStock()).toBe(100);
+    expect(product.getLowStockVariants().map(variant => variant.sku)).toEqual(['SHIRT-M-RED', 'SHIRT-GIFT']);
+  });
+
+  it('should snapshot the variant into the cart line', () => {
+    const product = buildProduct();
+    const red = product.variants[0];
+
+    expect(Cart.snapshotProduct(product, red)).toMatchObject({
+      variantId: red._id.toString(),
+      sku: 'SHIRT-M-RED',
+      price: 550,
+      productData: { images: ['shirt-red.jpg'], inStock: true, maxQuantity: 3 }
+    });
+    expect(Cart.snapshotProduct(product, product.variants[2]).productData).toMatchObject({
+      images: ['shirt.jpg'],
+      inStock: false,
+      maxQuantity: 0
+    });
+  });
+
+  it('should reserve variant stock on the variant itself', async () => {
+    const product = buildProduct();
+    const red = product.variants[0];
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue({ _id: product._id, stock: 99 });
+
+    await reserveStock([{ productId: product._id, variantId: red._id, quantity: 2 }]);
+
+    expect(update).toHaveBeenCalledWith(
+      {
+        _id: product._id,
+        stock: { $gte: 2 },
+        variants: { $elemMatch: { _id: red._id, stock: { $gte: 2 } } }
+      },
+      { $inc: { stock: -2, salesCount: 2, 'variants.$.stock': -2 } },
+      { new: true }
+    );
+  });
+});
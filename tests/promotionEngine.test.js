@@ -0,0 +1,68 @@
+const { evaluatePromotions, applyLineDiscounts } = require('../utils/promotionEngine');
+
+describe('Promotion Engine', () => {
+  const items = [
+    { productId: 'shirt', category: 'men', price: 1000, quantity: 2 },
+    { productId: 'cap', category: 'accessories', price: 300, quantity: 1 },
+    { productId: 'belt', category: 'accessories', price: 500, quantity: 1 }
+  ];
+
+  const promotion = (fields) => ({ _id: fields.name, isActive: true, priority: 0, ...fields });
+
+  it('should give the cheapest units of each group away with buy x get y', () => {
+    const result = evaluatePromotions({
+      items,
+      promotions: [promotion({ name: 'B2G1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 })]
+    });
+
+    // Units by price: 1000, 1000, 500 | 300 - one full group, the belt is free
+    expect(result.lines.map(line => line.promotionDiscount)).toEqual([0, 0, 500]);
+    expect(result.discount).toBe(500);
+  });
+
+  it('should let unit-level promotions claim units by priority and stack spend tiers on top', () => {
+    const result = evaluatePromotions({
+      items,
+      promotions: [
+        promotion({ name: 'Accessories 20%', type: 'category_sale', applicableCategories: ['accessories'], discountType: 'percentage', discountValue: 20, priority: 5 }),
+        promotion({ name: 'Accessories 50%', type: 'category_sale', applicableCategories: ['accessories'], discountType: 'percentage', discountValue: 50 }),
+        promotion({ name: 'Spend 2500', type: 'tiered_spend', tiers: [
+          { minAmount: 1000, discountType: 'fixed', discountValue: 100 },
+          { minAmount: 2500, discountType: 'fixed', discountValue: 300 }
+        ] })
+      ]
+    });
+
+    expect(result.applied.map(entry => [entry.name, entry.discount])).toEqual([
+      ['Accessories 20%', 160],
+      ['Spend 2500', 300]
+    ]);
+    expect(result.discount).toBe(460);
+  });
+
+  it('should price bundles and apply an exclusive promotion on its own', () => {
+    const bundle = promotion({ name: 'Cap + belt', type: 'bundle', bundleProducts: ['cap', 'belt'], bundlePrice: 600, priority: 10, exclusive: true });
+    const sale = promotion({ name: 'Sitewide 10%', type: 'category_sale', discountType: 'percentage', discountValue: 10 });
+
+    const result = evaluatePromotions({ items, promotions: [sale, bundle] });
+
+    expect(result.applied.map(entry => entry.name)).toEqual(['Cap + belt']);
+    expect(result.lines.map(line => line.promotionDiscount)).toEqual([0, 75, 125]);
+  });
+
+  it('should skip promotions that do not combine with coupons and add free gifts', () => {
+    const result = evaluatePromotions({
+      items,
+      hasCoupon: true,
+      promotions: [
+        promotion({ name: 'No coupons', type: 'category_sale', discountType: 'fixed', discountValue: 100, combinableWithCoupons: false }),
+        promotion({ name: 'Free tote', type: 'free_gift', giftProductId: 'tote', minSubtotal: 2000 }),
+        promotion({ name: 'Expired', type: 'category_sale', discountType: 'fixed', discountValue: 100, endsAt: new Date(Date.now() - 1000) })
+      ]
+    });
+
+    expect(result.discount).toBe(0);
+    expect(result.freeGifts).toEqual([{ promotionId: 'Free tote', productId: 'tote', quantity: 1 }]);
+    expect(applyLineDiscounts(items, result.lines)[0].price).toBe(1000);
+  });
+});
@@ -0,0 +1,48 @@
+jest.mock('../utils/analyticsTracker', () => ({}));
+jest.mock('../utils/cache', () => ({}));
+
+const { countCoOccurrences, buildProfile, scorePersonalPicks } = require('../utils/recommendations');
+
+describe('Recommendations', () => {
+  it('should count products bought together and drop rare pairs', () => {
+    const related = countCoOccurrences([
+      ['shirt', 'jeans', 'belt'],
+      ['shirt', 'jeans'],
+      ['shirt', 'belt', 'shirt'],
+      ['jeans', 'socks']
+    ], { minCount: 2, limit: 5 });
+
+    expect(related.get('shirt')).toEqual([
+      { productId: 'belt', count: 2 },
+      { productId: 'jeans', count: 2 }
+    ]);
+    expect(related.get('jeans')).toEqual([{ productId: 'shirt', count: 2 }]);
+    expect(related.has('socks')).toBe(false);
+  });
+
+  it('should rank picks by co-occurrence and the shopper\'s tastes', () => {
+    const profile = buildProfile({
+      purchased: [{ _id: 'owned', category: 'Shirts', brand: 'Aarong' }],
+      wishlisted: [],
+      preferences: { favoriteCategories: ['Panjabi'], brands: [], priceRange: { min: 500, max: 2000 } }
+    });
+    const candidates = [
+      { _id: 'owned', category: 'Shirts', brand: 'Aarong', price: 1000 },
+      { _id: 'panjabi', category: 'panjabi', brand: 'Other', price: 1500 },
+      { _id: 'shirt', category: 'Shirts', brand: 'Aarong', price: 5000 },
+      { _id: 'paired', category: 'Belts', brand: 'Other', price: 300 },
+      { _id: 'unrelated', category: 'Toys', brand: 'Other', price: 5000 }
+    ];
+
+    const picks = scorePersonalPicks({
+      candidates,
+      profile,
+      boughtTogether: new Map([['paired', 10]]),
+      alsoViewed: new Map(),
+      sales: new Map(),
+      limit: 10
+    });
+
+    expect(picks).toEqual(['paired', 'panjabi', 'shirt']);
+  });
+});
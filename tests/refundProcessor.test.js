@@ -0,0 +1,119 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const GiftCard = require('../models/GiftCard');
+const {
+  buildRefundLines,
+  getItemRefundAmount,
+  getRefundableAmount,
+  processRefund
+} = require('../utils/refundProcessor');
+
+describe('Refund Processor', () => {
+  const buildOrder = (overrides = {}) => new Order({
+    orderNumber: 'ORD1001',
+    userId: '507f1f77bcf86cd799439011',
+    items: [
+      { productId: '507f1f77bcf86cd799439021', name: 'Shirt', price: 500, quantity: 2, image: 'shirt.jpg' },
+      { productId: '507f1f77bcf86cd799439022', name: 'Shoes', price: 1000, quantity: 1, image: 'shoes.jpg' }
+    ],
+    subtotal: 2000,
+    discount: 200,
+    shippingCost: 100,
+    totalAmount: 1900,
+    shippingAddress: { name: 'Test', phone: '01700000000', address: 'House 1, Road 2', city: 'Dhaka' },
+    paymentMethod: 'card',
+    paymentStatus: 'paid',
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should spread the order discount across refunded items', () => {
+    const order = buildOrder();
+
+    expect(getItemRefundAmount(order, order.items[0], 1)).toBe(450);
+    expect(getItemRefundAmount(order, order.items[1], 1)).toBe(900);
+  });
+
+  it('should refund every unrefunded line when no items are given', () => {
+    const order = buildOrder();
+    order.items[0].refundedQuantity = 1;
+
+    const lines = buildRefundLines(order);
+
+    expect(lines.map(line => line.quantity)).toEqual([1, 1]);
+  });
+
+  it('should reject quantities above what is left to refund', () => {
+    const order = buildOrder();
+    order.items[0].refundedQuantity = 2;
+
+    expect(() => buildRefundLines(order, [{ itemId: order.items[0]._id, quantity: 1 }]))
+      .toThrow('Refundable quantity: 0');
+  });
+
+  it('should subtract previous refunds from the refundable amount', () => {
+    const order = buildOrder({ refundAmount: 450 });
+
+    expect(getRefundableAmount(order)).toBe(1450);
+  });
+
+  it('should give the claim back when the refund record cannot be saved', async () => {
+    const order = buildOrder({ paymentMethod: 'bkash' });
+    const line = order.items[0];
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+    const release = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Refund, 'create').mockRejectedValue(new Error('write failed'));
+
+    await expect(processRefund(order, { items: [{ itemId: line._id, quantity: 1 }] }))
+      .rejects.toThrow('write failed');
+
+    expect(release).toHaveBeenCalledWith(
+      { _id: order._id },
+      { $inc: { refundAmount: -450, 'items.$[i0].refundedQuantity': -1 } },
+      { arrayFilters: [{ 'i0._id': line._id }] }
+    );
+  });
+
+  it('should refuse to refund a gift card that was already redeemed', async () => {
+    const order = buildOrder({
+      paymentMethod: 'bkash',
+      giftCardsIssued: true,
+      items: [{
+        productId: '507f1f77bcf86cd799439023',
+        name: 'Gift Card',
+        price: 1000,
+        quantity: 2,
+        image: 'card.jpg',
+        giftCard: { recipientName: 'Rina', recipientEmail: 'rina@example.com' }
+      }],
+      subtotal: 2000,
+      discount: 0,
+      shippingCost: 0,
+      totalAmount: 2000
+    });
+    const line = order.items[0];
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+    const release = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const disable = jest.spyOn(GiftCard, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: 'card1' })
+      .mockResolvedValueOnce(null);
+    const enable = jest.spyOn(GiftCard, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    const create = jest.spyOn(Refund, 'create');
+
+    await expect(processRefund(order)).rejects.toMatchObject({ statusCode: 400, code: 'GIFT_CARD_REDEEMED' });
+
+    expect(disable).toHaveBeenCalledWith(
+      { orderId: order._id, orderItemId: line._id, status: 'active' },
+      { $set: { status: 'disabled' } }
+    );
+    expect(enable).toHaveBeenCalledWith(
+      { _id: { $in: ['card1'] }, status: 'disabled' },
+      { $set: { status: 'active' } }
+    );
+    expect(release.mock.calls[0][1]).toEqual({ $inc: { refundAmount: -2000, 'items.$[i0].refundedQuantity': -2 } });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  findProfanity,
+  findLinks,
+  fingerprint,
+  scoreReview,
+  decide
+} = require('../utils/reviewModeration');
+const config = require('../config/reviews').moderation;
+
+describe('Review moderation', () => {
+  it('should find profanity through common obfuscation', () => {
+    expect(findProfanity('What a load of BULLSH1T, fuuuuck this')).toHaveLength(2);
+    expect(findProfanity('kuttar bacha seller')).toHaveLength(1);
+    expect(findProfanity('একদম হারামি দোকান')).toEqual(['হারামি']);
+    expect(findProfanity('Dickens fans will love this classic edition')).toEqual([]);
+  });
+
+  it('should find links with or without a scheme', () => {
+    expect(findLinks('Cheaper at https://example.com/deal or bestprice.shop')).toHaveLength(2);
+    expect(findLinks('Size 4.5 fits well. Great product.')).toHaveLength(0);
+  });
+
+  it('should only fingerprint comments long enough to tell copies apart', () => {
+    expect(fingerprint('Good product')).toBeNull();
+    const comment = 'Fabric is soft and the colour is exactly as shown in the photos';
+    expect(fingerprint(comment)).toBe(fingerprint(comment.toUpperCase().replace(/ /g, '  ')));
+  });
+
+  it('should add up signals and decide by verified purchase', () => {
+    const clean = scoreReview({ text: 'Fits well and the stitching is neat' });
+    expect(clean).toEqual({ score: 0, signals: [] });
+    expect(decide(clean.score, { verifiedPurchase: false })).toBe('approved');
+
+    const reported = scoreReview({ text: 'Fits well', reportCount: 1 });
+    expect(reported.score).toBe(config.scores.report);
+    expect(decide(reported.score, { verifiedPurchase: true })).toBe('approved');
+    expect(decide(reported.score, { verifiedPurchase: false })).toBe('pending');
+
+    const spam = scoreReview({ text: 'Buy at www.cheap.xyz', duplicateCount: 3, recentCount: config.burstCount });
+    expect(spam.signals.map(signal => signal.signal)).toEqual(['links', 'duplicate', 'burst']);
+    expect(decide(spam.score, { verifiedPurchase: true })).toBe('quarantined');
+  });
+});
@@ -0,0 +1,33 @@
+const { getReviewableItems } = require('../utils/reviewRequests');
+const { createReviewToken, verifyReviewToken, createRestoreToken } = require('../utils/cartToken');
+
+describe('Review Requests', () => {
+  const HOUR = 60 * 60 * 1000;
+  const order = {
+    items: [
+      { productId: 'p1', name: 'Shirt', quantity: 2 },
+      { productId: 'p1', name: 'Shirt', quantity: 1, size: 'L' },
+      { productId: 'p2', name: 'Shoes', quantity: 1, refundedQuantity: 1 },
+      { productId: 'p3', name: 'Socks', quantity: 1, isFreeGift: true },
+      { productId: 'p4', name: 'Gift card', quantity: 1, giftCard: { recipientEmail: 'friend@example.com' } },
+      { productId: 'p5', name: 'Belt', quantity: 1 }
+    ]
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  it('should ask once per purchased product that is not reviewed yet', () => {
+    expect(getReviewableItems(order).map(item => item.productId)).toEqual(['p1', 'p5']);
+    expect(getReviewableItems(order, ['p1']).map(item => item.productId)).toEqual(['p5']);
+  });
+
+  it('should only accept review links signed for reviews', () => {
+    const token = createReviewToken({ userId: 'u1', productId: 'p1' }, HOUR);
+
+    expect(verifyReviewToken(token).productId).toBe('p1');
+    expect(verifyReviewToken(createRestoreToken({ userId: 'u1', productId: 'p1' }, HOUR))).toBeNull();
+    expect(verifyReviewToken(createReviewToken({ userId: 'u1' }, -1))).toBeNull();
+  });
+});
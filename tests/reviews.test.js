@@ -0,0 +1,88 @@
+const Review = require('../models/Review');
+const { toReviewDocument } = require('../scripts/migrateEmbeddedReviews');
+
+describe('Reviews', () => {
+  const PRODUCT = '507f1f77bcf86cd799439021';
+  const AUTHOR = '507f1f77bcf86cd799439011';
+  const VOTER = '507f1f77bcf86cd799439012';
+
+  it('should keep vote counts carried over from embedded reviews', () => {
+    const review = new Review({
+      userId: AUTHOR,
+      productId: PRODUCT,
+      rating: 4,
+      title: 'Good fit',
+      comment: 'Good fit',
+      helpfulVotes: 7
+    });
+
+    review.vote(VOTER, 'helpful');
+    expect(review.helpfulVotes).toBe(8);
+
+    review.vote(VOTER, 'unhelpful');
+    expect(review.helpfulVotes).toBe(7);
+    expect(review.unhelpfulVotes).toBe(1);
+    expect(review.voters).toHaveLength(1);
+  });
+
+  it('should turn an embedded review into an approved Review', () => {
+    const createdAt = new Date('2025-01-15T10:00:00Z');
+    const document = toReviewDocument(PRODUCT, {
+      user: AUTHOR,
+      name: 'Rahim',
+      rating: 5,
+      comment: 'Fabric is soft and the colour is exactly as shown. Will buy again!',
+      verified: true,
+      helpful: 3,
+      createdAt
+    });
+
+    expect(document).toEqual(expect.objectContaining({
+      userId: AUTHOR,
+      productId: PRODUCT,
+      rating: 5,
+      title: 'Fabric is soft and the colour is exactly as shown.',
+      verifiedPurchase: true,
+      helpfulVotes: 3,
+      status: 'approved',
+      createdAt
+    }));
+    expect(new Review(document).validateSync()).toBeUndefined();
+  });
+
+  it('should summarize aspects and call the sizing', () => {
+    const summary = Review.formatAspectSummary({
+      totalReviews: 4,
+      withPhotos: 1,
+      qualityAverage: 4.25,
+      qualityCount: 4,
+      sizingAverage: 4,
+      sizingCount: 3,
+      trueToSize: 1,
+      runsLarge: 2
+    });
+
+    expect(summary.aspects.quality).toEqual({ average: 4.3, count: 4 });
+    expect(summary.aspects.value).toEqual({ average: null, count: 0 });
+    expect(summary.sizing).toEqual({
+      verdict: 'runs_large',
+      average: 4,
+      count: 3,
+      percentages: { runsSmall: 0, trueToSize: 33, runsLarge: 67 }
+    });
+    expect(Review.formatAspectSummary(undefined).sizing.verdict).toBeNull();
+  });
+
+  it('should keep storage locations out of review JSON', () => {
+    const review = new Review({
+      userId: AUTHOR,
+      productId: PRODUCT,
+      rating: 5,
+      title: 'Lovely',
+      comment: 'Lovely',
+      images: [{ url: '/uploads/reviews/a.webp', storage: { path: '/srv/uploads/reviews/a.webp' } }]
+    });
+
+    expect(review.toJSON().images[0]).not.toHaveProperty('storage');
+  });
+});
@@ -0,0 +1,44 @@
+const { normalizeQuery, assignPurchaseCredit, withRates } = require('../utils/searchAnalytics');
+
+describe('Search Analytics', () => {
+  const SHIRT = '507f1f77bcf86cd799439021';
+  const JEANS = '507f1f77bcf86cd799439022';
+
+  it('should group queries that differ only in case and spacing', () => {
+    expect(normalizeQuery('  Red   Panjabi ')).toBe('red panjabi');
+    expect(normalizeQuery(undefined)).toBe('');
+  });
+
+  it('should credit each product bought to the latest search that led to it', () => {
+    const events = [
+      { _id: 'latest', clicks: [{ productId: SHIRT }], addedToCart: [] },
+      { _id: 'older', clicks: [{ productId: SHIRT }, { productId: JEANS }], addedToCart: [{ productId: JEANS }] }
+    ];
+    const items = [
+      { productId: SHIRT, price: 500, quantity: 2, promotionDiscount: 100 },
+      { productId: JEANS, price: 1200, quantity: 1 },
+      { productId: JEANS, price: 0, quantity: 1, isFreeGift: true }
+    ];
+
+    const credit = assignPurchaseCredit(events, items);
+
+    expect(credit.get('latest')).toEqual({ productIds: [SHIRT], revenue: 900 });
+    expect(credit.get('older')).toEqual({ productIds: [JEANS], revenue: 1200 });
+  });
+
+  it('should not credit searches that never showed the product', () => {
+    const credit = assignPurchaseCredit(
+      [{ _id: 'search', clicks: [{ productId: JEANS }] }],
+      [{ productId: SHIRT, price: 500, quantity: 1 }]
+    );
+
+    expect(credit.size).toBe(0);
+  });
+
+  it('should report rates per search', () => {
+    expect(withRates({ searches: 8, clicked: 4, addedToCart: 2, purchased: 1 })).toEqual(
+      expect.objectContaining({ clickThroughRate: 0.5, addToCartRate: 0.25, conversionRate: 0.125 })
+    );
+    expect(withRates({ searches: 0, clicked: 0, addedToCart: 0, purchased: 0 }).conversionRate).toBe(0);
+  });
+});
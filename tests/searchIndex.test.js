@@ -0,0 +1,40 @@
+const searchIndex = require('../utils/searchIndex');
+const { banglaToLatin, phoneticKey } = require('../utils/transliteration');
+
+describe('Search Index', () => {
+  beforeAll(() => {
+    searchIndex.load([
+      { _id: 'p1', name: 'Cotton Panjabi', brand: 'Aarong', category: 'Men', tags: ['eid'] },
+      { _id: 'p2', name: 'Silk Saree', brand: 'Tangail', category: 'Women' },
+      { _id: 'p3', name: 'Cotton Shirt', brand: 'Yellow', category: 'Men', description: 'Soft panjabi style collar' },
+      { _id: 'p4', name: 'জামদানি শাড়ি', brand: 'Tangail', category: 'Women' }
+    ], [['kurta', 'panjabi']]);
+  });
+
+  it('should transliterate Bangla and give Banglish spellings the same key', () => {
+    expect(banglaToLatin('পাঞ্জাবি')).toBe('panjabi');
+    expect(phoneticKey('kameez')).toBe(phoneticKey('কামিজ'));
+    expect(phoneticKey('shari')).toBe(phoneticKey('saree'));
+  });
+
+  it('should rank name matches above description matches and tolerate typos', () => {
+    expect(searchIndex.rank('panjabi').map(entry => entry._id)).toEqual(['p1', 'p3']);
+    expect(searchIndex.rank('panjbi')[0]._id).toBe('p1');
+    expect(searchIndex.rank('cotton panjabi')[0]._id).toBe('p1');
+  });
+
+  it('should match synonyms, prefixes and Bangla queries', () => {
+    expect(searchIndex.rank('kurta')[0]._id).toBe('p1');
+    expect(searchIndex.rank('sil').map(entry => entry._id)).toEqual(['p2']);
+    expect(searchIndex.rank('শাড়ি').map(entry => entry._id)).toEqual(expect.arrayContaining(['p2', 'p4']));
+  });
+
+  it('should update single products and suggest brands', () => {
+    searchIndex.update({ _id: 'p2', name: 'Silk Saree', brand: 'Tangail', status: 'draft', visibility: 'public' });
+
+    expect(searchIndex.rank('silk')).toEqual([]);
+    expect(searchIndex.suggest('tang').brands).toEqual(['Tangail']);
+    expect(searchIndex.affectsIndex({ $inc: { stock: -1 } })).toBe(false);
+    expect(searchIndex.affectsIndex({ $set: { name: 'New' } })).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+const Cart = require('../models/Cart');
+const Promotion = require('../models/Promotion');
+const { calculateShipping, resolveZone, getItemWeight } = require('../utils/shippingCalculator');
+
+describe('Shipping Calculator', () => {
+  const shirt = { dimensions: { weight: 0.3 }, quantity: 2 };
+
+  describe('resolveZone', () => {
+    it('should match the city, then the district', () => {
+      expect(resolveZone({ city: 'Dhaka' }).id).toBe('inside_dhaka');
+      expect(resolveZone({ city: 'Tongi', state: 'Gazipur' }).id).toBe('dhaka_suburbs');
+      expect(resolveZone({ city: 'Sylhet' }).id).toBe('outside_dhaka');
+    });
+  });
+
+  describe('getItemWeight', () => {
+    it('should charge the greater of actual and volumetric weight', () => {
+      expect(getItemWeight({ weight: 1, length: 50, width: 40, height: 10 })).toBe(4);
+      expect(getItemWeight({ weight: 2, length: 10, width: 10, height: 10 })).toBe(2);
+    });
+
+    it('should fall back to the default weight', () => {
+      expect(getItemWeight(undefined)).toBe(0.5);
+    });
+  });
+
+  describe('calculateShipping', () => {
+    it('should price by zone and weight', () => {
+      const inside = calculateShipping({ items: [shirt], address: { city: 'Dhaka' }, subtotal: 500 });
+      const outside = calculateShipping({
+        items: [{ dimensions: { weight: 2.5 }, quantity: 1 }],
+        address: { city: 'Khulna' },
+        subtotal: 500
+      });
+
+      expect(inside.cost).toBe(60);
+      expect(outside.cost).toBe(120 + 2 * 25);
+    });
+
+    it('should apply the zone free shipping threshold', () => {
+      const inside = calculateShipping({ items: [shirt], address: { city: 'Dhaka' }, subtotal: 1000 });
+      const outside = calculateShipping({ items: [shirt], address: { city: 'Khulna' }, subtotal: 1000 });
+
+      expect(inside.freeShipping).toBe(true);
+      expect(inside.cost).toBe(0);
+      expect(outside.freeShipping).toBe(false);
+      expect(outside.amountToFreeShipping).toBe(1000);
+    });
+
+    it('should only offer couriers that serve the zone', () => {
+      const quote = calculateShipping({ items: [shirt], address: { city: 'Khulna' }, subtotal: 500 });
+
+      expect(quote.options.map(option => option.courier)).toEqual(['steadfast', 'redx']);
+      expect(() => calculateShipping({ items: [shirt], address: { city: 'Khulna' }, courier: 'pathao' }))
+        .toThrow('not available');
+    });
+  });
+
+  it('should give the cart the same quote as checkout', async () => {
+    jest.spyOn(Promotion, 'getRunning').mockResolvedValue([]);
+    const cart = new Cart({
+      userId: '507f1f77bcf86cd799439011',
+      items: [{
+        productId: 'p1',
+        quantity: 2,
+        price: 300,
+        productData: { name: 'Shirt', dimensions: { weight: 0.3 } }
+      }],
+      shippingAddress: { city: 'Dhaka' }
+    });
+    await cart.calculateTotals();
+
+    const checkout = calculateShipping({ items: [shirt], address: { city: 'Dhaka' }, subtotal: 600 });
+
+    expect(cart.estimatedShipping).toBe(checkout.cost);
+  });
+});
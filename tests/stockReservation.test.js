@@ -0,0 +1,157 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const { reserveStock, releaseStock, restoreOrderStock } = require('../utils/stockReservation');
+const { transitionOrder } = require('../utils/orderStateMachine');
+
+describe('Stock Reservation', () => {
+  const shirtId = '507f1f77bcf86cd799439021';
+  const shoesId = '507f1f77bcf86cd799439022';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should roll back reserved lines when a later line is short', async () => {
+    const update = jest.spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce({ _id: shirtId, stock: 3 })
+      .mockResolvedValueOnce(null);
+    const restock = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Product, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ name: 'Shoes', stock: 1 })
+    });
+
+    const error = await reserveStock([
+      { productId: shirtId, quantity: 2 },
+      { productId: shoesId, quantity: 2 }
+    ]).catch(err => err);
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(error.code).toBe('INSUFFICIENT_STOCK');
+    expect(error.productId).toBe(shoesId);
+    expect(error.available).toBe(1);
+    expect(restock).toHaveBeenCalledTimes(1);
+    expect(restock).toHaveBeenCalledWith(
+      { _id: shirtId },
+      { $inc: { stock: 2, salesCount: -2 }, $set: { inStock: true } }
+    );
+  });
+
+  it('should put variant quantities back on the variant and the product', async () => {
+    const restock = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await releaseStock([
+      { productId: shirtId, quantity: 1 },
+      { productId: shoesId, variantId: '507f1f77bcf86cd799439031', quantity: 2 }
+    ]);
+
+    expect(restock).toHaveBeenCalledTimes(2);
+    expect(restock).toHaveBeenLastCalledWith(
+      { _id: shoesId, 'variants._id': '507f1f77bcf86cd799439031' },
+      { $inc: { stock: 2, salesCount: -2, 'variants.$.stock': 2 }, $set: { inStock: true } }
+    );
+  });
+
+  it('should restore an order\'s stock only once', async () => {
+    const order = new Order({
+      orderNumber: 'ORD1001',
+      userId: '507f1f77bcf86cd799439011',
+      items: [
+        { productId: shirtId, name: 'Shirt', price: 500, quantity: 3, restockedQuantity: 1, image: 'shirt.jpg' },
+        { productId: shoesId, name: 'Shoes', price: 1000, quantity: 1, restockedQuantity: 1, image: 'shoes.jpg' },
+        {
+          productId: '507f1f77bcf86cd799439023',
+          name: 'Gift Card',
+          price: 1000,
+          quantity: 1,
+          image: 'card.jpg',
+          giftCard: { recipientName: 'Rina', recipientEmail: 'rina@example.com' }
+        }
+      ],
+      subtotal: 3500,
+      totalAmount: 3500,
+      shippingAddress: { name: 'Test', phone: '01700000000', address: 'House 1, Road 2', city: 'Dhaka' },
+      paymentMethod: 'cod'
+    });
+    const claim = jest.spyOn(Order, 'findOneAndUpdate')
+      .mockResolvedValueOnce(order)
+      .mockResolvedValueOnce(null);
+    const restock = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await restoreOrderStock(order)).toBe(true);
+    expect(await restoreOrderStock(order)).toBe(false);
+
+    expect(claim).toHaveBeenCalledWith(
+      { _id: order._id, stockRestored: { $ne: true } },
+      { $set: { stockRestored: true } }
+    );
+    // Only the shirts not already restocked by a refund go back, and only
+    // once; gift cards were never taken from stock
+    expect(restock).toHaveBeenCalledTimes(1);
+    expect(restock.mock.calls[0][1].$inc).toEqual({ stock: 2, salesCount: -2 });
+    expect(order.stockRestored).toBe(true);
+  });
+
+  describe('on cancel and return', () => {
+    const buildOrder = (overrides = {}) => new Order({
+      orderNumber: 'ORD1002',
+      userId: '507f1f77bcf86cd799439011',
+      items: [{ productId: shirtId, name: 'Shirt', price: 500, quantity: 2, image: 'shirt.jpg' }],
+      subtotal: 1000,
+      totalAmount: 1000,
+      shippingAddress: { name: 'Test', phone: '01700000000', address: 'House 1, Road 2', city: 'Dhaka' },
+      paymentMethod: 'cod',
+      ...overrides
+    });
+
+    // Status changes apply to the order itself; the stock claim succeeds once
+    const mockOrderUpdates = (order) => {
+      let stockClaimed = false;
+      jest.spyOn(Order, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if ('stockRestored' in filter) {
+          if (stockClaimed) {
+            return null;
+          }
+          stockClaimed = true;
+          return order;
+        }
+        if (filter.orderStatus !== order.orderStatus) {
+          return null;
+        }
+        order.set(update.$set);
+        return order;
+      });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(Notification, 'createFromTemplate').mockResolvedValue({});
+    });
+
+    it('should put stock back once when an order is cancelled', async () => {
+      const order = buildOrder({ orderStatus: 'confirmed' });
+      const stale = buildOrder({ _id: order._id, orderStatus: 'confirmed' });
+      mockOrderUpdates(order);
+      const restock = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await transitionOrder(order, 'cancelled', { actor: 'customer' });
+      // A second cancel racing the first loses on the status check
+      await expect(transitionOrder(stale, 'cancelled', { actor: 'customer' }))
+        .rejects.toMatchObject({ code: 'STATUS_CONFLICT' });
+
+      expect(restock).toHaveBeenCalledTimes(1);
+      expect(restock.mock.calls[0][1].$inc).toEqual({ stock: 2, salesCount: -2 });
+    });
+
+    it('should put stock back once when a return is approved', async () => {
+      const order = buildOrder({ orderStatus: 'return_requested', paymentStatus: 'paid' });
+      mockOrderUpdates(order);
+      const restock = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await transitionOrder(order, 'returned', { actor: 'admin' });
+      expect(await restoreOrderStock(order)).toBe(false);
+
+      expect(order.orderStatus).toBe('returned');
+      expect(restock).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const Order = require('../models/Order');
+const GiftCard = require('../models/GiftCard');
+const { splitRefund } = require('../utils/storeCredit');
+
+describe('Store Credit', () => {
+  const buildOrder = (overrides = {}) => new Order({
+    orderNumber: 'ORD1001',
+    userId: '507f1f77bcf86cd799439011',
+    items: [
+      { productId: '507f1f77bcf86cd799439021', name: 'Shirt', price: 500, quantity: 2, image: 'shirt.jpg' }
+    ],
+    subtotal: 1000,
+    shippingCost: 100,
+    totalAmount: 1100,
+    storeCreditApplied: 300,
+    shippingAddress: { name: 'Test', phone: '01700000000', address: 'House 1, Road 2', city: 'Dhaka' },
+    paymentMethod: 'bkash',
+    paymentStatus: 'paid',
+    ...overrides
+  });
+
+  it('should leave only the remainder for the payment method to collect', () => {
+    expect(buildOrder().getAmountDue()).toBe(800);
+    expect(buildOrder({ storeCreditApplied: 1100 }).getAmountDue()).toBe(0);
+  });
+
+  it('should return spent store credit before refunding the original payment', () => {
+    const order = buildOrder();
+
+    expect(splitRefund(order, 200)).toEqual({ storeCredit: 200, original: 0 });
+    expect(splitRefund(order, 500)).toEqual({ storeCredit: 300, original: 200 });
+
+    order.storeCreditRefunded = 300;
+    expect(splitRefund(order, 500)).toEqual({ storeCredit: 0, original: 500 });
+    expect(splitRefund(order, 500, { toStoreCredit: true })).toEqual({ storeCredit: 500, original: 0 });
+  });
+
+  it('should generate readable gift card codes', () => {
+    const code = GiftCard.generateCode();
+
+    expect(code).toMatch(/^GC-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    expect(GiftCard.generateCode()).not.toBe(code);
+  });
+});
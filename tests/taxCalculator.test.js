@@ -0,0 +1,46 @@
+const { calculateTax, resolveTaxRule, summarizeTax } = require('../utils/taxCalculator');
+const taxConfig = require('../config/tax');
+
+describe('Tax Calculator', () => {
+  const dhaka = { city: 'Dhaka', country: 'Bangladesh' };
+  const items = [
+    { category: 'men', price: 1150, quantity: 2 },
+    { category: 'books', price: 500, quantity: 1 }
+  ];
+
+  it('should pick the first matching rule, falling back to standard VAT', () => {
+    expect(resolveTaxRule('men', dhaka).id).toBe('vat_standard');
+    expect(resolveTaxRule('Kids', dhaka).id).toBe('vat_reduced');
+    expect(resolveTaxRule('books', dhaka).id).toBe('vat_exempt');
+    expect(resolveTaxRule('men', { city: 'London', country: 'United Kingdom' }).id).toBe('export');
+  });
+
+  it('should extract VAT from tax-inclusive prices without changing the total', () => {
+    const result = calculateTax({ items, address: dhaka }, { ...taxConfig, pricesIncludeTax: true });
+
+    expect(result.lines[0].taxAmount).toBe(300);
+    expect(result.lines[1].taxAmount).toBe(0);
+    expect(result.tax).toBe(300);
+    expect(result.taxAdded).toBe(0);
+  });
+
+  it('should add VAT on top of exclusive prices, after the discount', () => {
+    const result = calculateTax(
+      { items, address: dhaka, discount: 280 },
+      { ...taxConfig, pricesIncludeTax: false }
+    );
+
+    // 10% discount spread across both lines
+    expect(result.lines[0].taxableAmount).toBe(2070);
+    expect(result.lines[0].taxAmount).toBe(310.5);
+    expect(result.taxAdded).toBe(310.5);
+  });
+
+  it('should summarize VAT by rule for invoices', () => {
+    const { lines } = calculateTax({ items, address: dhaka }, { ...taxConfig, pricesIncludeTax: true });
+    const summary = summarizeTax(lines);
+
+    expect(summary.map(row => row.taxRule)).toEqual(['vat_standard', 'vat_exempt']);
+    expect(summary[0].taxableAmount).toBe(2300);
+  });
+});
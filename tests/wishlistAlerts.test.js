@@ -0,0 +1,39 @@
+const { getDueAlert, isRateLimited } = require('../utils/wishlistAlerts');
+
+describe('Wishlist Alerts', () => {
+  const HOUR = 60 * 60 * 1000;
+  const now = new Date('2026-03-10T12:00:00Z');
+  const config = { priceDropPercent: 10, minHoursBetweenAlerts: 24 };
+  const product = (overrides = {}) => ({ status: 'active', stock: 5, price: 1000, ...overrides });
+  const subscription = (overrides = {}) => ({
+    backInStock: true,
+    priceDrop: true,
+    priceDropPercent: null,
+    basePrice: 1000,
+    wasAvailable: true,
+    lastAlertAt: null,
+    ...overrides
+  });
+
+  it('should alert when a product comes back in stock', () => {
+    expect(getDueAlert(subscription({ wasAvailable: false }), product(), config))
+      .toEqual({ type: 'product_back_in_stock' });
+    expect(getDueAlert(subscription({ wasAvailable: false }), product({ stock: 0 }), config)).toBeNull();
+    expect(getDueAlert(subscription({ wasAvailable: false }), product({ status: 'inactive' }), config)).toBeNull();
+    expect(getDueAlert(subscription({ wasAvailable: false, backInStock: false }), product(), config)).toBeNull();
+  });
+
+  it('should alert on price drops past the threshold', () => {
+    expect(getDueAlert(subscription(), product({ price: 950 }), config)).toBeNull();
+    expect(getDueAlert(subscription(), product({ price: 850 }), config))
+      .toEqual({ type: 'price_drop', previousPrice: 1000, percent: 15 });
+    expect(getDueAlert(subscription({ priceDropPercent: 20 }), product({ price: 850 }), config)).toBeNull();
+    expect(getDueAlert(subscription({ priceDrop: false }), product({ price: 500 }), config)).toBeNull();
+  });
+
+  it('should send at most one alert per product in the window', () => {
+    expect(isRateLimited(subscription(), now, config)).toBe(false);
+    expect(isRateLimited(subscription({ lastAlertAt: new Date(now - 2 * HOUR) }), now, config)).toBe(true);
+    expect(isRateLimited(subscription({ lastAlertAt: new Date(now - 30 * HOUR) }), now, config)).toBe(false);
+  });
+});
@@ -362,6 +362,27 @@ class AnalyticsTracker {
     }
   }
 
+  // Products viewed in the same session, one list per session. Sessions that
+  // viewed more than maxViewsPerSession products (crawlers) are left out.
+  async getViewSessions({ since, productId = null, maxViewsPerSession = 50 } = {}) {
+    const match = { eventType: 'product_view', productId: { $ne: null }, timestamp: { $gte: since } };
+
+    if (productId) {
+      match.sessionId = {
+        $in: await AnalyticsEvent.distinct('sessionId', { ...match, productId })
+      };
+    }
+
+    const sessions = await AnalyticsEvent.aggregate([
+      { $match: match },
+      { $group: { _id: '$sessionId', productIds: { $addToSet: '$productId' } } },
+      { $match: { 'productIds.1': { $exists: true } } },
+      { $match: { $expr: { $lte: [{ $size: '$productIds' }, maxViewsPerSession] } } }
+    ]).allowDiskUse(true);
+
+    return sessions.map(session => session.productIds.map(String));
+  }
+
   // Schedule daily aggregation to reset daily/weekly/monthly counters
   scheduleAggregation() {
     setInterval(() => {
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailEvent = require('../models/EmailEvent');
+const emailScheduler = require('./emailScheduler');
+const defaultConfig = require('../config/cartRecovery');
+const { createRestoreToken } = require('./cartToken');
+
+/**
+ * Abandoned Cart Recovery
+ * Sends signed-in shoppers a sequence of reminders once their cart has been
+ * idle for each step's delay. Every step is an automated EmailCampaign, so
+ * reminders are sent and tracked by the email scheduler like any other
+ * campaign, and orders placed after a reminder are credited to it.
+ *
+ * Any cart activity restarts the sequence; an order ends it.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+const describeDiscount = (coupon) => (coupon.discountType === 'percentage'
+  ? `${coupon.discountValue}% off`
+  : `৳${coupon.discountValue} off`);
+
+// Next reminder due for a cart, or null
+const getDueStep = (cart, now = new Date(), config = defaultConfig) => {
+  if (!cart.items || cart.items.length === 0 || cart.subtotal < config.minCartValue) {
+    return null;
+  }
+
+  const idle = now - cart.lastActivity;
+  if (idle > config.maxIdleDays * DAY) {
+    return null;
+  }
+
+  const recovery = cart.recovery || {};
+  const restarted = !recovery.idleSince || cart.lastActivity > recovery.idleSince;
+  if (!restarted && recovery.recoveredOrderId) {
+    return null;
+  }
+
+  const stepsSent = restarted ? 0 : recovery.stepsSent || 0;
+  const step = config.steps[stepsSent];
+  if (!step || idle < step.delayHours * HOUR) {
+    return null;
+  }
+
+  // Keep the spacing between reminders even for carts that were idle long
+  // before the first one went out
+  if (stepsSent > 0) {
+    const gap = (step.delayHours - config.steps[stepsSent - 1].delayHours) * HOUR;
+    if (now - recovery.lastSentAt < gap) {
+      return null;
+    }
+  }
+
+  return step;
+};
+
+const buildReminderHtml = (step) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Cart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; margin-bottom: 30px; }
+          .logo { font-size: 28px; font-weight: bold; color: #3b82f6; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 10px; }
+          .order-info { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">${process.env.APP_NAME || 'StyleShop'}</div>
+          </div>
+          
+          <div class="content">
+            <h2>${step.step === 1 ? 'Did you forget something?' : 'Your cart is waiting'}</h2>
+            <p>Hi {{name}},</p>
+            <p>You left these items in your cart. They're saved for you, but stock is limited.</p>
+            
+            <div class="order-info">
+              <table style="width: 100%;">{{cart_items}}</table>
+              <p><strong>Subtotal:</strong> ৳{{cart_total}}</p>
+            </div>
+            
+            {{coupon_block}}
+            
+            <p style="text-align: center;">
+              <a href="{{restore_url}}" class="button">Return to your cart</a>
+            </p>
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} ${process.env.APP_NAME || 'StyleShop'}. All rights reserved.</p>
+            <p><a href="{{unsubscribe_url}}">Unsubscribe</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+// The automated campaign for one step, created on first use. Admins can
+// edit its subject and content, or delete it to stop that step.
+const getStepCampaign = (step) => EmailCampaign.findOneAndUpdate(
+  { type: 'abandoned_cart', automationStep: step.step },
+  {
+    $setOnInsert: {
+      name: `Abandoned cart reminder #${step.step}`,
+      subject: step.subject,
+      htmlContent: buildReminderHtml(step),
+      status: 'active',
+      isActive: true
+    }
+  },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const createRecoveryCoupon = (userId, coupon) => Coupon.create({
+  code: `CART${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+  description: `${describeDiscount(coupon)} to complete your order`,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  maxDiscountAmount: coupon.maxDiscountAmount || null,
+  usageLimit: 1,
+  userUsageLimit: 1,
+  validUntil: new Date(Date.now() + coupon.validDays * DAY),
+  assignedTo: userId,
+  source: 'cart_recovery'
+});
+
+const buildVariables = (cart, campaign, user, coupon, config) => {
+  const restoreToken = createRestoreToken({
+    cartId: cart._id.toString(),
+    campaignId: campaign._id.toString(),
+    email: user.email
+  }, config.restoreLinkDays * DAY);
+
+  const itemRows = cart.items.map(item => `
+                <tr>
+                  <td style="padding: 6px 0;">${escapeHtml(item.productData && item.productData.name)} × ${item.quantity}</td>
+                  <td style="padding: 6px 0; text-align: right;">৳${item.price * item.quantity}</td>
+                </tr>`).join('');
+
+  return {
+    cart_items: itemRows,
+    cart_total: String(cart.subtotal),
+    restore_url: `${process.env.FRONTEND_URL}/cart/restore?token=${encodeURIComponent(restoreToken)}`,
+    coupon_block: coupon
+      ? `<p>Use code <strong>${coupon.code}</strong> for ${describeDiscount(coupon)}. Valid until ${coupon.validUntil.toLocaleDateString()}.</p>`
+      : ''
+  };
+};
+
+// Send one cart its next reminder. Returns 'sent', 'skipped' or 'done'.
+const remindCart = async (cart, now, config) => {
+  const step = getDueStep(cart, now, config);
+  if (!step) {
+    return 'skipped';
+  }
+
+  const recovery = cart.recovery || {};
+  const finishSequence = () => Cart.updateOne(
+    { _id: cart._id, lastActivity: cart.lastActivity },
+    { $set: { 'recovery.stepsSent': config.steps.length, 'recovery.idleSince': cart.lastActivity } }
+  );
+
+  // Ordered since (order creation doesn't empty the cart), or can't be emailed
+  const [ordered, user] = await Promise.all([
+    Order.exists({ userId: cart.userId, createdAt: { $gte: cart.lastActivity } }),
+    User.findById(cart.userId).select('name email isActive preferences')
+  ]);
+  const optedOut = user && user.preferences && user.preferences.notifications &&
+    user.preferences.notifications.email === false;
+  if (ordered || !user || !user.email || !user.isActive || optedOut) {
+    await finishSequence();
+    return 'done';
+  }
+
+  const campaign = await getStepCampaign(step);
+  if (!campaign.isActive) {
+    return 'skipped';
+  }
+
+  // Claim the step; fails if the shopper came back or another run sent it
+  const restarted = step.step === 1;
+  const claimed = await Cart.findOneAndUpdate(
+    {
+      _id: cart._id,
+      lastActivity: cart.lastActivity,
+      'recovery.lastSentAt': recovery.lastSentAt || null
+    },
+    {
+      $set: {
+        'recovery.stepsSent': step.step,
+        'recovery.lastSentAt': now,
+        'recovery.idleSince': cart.lastActivity,
+        'recovery.campaignId': campaign._id,
+        ...(restarted && { 'recovery.couponCode': null, 'recovery.recoveredOrderId': null })
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return 'skipped';
+  }
+
+  let coupon = null;
+  try {
+    if (step.coupon) {
+      coupon = await createRecoveryCoupon(cart.userId, step.coupon);
+      await Cart.updateOne({ _id: cart._id }, { $set: { 'recovery.couponCode': coupon.code } });
+    }
+
+    await emailScheduler.sendEmailToRecipient(campaign, {
+      email: user.email,
+      name: user.name,
+      customVariables: buildVariables(claimed, campaign, user, coupon, config)
+    });
+  } catch (error) {
+    // Hand the step back so the next run retries it
+    await Cart.updateOne(
+      { _id: cart._id, 'recovery.lastSentAt': now },
+      {
+        $set: {
+          'recovery.stepsSent': restarted ? 0 : recovery.stepsSent,
+          'recovery.lastSentAt': recovery.lastSentAt || null
+        }
+      }
+    );
+    if (coupon) {
+      await Coupon.deleteOne({ _id: coupon._id });
+    }
+    throw error;
+  }
+
+  await EmailCampaign.updateOne({ _id: campaign._id }, { $inc: { 'analytics.totalSent': 1 } });
+  return 'sent';
+};
+
+/**
+ * Send every reminder that is due. Failures are counted, not thrown.
+ *
+ * @returns {Promise<{ checked, sent, failed }>}
+ */
+const runCartRecovery = async (config = defaultConfig) => {
+  const result = { checked: 0, sent: 0, failed: 0 };
+  if (!config.enabled || config.steps.length === 0) {
+    return result;
+  }
+
+  const now = new Date();
+  const firstDelay = config.steps[0].delayHours * HOUR;
+  const carts = await Cart.find({
+    userId: { $ne: null },
+    'items.0': { $exists: true },
+    lastActivity: { $lte: new Date(now - firstDelay), $gte: new Date(now - config.maxIdleDays * DAY) },
+    $or: [
+      { 'recovery.idleSince': null },
+      { 'recovery.stepsSent': { $lt: config.steps.length } },
+      { $expr: { $gt: ['$lastActivity', '$recovery.idleSince'] } }
+    ]
+  })
+    .sort({ lastActivity: 1 })
+    .limit(config.batchSize);
+
+  result.checked = carts.length;
+  for (const cart of carts) {
+    try {
+      if (await remindCart(cart, now, config) === 'sent') {
+        result.sent++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`Cart recovery error (${cart._id}):`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Count a click on a reminder's restore link
+const recordRestoreClick = async ({ campaignId, email }) => {
+  await EmailEvent.create({
+    campaignId,
+    recipientEmail: email,
+    eventType: 'click',
+    eventData: { clickedUrl: 'cart_restore', timestamp: new Date() }
+  });
+  await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'analytics.totalClicked': 1 } });
+};
+
+/**
+ * Credit an order to the reminder the shopper received within the
+ * attribution window, at most once per reminder sequence.
+ *
+ * @param {Object} order - The newly created order
+ * @returns {Promise<Object|null>} The attributed campaign, if any
+ */
+const attributeRecoveredOrder = async (order, config = defaultConfig) => {
+  if (!order.userId) {
+    return null;
+  }
+
+  const cart = await Cart.findOneAndUpdate(
+    {
+      userId: order.userId,
+      'recovery.lastSentAt': { $gte: new Date(Date.now() - config.attributionDays * DAY) },
+      'recovery.recoveredOrderId': null
+    },
+    { $set: { 'recovery.recoveredOrderId': order._id } },
+    { new: true }
+  );
+
+  if (!cart || !cart.recovery.campaignId) {
+    return null;
+  }
+
+  const campaignId = cart.recovery.campaignId;
+  const user = await User.findById(order.userId).select('email');
+
+  await Promise.all([
+    Order.updateOne(
+      { _id: order._id },
+      { $set: { attribution: { channel: 'abandoned_cart', campaignId, step: cart.recovery.stepsSent } } }
+    ),
+    EmailCampaign.updateOne(
+      { _id: campaignId },
+      { $inc: { 'analytics.totalConversions': 1, 'analytics.conversionRevenue': order.totalAmount } }
+    ),
+    user && EmailEvent.create({
+      campaignId,
+      recipientEmail: user.email,
+      eventType: 'conversion',
+      eventData: { orderId: order._id, amount: order.totalAmount, timestamp: new Date() }
+    })
+  ]);
+
+  return campaignId;
+};
+
+module.exports = {
+  runCartRecovery,
+  getDueStep,
+  recordRestoreClick,
+  attributeRecoveredOrder
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+
+/**
+ * Cart Re-validation
+ * Checks every cart line against the current product and variant. Prices
+ * and cached product data are always refreshed, since totals are computed
+ * from them; availability problems are reported as warnings and, with
+ * autoFix, resolved by removing or clamping the line.
+ *
+ * Warning types: product_unavailable, variant_unavailable, out_of_stock,
+ * insufficient_stock, price_changed.
+ */
+
+const buildWarning = (type, item, details = {}) => ({
+  type,
+  productId: item.productId,
+  size: item.size,
+  color: item.color,
+  name: item.productData && item.productData.name,
+  ...details
+});
+
+/**
+ * @param {Object} cart - Cart document
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFix=false] - Remove unavailable lines and clamp quantities to stock
+ * @returns {Promise<{ cart, warnings, changed }>} The cart is saved when anything changed
+ */
+const revalidateCart = async (cart, { autoFix = false } = {}) => {
+  const productIds = [...new Set(cart.items.map(item => item.productId))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const warnings = [];
+  const keptItems = [];
+  let changed = false;
+
+  for (const item of cart.items) {
+    const product = productsById.get(item.productId);
+
+    if (!product || product.status !== 'active') {
+      warnings.push(buildWarning('product_unavailable', item, {
+        message: `${(item.productData && item.productData.name) || 'A product'} is no longer available`,
+        fixed: autoFix
+      }));
+      if (autoFix) {
+        changed = true;
+        continue;
+      }
+      keptItems.push(item);
+      continue;
+    }
+
+    const variant = product.findVariant({ variantId: item.variantId, size: item.size, color: item.color });
+    if (product.hasVariants() && !variant) {
+      warnings.push(buildWarning('variant_unavailable', item, {
+        message: `The selected size/color of ${product.name} is no longer available`,
+        fixed: autoFix
+      }));
+      if (autoFix) {
+        changed = true;
+        continue;
+      }
+      keptItems.push(item);
+      continue;
+    }
+
+    const snapshot = Cart.snapshotProduct(product, variant);
+
+    if (snapshot.price !== item.price) {
+      warnings.push(buildWarning('price_changed', item, {
+        message: `The price of ${product.name} changed from ৳${item.price} to ৳${snapshot.price}`,
+        previousPrice: item.price,
+        currentPrice: snapshot.price
+      }));
+      item.price = snapshot.price;
+      item.originalPrice = product.originalPrice;
+      item.discount = product.discount;
+      changed = true;
+    }
+
+    item.variantId = snapshot.variantId;
+    item.sku = snapshot.sku;
+    item.productData = snapshot.productData;
+
+    const available = product.getAvailableStock(variant);
+    if (available <= 0) {
+      warnings.push(buildWarning('out_of_stock', item, {
+        message: `${product.name} is out of stock`,
+        requestedQuantity: item.quantity,
+        availableQuantity: 0,
+        fixed: autoFix
+      }));
+      if (autoFix) {
+        changed = true;
+        continue;
+      }
+    } else if (available < item.quantity) {
+      warnings.push(buildWarning('insufficient_stock', item, {
+        message: `Only ${available} of ${product.name} left in stock`,
+        requestedQuantity: item.quantity,
+        availableQuantity: available,
+        fixed: autoFix
+      }));
+      if (autoFix) {
+        item.quantity = available;
+        changed = true;
+      }
+    }
+
+    keptItems.push(item);
+  }
+
+  if (keptItems.length !== cart.items.length) {
+    cart.items = keptItems;
+  }
+  await cart.calculateTotals();
+
+  // Snapshot-only refreshes are saved too, so later reads stay current
+  if (changed || cart.isModified()) {
+    await cart.save();
+  }
+
+  return { cart, warnings, changed };
+};
+
+module.exports = {
+  revalidateCart
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+/**
+ * Cart Tokens
+ * Anonymous carts are keyed by a random cart key. Clients hold it as
+ * `<key>.<signature>` (sent back in the X-Cart-Token header) so a guest
+ * can't pick up someone else's cart by guessing keys. Cart restore links
+ * in reminder emails, review links in review request emails and unsubscribe
+ * links in wishlist alerts are signed the same way.
+ */
+
+const getSecret = () => process.env.CART_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const sign = (value) => crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+
+const signatureMatches = (value, signature) => {
+  const expected = Buffer.from(sign(value));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Split `<body>.<signature>`, or null when malformed
+const splitToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature] = token.split('.');
+  return body && signature ? { body, signature } : null;
+};
+
+const createCartToken = () => {
+  const key = crypto.randomBytes(16).toString('hex');
+  return { key, token: `${key}.${sign(`cart:${key}`)}` };
+};
+
+// Cart key for a valid token, or null
+const verifyCartToken = (token) => {
+  const parts = splitToken(token);
+  return parts && signatureMatches(`cart:${parts.body}`, parts.signature) ? parts.body : null;
+};
+
+// Signed, expiring payload. The purpose is part of the signature, so a
+// token issued for one kind of link can't be used for another.
+const createPayloadToken = (purpose, payload, ttlMs) => {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString('base64url');
+  return `${body}.${sign(`${purpose}:${body}`)}`;
+};
+
+// Payload of a valid, unexpired token for the purpose, or null
+const verifyPayloadToken = (purpose, token) => {
+  const parts = splitToken(token);
+  if (!parts || !signatureMatches(`${purpose}:${parts.body}`, parts.signature)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts.body, 'base64url').toString());
+    return payload.exp > Date.now() ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Restore link in an abandoned cart reminder
+const createRestoreToken = (payload, ttlMs) => createPayloadToken('restore', payload, ttlMs);
+const verifyRestoreToken = (token) => verifyPayloadToken('restore', token);
+
+// Review link for one purchased item in a review request email
+const createReviewToken = (payload, ttlMs) => createPayloadToken('review', payload, ttlMs);
+const verifyReviewToken = (token) => verifyPayloadToken('review', token);
+
+// Unsubscribe link in a wishlist alert email
+const createAlertUnsubscribeToken = (payload, ttlMs) => createPayloadToken('wishlist-alert', payload, ttlMs);
+const verifyAlertUnsubscribeToken = (token) => verifyPayloadToken('wishlist-alert', token);
+
+module.exports = {
+  createCartToken,
+  verifyCartToken,
+  createRestoreToken,
+  verifyRestoreToken,
+  createReviewToken,
+  verifyReviewToken,
+  createAlertUnsubscribeToken,
+  verifyAlertUnsubscribeToken
+};
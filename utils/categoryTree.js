@@ -0,0 +1,59 @@
+/**
+ * Category Tree
+ * Builds the nested category tree from a flat list and rolls product counts
+ * up it, so a parent counts the products of every category below it.
+ */
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * @param {Array} categories - Flat list, already in display order
+ * @param {Object|Map} counts - Direct product count per category id
+ * @returns {Array} Root nodes, each with children, productCount and totalProductCount
+ */
+const buildCategoryTree = (categories, counts = {}) => {
+  const countOf = (id) => (counts instanceof Map ? counts.get(id) : counts[id]) || 0;
+
+  const nodes = new Map();
+  for (const category of categories) {
+    const plain = typeof category.toObject === 'function' ? category.toObject() : { ...category };
+    const id = idOf(category);
+    nodes.set(id, { ...plain, children: [], productCount: countOf(id), totalProductCount: 0 });
+  }
+
+  // Categories whose parent is missing (e.g. inactive and filtered out) are
+  // left out rather than shown at the top level
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parentId = idOf(node.parentCategory);
+    if (!parentId) {
+      roots.push(node);
+    } else if (nodes.has(parentId)) {
+      nodes.get(parentId).children.push(node);
+    }
+  }
+
+  const rollUp = (node) => {
+    node.totalProductCount = node.children.reduce((total, child) => total + rollUp(child), node.productCount);
+    return node.totalProductCount;
+  };
+  roots.forEach(rollUp);
+
+  return roots;
+};
+
+// Moving a category under itself or one of its descendants would cut the
+// branch off the tree
+const wouldCreateCycle = (category, newParent) => {
+  if (!newParent) {
+    return false;
+  }
+  const categoryId = idOf(category);
+  return idOf(newParent) === categoryId ||
+    (newParent.ancestors || []).some(ancestor => idOf(ancestor) === categoryId);
+};
+
+module.exports = {
+  buildCategoryTree,
+  wouldCreateCycle
+};
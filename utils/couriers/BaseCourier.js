@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+/**
+ * Base Courier
+ * Every courier adapter implements the same operations so order code never
+ * needs to know which courier carries a parcel:
+ *
+ *   createShipment(order, options) -> { consignmentId, trackingNumber, status, rawStatus, raw }
+ *   track(shipment)                -> { status, rawStatus, description, location, timestamp, raw }
+ *   verifyWebhook(req)             -> { valid, consignmentId, status, rawStatus, description, location, timestamp }
+ *
+ * `status` is always one of 'booked', 'picked_up', 'in_transit',
+ * 'out_for_delivery', 'delivered', 'returned', 'cancelled' or 'on_hold';
+ * the courier's own wording is kept in `rawStatus`.
+ */
+class BaseCourier {
+  constructor(id, options = {}) {
+    this.id = id;
+    this.name = options.name || id;
+    this.statusMap = options.statusMap || {};
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createShipment() {
+    throw new Error(`${this.name} does not support booking shipments`);
+  }
+
+  async track() {
+    throw new Error(`${this.name} does not support tracking`);
+  }
+
+  async verifyWebhook() {
+    return { valid: false, reason: `${this.name} does not send status webhooks` };
+  }
+
+  mapStatus(rawStatus) {
+    const key = String(rawStatus || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return this.statusMap[key] || 'in_transit';
+  }
+
+  // Recipient details shared by every courier's booking payload
+  getRecipient(order) {
+    const address = order.shippingAddress || {};
+    return {
+      name: address.name,
+      phone: address.phone,
+      address: [address.address, address.city, address.state].filter(Boolean).join(', '),
+      city: address.city,
+      zipCode: address.zipCode
+    };
+  }
+
+  // Cash the courier must collect: unpaid COD orders only, less any store
+  // credit or gift card balance applied to the order
+  getCollectAmount(order) {
+    return order.paymentMethod === 'cod' && order.paymentStatus !== 'paid' ? order.getAmountDue() : 0;
+  }
+
+  async request(url, { method = 'POST', headers = {}, body } = {}) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${this.name} request failed (${response.status}): ${data.message || response.statusText}`);
+    }
+
+    return data;
+  }
+
+  // Constant-time comparison for shared webhook tokens
+  tokensMatch(received, expected) {
+    if (!received || !expected) {
+      return false;
+    }
+
+    const a = Buffer.from(String(received));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+}
+
+module.exports = BaseCourier;
@@ -0,0 +1,63 @@
+const ErrorResponse = require('../ErrorResponse');
+const SteadfastCourier = require('./steadfast');
+const PathaoCourier = require('./pathao');
+const RedxCourier = require('./redx');
+const MockCourier = require('./mock');
+
+/**
+ * Courier Registry
+ * One adapter per courier in config/shipping.js. Outside production, any
+ * courier without credentials (or every courier when COURIER_MODE=mock) is
+ * replaced by the local mock so shipments can be booked and tracked.
+ */
+
+const couriers = {
+  steadfast: new SteadfastCourier(),
+  pathao: new PathaoCourier(),
+  redx: new RedxCourier()
+};
+
+const mocks = {};
+
+const useMock = (courier) => {
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+  return process.env.COURIER_MODE === 'mock' || !courier.isConfigured();
+};
+
+const getCourier = (id) => {
+  const courier = couriers[id];
+
+  if (!courier) {
+    throw new ErrorResponse(`Unsupported courier: ${id}`, 400, 'UNSUPPORTED_COURIER');
+  }
+
+  if (useMock(courier)) {
+    if (!mocks[id]) {
+      mocks[id] = new MockCourier(id, courier.name);
+    }
+    return mocks[id];
+  }
+
+  if (!courier.isConfigured()) {
+    throw new ErrorResponse(`${courier.name} is not configured`, 503, 'COURIER_NOT_CONFIGURED');
+  }
+
+  return courier;
+};
+
+const listCouriers = () => Object.keys(couriers).map(id => {
+  const courier = couriers[id];
+  return {
+    id,
+    name: courier.name,
+    configured: courier.isConfigured(),
+    mock: useMock(courier)
+  };
+});
+
+module.exports = {
+  getCourier,
+  listCouriers
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const BaseCourier = require('./BaseCourier');
+
+// Shared across all mock adapters for the lifetime of the process
+const shipments = new Map();
+
+const PROGRESSION = ['booked', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+/**
+ * Local stand-in for any courier outside production. Each track() call moves
+ * the parcel one step along PROGRESSION, and simulateWebhook() builds a
+ * signed callback that can be posted to the regular webhook endpoint.
+ */
+class MockCourier extends BaseCourier {
+  constructor(id, name) {
+    super(id, { name: `${name} (mock)` });
+    this.mock = true;
+  }
+
+  get secret() {
+    return process.env.COURIER_MOCK_SECRET || 'mock-courier-secret';
+  }
+
+  mapStatus(rawStatus) {
+    return PROGRESSION.includes(rawStatus) || rawStatus === 'returned' ? rawStatus : 'in_transit';
+  }
+
+  async createShipment(order) {
+    const consignmentId = `MOCK${Date.now()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+    shipments.set(consignmentId, { orderId: order._id.toString(), step: 0 });
+
+    return {
+      consignmentId,
+      trackingNumber: consignmentId,
+      status: 'booked',
+      rawStatus: 'booked',
+      raw: { consignmentId }
+    };
+  }
+
+  async track({ consignmentId }) {
+    const shipment = shipments.get(consignmentId);
+    if (!shipment) {
+      throw new Error(`Unknown mock consignment ${consignmentId}`);
+    }
+
+    shipment.step = Math.min(shipment.step + 1, PROGRESSION.length - 1);
+    const status = PROGRESSION[shipment.step];
+
+    return {
+      status,
+      rawStatus: status,
+      description: `${this.name}: ${status.replace(/_/g, ' ')}`,
+      location: 'Mock hub',
+      timestamp: new Date(),
+      raw: shipment
+    };
+  }
+
+  async verifyWebhook(req) {
+    const signature = req.get('x-mock-courier-signature');
+    if (!req.rawBody || !this.tokensMatch(signature, this.sign(req.rawBody, this.secret))) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    const body = req.body || {};
+    return {
+      valid: true,
+      consignmentId: body.consignmentId,
+      status: this.mapStatus(body.status),
+      rawStatus: body.status,
+      description: body.description || `${this.name}: ${body.status}`,
+      location: body.location || '',
+      timestamp: body.timestamp ? new Date(body.timestamp) : new Date()
+    };
+  }
+
+  // Build the callback the courier would send for a status change
+  simulateWebhook(consignmentId, status) {
+    const payload = JSON.stringify({ consignmentId, status, timestamp: new Date().toISOString() });
+    return {
+      payload,
+      signatureHeader: 'x-mock-courier-signature',
+      signature: this.sign(payload, this.secret)
+    };
+  }
+}
+
+MockCourier.PROGRESSION = PROGRESSION;
+
+module.exports = MockCourier;
@@ -0,0 +1,100 @@
+const BaseCourier = require('./BaseCourier');
+
+// RedX open API (bearer access token; webhooks carry a shared token)
+class RedxCourier extends BaseCourier {
+  constructor() {
+    super('redx', {
+      name: 'RedX',
+      statusMap: {
+        pickup_pending: 'booked',
+        pickup_in_progress: 'booked',
+        ready_for_delivery: 'picked_up',
+        agent_area_change: 'in_transit',
+        delivery_in_progress: 'out_for_delivery',
+        delivered: 'delivered',
+        agent_hold: 'on_hold',
+        agent_returning: 'returned',
+        returned: 'returned',
+        cancelled: 'cancelled'
+      }
+    });
+  }
+
+  get config() {
+    return {
+      baseUrl: process.env.REDX_BASE_URL || 'https://openapi.redx.com.bd/v1.0.0-beta',
+      apiToken: process.env.REDX_API_TOKEN,
+      webhookToken: process.env.REDX_WEBHOOK_TOKEN
+    };
+  }
+
+  isConfigured() {
+    return Boolean(this.config.apiToken);
+  }
+
+  get headers() {
+    return { 'API-ACCESS-TOKEN': `Bearer ${this.config.apiToken}` };
+  }
+
+  async createShipment(order, { weight } = {}) {
+    const recipient = this.getRecipient(order);
+    const data = await this.request(`${this.config.baseUrl}/parcel`, {
+      headers: this.headers,
+      body: {
+        customer_name: recipient.name,
+        customer_phone: recipient.phone,
+        customer_address: recipient.address,
+        delivery_area: recipient.city,
+        merchant_invoice_id: order.orderNumber,
+        cash_collection_amount: String(this.getCollectAmount(order)),
+        parcel_weight: Math.round((weight || order.shippingWeight || 0.5) * 1000), // grams
+        value: String(order.totalAmount),
+        instruction: order.notes || ''
+      }
+    });
+
+    return {
+      consignmentId: data.tracking_id,
+      trackingNumber: data.tracking_id,
+      status: 'booked',
+      rawStatus: 'pickup-pending',
+      raw: data
+    };
+  }
+
+  async track({ consignmentId }) {
+    const data = await this.request(`${this.config.baseUrl}/parcel/info/${consignmentId}`, {
+      method: 'GET',
+      headers: this.headers
+    });
+
+    const parcel = data.parcel || {};
+    return {
+      status: this.mapStatus(parcel.status),
+      rawStatus: parcel.status,
+      description: `RedX: ${String(parcel.status).replace(/-/g, ' ')}`,
+      location: parcel.delivery_area || '',
+      timestamp: new Date(),
+      raw: data
+    };
+  }
+
+  async verifyWebhook(req) {
+    if (!this.tokensMatch(req.query.token, this.config.webhookToken)) {
+      return { valid: false, reason: 'Invalid token' };
+    }
+
+    const body = req.body || {};
+    return {
+      valid: true,
+      consignmentId: body.tracking_number,
+      status: this.mapStatus(body.status),
+      rawStatus: body.status,
+      description: body.message_en || `RedX: ${body.status}`,
+      location: '',
+      timestamp: body.timestamp ? new Date(body.timestamp) : new Date()
+    };
+  }
+}
+
+module.exports = RedxCourier;
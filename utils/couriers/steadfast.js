@@ -0,0 +1,104 @@
+const BaseCourier = require('./BaseCourier');
+
+// Steadfast Courier API (API key + secret headers, bearer token on webhooks)
+class SteadfastCourier extends BaseCourier {
+  constructor() {
+    super('steadfast', {
+      name: 'Steadfast',
+      statusMap: {
+        pending: 'booked',
+        in_review: 'booked',
+        hold: 'on_hold',
+        delivered_approval_pending: 'delivered',
+        partial_delivered_approval_pending: 'delivered',
+        delivered: 'delivered',
+        partial_delivered: 'delivered',
+        cancelled_approval_pending: 'returned',
+        cancelled: 'returned',
+        unknown_approval_pending: 'on_hold',
+        unknown: 'on_hold'
+      }
+    });
+  }
+
+  get config() {
+    return {
+      baseUrl: process.env.STEADFAST_BASE_URL || 'https://portal.packzy.com/api/v1',
+      apiKey: process.env.STEADFAST_API_KEY,
+      secretKey: process.env.STEADFAST_SECRET_KEY,
+      webhookToken: process.env.STEADFAST_WEBHOOK_TOKEN
+    };
+  }
+
+  isConfigured() {
+    const { apiKey, secretKey } = this.config;
+    return Boolean(apiKey && secretKey);
+  }
+
+  get headers() {
+    return {
+      'Api-Key': this.config.apiKey,
+      'Secret-Key': this.config.secretKey
+    };
+  }
+
+  async createShipment(order) {
+    const recipient = this.getRecipient(order);
+    const data = await this.request(`${this.config.baseUrl}/create_order`, {
+      headers: this.headers,
+      body: {
+        invoice: order.orderNumber,
+        recipient_name: recipient.name,
+        recipient_phone: recipient.phone,
+        recipient_address: recipient.address,
+        cod_amount: this.getCollectAmount(order),
+        note: order.notes || ''
+      }
+    });
+
+    const consignment = data.consignment || {};
+    return {
+      consignmentId: String(consignment.consignment_id),
+      trackingNumber: consignment.tracking_code,
+      status: this.mapStatus(consignment.status),
+      rawStatus: consignment.status,
+      raw: data
+    };
+  }
+
+  async track({ consignmentId }) {
+    const data = await this.request(`${this.config.baseUrl}/status_by_cid/${consignmentId}`, {
+      method: 'GET',
+      headers: this.headers
+    });
+
+    return {
+      status: this.mapStatus(data.delivery_status),
+      rawStatus: data.delivery_status,
+      description: `Steadfast: ${String(data.delivery_status).replace(/_/g, ' ')}`,
+      location: '',
+      timestamp: new Date(),
+      raw: data
+    };
+  }
+
+  async verifyWebhook(req) {
+    const token = (req.get('authorization') || '').replace('Bearer ', '');
+    if (!this.tokensMatch(token, this.config.webhookToken)) {
+      return { valid: false, reason: 'Invalid token' };
+    }
+
+    const body = req.body || {};
+    return {
+      valid: true,
+      consignmentId: String(body.consignment_id),
+      status: this.mapStatus(body.status),
+      rawStatus: body.status,
+      description: body.tracking_message || `Steadfast: ${body.status}`,
+      location: '',
+      timestamp: body.updated_at ? new Date(body.updated_at) : new Date()
+    };
+  }
+}
+
+module.exports = SteadfastCourier;
@@ -1,6 +1,11 @@
 const Mailjet = require('node-mailjet');
 const crypto = require('crypto');
 
+// For customer-written text (e.g. gift card messages) placed in email HTML
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
 // Enhanced Email service using Mailjet REST API
 class MailjetEmailService {
   constructor() {
@@ -407,6 +412,196 @@ If you didn't request this code, please ignore this email.
     });
   }
 
+  // Refund confirmation email
+  async sendRefundConfirmationEmail(user, order, refund) {
+    const itemRows = (refund.items || []).map(item => `
+                <tr>
+                  <td style="padding: 6px 0;">${item.name} × ${item.quantity}</td>
+                  <td style="padding: 6px 0; text-align: right;">৳${item.amount}</td>
+                </tr>`).join('');
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Refund Processed</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; margin-bottom: 30px; }
+          .logo { font-size: 28px; font-weight: bold; color: #3b82f6; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 10px; }
+          .order-info { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">${process.env.APP_NAME || 'StyleShop'}</div>
+          </div>
+          
+          <div class="content">
+            <h2>Refund Processed</h2>
+            <p>Hi ${user.name || 'there'},</p>
+            <p>We've processed a refund for your order.</p>
+            
+            <div class="order-info">
+              <h3>Refund Details</h3>
+              <p><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
+              <p><strong>Refund Amount:</strong> ৳${refund.amount}</p>
+              ${refund.reason ? `<p><strong>Reason:</strong> ${refund.reason}</p>` : ''}
+              ${itemRows ? `<table style="width: 100%;">${itemRows}</table>` : ''}
+            </div>
+            
+            ${refund.storeCreditAmount > 0
+              ? `<p>৳${refund.storeCreditAmount} has been added to your store credit and can be used right away.</p>`
+              : ''}
+            ${refund.amount > (refund.storeCreditAmount || 0)
+              ? `<p>${order.paymentMethod === 'card'
+                ? 'The money will appear on your card statement within 5-10 business days.'
+                : 'Our team will send the money to your account within 3-5 business days.'}</p>`
+              : ''}
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} ${process.env.APP_NAME || 'StyleShop'}. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: `Refund for Order #${order.orderNumber || order._id} - ${process.env.APP_NAME || 'StyleShop'}`,
+      html: htmlContent
+    });
+  }
+
+  // Gift card delivery email with the redeemable code
+  async sendGiftCardEmail(card) {
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Gift Card</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; margin-bottom: 30px; }
+          .logo { font-size: 28px; font-weight: bold; color: #3b82f6; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 10px; }
+          .code { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 2px; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">${process.env.APP_NAME || 'StyleShop'}</div>
+          </div>
+          
+          <div class="content">
+            <h2>You've received a ৳${card.initialAmount} gift card</h2>
+            <p>Hi ${escapeHtml(card.recipientName) || 'there'},</p>
+            ${card.message ? `<p><em>${escapeHtml(card.message)}</em></p>` : ''}
+            
+            <div class="code">${card.code}</div>
+            
+            <p>Sign in and add the code to your store credit to spend it on any order.</p>
+            ${card.expiresAt ? `<p>Redeem it before ${new Date(card.expiresAt).toLocaleDateString()}.</p>` : ''}
+          </div>
+          
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} ${process.env.APP_NAME || 'StyleShop'}. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: card.recipientEmail,
+      subject: `Your ৳${card.initialAmount} gift card - ${process.env.APP_NAME || 'StyleShop'}`,
+      html: htmlContent
+    });
+  }
+
+  // Back-in-stock or price-drop alert for a wishlisted product
+  async sendWishlistAlertEmail(user, alert) {
+    const { product } = alert;
+    const backInStock = alert.type === 'product_back_in_stock';
+    const heading = backInStock
+      ? `${escapeHtml(product.name)} is back in stock`
+      : `${escapeHtml(product.name)} is now ${alert.percent}% cheaper`;
+    const intro = backInStock
+      ? 'An item on your wishlist is available again. Popular items sell out fast.'
+      : 'An item on your wishlist just got cheaper.';
+    const priceLine = backInStock
+      ? `৳${product.price}`
+      : `<del>৳${alert.previousPrice}</del> <strong>৳${product.price}</strong>`;
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${backInStock ? 'Back in Stock' : 'Price Drop'}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; margin-bottom: 30px; }
+          .logo { font-size: 28px; font-weight: bold; color: #3b82f6; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 10px; }
+          .order-info { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; text-align: center; }
+          .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">${process.env.APP_NAME || 'StyleShop'}</div>
+          </div>
+
+          <div class="content">
+            <h2>${heading}</h2>
+            <p>Hi ${escapeHtml(user.name) || 'there'},</p>
+            <p>${intro}</p>
+
+            <div class="order-info">
+              ${product.images && product.images[0] ? `<img src="${product.images[0]}" alt="${escapeHtml(product.name)}" style="max-width: 200px;" />` : ''}
+              <p><strong>${escapeHtml(product.name)}</strong></p>
+              <p>${priceLine}</p>
+            </div>
+
+            <p style="text-align: center;">
+              <a href="${alert.productUrl}" class="button">View product</a>
+            </p>
+          </div>
+
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} ${process.env.APP_NAME || 'StyleShop'}. All rights reserved.</p>
+            <p><a href="${alert.unsubscribeUrl}">Stop alerts for this product</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: user.email,
+      subject: `${backInStock ? 'Back in stock' : 'Price drop'}: ${product.name} - ${process.env.APP_NAME || 'StyleShop'}`,
+      html: htmlContent
+    });
+  }
+
   // Method to check if Mailjet is properly configured
   isConfigured() {
     return this.isMailjetConfigured;
@@ -0,0 +1,247 @@
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('./ErrorResponse');
+const { restoreOrderStock } = require('./stockReservation');
+const { releaseOrderStoreCredit, disableOrderGiftCards } = require('./storeCredit');
+const { scheduleReviewRequest } = require('./reviewRequests');
+
+/**
+ * Order State Machine
+ * The single place where Order.orderStatus changes. Each transition is
+ * checked against the lifecycle below and its guards, applied with a
+ * conditional update on the current status (so two requests can't both
+ * move the same order), and then runs its side effects.
+ *
+ * Actors: 'customer' (order owner), 'admin', and 'system' (payments,
+ * couriers and other automated callers).
+ */
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'packed', 'cancelled'],
+  processing: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['out_for_delivery', 'delivered', 'returned'],
+  out_for_delivery: ['delivered', 'returned'],
+  delivered: ['return_requested', 'returned'],
+  return_requested: ['returned', 'delivered'],
+  cancelled: [],
+  returned: []
+};
+
+// Notification template sent to the customer after a transition
+const NOTIFICATIONS = {
+  confirmed: 'order_confirmed',
+  shipped: 'order_shipped',
+  delivered: 'order_delivered',
+  cancelled: 'order_cancelled'
+};
+
+// Transitions a customer may make on their own order (confirming only
+// Cash on Delivery orders, see the guard)
+const CUSTOMER_TRANSITIONS = ['confirmed', 'cancelled', 'return_requested'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const getAllowedTransitions = (order) => TRANSITIONS[order.orderStatus] || [];
+
+// Shortest chain of transitions from one status to another (excluding
+// `from`), or null when `to` can't be reached
+const getTransitionPath = (from, to) => {
+  if (from === to) {
+    return [];
+  }
+
+  const previous = { [from]: null };
+  const queue = [from];
+  while (queue.length > 0) {
+    const status = queue.shift();
+    for (const next of TRANSITIONS[status] || []) {
+      if (next in previous) {
+        continue;
+      }
+      previous[next] = status;
+      if (next === to) {
+        const path = [];
+        for (let step = to; step !== from; step = previous[step]) {
+          path.unshift(step);
+        }
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+
+  return null;
+};
+
+// Guards return an error message, or null when the transition may proceed
+const guards = {
+  confirmed: (order, { actor }) => {
+    if (actor === 'customer' && order.paymentMethod !== 'cod') {
+      return 'Only Cash on Delivery orders can be confirmed by the customer';
+    }
+    if (order.paymentMethod !== 'cod' && order.paymentStatus !== 'paid') {
+      return 'Online payments must be completed before the order can be confirmed';
+    }
+    return null;
+  },
+  cancelled: (order, { actor }) => {
+    if (actor === 'customer' && !order.canCancel()) {
+      return 'Order cannot be cancelled at this stage';
+    }
+    return null;
+  },
+  return_requested: (order) => {
+    if (!order.canReturn()) {
+      return 'Return period has expired or order is not eligible for return';
+    }
+    return null;
+  },
+  returned: (order, { actor }) => {
+    if (actor === 'customer') {
+      return 'Returns must be approved by our team';
+    }
+    return null;
+  }
+};
+
+const notifyCustomer = async (order, status) => {
+  const template = NOTIFICATIONS[status];
+  // Guests have no account to notify
+  if (!template || !order.userId) {
+    return;
+  }
+
+  try {
+    await Notification.createFromTemplate(order.userId, template, {
+      orderNumber: order.orderNumber,
+      orderId: order._id.toString()
+    });
+  } catch (error) {
+    console.error(`Order ${status} notification error:`, error);
+  }
+};
+
+// Side effects that run once the status change has been stored
+const effects = {
+  delivered: async (order) => {
+    // Cash collected by the courier
+    if (order.paymentMethod === 'cod' && order.paymentStatus === 'pending') {
+      await Order.updateOne(
+        { _id: order._id, paymentStatus: 'pending' },
+        { $set: { paymentStatus: 'paid', paidAt: new Date() } }
+      );
+      order.paymentStatus = 'paid';
+    }
+
+    try {
+      await scheduleReviewRequest(order);
+    } catch (error) {
+      console.error('Schedule review request error:', error);
+    }
+  },
+  cancelled: async (order) => {
+    await restoreOrderStock(order);
+
+    if (order.couponCode) {
+      const coupon = await Coupon.findOne({ code: order.couponCode }).select('_id');
+      if (coupon) {
+        await Coupon.releaseRedemption(coupon._id, order._id);
+      }
+    }
+
+    // Paid orders return store credit through refunds instead
+    if (!['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+      await releaseOrderStoreCredit(order);
+    }
+
+    if (order.giftCardsIssued) {
+      await disableOrderGiftCards(order);
+    }
+  },
+  returned: async (order) => {
+    await restoreOrderStock(order);
+  }
+};
+
+/**
+ * Move an order to a new status.
+ *
+ * @param {Object} order - Order document
+ * @param {string} status - Target orderStatus
+ * @param {Object} [options]
+ * @param {string} [options.actor='system'] - 'customer', 'admin' or 'system'
+ * @param {string} [options.userId] - User making the change, for the tracking event
+ * @param {string} [options.description] - Tracking event description
+ * @param {string} [options.location] - Tracking event location
+ * @param {Object} [options.updates] - Extra fields set together with the status
+ * @returns {Promise<Object>} The updated order
+ */
+const transitionOrder = async (order, status, options = {}) => {
+  const { actor = 'system', userId = null, description = '', location = '', updates = {} } = options;
+  const from = order.orderStatus;
+
+  if (!canTransition(from, status)) {
+    const error = new ErrorResponse(
+      `Cannot change order status from ${from} to ${status}`,
+      400,
+      'INVALID_STATUS_TRANSITION'
+    );
+    error.allowed = getAllowedTransitions(order);
+    throw error;
+  }
+
+  if (actor === 'customer' && !CUSTOMER_TRANSITIONS.includes(status)) {
+    throw new ErrorResponse(`Customers cannot change an order to ${status}`, 403, 'TRANSITION_NOT_PERMITTED');
+  }
+
+  const guard = guards[status];
+  const guardError = guard ? guard(order, { actor }) : null;
+  if (guardError) {
+    throw new ErrorResponse(guardError, 400, 'TRANSITION_GUARD_FAILED');
+  }
+
+  const set = { ...updates, orderStatus: status };
+  if (status === 'delivered' && !order.actualDelivery) {
+    set.actualDelivery = new Date();
+  }
+
+  const tracking = {
+    status,
+    description: description || Order.getStatusDescription(status),
+    location,
+    updatedBy: userId,
+    timestamp: new Date()
+  };
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    { $set: set, $push: { trackingHistory: tracking } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ErrorResponse('Order status was changed by another request, please retry', 409, 'STATUS_CONFLICT');
+  }
+
+  if (effects[status]) {
+    await effects[status](updated);
+  }
+
+  // A rejected return request goes back to delivered without re-announcing it
+  if (from !== 'return_requested') {
+    await notifyCustomer(updated, status);
+  }
+
+  return updated;
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  getAllowedTransitions,
+  getTransitionPath,
+  transitionOrder
+};
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+/**
+ * Base Payment Gateway
+ * Every payment method implements the same four operations so routes never
+ * need to know which provider they are talking to:
+ *
+ *   initiate(order, options)   -> { transactionId, redirectUrl, instructions, raw }
+ *   query(transactionId)       -> { transactionId, status, amount, providerReference, raw }
+ *   refund(payment)            -> { refundId, status, amount, raw }
+ *   verifyCallback(req)        -> { valid, eventId, transactionId, status, amount, providerReference, raw }
+ *
+ * `status` is always one of 'pending', 'paid', 'failed' or 'refunded'.
+ */
+class BaseGateway {
+  constructor(method, options = {}) {
+    this.method = method;
+    this.name = options.name || method;
+    this.signatureHeader = options.signatureHeader || 'x-signature';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async initiate() {
+    throw new Error(`${this.name} does not support initiating payments`);
+  }
+
+  async query() {
+    throw new Error(`${this.name} does not support payment queries`);
+  }
+
+  async refund() {
+    throw new Error(`${this.name} does not support refunds`);
+  }
+
+  async verifyCallback() {
+    return { valid: false, reason: `${this.name} does not send payment callbacks` };
+  }
+
+  generateTransactionId() {
+    return `${this.method.toUpperCase()}_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+  }
+
+  sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  // Constant-time comparison of an HMAC-SHA256 signature over the raw body
+  verifySignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(rawBody, secret), 'hex');
+    const received = Buffer.from(String(signature), 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+module.exports = BaseGateway;
@@ -0,0 +1,179 @@
+const BaseGateway = require('./BaseGateway');
+
+/**
+ * Shared adapter for the Bangladeshi mobile financial services. Credentials
+ * are read from `<PREFIX>_BASE_URL`, `<PREFIX>_APP_KEY`, `<PREFIX>_APP_SECRET`,
+ * `<PREFIX>_MERCHANT_NUMBER` and `<PREFIX>_WEBHOOK_SECRET`. Subclasses only
+ * describe the provider's endpoints and field names.
+ */
+class MobileBankingGateway extends BaseGateway {
+  constructor(method, options = {}) {
+    super(method, options);
+    this.envPrefix = options.envPrefix || method.toUpperCase();
+    this.paths = {
+      initiate: '/payment/create',
+      query: '/payment/status',
+      refund: '/payment/refund',
+      ...options.paths
+    };
+    this.statusMap = {
+      success: 'paid',
+      completed: 'paid',
+      failed: 'failed',
+      cancelled: 'failed',
+      aborted: 'failed',
+      refunded: 'refunded',
+      ...options.statusMap
+    };
+  }
+
+  get config() {
+    const prefix = this.envPrefix;
+    return {
+      baseUrl: process.env[`${prefix}_BASE_URL`],
+      appKey: process.env[`${prefix}_APP_KEY`],
+      appSecret: process.env[`${prefix}_APP_SECRET`],
+      merchantNumber: process.env[`${prefix}_MERCHANT_NUMBER`],
+      webhookSecret: process.env[`${prefix}_WEBHOOK_SECRET`] || process.env[`${prefix}_APP_SECRET`]
+    };
+  }
+
+  isConfigured() {
+    const { baseUrl, appKey, appSecret } = this.config;
+    return Boolean(baseUrl && appKey && appSecret);
+  }
+
+  async getAuthHeaders(payload) {
+    const { appKey, appSecret } = this.config;
+    const timestamp = Date.now().toString();
+
+    return {
+      'X-App-Key': appKey,
+      'X-Timestamp': timestamp,
+      'X-Signature': this.sign(`${timestamp}.${payload}`, appSecret)
+    };
+  }
+
+  async request(path, body) {
+    const payload = JSON.stringify(body);
+    const response = await fetch(`${this.config.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(await this.getAuthHeaders(payload))
+      },
+      body: payload
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`${this.name} request failed (${response.status}): ${data.message || data.statusMessage || response.statusText}`);
+    }
+
+    return data;
+  }
+
+  mapStatus(providerStatus) {
+    return this.statusMap[String(providerStatus || '').toLowerCase()] || 'pending';
+  }
+
+  // Provider-specific payload and response mapping; override as needed
+  buildInitiateBody(order, { amount, transactionId, callbackUrl, customerPhone }) {
+    return {
+      merchantNumber: this.config.merchantNumber,
+      amount: amount.toFixed(2),
+      currency: 'BDT',
+      invoiceNumber: order.orderNumber,
+      reference: transactionId,
+      customerPhone,
+      callbackUrl
+    };
+  }
+
+  parseInitiateResponse(data) {
+    return {
+      providerReference: data.paymentId || data.paymentID || data.reference,
+      redirectUrl: data.redirectUrl || data.paymentUrl || null
+    };
+  }
+
+  parseQueryResponse(data) {
+    return {
+      status: this.mapStatus(data.status || data.transactionStatus),
+      amount: parseFloat(data.amount) || 0,
+      providerReference: data.trxId || data.trxID || data.providerReference
+    };
+  }
+
+  parseCallback(body) {
+    return {
+      eventId: body.eventId || body.trxId || body.trxID,
+      transactionId: body.reference || body.merchantReference,
+      status: this.mapStatus(body.status || body.transactionStatus),
+      amount: parseFloat(body.amount) || 0,
+      providerReference: body.trxId || body.trxID
+    };
+  }
+
+  async initiate(order, options = {}) {
+    const transactionId = this.generateTransactionId();
+    const amount = options.amount || order.totalAmount;
+    const data = await this.request(
+      this.paths.initiate,
+      this.buildInitiateBody(order, { ...options, amount, transactionId })
+    );
+    const parsed = this.parseInitiateResponse(data);
+
+    return {
+      transactionId,
+      providerReference: parsed.providerReference,
+      redirectUrl: parsed.redirectUrl,
+      instructions: parsed.redirectUrl ? [] : [
+        `Open your ${this.name} app`,
+        'Select "Payment"',
+        `Enter Merchant: ${this.config.merchantNumber}`,
+        `Enter Amount: ৳${amount}`,
+        `Reference: ${transactionId}`,
+        'Enter PIN to confirm payment'
+      ],
+      raw: data
+    };
+  }
+
+  async query(transactionId, { providerReference } = {}) {
+    const data = await this.request(this.paths.query, {
+      reference: transactionId,
+      paymentId: providerReference
+    });
+
+    return { transactionId, ...this.parseQueryResponse(data), raw: data };
+  }
+
+  async refund({ transactionId, providerReference, amount, reason }) {
+    const data = await this.request(this.paths.refund, {
+      reference: transactionId,
+      paymentId: providerReference,
+      amount: Number(amount).toFixed(2),
+      reason
+    });
+
+    return {
+      refundId: data.refundTrxId || data.refundId || data.reference,
+      status: this.mapStatus(data.status || data.transactionStatus) === 'failed' ? 'failed' : 'refunded',
+      amount: parseFloat(data.amount) || amount,
+      raw: data
+    };
+  }
+
+  async verifyCallback(req) {
+    const signature = req.get(this.signatureHeader);
+    if (!this.verifySignature(req.rawBody, signature, this.config.webhookSecret)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    return { valid: true, ...this.parseCallback(req.body), raw: req.body };
+  }
+}
+
+module.exports = MobileBankingGateway;
@@ -0,0 +1,24 @@
+const BaseGateway = require('./BaseGateway');
+
+// Cash on delivery: nothing to call, the courier collects the money
+class CodGateway extends BaseGateway {
+  constructor() {
+    super('cod', { name: 'Cash on Delivery' });
+  }
+
+  async initiate(order, { amount } = {}) {
+    return {
+      transactionId: this.generateTransactionId(),
+      providerReference: null,
+      redirectUrl: null,
+      instructions: [`Pay ৳${amount || order.totalAmount} in cash when your order is delivered`],
+      raw: {}
+    };
+  }
+
+  async query(transactionId) {
+    return { transactionId, status: 'pending', amount: 0, providerReference: null, raw: {} };
+  }
+}
+
+module.exports = CodGateway;
@@ -0,0 +1,268 @@
+const Order = require('../../models/Order');
+const ErrorResponse = require('../ErrorResponse');
+const { transitionOrder } = require('../orderStateMachine');
+const { issueOrderGiftCards } = require('../storeCredit');
+const BkashGateway = require('./bkash');
+const NagadGateway = require('./nagad');
+const RocketGateway = require('./rocket');
+const UpayGateway = require('./upay');
+const StripeGateway = require('./stripe');
+const CodGateway = require('./cod');
+const SandboxGateway = require('./sandbox');
+const ManualLedgerGateway = require('./manual');
+
+/**
+ * Payment Gateway Registry
+ * One adapter per payment method. With PAYMENT_GATEWAY_MODE=sandbox (never
+ * in production) every adapter is replaced by the local sandbox so checkout
+ * can be exercised end to end. Otherwise an adapter without credentials is
+ * unavailable; it is never swapped for the sandbox on its own.
+ */
+
+const gateways = {
+  bkash: new BkashGateway(),
+  nagad: new NagadGateway(),
+  rocket: new RocketGateway(),
+  upay: new UpayGateway(),
+  stripe: new StripeGateway(),
+  cod: new CodGateway()
+};
+
+// Order.paymentMethod stores card payments as 'card'
+const aliases = {
+  card: 'stripe'
+};
+
+const sandboxes = {};
+
+const manualLedger = new ManualLedgerGateway();
+
+// Methods whose refunds go back through the provider; the rest are paid out by hand
+const providerRefundMethods = ['stripe'];
+
+// Payment status transitions a gateway result is allowed to make
+const allowedTransitions = {
+  paid: ['pending', 'failed'],
+  failed: ['pending'],
+  refunded: ['paid', 'partially_refunded'],
+  partially_refunded: ['paid', 'partially_refunded']
+};
+
+const refundStatuses = ['refunded', 'partially_refunded'];
+
+const resolveMethod = (method) => aliases[method] || method;
+
+const isSandboxMode = () => process.env.PAYMENT_GATEWAY_MODE === 'sandbox';
+
+const useSandbox = (gateway) => isSandboxMode() && process.env.NODE_ENV !== 'production' && gateway.method !== 'cod';
+
+// Called at startup: a sandbox that anyone could sign callbacks for must not
+// run by accident
+const validatePaymentConfig = () => {
+  if (!isSandboxMode()) {
+    return;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_GATEWAY_MODE=sandbox is not allowed in production');
+  }
+  if (!process.env.PAYMENT_SANDBOX_SECRET) {
+    throw new Error('PAYMENT_SANDBOX_SECRET is required when PAYMENT_GATEWAY_MODE=sandbox');
+  }
+};
+
+const getGateway = (method) => {
+  const gateway = gateways[resolveMethod(method)];
+
+  if (!gateway) {
+    throw new ErrorResponse(`Unsupported payment method: ${method}`, 400, 'UNSUPPORTED_PAYMENT_METHOD');
+  }
+
+  if (useSandbox(gateway)) {
+    if (!sandboxes[gateway.method]) {
+      sandboxes[gateway.method] = new SandboxGateway(gateway.method, gateway.name);
+    }
+    return sandboxes[gateway.method];
+  }
+
+  if (!gateway.isConfigured()) {
+    throw new ErrorResponse(`${gateway.name} is not configured`, 503, 'GATEWAY_NOT_CONFIGURED');
+  }
+
+  return gateway;
+};
+
+const getRefundGateway = (method) => {
+  if (providerRefundMethods.includes(resolveMethod(method))) {
+    return getGateway(method);
+  }
+  return manualLedger;
+};
+
+// The provider's own adapter, bypassing the sandbox (e.g. for Stripe CLI webhooks)
+const getAdapter = (method) => gateways[resolveMethod(method)] || null;
+
+const listGateways = () => Object.keys(gateways).map((method) => {
+  const gateway = gateways[method];
+  return {
+    method,
+    name: gateway.name,
+    configured: gateway.isConfigured(),
+    sandbox: useSandbox(gateway)
+  };
+});
+
+const describeResult = (order, result) => {
+  const via = order.paymentMethod;
+
+  switch (result.status) {
+    case 'paid':
+      return `Payment of ৳${result.amount} received via ${via}`;
+    case 'failed':
+      return `Payment via ${via} failed${result.failureReason ? `: ${result.failureReason}` : ''}`;
+    case 'partially_refunded':
+      return `৳${result.refundAmount} refunded to ${via}`;
+    default:
+      return `Payment refunded to ${via}`;
+  }
+};
+
+// A payment counts only if it covers what the payment method had to collect
+const isShortPayment = (order, result) => Math.round((Number(result.amount) || 0) * 100) <
+  Math.round(order.getAmountDue() * 100);
+
+// Leave a short-paid order unpaid and flag it for staff to settle with the
+// customer
+const recordShortPayment = async (order, result, source, fromStatuses) => {
+  const due = order.getAmountDue();
+  console.warn(`Underpaid ${order.paymentMethod} transaction ${result.transactionId}: ${result.amount} of ${due}`);
+
+  await Order.updateOne(
+    { _id: order._id, paymentStatus: { $in: fromStatuses } },
+    {
+      $set: {
+        'paymentMetadata.underpayment': {
+          amount: Number(result.amount) || 0,
+          amountDue: due,
+          transactionId: result.transactionId || null,
+          providerReference: result.providerReference || null,
+          source,
+          at: new Date()
+        }
+      },
+      $push: {
+        trackingHistory: {
+          status: order.orderStatus,
+          description: `Short payment of ৳${Number(result.amount) || 0} of ৳${due} via ${order.paymentMethod}; order left unpaid`,
+          timestamp: new Date()
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Apply a gateway result ({ status, amount, providerReference }) to an order.
+ * The update is conditional on the current payment status, so replayed
+ * callbacks and concurrent confirmations only move the order once, and the
+ * change is noted in the order's tracking history. A payment for less than
+ * the amount due leaves the order unpaid with paymentMetadata.underpayment set.
+ * Resolves to the updated order, or null if the transition didn't apply.
+ */
+const applyPaymentResult = async (order, result, { source = 'gateway' } = {}) => {
+  let fromStatuses = allowedTransitions[result.status];
+  if (!fromStatuses) {
+    return null;
+  }
+
+  // Providers report the cumulative refund of their own charge only. Store
+  // credit refunded on the order comes on top, and whether the order is fully
+  // refunded follows its total, not the provider's status.
+  let refundTotal = null;
+  if (refundStatuses.includes(result.status) && typeof result.refundAmount === 'number') {
+    refundTotal = Math.round(((order.storeCreditRefunded || 0) + result.refundAmount) * 100) / 100;
+    result = { ...result, status: refundTotal >= order.totalAmount ? 'refunded' : 'partially_refunded' };
+    fromStatuses = allowedTransitions[result.status];
+  }
+
+  if (result.status === 'paid' && isShortPayment(order, result)) {
+    await recordShortPayment(order, result, source, fromStatuses);
+    return null;
+  }
+
+  const set = {
+    paymentStatus: result.status,
+    [`paymentMetadata.${result.status}Via`]: source
+  };
+
+  if (result.transactionId) {
+    set.transactionId = result.transactionId;
+  }
+
+  if (result.status === 'paid') {
+    set.paidAt = new Date();
+    if (result.providerReference) {
+      set.paymentReference = result.providerReference;
+    }
+  } else if (result.status === 'failed') {
+    set['paymentMetadata.failureReason'] = result.failureReason || null;
+  } else if (refundTotal !== null) {
+    set.refundAmount = refundTotal;
+  }
+
+  const filter = { _id: order._id, paymentStatus: { $in: fromStatuses } };
+  if (refundTotal !== null) {
+    // Refund totals only grow: a late, smaller cumulative amount, or one
+    // processRefund already claimed, leaves the order as it is
+    filter.refundAmount = { $lt: refundTotal };
+    filter.storeCreditRefunded = order.storeCreditRefunded || 0;
+  }
+
+  const updated = await Order.findOneAndUpdate(
+    filter,
+    {
+      $set: set,
+      $push: {
+        trackingHistory: {
+          status: order.orderStatus,
+          description: describeResult(order, result),
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (updated && result.status === 'paid') {
+    try {
+      await issueOrderGiftCards(updated);
+    } catch (error) {
+      // The payment is recorded either way; staff can issue missing cards by hand
+      console.error('Gift card issuing error:', error);
+    }
+  }
+
+  if (updated && result.status === 'paid' && updated.orderStatus === 'pending') {
+    try {
+      return await transitionOrder(updated, 'confirmed', {
+        description: `Order confirmed after payment via ${updated.paymentMethod}`
+      });
+    } catch (error) {
+      // Someone else moved the order on already; the payment is still recorded
+      if (error.code !== 'STATUS_CONFLICT') {
+        throw error;
+      }
+    }
+  }
+
+  return updated;
+};
+
+module.exports = {
+  getGateway,
+  getAdapter,
+  getRefundGateway,
+  listGateways,
+  applyPaymentResult,
+  resolveMethod,
+  validatePaymentConfig
+};
@@ -0,0 +1,55 @@
+const MobileBankingGateway = require('./MobileBankingGateway');
+
+// Nagad merchant checkout
+class NagadGateway extends MobileBankingGateway {
+  constructor() {
+    super('nagad', {
+      name: 'Nagad',
+      envPrefix: 'NAGAD',
+      signatureHeader: 'x-nagad-signature',
+      paths: {
+        initiate: '/remote-payment-gateway-1.0/api/dfs/check-out/initialize',
+        query: '/remote-payment-gateway-1.0/api/dfs/verify/payment',
+        refund: '/remote-payment-gateway-1.0/api/dfs/purchase/cancel'
+      }
+    });
+  }
+
+  buildInitiateBody(order, { amount, transactionId, callbackUrl }) {
+    return {
+      merchantId: this.config.merchantNumber,
+      orderId: transactionId,
+      amount: amount.toFixed(2),
+      currencyCode: '050',
+      challenge: order.orderNumber,
+      merchantCallbackURL: callbackUrl
+    };
+  }
+
+  parseInitiateResponse(data) {
+    return {
+      providerReference: data.paymentReferenceId,
+      redirectUrl: data.callBackUrl || null
+    };
+  }
+
+  parseQueryResponse(data) {
+    return {
+      status: this.mapStatus(data.status),
+      amount: parseFloat(data.amount) || 0,
+      providerReference: data.issuerPaymentRefNo || data.paymentRefId
+    };
+  }
+
+  parseCallback(body) {
+    return {
+      eventId: body.payment_ref_id,
+      transactionId: body.order_id,
+      status: this.mapStatus(body.status),
+      amount: parseFloat(body.amount) || 0,
+      providerReference: body.issuer_payment_ref || body.payment_ref_id
+    };
+  }
+}
+
+module.exports = NagadGateway;
@@ -0,0 +1,18 @@
+const MobileBankingGateway = require('./MobileBankingGateway');
+
+// Rocket (Dutch-Bangla Bank mobile banking) merchant API
+class RocketGateway extends MobileBankingGateway {
+  constructor() {
+    super('rocket', {
+      name: 'Rocket',
+      envPrefix: 'ROCKET',
+      signatureHeader: 'x-rocket-signature',
+      statusMap: {
+        successful: 'paid',
+        declined: 'failed'
+      }
+    });
+  }
+}
+
+module.exports = RocketGateway;
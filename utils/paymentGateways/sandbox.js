@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const BaseGateway = require('./BaseGateway');
+
+// Shared across all sandbox adapters for the lifetime of the process
+const transactions = new Map();
+
+/**
+ * Local sandbox that stands in for every provider when
+ * PAYMENT_GATEWAY_MODE=sandbox. Payments stay pending until simulate() is
+ * called, which returns a signed callback that can be posted to the regular
+ * webhook endpoint. Callbacks are signed with PAYMENT_SANDBOX_SECRET.
+ */
+class SandboxGateway extends BaseGateway {
+  constructor(method, name) {
+    super(method, { name: `${name} (sandbox)`, signatureHeader: 'x-sandbox-signature' });
+    this.sandbox = true;
+
+    if (!this.secret) {
+      throw new Error('PAYMENT_SANDBOX_SECRET is required for the payment sandbox');
+    }
+  }
+
+  get secret() {
+    return process.env.PAYMENT_SANDBOX_SECRET;
+  }
+
+  async initiate(order, { amount } = {}) {
+    const transactionId = this.generateTransactionId();
+    const transaction = {
+      transactionId,
+      method: this.method,
+      orderId: order._id.toString(),
+      amount: amount || order.totalAmount,
+      refundedAmount: 0,
+      status: 'pending',
+      providerReference: `SBX${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+    };
+    transactions.set(transactionId, transaction);
+
+    return {
+      transactionId,
+      providerReference: transaction.providerReference,
+      redirectUrl: null,
+      instructions: [
+        `Sandbox ${this.method} payment of ৳${transaction.amount}`,
+        `Complete it with POST /api/payments/sandbox/simulate and transactionId ${transactionId}`
+      ],
+      raw: transaction
+    };
+  }
+
+  async query(transactionId) {
+    const transaction = transactions.get(transactionId);
+    if (!transaction) {
+      return { transactionId, status: 'pending', amount: 0, providerReference: null, raw: {} };
+    }
+
+    return {
+      transactionId,
+      status: transaction.status,
+      amount: transaction.amount,
+      providerReference: transaction.providerReference,
+      raw: transaction
+    };
+  }
+
+  async refund({ transactionId, amount }) {
+    const transaction = transactions.get(transactionId);
+    if (transaction) {
+      transaction.refundedAmount += amount;
+      if (transaction.refundedAmount >= transaction.amount) {
+        transaction.status = 'refunded';
+      }
+    }
+
+    return {
+      refundId: `SBXRF${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      status: 'refunded',
+      amount,
+      raw: transaction || {}
+    };
+  }
+
+  // Settle a sandbox transaction and build the callback a provider would send
+  simulate(transactionId, outcome = 'paid') {
+    const transaction = transactions.get(transactionId);
+    if (!transaction) {
+      return null;
+    }
+
+    transaction.status = outcome;
+    const payload = {
+      eventId: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      transactionId,
+      method: this.method,
+      status: outcome,
+      amount: transaction.amount,
+      providerReference: transaction.providerReference
+    };
+
+    return {
+      payload,
+      signatureHeader: this.signatureHeader,
+      signature: this.sign(JSON.stringify(payload), this.secret)
+    };
+  }
+
+  async verifyCallback(req) {
+    if (!this.verifySignature(req.rawBody, req.get(this.signatureHeader), this.secret)) {
+      return { valid: false, reason: 'Invalid signature' };
+    }
+
+    const { eventId, transactionId, status, amount, providerReference } = req.body;
+    return { valid: true, eventId, transactionId, status, amount, providerReference, raw: req.body };
+  }
+}
+
+module.exports = SandboxGateway;
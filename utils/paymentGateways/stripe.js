@@ -0,0 +1,125 @@
+const Stripe = require('stripe');
+const BaseGateway = require('./BaseGateway');
+
+const INTENT_STATUS_MAP = {
+  succeeded: 'paid',
+  canceled: 'failed'
+};
+
+// Card payments through Stripe PaymentIntents
+class StripeGateway extends BaseGateway {
+  constructor() {
+    super('stripe', { name: 'Credit/Debit Card', signatureHeader: 'stripe-signature' });
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY);
+  }
+
+  get stripe() {
+    if (!this.client) {
+      this.client = Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.client;
+  }
+
+  async initiate(order, { amount, userId } = {}) {
+    const paymentIntent = await this.stripe.paymentIntents.create({
+      amount: Math.round((amount || order.totalAmount) * 100), // Convert to paisa
+      currency: 'bdt',
+      metadata: {
+        orderId: order._id.toString(),
+        userId: userId ? userId.toString() : ''
+      },
+      description: `Payment for order ${order.orderNumber}`
+    });
+
+    return {
+      transactionId: paymentIntent.id,
+      providerReference: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      raw: paymentIntent
+    };
+  }
+
+  async query(transactionId) {
+    const paymentIntent = await this.stripe.paymentIntents.retrieve(transactionId);
+
+    return {
+      transactionId,
+      status: INTENT_STATUS_MAP[paymentIntent.status] || 'pending',
+      amount: paymentIntent.amount_received / 100,
+      providerReference: paymentIntent.latest_charge || paymentIntent.id,
+      raw: paymentIntent
+    };
+  }
+
+  async refund({ transactionId, amount, reason }) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: transactionId,
+      amount: Math.round(amount * 100),
+      reason: 'requested_by_customer',
+      metadata: { reason: reason || '' }
+    });
+
+    return {
+      refundId: refund.id,
+      status: ['failed', 'canceled'].includes(refund.status) ? 'failed' : 'refunded',
+      amount: refund.amount / 100,
+      raw: refund
+    };
+  }
+
+  async verifyCallback(req) {
+    let event;
+    try {
+      event = this.stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.get(this.signatureHeader),
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      return { valid: false, reason: error.message };
+    }
+
+    const object = event.data.object;
+    const result = { valid: true, eventId: event.id, type: event.type, status: null, raw: event };
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        return {
+          ...result,
+          status: 'paid',
+          transactionId: object.id,
+          orderId: object.metadata?.orderId,
+          amount: object.amount_received / 100,
+          providerReference: object.latest_charge
+        };
+      case 'payment_intent.payment_failed':
+        return {
+          ...result,
+          status: 'failed',
+          transactionId: object.id,
+          orderId: object.metadata?.orderId,
+          amount: object.amount / 100,
+          failureReason: object.last_payment_error?.message
+        };
+      case 'charge.refunded':
+        // amount_refunded is cumulative across all refunds on the charge
+        return {
+          ...result,
+          status: object.amount_refunded < object.amount ? 'partially_refunded' : 'refunded',
+          transactionId: object.payment_intent,
+          orderId: object.metadata?.orderId,
+          amount: object.amount_refunded / 100,
+          refundAmount: object.amount_refunded / 100,
+          providerReference: object.id
+        };
+      default:
+        return result;
+    }
+  }
+}
+
+module.exports = StripeGateway;
@@ -0,0 +1,47 @@
+const MobileBankingGateway = require('./MobileBankingGateway');
+
+// Upay merchant payment API
+class UpayGateway extends MobileBankingGateway {
+  constructor() {
+    super('upay', {
+      name: 'Upay',
+      envPrefix: 'UPAY',
+      signatureHeader: 'x-upay-signature',
+      paths: {
+        initiate: '/payment/merchant-payment-init/',
+        query: '/payment/single-payment-status/',
+        refund: '/payment/refund/'
+      }
+    });
+  }
+
+  buildInitiateBody(order, { amount, transactionId, callbackUrl }) {
+    return {
+      merchant_id: this.config.merchantNumber,
+      txn_id: transactionId,
+      amount: amount.toFixed(2),
+      invoice_id: order.orderNumber,
+      redirect_url: callbackUrl
+    };
+  }
+
+  parseInitiateResponse(data) {
+    const payload = data.data || {};
+    return {
+      providerReference: payload.trx_id || payload.session_id,
+      redirectUrl: payload.gateway_url || null
+    };
+  }
+
+  parseCallback(body) {
+    return {
+      eventId: body.trx_id || body.txn_id,
+      transactionId: body.txn_id,
+      status: this.mapStatus(body.status),
+      amount: parseFloat(body.amount) || 0,
+      providerReference: body.trx_id
+    };
+  }
+}
+
+module.exports = UpayGateway;
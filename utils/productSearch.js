@@ -0,0 +1,277 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const searchConfig = require('../config/search');
+const searchIndex = require('./searchIndex');
+
+/**
+ * Product Search
+ * Words are matched by the in-process search index (typos, partial words,
+ * Banglish), which also supplies the relevance score. The paginated
+ * results and every facet then come from one aggregation. Each facet
+ * is counted against the query and all the other active filters, but not
+ * its own, so picking a brand still shows what the other brands would give.
+ */
+
+// Products shoppers can see
+const VISIBLE = { status: 'active', visibility: 'public' };
+
+const RESULT_FIELDS = {
+  name: 1, price: 1, originalPrice: 1, discount: 1, images: 1, image: 1, description: 1,
+  category: 1, categoryId: 1, brand: 1, averageRating: 1, reviewCount: 1, stock: 1,
+  inStock: 1, featured: 1, tags: 1, sizes: 1, colors: 1, score: 1
+};
+
+const SORT_FIELDS = {
+  price: 'price',
+  rating: 'averageRating',
+  popularity: 'salesCount',
+  discount: 'discount'
+};
+
+// Query values may be repeated (?brand=a&brand=b)
+const listOf = (value) => (value === undefined || value === '' ? [] : [].concat(value));
+
+// Category filter values may be ids, slugs or names; ids and slugs match
+// the whole branch below the category
+const resolveCategoryCondition = async (values) => {
+  const categoryIds = [];
+  const names = [];
+  for (const value of values) {
+    const category = await Category.findByIdentifier(value);
+    if (category) {
+      categoryIds.push(...await Category.getSubtreeIds(category._id));
+    } else {
+      names.push(value);
+    }
+  }
+
+  return {
+    $or: [
+      { categoryId: { $in: categoryIds } },
+      { category: { $in: names } }
+    ]
+  };
+};
+
+/**
+ * One match condition per filter dimension present in the query.
+ *
+ * @param {Object} query - Request query
+ * @param {Object} [categoryCondition] - Resolved category match, if filtering by category
+ * @returns {Object} Conditions keyed by dimension
+ */
+const buildFilterConditions = (query, categoryCondition = null) => {
+  const conditions = {};
+
+  if (categoryCondition) {
+    conditions.category = categoryCondition;
+  }
+
+  const brands = listOf(query.brand);
+  if (brands.length > 0) {
+    conditions.brand = { brand: { $in: brands } };
+  }
+
+  if (query.minPrice || query.maxPrice) {
+    const price = {};
+    if (query.minPrice) {
+      price.$gte = parseFloat(query.minPrice);
+    }
+    if (query.maxPrice) {
+      price.$lte = parseFloat(query.maxPrice);
+    }
+    conditions.price = { price };
+  }
+
+  if (query.rating) {
+    conditions.rating = { averageRating: { $gte: parseFloat(query.rating) } };
+  }
+
+  const sizes = listOf(query.sizes);
+  if (sizes.length > 0) {
+    conditions.sizes = { sizes: { $in: sizes } };
+  }
+
+  const colors = listOf(query.colors);
+  if (colors.length > 0) {
+    conditions.colors = { colors: { $in: colors } };
+  }
+
+  const tags = listOf(query.tags);
+  if (tags.length > 0) {
+    conditions.tags = { tags: { $in: tags } };
+  }
+
+  if (query.discount) {
+    conditions.discount = { discount: { $gte: parseFloat(query.discount) } };
+  }
+
+  if (query.inStock !== undefined) {
+    conditions.inStock = query.inStock === 'true' ? { stock: { $gt: 0 } } : { stock: { $lte: 0 } };
+  }
+
+  if (query.featured !== undefined) {
+    conditions.featured = { featured: query.featured === 'true' };
+  }
+
+  return conditions;
+};
+
+// Every condition except the one for the given dimension
+const matchExcept = (conditions, dimension = null) => {
+  const list = Object.keys(conditions)
+    .filter(key => key !== dimension)
+    .map(key => conditions[key]);
+  return list.length > 0 ? { $and: list } : {};
+};
+
+const buildSort = ({ q, sortBy = 'relevance', sortOrder = 'desc' }) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  if (q && sortBy === 'relevance') {
+    return { score: -1, _id: -1 };
+  }
+  if (sortBy === 'newest') {
+    return { createdAt: -1, _id: -1 };
+  }
+  if (SORT_FIELDS[sortBy]) {
+    return { [SORT_FIELDS[sortBy]]: direction, _id: -1 };
+  }
+  return { createdAt: direction, _id: -1 };
+};
+
+// Counts of products at or above each threshold, in one $group
+const thresholdCounts = (field, thresholds) => ({
+  $group: thresholds.reduce((group, min) => ({
+    ...group,
+    [`gte${min}`]: { $sum: { $cond: [{ $gte: [`$${field}`, min] }, 1, 0] } }
+  }), { _id: null })
+});
+
+const valueCounts = (field, { unwind = false } = {}) => [
+  ...(unwind ? [{ $unwind: `$${field}` }] : []),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: searchConfig.maxFacetValues }
+];
+
+const buildFacetPipelines = (conditions) => {
+  const { priceBuckets, ratingThresholds, discountBands } = searchConfig;
+  const counted = (dimension, stages) => [{ $match: matchExcept(conditions, dimension) }, ...stages];
+
+  return {
+    categories: counted('category', [
+      { $group: { _id: '$category', categoryId: { $first: '$categoryId' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]),
+    brands: counted('brand', valueCounts('brand')),
+    price: counted('price', [
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: priceBuckets,
+          default: priceBuckets[priceBuckets.length - 1],
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ]),
+    rating: counted('rating', [thresholdCounts('averageRating', ratingThresholds)]),
+    sizes: counted('sizes', valueCounts('sizes', { unwind: true })),
+    colors: counted('colors', valueCounts('colors', { unwind: true })),
+    discount: counted('discount', [thresholdCounts('discount', discountBands)])
+  };
+};
+
+// Shape the raw $facet output for the filter UI
+const formatFacets = (raw) => {
+  const { priceBuckets, ratingThresholds, discountBands } = searchConfig;
+  const values = (entries = []) => entries.map(entry => ({ value: entry._id, count: entry.count }));
+  const thresholds = (entries = [], list) => list
+    .map(min => ({ min, count: entries[0] ? entries[0][`gte${min}`] : 0 }))
+    .filter(entry => entry.count > 0);
+
+  return {
+    categories: (raw.categories || []).map(entry => ({
+      value: entry._id,
+      categoryId: entry.categoryId || null,
+      count: entry.count
+    })),
+    brands: values(raw.brands),
+    price: (raw.price || []).map(entry => {
+      const index = priceBuckets.indexOf(entry._id);
+      return {
+        min: entry._id,
+        max: index < priceBuckets.length - 1 ? priceBuckets[index + 1] : null,
+        count: entry.count
+      };
+    }),
+    rating: thresholds(raw.rating, ratingThresholds),
+    sizes: values(raw.sizes),
+    colors: values(raw.colors),
+    discount: thresholds(raw.discount, discountBands)
+  };
+};
+
+/**
+ * Search visible products.
+ *
+ * @param {Object} query - Request query (q, filters, sortBy, sortOrder, page, limit)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeResults=true] - False returns the facets only
+ * @returns {Promise<{ products, total, page, limit, facets }>}
+ */
+const searchProducts = async (query = {}, { includeResults = true } = {}) => {
+  const q = String(query.q || '').trim();
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(searchConfig.maxPageSize, Math.max(1, parseInt(query.limit) || 20));
+
+  const categories = listOf(query.category);
+  const conditions = buildFilterConditions(
+    query,
+    categories.length > 0 ? await resolveCategoryCondition(categories) : null
+  );
+
+  const pipeline = [{ $match: VISIBLE }];
+  if (q) {
+    const ranked = await searchIndex.search(q, { limit: searchConfig.index.maxResults });
+    const ids = ranked.map(entry => entry._id);
+    pipeline[0].$match = { ...VISIBLE, _id: { $in: ids } };
+    pipeline.push({
+      $addFields: {
+        score: { $arrayElemAt: [ranked.map(entry => entry.score), { $indexOfArray: [ids, '$_id'] }] }
+      }
+    });
+  }
+
+  const facets = buildFacetPipelines(conditions);
+  if (includeResults) {
+    facets.results = [
+      { $match: matchExcept(conditions) },
+      { $sort: buildSort({ ...query, q }) },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: RESULT_FIELDS }
+    ];
+    facets.total = [{ $match: matchExcept(conditions) }, { $count: 'count' }];
+  }
+  pipeline.push({ $facet: facets });
+
+  const [raw = {}] = await Product.aggregate(pipeline);
+
+  return {
+    products: raw.results || [],
+    total: raw.total && raw.total[0] ? raw.total[0].count : 0,
+    page,
+    limit,
+    facets: formatFacets(raw)
+  };
+};
+
+module.exports = {
+  searchProducts,
+  buildFilterConditions,
+  buildFacetPipelines,
+  buildSort,
+  formatFacets,
+  matchExcept
+};
@@ -0,0 +1,278 @@
+/**
+ * Promotion Engine
+ * Works out automatic promotions for a set of lines. Cart totals and order
+ * creation both evaluate through evaluatePromotions(), so the cart shows
+ * exactly what checkout will charge.
+ *
+ * Stacking rules:
+ * - Unit-level promotions (category_sale, buy_x_get_y, bundle) apply first.
+ *   Each unit gets at most one of them; higher priority claims units first.
+ * - tiered_spend then discounts what is left of the eligible lines, and
+ *   stacks with the unit-level promotions.
+ * - free_gift is checked last, against the spend after discounts. It adds a
+ *   gift line and never changes prices.
+ * - Exclusive promotions never combine: if the highest priority promotion
+ *   that applies is exclusive it is the only one applied, otherwise
+ *   exclusive promotions are skipped.
+ * - Coupons come last and discount the promoted prices. Promotions that
+ *   aren't combinable with coupons are skipped when a coupon is used.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Promotions apply in stages; within a stage, by priority
+const STAGES = ['unit', 'spend', 'gift'];
+const STAGE_OF = {
+  category_sale: 'unit',
+  buy_x_get_y: 'unit',
+  bundle: 'unit',
+  tiered_spend: 'spend',
+  free_gift: 'gift'
+};
+
+const byPriority = (a, b) => (b.priority || 0) - (a.priority || 0);
+
+const isRunning = (promotion, now) => promotion.isActive !== false &&
+  (!promotion.startsAt || new Date(promotion.startsAt) <= now) &&
+  (!promotion.endsAt || new Date(promotion.endsAt) > now);
+
+const isLineEligible = (promotion, item) => {
+  const productId = item.productId ? item.productId.toString() : null;
+  const categories = promotion.applicableCategories || [];
+  const products = promotion.applicableProducts || [];
+  const excluded = promotion.excludedProducts || [];
+
+  if (categories.length > 0 && !categories.includes(item.category)) {
+    return false;
+  }
+  if (products.length > 0 && !products.includes(productId)) {
+    return false;
+  }
+  return !excluded.includes(productId);
+};
+
+const lineValue = (line) => line.item.price * line.item.quantity - line.discount;
+
+// Split an amount across lines by weight; the last line takes the rounding
+const distribute = (amount, entries) => {
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  const shares = new Map();
+  if (totalWeight <= 0) {
+    return shares;
+  }
+
+  let remaining = roundAmount(amount);
+  entries.forEach((entry, index) => {
+    const share = index === entries.length - 1
+      ? remaining
+      : roundAmount(amount * entry.weight / totalWeight);
+    shares.set(entry.index, (shares.get(entry.index) || 0) + share);
+    remaining = roundAmount(remaining - share);
+  });
+  return shares;
+};
+
+const capDiscount = (promotion, shares) => {
+  const total = [...shares.values()].reduce((sum, share) => sum + share, 0);
+  if (!promotion.maxDiscountAmount || total <= promotion.maxDiscountAmount) {
+    return shares;
+  }
+  return distribute(promotion.maxDiscountAmount, [...shares].map(([index, weight]) => ({ index, weight })));
+};
+
+// Each evaluator returns { shares: Map<lineIndex, discount>, claims: Map<lineIndex, units>, freeGift }
+const evaluators = {
+  category_sale: (promotion, eligible) => {
+    const shares = new Map();
+    const claims = new Map();
+    eligible.filter(line => line.freeUnits > 0).forEach(line => {
+      const perUnit = promotion.discountType === 'percentage'
+        ? line.item.price * promotion.discountValue / 100
+        : Math.min(promotion.discountValue, line.item.price);
+      shares.set(line.index, roundAmount(perUnit * line.freeUnits));
+      claims.set(line.index, line.freeUnits);
+    });
+    return { shares: capDiscount(promotion, shares), claims };
+  },
+
+  buy_x_get_y: (promotion, eligible) => {
+    const shares = new Map();
+    const claims = new Map();
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const percent = typeof promotion.getDiscountPercent === 'number' ? promotion.getDiscountPercent : 100;
+    const units = [];
+    eligible.forEach(line => {
+      for (let i = 0; i < line.freeUnits; i += 1) {
+        units.push({ index: line.index, price: line.item.price });
+      }
+    });
+    units.sort((a, b) => b.price - a.price);
+
+    const groups = Math.floor(units.length / groupSize);
+    for (let group = 0; group < groups; group += 1) {
+      const groupUnits = units.slice(group * groupSize, (group + 1) * groupSize);
+      groupUnits.forEach((unit, position) => {
+        claims.set(unit.index, (claims.get(unit.index) || 0) + 1);
+        if (position >= promotion.buyQuantity) {
+          const discount = unit.price * percent / 100;
+          shares.set(unit.index, roundAmount((shares.get(unit.index) || 0) + discount));
+        }
+      });
+    }
+    return { shares: capDiscount(promotion, shares), claims };
+  },
+
+  bundle: (promotion, eligible) => {
+    const shares = new Map();
+    const claims = new Map();
+    const available = new Map(eligible.map(line => [line.index, line.freeUnits]));
+    const linesFor = (productId) => eligible
+      .filter(line => line.item.productId.toString() === productId)
+      .sort((a, b) => b.item.price - a.item.price);
+
+    const components = promotion.bundleProducts.map(linesFor);
+    const pickBundle = () => {
+      const picked = components.map(lines => lines.find(line => available.get(line.index) > 0));
+      return picked.every(Boolean) ? picked : null;
+    };
+
+    for (let picked = pickBundle(); picked; picked = pickBundle()) {
+      const regularPrice = picked.reduce((sum, line) => sum + line.item.price, 0);
+      const saving = regularPrice - promotion.bundlePrice;
+      if (saving <= 0) {
+        break;
+      }
+
+      picked.forEach(line => {
+        available.set(line.index, available.get(line.index) - 1);
+        claims.set(line.index, (claims.get(line.index) || 0) + 1);
+      });
+      distribute(saving, picked.map(line => ({ index: line.index, weight: line.item.price })))
+        .forEach((share, index) => shares.set(index, roundAmount((shares.get(index) || 0) + share)));
+    }
+    return { shares, claims };
+  },
+
+  tiered_spend: (promotion, eligible) => {
+    const spend = eligible.reduce((sum, line) => sum + lineValue(line), 0);
+    const tier = [...promotion.tiers]
+      .sort((a, b) => b.minAmount - a.minAmount)
+      .find(t => spend >= t.minAmount);
+    if (!tier) {
+      return { shares: new Map(), claims: new Map() };
+    }
+
+    const discount = tier.discountType === 'percentage'
+      ? spend * tier.discountValue / 100
+      : Math.min(tier.discountValue, spend);
+    const shares = distribute(discount, eligible.map(line => ({ index: line.index, weight: lineValue(line) })));
+    return { shares: capDiscount(promotion, shares), claims: new Map() };
+  },
+
+  free_gift: (promotion) => ({
+    shares: new Map(),
+    claims: new Map(),
+    freeGift: { productId: promotion.giftProductId, quantity: promotion.giftQuantity || 1 }
+  })
+};
+
+// Evaluate one promotion against the lines as they stand; null when it
+// doesn't apply
+const tryPromotion = (promotion, lines) => {
+  const evaluate = evaluators[promotion.type];
+  if (!evaluate) {
+    return null;
+  }
+
+  const eligible = promotion.type === 'bundle'
+    ? lines.filter(line => (promotion.bundleProducts || []).includes(line.item.productId.toString()))
+    : lines.filter(line => isLineEligible(promotion, line.item));
+  const spend = eligible.reduce((sum, line) => sum + lineValue(line), 0);
+  if (eligible.length === 0 || spend < (promotion.minSubtotal || 0)) {
+    return null;
+  }
+
+  const result = evaluate(promotion, eligible);
+  const discount = roundAmount([...result.shares.values()].reduce((sum, share) => sum + share, 0));
+  return discount > 0 || result.freeGift ? { ...result, discount } : null;
+};
+
+/**
+ * Apply promotions to a set of lines.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - [{ productId, category, price, quantity }]
+ * @param {Array} params.promotions - Promotion documents or plain objects
+ * @param {boolean} [params.hasCoupon=false] - A coupon will be applied as well
+ * @param {Date} [params.now]
+ * @returns {{ lines, applied, discount, freeGifts }} lines are in item order
+ *   ({ promotionDiscount }); applied lists each promotion with its discount
+ */
+const evaluatePromotions = ({ items = [], promotions = [], hasCoupon = false, now = new Date() } = {}) => {
+  const lines = items.map((item, index) => ({ index, item, freeUnits: item.quantity, discount: 0 }));
+  const applied = [];
+  const freeGifts = [];
+
+  const apply = (promotion, result) => {
+    result.shares.forEach((share, index) => {
+      lines[index].discount = roundAmount(lines[index].discount + share);
+    });
+    result.claims.forEach((units, index) => {
+      lines[index].freeUnits -= units;
+    });
+
+    const entry = {
+      promotionId: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discount: result.discount
+    };
+    if (result.freeGift) {
+      entry.freeGift = result.freeGift;
+      freeGifts.push({ promotionId: promotion._id, ...result.freeGift });
+    }
+    applied.push(entry);
+  };
+
+  const candidates = promotions
+    .filter(promotion => isRunning(promotion, now))
+    .filter(promotion => !hasCoupon || promotion.combinableWithCoupons !== false)
+    .sort(byPriority);
+
+  const lead = candidates
+    .map(promotion => ({ promotion, result: tryPromotion(promotion, lines) }))
+    .find(({ result }) => result);
+
+  if (lead && lead.promotion.exclusive) {
+    apply(lead.promotion, lead.result);
+  } else {
+    candidates
+      .filter(promotion => !promotion.exclusive)
+      .sort((a, b) => STAGES.indexOf(STAGE_OF[a.type]) - STAGES.indexOf(STAGE_OF[b.type]) || byPriority(a, b))
+      .forEach(promotion => {
+        const result = tryPromotion(promotion, lines);
+        if (result) {
+          apply(promotion, result);
+        }
+      });
+  }
+
+  return {
+    lines: lines.map(line => ({ promotionDiscount: line.discount })),
+    applied,
+    discount: roundAmount(lines.reduce((sum, line) => sum + line.discount, 0)),
+    freeGifts
+  };
+};
+
+// Lines at their promoted prices, for coupon checks that come after promotions
+const applyLineDiscounts = (items, lines) => items.map((item, index) => ({
+  ...item,
+  price: item.quantity > 0 ? (item.price * item.quantity - lines[index].promotionDiscount) / item.quantity : item.price
+}));
+
+module.exports = {
+  evaluatePromotions,
+  applyLineDiscounts,
+  isLineEligible
+};
@@ -0,0 +1,409 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Wishlist = require('../models/Wishlist');
+const cache = require('./cache');
+const analyticsTracker = require('./analyticsTracker');
+const config = require('../config/recommendations');
+
+/**
+ * Product Recommendations
+ * "Frequently bought together" comes from products sharing an order,
+ * "customers also viewed" from products viewed in the same session, and
+ * personal picks from what a shopper bought, wishlisted and told us they
+ * like. Everything is recomputed on a schedule and kept in the cache as
+ * product ids; products themselves are loaded fresh when served, so price
+ * and stock are always current. A cache miss is computed on demand.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Products we recommend: visible, in stock, and not gift cards
+const RECOMMENDABLE = { status: 'active', visibility: 'public', inStock: true, isGiftCard: { $ne: true } };
+
+const PRODUCT_FIELDS = 'name price originalPrice discount images image category brand averageRating reviewCount';
+
+const KEYS = {
+  boughtTogether: (productId) => `recommendations:bought-together:${productId}`,
+  alsoViewed: (productId) => `recommendations:also-viewed:${productId}`,
+  personal: (userId) => `recommendations:user:${userId}`,
+  bestsellers: 'recommendations:bestsellers'
+};
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+/**
+ * Count how often each pair of products shares a basket (an order, or a
+ * browsing session).
+ *
+ * @param {Array<Array<string>>} baskets - Product ids, each basket distinct
+ * @param {Object} [options]
+ * @param {number} [options.minCount] - Pairs seen fewer times are dropped
+ * @param {number} [options.limit] - Products kept per product
+ * @returns {Map<string, Array<{ productId, count }>>} Most frequent first
+ */
+const countCoOccurrences = (baskets, { minCount = config.minCoOccurrence, limit = config.maxPerProduct } = {}) => {
+  const pairs = new Map();
+
+  baskets.forEach(basket => {
+    const ids = [...new Set(basket.map(String))];
+    ids.forEach(id => {
+      const counts = pairs.get(id) || new Map();
+      ids.filter(other => other !== id).forEach(other => counts.set(other, (counts.get(other) || 0) + 1));
+      pairs.set(id, counts);
+    });
+  });
+
+  const related = new Map();
+  pairs.forEach((counts, id) => {
+    const list = [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit)
+      .map(([productId, count]) => ({ productId, count }));
+    if (list.length > 0) {
+      related.set(id, list);
+    }
+  });
+  return related;
+};
+
+/**
+ * Rank candidate products for one shopper.
+ *
+ * @param {Object} input
+ * @param {Array} input.candidates - Products ({ _id, category, brand, price })
+ * @param {Object} input.profile - From buildProfile
+ * @param {Map} input.boughtTogether - productId -> times bought with the shopper's products
+ * @param {Map} input.alsoViewed - productId -> times viewed with them
+ * @param {Map} input.sales - productId -> orders it appeared in
+ * @param {number} [input.limit]
+ * @returns {Array<string>} Product ids, best first
+ */
+const scorePersonalPicks = ({ candidates, profile, boughtTogether, alsoViewed, sales, limit = config.maxPersonalPicks }) => {
+  const { weights } = config;
+  const topSales = [...sales.values()].reduce((max, count) => Math.max(max, count), 0);
+  const share = (counts, total, value) => (total > 0 && value ? (counts.get(value.toLowerCase()) || 0) / total : 0);
+
+  return candidates
+    .filter(product => !profile.excludeIds.has(String(product._id)))
+    .map(product => {
+      const id = String(product._id);
+      const category = String(product.category || '').toLowerCase();
+      const brand = String(product.brand || '').toLowerCase();
+      const { priceRange } = profile;
+
+      let score = weights.boughtTogether * Math.log1p(boughtTogether.get(id) || 0)
+        + weights.alsoViewed * Math.log1p(alsoViewed.get(id) || 0)
+        + weights.category * share(profile.categories, profile.categoryTotal, category)
+        + weights.brand * share(profile.brands, profile.brandTotal, brand);
+
+      if (profile.favoriteCategories.has(category)) {
+        score += weights.favoriteCategory;
+      }
+      if (profile.favoriteBrands.has(brand)) {
+        score += weights.favoriteBrand;
+      }
+      if (priceRange && product.price >= (priceRange.min || 0) && product.price <= (priceRange.max || Infinity)) {
+        score += weights.priceRange;
+      }
+      if (topSales > 0) {
+        score += weights.popularity * (Math.log1p(sales.get(id) || 0) / Math.log1p(topSales));
+      }
+
+      return { id, score };
+    })
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+    .slice(0, limit)
+    .map(entry => entry.id);
+};
+
+/**
+ * What a shopper's history says they like.
+ *
+ * @param {Object} input
+ * @param {Array} input.purchased - Products they ordered
+ * @param {Array} input.wishlisted - Products on their wishlist
+ * @param {Object} [input.preferences] - User.shoppingPreferences
+ */
+const buildProfile = ({ purchased, wishlisted, preferences = {} }) => {
+  const categories = new Map();
+  const brands = new Map();
+  [...purchased, ...wishlisted].forEach(product => {
+    if (product.category) {
+      const category = product.category.toLowerCase();
+      categories.set(category, (categories.get(category) || 0) + 1);
+    }
+    if (product.brand) {
+      const brand = product.brand.toLowerCase();
+      brands.set(brand, (brands.get(brand) || 0) + 1);
+    }
+  });
+
+  const lower = (values) => new Set((values || []).map(value => String(value).toLowerCase()));
+  const priceRange = preferences.priceRange && (preferences.priceRange.min || preferences.priceRange.max)
+    ? preferences.priceRange
+    : null;
+
+  return {
+    excludeIds: new Set([...purchased, ...wishlisted].map(product => String(product._id))),
+    categories,
+    categoryTotal: [...categories.values()].reduce((sum, count) => sum + count, 0),
+    brands,
+    brandTotal: [...brands.values()].reduce((sum, count) => sum + count, 0),
+    favoriteCategories: lower(preferences.favoriteCategories),
+    favoriteBrands: lower(preferences.brands),
+    priceRange
+  };
+};
+
+// Distinct products per order, leaving out free gifts and gift cards
+const loadOrderBaskets = async ({ productId = null } = {}) => {
+  const match = {
+    createdAt: { $gte: daysAgo(config.orderLookbackDays) },
+    orderStatus: { $nin: ['cancelled'] }
+  };
+  if (productId) {
+    match['items.productId'] = new mongoose.Types.ObjectId(productId);
+  }
+
+  const orders = await Order.find(match).select('items.productId items.isFreeGift items.giftCard').lean();
+  return orders.map(order => order.items
+    .filter(item => !item.isFreeGift && !(item.giftCard && item.giftCard.recipientEmail))
+    .map(item => String(item.productId)));
+};
+
+const loadViewSessions = ({ productId = null } = {}) => analyticsTracker.getViewSessions({
+  since: daysAgo(config.viewLookbackDays),
+  productId,
+  maxViewsPerSession: config.maxViewsPerSession
+});
+
+const countSales = (baskets) => {
+  const sales = new Map();
+  baskets.forEach(basket => new Set(basket).forEach(id => sales.set(id, (sales.get(id) || 0) + 1)));
+  return sales;
+};
+
+const bestsellersFrom = (sales) => [...sales.entries()]
+  .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+  .slice(0, config.maxPersonalPicks)
+  .map(([productId]) => productId);
+
+// Related products for one product, from the cache or computed now
+const getRelatedIds = (kind, productId) => {
+  const load = kind === 'boughtTogether' ? loadOrderBaskets : loadViewSessions;
+  return cache.wrap(KEYS[kind](productId), async () => {
+    const baskets = await load({ productId });
+    return countCoOccurrences(baskets).get(String(productId)) || [];
+  }, config.cacheTtlSeconds);
+};
+
+const getBestsellerIds = () => cache.wrap(KEYS.bestsellers, async () => (
+  bestsellersFrom(countSales(await loadOrderBaskets()))
+), config.cacheTtlSeconds);
+
+// Sum of co-occurrence counts with any of the seed products
+const neighboursOf = (seedIds, relatedFor) => {
+  const neighbours = new Map();
+  seedIds.forEach(seedId => {
+    (relatedFor(seedId) || []).forEach(({ productId, count }) => {
+      neighbours.set(productId, (neighbours.get(productId) || 0) + count);
+    });
+  });
+  return neighbours;
+};
+
+/**
+ * Personal picks for one user. `related` supplies the co-occurrence lists
+ * and sales counts: the refresh job passes what it just computed, a single
+ * request reads them from the cache.
+ */
+const computePersonalPicks = async (userId, related) => {
+  const [orders, wishlist, user] = await Promise.all([
+    Order.find({ userId, orderStatus: { $nin: ['cancelled'] } })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .select('items.productId items.isFreeGift')
+      .lean(),
+    Wishlist.findOne({ userId }).select('items.productId').lean(),
+    User.findById(userId).select('wishlistItems shoppingPreferences').lean()
+  ]);
+  if (!user) {
+    return [];
+  }
+
+  const purchasedIds = [...new Set(orders.flatMap(order => order.items
+    .filter(item => !item.isFreeGift)
+    .map(item => String(item.productId))))];
+  const wishlistedIds = [...new Set([
+    ...(wishlist ? wishlist.items.map(item => item.productId) : []),
+    ...(user.wishlistItems || []).map(String)
+  ])].filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const [purchased, wishlisted] = await Promise.all([
+    Product.find({ _id: { $in: purchasedIds } }).select('category brand').lean(),
+    Product.find({ _id: { $in: wishlistedIds } }).select('category brand').lean()
+  ]);
+  const preferences = user.shoppingPreferences || {};
+  const profile = buildProfile({ purchased, wishlisted, preferences });
+
+  // Recent purchases and wishlist items seed the co-occurrence neighbours
+  const seedIds = [...purchasedIds, ...wishlistedIds].slice(0, 20);
+  const [boughtTogether, alsoViewed, sales] = await Promise.all([
+    related.boughtTogether(seedIds),
+    related.alsoViewed(seedIds),
+    related.sales()
+  ]);
+
+  // Candidates: neighbours, the shopper's categories and brands, bestsellers
+  const categories = [...new Set([...profile.favoriteCategories, ...profile.categories.keys()])];
+  const brands = [...new Set([...profile.favoriteBrands, ...profile.brands.keys()])];
+  const matching = categories.length > 0 || brands.length > 0
+    ? await Product.find({
+      ...RECOMMENDABLE,
+      $or: [{ category: { $in: categories } }, { brand: { $in: brands } }]
+    })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ averageRating: -1, reviewCount: -1 })
+      .limit(100)
+      .select('_id')
+      .lean()
+    : [];
+
+  const candidateIds = [...new Set([
+    ...boughtTogether.keys(),
+    ...alsoViewed.keys(),
+    ...matching.map(product => String(product._id)),
+    ...bestsellersFrom(sales)
+  ])];
+  const candidates = await Product.find({ _id: { $in: candidateIds }, ...RECOMMENDABLE })
+    .select('category brand price')
+    .lean();
+
+  return scorePersonalPicks({ candidates, profile, boughtTogether, alsoViewed, sales });
+};
+
+// Neighbours of the seed products from the cached lists
+const cachedNeighbours = async (kind, seedIds) => {
+  const lists = await Promise.all(seedIds.map(id => getRelatedIds(kind, id)));
+  const byId = new Map(seedIds.map((id, index) => [id, lists[index]]));
+  return neighboursOf(seedIds, id => byId.get(id));
+};
+
+// Reads for a single request, served from the cache
+const cachedRelated = {
+  boughtTogether: (seedIds) => cachedNeighbours('boughtTogether', seedIds),
+  alsoViewed: (seedIds) => cachedNeighbours('alsoViewed', seedIds),
+  sales: async () => {
+    // Only the bestseller ranking is cached, which is enough to score popularity
+    const ids = await getBestsellerIds();
+    return new Map(ids.map((id, index) => [id, ids.length - index]));
+  }
+};
+
+// Load products in the order given, dropping any no longer recommendable
+const hydrate = async (ids, limit) => {
+  const products = await Product.find({ _id: { $in: ids }, ...RECOMMENDABLE }).select(PRODUCT_FIELDS).lean();
+  const byId = new Map(products.map(product => [String(product._id), product]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean).slice(0, limit);
+};
+
+const getBoughtTogether = async (productId, limit = 6) => {
+  const related = await getRelatedIds('boughtTogether', productId);
+  return hydrate(related.map(entry => entry.productId), limit);
+};
+
+const getAlsoViewed = async (productId, limit = 6) => {
+  const related = await getRelatedIds('alsoViewed', productId);
+  return hydrate(related.map(entry => entry.productId), limit);
+};
+
+const getBestsellers = async (limit = 12) => hydrate(await getBestsellerIds(), limit);
+
+// Home page picks; bestsellers for guests and shoppers we know nothing about
+const getPersonalPicks = async (userId, limit = 12) => {
+  const ids = userId
+    ? await cache.wrap(KEYS.personal(userId), () => computePersonalPicks(userId, cachedRelated), config.cacheTtlSeconds)
+    : [];
+
+  const picks = await hydrate(ids, limit);
+  if (picks.length >= limit) {
+    return picks;
+  }
+
+  // Top up with bestsellers the shopper isn't already being shown
+  const shown = new Set(picks.map(product => String(product._id)));
+  const bestsellers = await getBestsellers(limit * 2);
+  return picks.concat(bestsellers.filter(product => !shown.has(String(product._id)))).slice(0, limit);
+};
+
+let running = null;
+
+/**
+ * Recompute every list and store it in the cache. Runs from server.js on
+ * an interval; overlapping calls share one run.
+ *
+ * @returns {Promise<{ products, users }>} How many lists were stored
+ */
+const refreshRecommendations = () => {
+  if (running) {
+    return running;
+  }
+
+  running = (async () => {
+    const [orderBaskets, viewSessions] = await Promise.all([loadOrderBaskets(), loadViewSessions()]);
+    const boughtTogether = countCoOccurrences(orderBaskets);
+    const alsoViewed = countCoOccurrences(viewSessions);
+    const sales = countSales(orderBaskets);
+    const ttl = config.cacheTtlSeconds;
+
+    // Products with nothing related get an empty list, so they aren't
+    // recomputed on every request
+    const productIds = new Set([...boughtTogether.keys(), ...alsoViewed.keys(), ...orderBaskets.flat(), ...viewSessions.flat()]);
+    for (const productId of productIds) {
+      await cache.set(KEYS.boughtTogether(productId), boughtTogether.get(productId) || [], ttl);
+      await cache.set(KEYS.alsoViewed(productId), alsoViewed.get(productId) || [], ttl);
+    }
+    await cache.set(KEYS.bestsellers, bestsellersFrom(sales), ttl);
+
+    const since = daysAgo(config.activeUserDays);
+    const [orderUsers, wishlistUsers] = await Promise.all([
+      Order.distinct('userId', { createdAt: { $gte: since }, userId: { $ne: null } }),
+      Wishlist.distinct('userId', { updatedAt: { $gte: since } })
+    ]);
+    const userIds = [...new Set([...orderUsers, ...wishlistUsers].map(String))];
+
+    const related = {
+      boughtTogether: async (seedIds) => neighboursOf(seedIds, id => boughtTogether.get(id)),
+      alsoViewed: async (seedIds) => neighboursOf(seedIds, id => alsoViewed.get(id)),
+      sales: async () => sales
+    };
+    for (const userId of userIds) {
+      try {
+        await cache.set(KEYS.personal(userId), await computePersonalPicks(userId, related), ttl);
+      } catch (error) {
+        console.error(`Personal picks error for user ${userId}:`, error);
+      }
+    }
+
+    return { products: productIds.size, users: userIds.length };
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+};
+
+module.exports = {
+  countCoOccurrences,
+  buildProfile,
+  scorePersonalPicks,
+  getBoughtTogether,
+  getAlsoViewed,
+  getBestsellers,
+  getPersonalPicks,
+  refreshRecommendations
+};
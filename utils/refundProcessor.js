@@ -0,0 +1,317 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const mailjetService = require('./mailjetEmailService');
+const ErrorResponse = require('./ErrorResponse');
+const { releaseStock } = require('./stockReservation');
+const { getRefundGateway } = require('./paymentGateways');
+const {
+  creditStoreCredit,
+  splitRefund,
+  disableRefundedGiftCards,
+  enableGiftCards
+} = require('./storeCredit');
+
+/**
+ * Refund Processor
+ * Refunds whole orders or selected line items. The refunded total is claimed
+ * on the order before the payment adapter is called, so concurrent refunds
+ * can never add up to more than the customer paid. Store credit spent on the
+ * order goes back to store credit first (see splitRefund).
+ */
+
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getRefundableAmount = (order) => roundAmount(order.totalAmount - (order.refundAmount || 0));
+
+// Line value after its promotions and its share of the coupon discount,
+// plus the line's VAT when it was charged on top of the price
+const getItemRefundAmount = (order, item, quantity) => {
+  const promotionDiscount = order.promotionDiscount || 0;
+  const promotedSubtotal = order.subtotal - promotionDiscount;
+  const couponDiscount = (order.discount || 0) - promotionDiscount;
+  const ratio = promotedSubtotal > 0 ? Math.max(0, promotedSubtotal - couponDiscount) / promotedSubtotal : 1;
+  const lineAmount = (item.price * item.quantity - (item.promotionDiscount || 0)) * quantity / item.quantity;
+  const tax = order.pricesIncludeTax === false && item.taxAmount
+    ? item.taxAmount * quantity / item.quantity
+    : 0;
+  return roundAmount(lineAmount * ratio + tax);
+};
+
+// Resolve [{ itemId, quantity }] against the order; no items means every
+// line that hasn't been refunded yet
+const buildRefundLines = (order, requestedItems) => {
+  if (!requestedItems || requestedItems.length === 0) {
+    return order.items
+      .filter(item => item.quantity > (item.refundedQuantity || 0))
+      .map(item => ({ item, quantity: item.quantity - (item.refundedQuantity || 0) }));
+  }
+
+  return requestedItems.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new ErrorResponse(`Order item ${itemId} not found`, 400, 'INVALID_REFUND_ITEMS');
+    }
+
+    const remaining = item.quantity - (item.refundedQuantity || 0);
+    const refundQuantity = quantity === undefined ? remaining : quantity;
+    if (!Number.isInteger(refundQuantity) || refundQuantity < 1 || refundQuantity > remaining) {
+      throw new ErrorResponse(
+        `Cannot refund ${refundQuantity} of ${item.name}. Refundable quantity: ${remaining}`,
+        400,
+        'INVALID_REFUND_ITEMS'
+      );
+    }
+
+    return { item, quantity: refundQuantity };
+  });
+};
+
+const notifyCustomer = async (order, refund) => {
+  try {
+    let user;
+    if (order.userId) {
+      await Notification.createFromTemplate(order.userId, 'order_refunded', {
+        orderNumber: order.orderNumber,
+        orderId: order._id.toString(),
+        amount: refund.amount
+      });
+      user = await User.findById(order.userId).select('name email');
+    } else {
+      user = { name: order.shippingAddress.name, email: order.guestEmail };
+    }
+
+    if (user && user.email) {
+      await mailjetService.sendRefundConfirmationEmail(user, order, refund);
+    }
+  } catch (error) {
+    // The refund itself succeeded; a failed notification shouldn't undo it
+    console.error('Refund notification error:', error);
+  }
+};
+
+/**
+ * Refund an order.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {Array} [options.items] - [{ itemId, quantity }]; omit for a full refund
+ * @param {number} [options.amount] - Override the amount computed from the items
+ * @param {string} [options.reason]
+ * @param {boolean} [options.restock=true] - Return refunded items to stock
+ * @param {string} [options.reference] - Payout reference for manual refunds
+ * @param {boolean} [options.toStoreCredit=false] - Return the whole amount as store credit
+ * @param {Object} [options.processedBy] - Admin user issuing the refund
+ * @returns {Promise<{ order, refund }>}
+ */
+const processRefund = async (order, options = {}) => {
+  const { items, reason, restock = true, reference, processedBy, toStoreCredit = false } = options;
+
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new ErrorResponse(
+      `Only paid orders can be refunded (payment status: ${order.paymentStatus})`,
+      400,
+      'ORDER_NOT_REFUNDABLE'
+    );
+  }
+
+  const refundable = getRefundableAmount(order);
+  const hasItems = Array.isArray(items) && items.length > 0;
+  const hasAmount = typeof options.amount === 'number';
+
+  // An amount without items is a goodwill refund: nothing goes back to stock
+  const lines = hasItems || !hasAmount ? buildRefundLines(order, items) : [];
+
+  let amount;
+  if (hasAmount) {
+    amount = roundAmount(options.amount);
+  } else if (!hasItems) {
+    amount = refundable;
+  } else {
+    amount = Math.min(refundable, roundAmount(lines.reduce(
+      (sum, line) => sum + getItemRefundAmount(order, line.item, line.quantity),
+      0
+    )));
+  }
+
+  if (amount <= 0) {
+    throw new ErrorResponse('Refund amount must be greater than zero', 400, 'INVALID_REFUND_AMOUNT');
+  }
+
+  if (amount > refundable) {
+    throw new ErrorResponse(
+      `Refund of ৳${amount} exceeds the refundable amount of ৳${refundable}`,
+      400,
+      'REFUND_EXCEEDS_PAID'
+    );
+  }
+
+  const split = splitRefund(order, amount, { toStoreCredit });
+  if (split.storeCredit > 0 && !order.userId) {
+    throw new ErrorResponse('Guest orders cannot be refunded to store credit', 400, 'STORE_CREDIT_UNAVAILABLE');
+  }
+
+  const gateway = getRefundGateway(order.paymentMethod);
+
+  // Claim the amount and quantities; fails if another refund got in first
+  const inc = { refundAmount: amount };
+  if (split.storeCredit > 0) {
+    inc.storeCreditRefunded = split.storeCredit;
+  }
+  const arrayFilters = [];
+  lines.forEach((line, index) => {
+    inc[`items.$[i${index}].refundedQuantity`] = line.quantity;
+    arrayFilters.push({ [`i${index}._id`]: line.item._id });
+  });
+
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+      refundAmount: order.refundAmount || 0
+    },
+    { $inc: inc },
+    { new: true, ...(arrayFilters.length > 0 && { arrayFilters }) }
+  );
+
+  if (!claimed) {
+    throw new ErrorResponse('Order was modified by another request, please retry', 409, 'REFUND_CONFLICT');
+  }
+
+  // Give the claimed amount and quantities back
+  const releaseClaim = () => {
+    const release = {};
+    Object.keys(inc).forEach(key => { release[key] = -inc[key]; });
+    return Order.updateOne({ _id: order._id }, { $inc: release }, arrayFilters.length > 0 ? { arrayFilters } : {});
+  };
+
+  // Gift cards on refunded lines are disabled before any money goes back
+  let disabledCards = [];
+  let refund;
+  try {
+    disabledCards = await disableRefundedGiftCards(claimed, lines);
+    refund = await Refund.create({
+      orderId: order._id,
+      userId: order.userId,
+      amount,
+      reason,
+      items: lines.map(line => ({
+        orderItemId: line.item._id,
+        productId: line.item.productId,
+        variantId: line.item.variantId,
+        name: line.item.name,
+        quantity: line.quantity,
+        amount: getItemRefundAmount(order, line.item, line.quantity)
+      })),
+      paymentMethod: order.paymentMethod,
+      provider: split.original > 0 ? gateway.method : 'store_credit',
+      storeCreditAmount: split.storeCredit,
+      reference,
+      processedBy: processedBy && processedBy._id
+    });
+  } catch (error) {
+    await enableGiftCards(disabledCards);
+    await releaseClaim();
+    throw error;
+  }
+
+  let result = {};
+  try {
+    if (split.original > 0) {
+      result = await gateway.refund({
+        transactionId: order.transactionId,
+        providerReference: order.paymentMetadata && order.paymentMetadata.providerReference,
+        paymentReference: order.paymentReference,
+        amount: split.original,
+        reason,
+        reference
+      });
+
+      if (result.status === 'failed') {
+        throw new Error(`${gateway.name} declined the refund`);
+      }
+    }
+  } catch (error) {
+    await enableGiftCards(disabledCards);
+    await releaseClaim();
+
+    refund.status = 'failed';
+    refund.failureReason = error.message;
+    await refund.save();
+
+    throw new ErrorResponse(`Refund failed: ${error.message}`, 502, 'REFUND_FAILED');
+  }
+
+  if (split.storeCredit > 0) {
+    await creditStoreCredit(order.userId, split.storeCredit, {
+      reason: 'refund',
+      orderId: order._id,
+      refundId: refund._id,
+      note: `Refund for order ${order.orderNumber}`
+    });
+  }
+
+  // Status follows the claimed total, evaluated atomically on the server
+  await Order.updateOne({ _id: order._id }, [{
+    $set: {
+      paymentStatus: {
+        $cond: [{ $gte: ['$refundAmount', '$totalAmount'] }, 'refunded', 'partially_refunded']
+      }
+    }
+  }]);
+
+  const stockLines = lines.filter(line => !line.item.isGiftCard());
+  const restocked = restock && stockLines.length > 0 && !claimed.stockRestored;
+  const update = {
+    $set: { refundReason: reason || claimed.refundReason },
+    $push: {
+      trackingHistory: {
+        status: claimed.orderStatus,
+        description: `৳${amount} refunded${reason ? `: ${reason}` : ''}`,
+        updatedBy: processedBy && processedBy._id,
+        timestamp: new Date()
+      }
+    }
+  };
+
+  if (restocked) {
+    await releaseStock(stockLines.map(line => ({
+      productId: line.item.productId,
+      variantId: line.item.variantId,
+      quantity: line.quantity
+    })));
+
+    update.$inc = {};
+    stockLines.forEach((line, index) => {
+      update.$inc[`items.$[i${index}].restockedQuantity`] = line.quantity;
+    });
+  }
+
+  const updated = await Order.findByIdAndUpdate(
+    order._id,
+    update,
+    {
+      new: true,
+      ...(restocked && { arrayFilters: stockLines.map((line, index) => ({ [`i${index}._id`]: line.item._id })) })
+    }
+  );
+
+  refund.status = 'completed';
+  refund.providerRefundId = result.refundId;
+  refund.restocked = restocked;
+  await refund.save();
+
+  await notifyCustomer(updated, refund);
+
+  return { order: updated, refund };
+};
+
+module.exports = {
+  processRefund,
+  getRefundableAmount,
+  getItemRefundAmount,
+  buildRefundLines
+};
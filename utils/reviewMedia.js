@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+const imageOptimizer = require('./imageOptimizer');
+const storageProvider = require('./storageProvider');
+const config = require('../config/reviews');
+
+/**
+ * Review Media
+ * Turns photos uploaded with a review (already checked by
+ * middleware/fileUploadSecurity.js) into WebP images plus thumbnails in
+ * storage, and removes them again when the review or photo goes.
+ */
+
+const removeTempFiles = (files) => Promise.all(
+  files.map(file => fs.unlink(file.path).catch(() => {}))
+);
+
+// Stored copies of one image, best effort
+const deleteReviewImage = async (image) => {
+  const stored = [image.storage, image.thumbnailStorage].filter(Boolean);
+  await Promise.all(stored.map(fileInfo => storageProvider.deleteFile(fileInfo)));
+};
+
+const deleteReviewImages = (images) => Promise.all((images || []).map(image => deleteReviewImage(image)));
+
+/**
+ * Optimize and store uploaded review photos. If any photo fails, the ones
+ * already stored are deleted again. Callers remove the temp files.
+ *
+ * @param {Array} files - Multer files on disk
+ * @param {Object} options
+ * @param {string} options.alt - Alt text for every photo
+ * @returns {Promise<Array>} Entries for review.images
+ */
+const storeReviewImages = async (files, { alt = '' } = {}) => {
+  const images = [];
+
+  try {
+    for (const file of files) {
+      const buffer = await fs.readFile(file.path);
+      const optimized = await imageOptimizer.optimizeImage(buffer, file.originalname, {
+        maxWidth: config.imageMaxDimension,
+        maxHeight: config.imageMaxDimension,
+        quality: config.imageQuality
+      });
+
+      const baseFilename = `${path.basename(file.filename, path.extname(file.filename))}.webp`;
+      const stored = await storageProvider.uploadMultipleVersions(
+        { original: optimized.original, thumbnail: optimized.thumbnail },
+        baseFilename,
+        'reviews',
+        'image/webp'
+      );
+
+      images.push({
+        url: stored.original.url,
+        thumbnailUrl: stored.thumbnail.url,
+        alt: String(alt).slice(0, 200),
+        width: optimized.metadata.width,
+        height: optimized.metadata.height,
+        storage: { key: stored.original.key, path: stored.original.path },
+        thumbnailStorage: { key: stored.thumbnail.key, path: stored.thumbnail.path }
+      });
+    }
+    return images;
+  } catch (error) {
+    await deleteReviewImages(images);
+    throw error;
+  }
+};
+
+module.exports = {
+  storeReviewImages,
+  deleteReviewImage,
+  deleteReviewImages,
+  removeTempFiles
+};
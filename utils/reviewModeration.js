@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const Review = require('../models/Review');
+const profanity = require('../config/profanity');
+const defaultConfig = require('../config/reviews').moderation;
+
+/**
+ * Review Moderation
+ * Scores a review on profanity, links, text copied from other accounts,
+ * bursts of reviews on the same product and shopper reports, then approves
+ * it, holds it for an admin or quarantines it. Every decision is added to
+ * the review's moderationLog; the caller saves the review.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Digits and symbols standing in for letters (sh1t, $hit)
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|info|biz|xyz|top|shop|store|online|site|link|click|ly|io|me|bd)\b(?:\/\S*)?/gi;
+
+const words = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[013457@$]/g, char => LOOKALIKES[char] || char)
+  .split(/[^\p{L}\p{M}]+/u)
+  .filter(Boolean);
+
+// fuuuck -> fuck; applied to both sides, so asshole still matches itself
+const collapse = (word) => word.replace(/(.)\1+/gu, '$1');
+
+const buildMatcher = (entries) => {
+  const matcher = { exact: new Set(), prefixes: [], phrases: new Set() };
+  entries.forEach(entry => {
+    if (entry.includes(' ')) {
+      matcher.phrases.add(words(entry).map(collapse).join(' '));
+    } else if (entry.endsWith('*')) {
+      matcher.prefixes.push(collapse(words(entry.slice(0, -1)).join('')));
+    } else {
+      matcher.exact.add(collapse(words(entry).join('')));
+    }
+  });
+  return matcher;
+};
+
+const PROFANITY = buildMatcher([...profanity.english, ...profanity.bangla, ...profanity.banglish]);
+
+const findProfanity = (text, matcher = PROFANITY) => {
+  const tokens = words(text).map(collapse);
+  const found = tokens.filter(token => matcher.exact.has(token) || matcher.prefixes.some(prefix => token.startsWith(prefix)));
+  const joined = ` ${tokens.join(' ')} `;
+  matcher.phrases.forEach(phrase => {
+    if (joined.includes(` ${phrase} `)) {
+      found.push(phrase);
+    }
+  });
+  return found;
+};
+
+const findLinks = (text) => String(text || '').match(LINK_PATTERN) || [];
+
+// Fingerprint of a comment's words, or null when it is too short to tell
+// a copy from a coincidence
+const fingerprint = (comment, config = defaultConfig) => {
+  const normalized = words(comment).join(' ');
+  if (normalized.length < config.duplicateMinLength) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Score a review from what was found in and around it.
+ *
+ * @param {Object} input
+ * @param {string} input.text - Title and comment
+ * @param {number} input.reportCount
+ * @param {number} input.duplicateCount - Reviews from other accounts with the same text
+ * @param {number} input.recentCount - Other reviews on the product within the burst window
+ * @returns {{ score: number, signals: Array<{ signal, score, detail }> }}
+ */
+const scoreReview = ({ text, reportCount = 0, duplicateCount = 0, recentCount = 0 }, config = defaultConfig) => {
+  const { scores } = config;
+  const signals = [];
+
+  const profane = findProfanity(text);
+  if (profane.length > 0) {
+    signals.push({
+      signal: 'profanity',
+      score: Math.min(scores.profanityMax, profane.length * scores.profanity),
+      detail: `${profane.length} offensive word${profane.length === 1 ? '' : 's'}`
+    });
+  }
+
+  const links = findLinks(text);
+  if (links.length > 0) {
+    signals.push({
+      signal: 'links',
+      score: Math.min(scores.linkMax, links.length * scores.link),
+      detail: links.slice(0, 3).join(', ')
+    });
+  }
+
+  if (duplicateCount > 0) {
+    signals.push({
+      signal: 'duplicate',
+      score: scores.duplicate,
+      detail: `Same text in ${duplicateCount} review${duplicateCount === 1 ? '' : 's'} from other accounts`
+    });
+  }
+
+  if (recentCount >= config.burstCount) {
+    signals.push({
+      signal: 'burst',
+      score: scores.burst,
+      detail: `${recentCount} other reviews on this product in ${config.burstMinutes} minutes`
+    });
+  }
+
+  if (reportCount > 0) {
+    signals.push({
+      signal: 'reports',
+      score: Math.min(scores.reportMax, reportCount * scores.report),
+      detail: `Reported ${reportCount} time${reportCount === 1 ? '' : 's'}`
+    });
+  }
+
+  return { score: signals.reduce((total, signal) => total + signal.score, 0), signals };
+};
+
+const decide = (score, { verifiedPurchase }, config = defaultConfig) => {
+  if (score >= config.quarantineAt) {
+    return 'quarantined';
+  }
+  const approveBelow = verifiedPurchase ? config.approveVerifiedBelow : config.approveUnverifiedBelow;
+  return score < approveBelow ? 'approved' : 'pending';
+};
+
+/**
+ * Score a review and set its status.
+ *
+ * @param {Object} review - Review document; saving it is up to the caller
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - What prompted this run (created, edited, photos_added, reported)
+ * @param {boolean} [options.escalateOnly] - Only ever quarantine; used when a
+ *   shopper reports a review, so a report can't un-approve it on its own or
+ *   undo an admin's rejection
+ * @returns {Promise<{ status, score, signals }>}
+ */
+const moderateReview = async (review, { trigger = 'created', escalateOnly = false, config = defaultConfig } = {}) => {
+  review.contentHash = fingerprint(review.comment, config);
+
+  const [duplicateCount, recentCount] = await Promise.all([
+    review.contentHash
+      ? Review.countDocuments({ contentHash: review.contentHash, userId: { $ne: review.userId } })
+      : 0,
+    Review.countDocuments({
+      productId: review.productId,
+      _id: { $ne: review._id },
+      createdAt: { $gte: new Date(Date.now() - config.burstMinutes * MINUTE) }
+    })
+  ]);
+
+  const { score, signals } = scoreReview({
+    text: `${review.title} ${review.comment}`,
+    reportCount: review.reports.length,
+    duplicateCount,
+    recentCount
+  }, config);
+
+  let status = decide(score, review, config);
+  if (escalateOnly) {
+    const canQuarantine = ['approved', 'pending'].includes(review.status);
+    status = status === 'quarantined' && canQuarantine ? 'quarantined' : review.status;
+  }
+
+  review.moderationScore = score;
+  review.status = status;
+  review.moderationLog.push({ status, actor: 'system', trigger, score, signals });
+
+  return { status, score, signals };
+};
+
+module.exports = {
+  findProfanity,
+  findLinks,
+  fingerprint,
+  scoreReview,
+  decide,
+  moderateReview
+};
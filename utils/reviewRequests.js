@@ -0,0 +1,292 @@
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailCampaign = require('../models/EmailCampaign');
+const EmailEvent = require('../models/EmailEvent');
+const defaultConfig = require('../config/reviewRequests');
+const { createReviewToken } = require('./cartToken');
+
+/**
+ * Review Requests
+ * Asks customers to review what they bought once an order has been
+ * delivered for each step's delay. Every item gets its own signed link that
+ * opens the review form without signing in. Like cart reminders, every step
+ * is an automated EmailCampaign sent and tracked by the email scheduler.
+ *
+ * Customers opt out with preferences.notifications.reviewRequests; turning
+ * off email altogether still leaves the in-app notification.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+})[char]);
+
+const dueAfterDelivery = (deliveredAt, step) => new Date(new Date(deliveredAt).getTime() + step.delayDays * DAY);
+
+// Lines worth asking about: one per product, without free gifts, gift cards,
+// fully refunded lines or products already reviewed
+const getReviewableItems = (order, reviewedProductIds = []) => {
+  const skip = new Set(reviewedProductIds.map(String));
+  return order.items.filter(item => {
+    const productId = String(item.productId);
+    if (skip.has(productId) || item.isFreeGift || (item.giftCard && item.giftCard.recipientEmail) ||
+      (item.refundedQuantity || 0) >= item.quantity) {
+      return false;
+    }
+    skip.add(productId);
+    return true;
+  });
+};
+
+/**
+ * Start the review requests for a newly delivered order. Runs once per
+ * order: a return request turned down doesn't restart them.
+ *
+ * @param {Object} order - Order that has just been delivered
+ */
+const scheduleReviewRequest = async (order, config = defaultConfig) => {
+  // Guests have no account to review with
+  if (!config.enabled || config.steps.length === 0 || !order.userId) {
+    return;
+  }
+
+  await Order.updateOne(
+    { _id: order._id, 'reviewRequest.dueAt': { $exists: false } },
+    { $set: { 'reviewRequest.dueAt': dueAfterDelivery(order.actualDelivery || new Date(), config.steps[0]) } }
+  );
+};
+
+const buildRequestHtml = (step) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Review your order</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { text-align: center; margin-bottom: 30px; }
+          .logo { font-size: 28px; font-weight: bold; color: #3b82f6; }
+          .content { background: #f8fafc; padding: 30px; border-radius: 10px; }
+          .order-info { background: white; padding: 20px; border-radius: 10px; margin: 20px 0; }
+          .stars a { color: #f59e0b; font-size: 24px; text-decoration: none; }
+          .footer { text-align: center; margin-top: 30px; color: #6b7280; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <div class="logo">${process.env.APP_NAME || 'StyleShop'}</div>
+          </div>
+
+          <div class="content">
+            <h2>${step.step === 1 ? 'How did we do?' : 'Your review helps other shoppers'}</h2>
+            <p>Hi {{name}},</p>
+            <p>Your order {{order_number}} was delivered recently. Tap a star to review an item; it only takes a minute.</p>
+
+            <div class="order-info">
+              <table style="width: 100%;">{{review_items}}</table>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} ${process.env.APP_NAME || 'StyleShop'}. All rights reserved.</p>
+            <p>Don't want review requests? Turn them off in your notification settings.</p>
+            <p><a href="{{unsubscribe_url}}">Unsubscribe</a></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+// The automated campaign for one step, created on first use. Admins can
+// edit its subject and content, or deactivate it to stop that step's email.
+const getStepCampaign = (step) => EmailCampaign.findOneAndUpdate(
+  { type: 'review_request', automationStep: step.step },
+  {
+    $setOnInsert: {
+      name: `Review request #${step.step}`,
+      subject: step.subject,
+      htmlContent: buildRequestHtml(step),
+      status: 'active',
+      isActive: true
+    }
+  },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const reviewUrl = (token, rating) => `${process.env.FRONTEND_URL}/reviews/write?token=${encodeURIComponent(token)}${rating ? `&rating=${rating}` : ''}`;
+
+const buildLinks = (order, items, campaign, config) => items.map(item => ({
+  item,
+  token: createReviewToken({
+    userId: order.userId.toString(),
+    orderId: order._id.toString(),
+    productId: item.productId.toString(),
+    campaignId: campaign._id.toString()
+  }, config.linkDays * DAY)
+}));
+
+const buildVariables = (order, links) => {
+  const itemRows = links.map(({ item, token }) => `
+                <tr>
+                  <td style="padding: 8px 0;">${escapeHtml(item.name)}</td>
+                  <td style="padding: 8px 0; text-align: right;" class="stars">${[1, 2, 3, 4, 5]
+    .map(rating => `<a href="${reviewUrl(token, rating)}" title="${rating} out of 5">★</a>`)
+    .join('')}</td>
+                </tr>`).join('');
+
+  return {
+    order_number: order.orderNumber,
+    review_items: itemRows
+  };
+};
+
+// Send one order its next request. Returns 'sent', 'skipped' or 'done'.
+const requestReviews = async (order, now, config) => {
+  const { stepsSent = 0, dueAt } = order.reviewRequest;
+  const step = config.steps[stepsSent];
+
+  const finish = () => Order.updateOne(
+    { _id: order._id, 'reviewRequest.stepsSent': stepsSent },
+    { $set: { 'reviewRequest.dueAt': null } }
+  );
+
+  const [user, reviewed] = await Promise.all([
+    User.findById(order.userId).select('name email isActive preferences'),
+    Review.find({ userId: order.userId, productId: { $in: order.items.map(item => item.productId) } }).distinct('productId')
+  ]);
+  const preferences = (user && user.preferences && user.preferences.notifications) || {};
+  const items = getReviewableItems(order, reviewed);
+  if (!step || !user || !user.isActive || preferences.reviewRequests === false || items.length === 0) {
+    await finish();
+    return 'done';
+  }
+
+  const campaign = await getStepCampaign(step);
+
+  // Claim the step; fails if another run got there first
+  const next = config.steps[stepsSent + 1];
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'reviewRequest.stepsSent': stepsSent, 'reviewRequest.dueAt': dueAt },
+    {
+      $set: {
+        'reviewRequest.stepsSent': step.step,
+        'reviewRequest.lastSentAt': now,
+        'reviewRequest.dueAt': next ? dueAfterDelivery(order.actualDelivery || dueAt, next) : null
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return 'skipped';
+  }
+
+  const links = buildLinks(order, items, campaign, config);
+  const sendEmail = campaign.isActive && user.email && preferences.email !== false;
+  if (sendEmail) {
+    try {
+      // Required here rather than at the top: the scheduler starts its jobs
+      // when loaded, and the order state machine loads this module
+      const emailScheduler = require('./emailScheduler');
+      await emailScheduler.sendEmailToRecipient(campaign, {
+        email: user.email,
+        name: user.name,
+        customVariables: buildVariables(order, links)
+      });
+    } catch (error) {
+      // Hand the step back so the next run retries it
+      await Order.updateOne(
+        { _id: order._id, 'reviewRequest.lastSentAt': now },
+        {
+          $set: {
+            'reviewRequest.stepsSent': stepsSent,
+            'reviewRequest.dueAt': dueAt,
+            'reviewRequest.lastSentAt': order.reviewRequest.lastSentAt || null
+          }
+        }
+      );
+      throw error;
+    }
+    await EmailCampaign.updateOne({ _id: campaign._id }, { $inc: { 'analytics.totalSent': 1 } });
+  }
+
+  // Reminders go by email only
+  if (step.step === 1) {
+    try {
+      await Notification.createFromTemplate(order.userId, 'review_request', {
+        orderNumber: order.orderNumber,
+        orderId: order._id.toString(),
+        productId: links[0].item.productId.toString(),
+        url: reviewUrl(links[0].token)
+      });
+    } catch (error) {
+      console.error(`Review request notification error (${order._id}):`, error.message);
+    }
+  }
+
+  return 'sent';
+};
+
+/**
+ * Send every review request that is due. Failures are counted, not thrown.
+ *
+ * @returns {Promise<{ checked, sent, failed }>}
+ */
+const runReviewRequests = async (config = defaultConfig) => {
+  const result = { checked: 0, sent: 0, failed: 0 };
+  if (!config.enabled || config.steps.length === 0) {
+    return result;
+  }
+
+  const now = new Date();
+  const orders = await Order.find({
+    orderStatus: 'delivered',
+    userId: { $ne: null },
+    'reviewRequest.dueAt': { $lte: now }
+  })
+    .select('orderNumber userId items actualDelivery reviewRequest')
+    .sort({ 'reviewRequest.dueAt': 1 })
+    .limit(config.batchSize);
+
+  result.checked = orders.length;
+  for (const order of orders) {
+    try {
+      if (await requestReviews(order, now, config) === 'sent') {
+        result.sent++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`Review request error (${order._id}):`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Count a click on a review link
+const recordReviewClick = async ({ campaignId, userId }) => {
+  const user = await User.findById(userId).select('email');
+  if (!campaignId || !user) {
+    return;
+  }
+
+  await EmailEvent.create({
+    campaignId,
+    recipientEmail: user.email,
+    eventType: 'click',
+    eventData: { clickedUrl: 'review_request', timestamp: new Date() }
+  });
+  await EmailCampaign.updateOne({ _id: campaignId }, { $inc: { 'analytics.totalClicked': 1 } });
+};
+
+module.exports = {
+  scheduleReviewRequest,
+  runReviewRequests,
+  getReviewableItems,
+  recordReviewClick
+};
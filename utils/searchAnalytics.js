@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const SearchEvent = require('../models/SearchEvent');
+const SearchRedirect = require('../models/SearchRedirect');
+const SearchSynonym = require('../models/SearchSynonym');
+const searchConfig = require('../config/search');
+
+/**
+ * Search Analytics
+ * Stores every product search with its result count, then credits the
+ * clicks, add-to-carts and orders that follow it, so merchandisers can see
+ * which queries find nothing and which ones sell.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const normalizeQuery = (query) => String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const attributionStart = () => new Date(Date.now() - searchConfig.analytics.attributionDays * DAY);
+
+// Whose searches to credit: a signed-in user, or a guest by cart key
+const ownerFilter = ({ userId, guestKey }) => {
+  if (userId) {
+    return { userId };
+  }
+  return guestKey ? { guestKey } : null;
+};
+
+const recordSearch = ({ query, userId, guestKey, resultCount, filters, redirectedTo }) => SearchEvent.create({
+  query: String(query).slice(0, 200),
+  normalizedQuery: normalizeQuery(query),
+  userId: userId || undefined,
+  guestKey: userId ? undefined : guestKey || undefined,
+  resultCount,
+  filters,
+  redirectedTo
+});
+
+// Active redirect for a query, counting the hit
+const findRedirect = (query) => SearchRedirect.findOneAndUpdate(
+  { query: normalizeQuery(query), isActive: true },
+  { $inc: { hits: 1 } },
+  { new: true }
+);
+
+const recordClick = async (searchId, { productId, position }) => {
+  if (!mongoose.Types.ObjectId.isValid(searchId) || !mongoose.Types.ObjectId.isValid(productId)) {
+    return null;
+  }
+
+  return SearchEvent.findOneAndUpdate(
+    { _id: searchId, createdAt: { $gte: attributionStart() } },
+    { $push: { clicks: { $each: [{ productId, position }], $slice: -50 } } },
+    { new: true }
+  );
+};
+
+/**
+ * Credit an add-to-cart to the search it came from: the search named by
+ * searchId, or else the shopper's latest search whose results they clicked
+ * the product in.
+ */
+const attributeAddToCart = async ({ searchId, userId, guestKey, productId }) => {
+  const update = { $push: { addedToCart: { $each: [{ productId }], $slice: -50 } } };
+  const recent = { createdAt: { $gte: attributionStart() } };
+
+  if (searchId && mongoose.Types.ObjectId.isValid(searchId)) {
+    return SearchEvent.findOneAndUpdate({ _id: searchId, ...recent }, update);
+  }
+
+  const owner = ownerFilter({ userId, guestKey });
+  if (!owner) {
+    return null;
+  }
+  return SearchEvent.findOneAndUpdate(
+    { ...owner, ...recent, 'clicks.productId': productId },
+    update,
+    { sort: { createdAt: -1 } }
+  );
+};
+
+/**
+ * Last touch wins: each product bought goes to the most recent search that
+ * led to it (added to cart, or failing that clicked).
+ *
+ * @param {Array} events - Searches, newest first
+ * @param {Array} items - Order items
+ * @returns {Map} event id -> { productIds, revenue }
+ */
+const assignPurchaseCredit = (events, items) => {
+  const credit = new Map();
+  const touched = (event, productId) => ['addedToCart', 'clicks'].some(field =>
+    (event[field] || []).some(entry => String(entry.productId) === productId)
+  );
+
+  items.filter(item => !item.isFreeGift).forEach(item => {
+    const productId = String(item.productId);
+    const event = events.find(candidate => touched(candidate, productId));
+    if (!event) {
+      return;
+    }
+
+    const entry = credit.get(String(event._id)) || { productIds: [], revenue: 0 };
+    if (!entry.productIds.includes(productId)) {
+      entry.productIds.push(productId);
+    }
+    entry.revenue = Math.round((entry.revenue + item.price * item.quantity - (item.promotionDiscount || 0)) * 100) / 100;
+    credit.set(String(event._id), entry);
+  });
+
+  return credit;
+};
+
+const attributePurchase = async (order, { guestKey } = {}) => {
+  const owner = ownerFilter({ userId: order.userId, guestKey });
+  if (!owner) {
+    return 0;
+  }
+
+  const productIds = order.items.map(item => item.productId);
+  const events = await SearchEvent.find({
+    ...owner,
+    createdAt: { $gte: attributionStart() },
+    'purchase.orderId': null,
+    $or: [{ 'addedToCart.productId': { $in: productIds } }, { 'clicks.productId': { $in: productIds } }]
+  })
+    .select('clicks addedToCart')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const credit = assignPurchaseCredit(events, order.items);
+  await Promise.all([...credit.entries()].map(([eventId, entry]) => SearchEvent.updateOne(
+    { _id: eventId, 'purchase.orderId': null },
+    { $set: { purchase: { orderId: order._id, productIds: entry.productIds, revenue: entry.revenue, at: new Date() } } }
+  )));
+  return credit.size;
+};
+
+// Shared $group stage for report totals
+const outcomeCounts = {
+  searches: { $sum: 1 },
+  zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+  clicked: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clicks', []] } }, 0] }, 1, 0] } },
+  addedToCart: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$addedToCart', []] } }, 0] }, 1, 0] } },
+  purchased: { $sum: { $cond: [{ $ifNull: ['$purchase.orderId', false] }, 1, 0] } },
+  revenue: { $sum: { $ifNull: ['$purchase.revenue', 0] } }
+};
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+// Click-through, add-to-cart and conversion rates per search
+const withRates = (row) => ({
+  ...row,
+  clickThroughRate: rate(row.clicked, row.searches),
+  addToCartRate: rate(row.addedToCart, row.searches),
+  conversionRate: rate(row.purchased, row.searches)
+});
+
+/**
+ * Merchandiser report for the last `days` days.
+ *
+ * @returns {Promise<{ summary, topQueries, zeroResultQueries }>}
+ */
+const getSearchReport = async ({ days = 30, limit = 50 } = {}) => {
+  const match = { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY) } } };
+
+  const [summary, topQueries, zeroResultQueries] = await Promise.all([
+    SearchEvent.aggregate([match, { $group: { _id: null, ...outcomeCounts } }, { $project: { _id: 0 } }]),
+    SearchEvent.aggregate([
+      match,
+      {
+        $group: {
+          _id: '$normalizedQuery',
+          ...outcomeCounts,
+          averageResults: { $avg: '$resultCount' },
+          lastSearchedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit }
+    ]),
+    SearchEvent.aggregate([
+      match,
+      { $match: { resultCount: 0, redirectedTo: null } },
+      { $group: { _id: '$normalizedQuery', searches: { $sum: 1 }, lastSearchedAt: { $max: '$createdAt' } } },
+      { $sort: { searches: -1, _id: 1 } },
+      { $limit: limit }
+    ])
+  ]);
+
+  // Show which zero-result queries a merchandiser has already handled
+  const queries = zeroResultQueries.map(row => row._id);
+  const [redirects, synonyms] = await Promise.all([
+    SearchRedirect.find({ query: { $in: queries } }).select('query url isActive').lean(),
+    SearchSynonym.find({ terms: { $in: queries } }).select('terms').lean()
+  ]);
+  const redirectFor = new Map(redirects.map(redirect => [redirect.query, redirect]));
+  const withSynonym = new Set(synonyms.flatMap(group => group.terms));
+
+  const totals = summary[0] || { searches: 0, zeroResults: 0, clicked: 0, addedToCart: 0, purchased: 0, revenue: 0 };
+
+  return {
+    days,
+    summary: { ...withRates(totals), zeroResultRate: rate(totals.zeroResults, totals.searches) },
+    topQueries: topQueries.map(({ _id: query, averageResults, ...row }) => withRates({
+      query,
+      ...row,
+      averageResults: Math.round(averageResults * 10) / 10
+    })),
+    zeroResultQueries: zeroResultQueries.map(({ _id: query, ...row }) => ({
+      query,
+      ...row,
+      redirect: redirectFor.get(query) || null,
+      hasSynonym: withSynonym.has(query)
+    }))
+  };
+};
+
+// Most searched queries that find something, for the search box
+const getPopularQueries = async ({ days = 7, limit = 8 } = {}) => {
+  const rows = await SearchEvent.aggregate([
+    { $match: { createdAt: { $gte: new Date(Date.now() - days * DAY) }, resultCount: { $gt: 0 } } },
+    { $group: { _id: '$normalizedQuery', searches: { $sum: 1 } } },
+    { $match: { searches: { $gte: searchConfig.analytics.popularMinSearches } } },
+    { $sort: { searches: -1, _id: 1 } },
+    { $limit: limit }
+  ]);
+  return rows.map(row => row._id);
+};
+
+module.exports = {
+  normalizeQuery,
+  recordSearch,
+  findRedirect,
+  recordClick,
+  attributeAddToCart,
+  attributePurchase,
+  assignPurchaseCredit,
+  withRates,
+  getSearchReport,
+  getPopularQueries
+};
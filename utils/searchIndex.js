@@ -0,0 +1,339 @@
+const searchConfig = require('../config/search');
+const { hasBangla, banglaToLatin, phoneticKey } = require('./transliteration');
+
+/**
+ * Search Index
+ * In-process inverted index over visible products, so search tolerates
+ * typos, partial words and Banglish/Bangla spellings, which a Mongo $text
+ * index doesn't. Saved products are re-indexed straight away; other changes
+ * mark the index stale and it is rebuilt on the next search.
+ */
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by']);
+
+// Product fields that feed the index; updates to anything else are ignored
+const INDEXED_FIELDS = ['name', 'brand', 'category', 'tags', 'description', 'status', 'visibility'];
+
+const splitWords = (text) => String(text || '')
+  .normalize('NFC')
+  .toLowerCase()
+  .split(/[^\p{L}\p{M}\p{N}]+/u)
+  .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+
+// Indexed terms: Bangla words are stored both as written and in Latin spelling
+const indexTerms = (text) => splitWords(text)
+  .flatMap(word => (hasBangla(word) ? [word, banglaToLatin(word)] : [word]));
+
+// Optimal string alignment distance; gives up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (before && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+class SearchIndex {
+  constructor() {
+    this.reset();
+    this.builtAt = 0;
+    this.stale = true;
+    this.version = 0;
+    this.building = null;
+  }
+
+  reset() {
+    this.postings = new Map(); // term -> Map(productId -> field weight)
+    this.keys = new Map(); // phonetic key -> Set(term)
+    this.documents = new Map(); // productId -> { _id, name, brand, category, terms }
+    this.synonyms = new Map(); // phonetic key -> phonetic keys of its group
+    this.sortedTerms = null;
+  }
+
+  // Replace the whole index with these products and synonym groups
+  load(products, synonymGroups = []) {
+    this.reset();
+    products.forEach(product => this.addDocument(product));
+
+    synonymGroups.forEach(terms => {
+      const keys = terms.map(term => phoneticKey(term));
+      keys.forEach(key => {
+        const group = this.synonyms.get(key) || new Set();
+        keys.filter(other => other !== key).forEach(other => group.add(other));
+        this.synonyms.set(key, group);
+      });
+    });
+
+    this.builtAt = Date.now();
+  }
+
+  addDocument(product) {
+    const id = String(product._id);
+    this.removeDocument(id);
+
+    const terms = new Map();
+    Object.entries(searchConfig.index.fieldWeights).forEach(([field, weight]) => {
+      [].concat(product[field] || []).forEach(value => {
+        indexTerms(value).forEach(term => {
+          if ((terms.get(term) || 0) < weight) {
+            terms.set(term, weight);
+          }
+        });
+      });
+    });
+
+    terms.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        const key = phoneticKey(term);
+        this.keys.set(key, (this.keys.get(key) || new Set()).add(term));
+      }
+      this.postings.get(term).set(id, weight);
+    });
+
+    this.documents.set(id, {
+      _id: product._id,
+      name: product.name,
+      brand: product.brand,
+      category: product.category,
+      terms: [...terms.keys()]
+    });
+    this.sortedTerms = null;
+  }
+
+  removeDocument(productId) {
+    const id = String(productId);
+    const document = this.documents.get(id);
+    if (!document) {
+      return;
+    }
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        const key = phoneticKey(term);
+        this.keys.get(key).delete(term);
+        if (this.keys.get(key).size === 0) {
+          this.keys.delete(key);
+        }
+      }
+    });
+    this.documents.delete(id);
+    this.sortedTerms = null;
+  }
+
+  termsWithPrefix(prefix) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = [...this.postings.keys()].sort();
+    }
+
+    // Binary search for the first term >= prefix, then walk forward
+    let low = 0;
+    let high = this.sortedTerms.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.sortedTerms[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    const terms = [];
+    for (let index = low; index < this.sortedTerms.length && this.sortedTerms[index].startsWith(prefix); index += 1) {
+      terms.push(this.sortedTerms[index]);
+    }
+    return terms;
+  }
+
+  // Indexed terms a query word matches, with the quality of each match
+  matchWord(word) {
+    const { matchScores, fuzzyMinLength, fuzzyTwoEditLength } = searchConfig.index;
+    const latin = hasBangla(word) ? banglaToLatin(word) : word;
+    const key = phoneticKey(latin);
+    const matches = new Map();
+    const add = (term, score) => {
+      if ((matches.get(term) || 0) < score) {
+        matches.set(term, score);
+      }
+    };
+
+    [word, latin].filter(form => this.postings.has(form)).forEach(term => add(term, matchScores.exact));
+    (this.keys.get(key) || []).forEach(term => add(term, matchScores.phonetic));
+    (this.synonyms.get(key) || []).forEach(synonymKey => {
+      (this.keys.get(synonymKey) || []).forEach(term => add(term, matchScores.synonym));
+    });
+    [...new Set([word, latin])].forEach(form => {
+      this.termsWithPrefix(form).forEach(term => add(term, matchScores.prefix));
+    });
+
+    if (key.length >= fuzzyMinLength) {
+      const maxEdits = key.length >= fuzzyTwoEditLength ? 2 : 1;
+      this.keys.forEach((terms, termKey) => {
+        const distance = editDistance(key, termKey, maxEdits);
+        if (distance > 0 && distance <= maxEdits) {
+          terms.forEach(term => add(term, matchScores.fuzzy / distance));
+        }
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Rank indexed products for a query. Products must match every word;
+   * when none do, products matching any word are returned instead.
+   *
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit]
+   * @returns {Array<{ _id, score }>} Best first
+   */
+  rank(query, { limit = searchConfig.index.maxResults } = {}) {
+    const words = [...new Set(splitWords(query))];
+    if (words.length === 0) {
+      return [];
+    }
+
+    const totals = new Map();
+    const hits = new Map();
+    words.forEach(word => {
+      const best = new Map();
+      this.matchWord(word).forEach((quality, term) => {
+        this.postings.get(term).forEach((weight, id) => {
+          best.set(id, Math.max(best.get(id) || 0, quality * weight));
+        });
+      });
+      best.forEach((score, id) => {
+        totals.set(id, (totals.get(id) || 0) + score);
+        hits.set(id, (hits.get(id) || 0) + 1);
+      });
+    });
+
+    let ids = [...totals.keys()].filter(id => hits.get(id) === words.length);
+    if (ids.length === 0) {
+      ids = [...totals.keys()];
+    }
+
+    return ids
+      .map(id => ({ _id: this.documents.get(id)._id, score: Math.round(totals.get(id) * 1000) / 1000 }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Autocomplete: best products for what has been typed so far, plus the
+  // brands and categories among them that the typed words match
+  suggest(query, limit = 10) {
+    const documents = this.rank(query, { limit: 50 }).map(entry => this.documents.get(String(entry._id)));
+    const matched = new Set(splitWords(query).flatMap(word => [...this.matchWord(word).keys()]));
+    const matches = (value) => indexTerms(value).some(term => matched.has(term));
+
+    const countBy = (field) => {
+      const counts = new Map();
+      documents
+        .filter(document => document[field] && matches(document[field]))
+        .forEach(document => counts.set(document[field], (counts.get(document[field]) || 0) + 1));
+      return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value]) => value);
+    };
+
+    return {
+      products: documents.slice(0, limit).map(({ _id, name, category }) => ({ _id, name, category })),
+      brands: countBy('brand'),
+      categories: countBy('category')
+    };
+  }
+
+  // Whether a query update touches anything the index holds
+  affectsIndex(update = {}) {
+    return Object.keys(update).some(key => {
+      const fields = key.startsWith('$') ? Object.keys(update[key] || {}) : [key];
+      return fields.some(field => INDEXED_FIELDS.includes(field.split('.')[0]));
+    });
+  }
+
+  // Re-index one saved product (or drop it once it's no longer visible)
+  update(product) {
+    if (this.builtAt === 0) {
+      return;
+    }
+    if (product.status === 'active' && product.visibility === 'public') {
+      this.addDocument(product);
+    } else {
+      this.removeDocument(product._id);
+    }
+  }
+
+  remove(productId) {
+    this.removeDocument(productId);
+  }
+
+  invalidate() {
+    this.stale = true;
+    this.version += 1;
+  }
+
+  async rebuild() {
+    // Required here: the models require this module to keep it up to date
+    const Product = require('../models/Product');
+    const SearchSynonym = require('../models/SearchSynonym');
+
+    const version = this.version;
+    const [products, synonyms] = await Promise.all([
+      Product.find({ status: 'active', visibility: 'public' })
+        .select('name brand category tags description')
+        .lean(),
+      SearchSynonym.find({ isActive: true }).select('terms').lean()
+    ]);
+
+    this.load(products, synonyms.map(group => group.terms));
+    // Changes made while the build ran are picked up by the next one
+    this.stale = this.version !== version;
+  }
+
+  async ensureFresh() {
+    const maxAge = searchConfig.index.maxAgeMinutes * 60 * 1000;
+    if (!this.stale && Date.now() - this.builtAt < maxAge) {
+      return;
+    }
+    if (!this.building) {
+      this.building = this.rebuild().finally(() => {
+        this.building = null;
+      });
+    }
+    await this.building;
+  }
+
+  async search(query, options) {
+    await this.ensureFresh();
+    return this.rank(query, options);
+  }
+
+  async suggestions(query, limit) {
+    await this.ensureFresh();
+    return this.suggest(query, limit);
+  }
+}
+
+module.exports = new SearchIndex();
@@ -0,0 +1,211 @@
+const Order = require('../models/Order');
+const ErrorResponse = require('./ErrorResponse');
+const { getCourier } = require('./couriers');
+const { transitionOrder, getTransitionPath } = require('./orderStateMachine');
+
+/**
+ * Shipment Tracker
+ * Books parcels with the order's courier and folds courier status updates
+ * (webhooks or polling) into the order. Courier statuses that correspond to
+ * an order status move the order through the state machine; the rest are
+ * recorded as tracking notes.
+ */
+
+const BOOKABLE_STATUSES = ['confirmed', 'processing', 'packed'];
+
+// Orders whose parcel is still with the courier
+const ACTIVE_STATUSES = ['confirmed', 'processing', 'packed', 'shipped', 'out_for_delivery'];
+
+// Normalized courier status -> order status it implies
+const ORDER_STATUS_FOR_SHIPMENT = {
+  picked_up: 'shipped',
+  in_transit: 'shipped',
+  out_for_delivery: 'out_for_delivery',
+  delivered: 'delivered',
+  returned: 'returned'
+};
+
+const addTrackingNote = (order, { description, location }) => Order.findByIdAndUpdate(
+  order._id,
+  {
+    $push: {
+      trackingHistory: {
+        status: order.orderStatus,
+        description,
+        location: location || '',
+        timestamp: new Date()
+      }
+    }
+  },
+  { new: true }
+);
+
+/**
+ * Book a parcel for an order with its courier.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} [options]
+ * @param {string} [options.courier] - Courier id; defaults to order.courierService
+ * @param {string} [options.userId] - Admin booking the shipment
+ * @returns {Promise<Object>} The updated order
+ */
+const bookShipment = async (order, { courier: courierId, userId = null } = {}) => {
+  if (order.consignmentId) {
+    throw new ErrorResponse(
+      `Shipment already booked (consignment ${order.consignmentId})`,
+      400,
+      'SHIPMENT_ALREADY_BOOKED'
+    );
+  }
+
+  if (!BOOKABLE_STATUSES.includes(order.orderStatus)) {
+    throw new ErrorResponse(
+      `Cannot book a shipment for a ${order.orderStatus} order`,
+      400,
+      'ORDER_NOT_SHIPPABLE'
+    );
+  }
+
+  const id = courierId || order.courierService;
+  if (!id) {
+    throw new ErrorResponse('No courier selected for this order', 400, 'COURIER_REQUIRED');
+  }
+
+  const courier = getCourier(id);
+  const shipment = await courier.createShipment(order, { weight: order.shippingWeight });
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, consignmentId: { $in: [null, ''] } },
+    {
+      $set: {
+        consignmentId: shipment.consignmentId,
+        trackingNumber: shipment.trackingNumber || shipment.consignmentId,
+        courierService: id,
+        shipmentStatus: shipment.rawStatus,
+        lastCourierUpdateAt: new Date()
+      },
+      $push: {
+        trackingHistory: {
+          status: order.orderStatus,
+          description: `Shipment booked with ${courier.name} (consignment ${shipment.consignmentId})`,
+          updatedBy: userId,
+          timestamp: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    // Another request booked first; the parcel we just created is orphaned
+    console.warn(`Duplicate ${id} consignment ${shipment.consignmentId} for order ${order.orderNumber}`);
+    throw new ErrorResponse('Shipment was booked by another request', 409, 'SHIPMENT_ALREADY_BOOKED');
+  }
+
+  return updated;
+};
+
+/**
+ * Apply one courier status update to an order. Updates older than the last
+ * one applied, and repeats of the current courier status, are ignored.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} update - { status, rawStatus, description, location, timestamp }
+ * @returns {Promise<{ order, changed }>}
+ */
+const applyCourierUpdate = async (order, update) => {
+  const timestamp = update.timestamp || new Date();
+
+  // Claim the update; the previous document tells us what changed
+  const previous = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { lastCourierUpdateAt: { $exists: false } },
+        { lastCourierUpdateAt: null },
+        { lastCourierUpdateAt: { $lt: timestamp } }
+      ]
+    },
+    { $set: { shipmentStatus: update.rawStatus, lastCourierUpdateAt: timestamp } },
+    { new: false }
+  );
+
+  if (!previous || previous.shipmentStatus === update.rawStatus) {
+    return { order: previous ? await Order.findById(order._id) : order, changed: false };
+  }
+
+  const current = await Order.findById(order._id);
+  const description = update.description || `Courier status: ${update.rawStatus}`;
+  const target = ORDER_STATUS_FOR_SHIPMENT[update.status];
+  const path = target ? getTransitionPath(current.orderStatus, target) : null;
+
+  if (!path || path.length === 0) {
+    return { order: await addTrackingNote(current, { description, location: update.location }), changed: true };
+  }
+
+  let updated = current;
+  try {
+    for (const [index, status] of path.entries()) {
+      const last = index === path.length - 1;
+      updated = await transitionOrder(updated, status, {
+        actor: 'system',
+        description: last ? description : undefined,
+        location: last ? update.location : ''
+      });
+    }
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    console.warn(`Courier update for order ${current.orderNumber} not applied: ${error.message}`);
+    updated = await addTrackingNote(await Order.findById(order._id), { description, location: update.location });
+  }
+
+  return { order: updated, changed: true };
+};
+
+// Poll the courier for one order's latest status
+const syncShipment = async (order) => {
+  if (!order.consignmentId || !order.courierService) {
+    throw new ErrorResponse('Order has no booked shipment', 400, 'SHIPMENT_NOT_BOOKED');
+  }
+
+  const courier = getCourier(order.courierService);
+  const update = await courier.track({ consignmentId: order.consignmentId });
+  return applyCourierUpdate(order, update);
+};
+
+// Poll every shipment still in transit; failures are counted, not thrown
+const syncActiveShipments = async ({ limit = 200 } = {}) => {
+  const orders = await Order.find({
+    consignmentId: { $nin: [null, ''] },
+    orderStatus: { $in: ACTIVE_STATUSES }
+  })
+    .sort({ lastCourierUpdateAt: 1 })
+    .limit(limit);
+
+  const result = { checked: orders.length, updated: 0, failed: 0 };
+  for (const order of orders) {
+    try {
+      const { changed } = await syncShipment(order);
+      if (changed) {
+        result.updated++;
+      }
+    } catch (error) {
+      result.failed++;
+      console.error(`Shipment sync error (${order.orderNumber}):`, error.message);
+    }
+  }
+
+  return result;
+};
+
+const isShipmentActive = (order) => Boolean(order.consignmentId) && ACTIVE_STATUSES.includes(order.orderStatus);
+
+module.exports = {
+  bookShipment,
+  applyCourierUpdate,
+  syncShipment,
+  syncActiveShipments,
+  isShipmentActive
+};
@@ -0,0 +1,110 @@
+const defaultConfig = require('../config/shipping');
+const ErrorResponse = require('./ErrorResponse');
+
+/**
+ * Shipping Calculator
+ * The one place shipping is priced. Cart totals, the payment fee preview
+ * and order creation all quote through calculateShipping(), so the
+ * customer sees the same number at every step.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Zone for a shipping address: city first, then state/district
+const resolveZone = (address = {}, config = defaultConfig) => {
+  const candidates = [normalize(address.city), normalize(address.state)].filter(Boolean);
+
+  const zone = config.zones.find(z => candidates.some(area => z.areas.includes(area)));
+  return zone || config.zones.find(z => z.isDefault) || config.zones[config.zones.length - 1];
+};
+
+// Chargeable weight of one unit: the greater of actual and volumetric weight
+const getItemWeight = (dimensions = {}, config = defaultConfig) => {
+  const { weight, length, width, height } = dimensions || {};
+  const volumetric = length && width && height
+    ? (length * width * height) / config.volumetricDivisor
+    : 0;
+  const chargeable = Math.max(weight || 0, volumetric);
+
+  return chargeable > 0 ? chargeable : config.defaultItemWeight;
+};
+
+// items: [{ dimensions, quantity }]
+const getChargeableWeight = (items = [], config = defaultConfig) => {
+  const total = items.reduce((sum, item) => sum + getItemWeight(item.dimensions, config) * item.quantity, 0);
+  return roundAmount(total);
+};
+
+const getZoneRate = (zone, weight) => {
+  const extraKg = Math.max(0, Math.ceil(weight - zone.baseWeight));
+  return zone.baseRate + extraKg * zone.perKgRate;
+};
+
+/**
+ * Quote shipping for a set of items.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - [{ dimensions, quantity }]
+ * @param {Object} [params.address] - Shipping address with city/state
+ * @param {number} [params.subtotal=0] - Order subtotal, for free shipping
+ * @param {string} [params.courier] - Courier id; defaults to the first available
+ * @param {Object} [config] - Shipping rules, defaults to config/shipping.js
+ * @returns {{ zone, weight, freeShipping, freeShippingThreshold, options, courier, cost, estimatedDays }}
+ */
+const calculateShipping = ({ items = [], address = {}, subtotal = 0, courier } = {}, config = defaultConfig) => {
+  const zone = resolveZone(address, config);
+  const weight = getChargeableWeight(items, config);
+  const threshold = zone.freeShippingThreshold || config.freeShippingThreshold;
+  const freeShipping = threshold > 0 && subtotal >= threshold;
+  const zoneRate = getZoneRate(zone, weight);
+
+  const options = config.couriers
+    .filter(c => (!c.zones || c.zones.includes(zone.id)) && (!c.maxWeight || weight <= c.maxWeight))
+    .map(c => ({
+      courier: c.id,
+      name: c.name,
+      cost: freeShipping ? 0 : roundAmount(zoneRate * c.rateMultiplier + c.surcharge),
+      estimatedDays: {
+        min: zone.estimatedDays.min + (c.extraDays || 0),
+        max: zone.estimatedDays.max + (c.extraDays || 0)
+      }
+    }));
+
+  if (options.length === 0) {
+    throw new ErrorResponse(
+      `No courier can deliver ${weight}kg to ${zone.name}`,
+      400,
+      'SHIPPING_UNAVAILABLE'
+    );
+  }
+
+  const selected = courier ? options.find(option => option.courier === courier) : options[0];
+  if (!selected) {
+    throw new ErrorResponse(
+      `Courier ${courier} is not available for this delivery`,
+      400,
+      'COURIER_UNAVAILABLE'
+    );
+  }
+
+  return {
+    zone: { id: zone.id, name: zone.name },
+    weight,
+    freeShipping,
+    freeShippingThreshold: threshold,
+    amountToFreeShipping: freeShipping ? 0 : roundAmount(threshold - subtotal),
+    options,
+    courier: selected.courier,
+    cost: selected.cost,
+    estimatedDays: selected.estimatedDays
+  };
+};
+
+module.exports = {
+  calculateShipping,
+  resolveZone,
+  getItemWeight,
+  getChargeableWeight
+};
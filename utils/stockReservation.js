@@ -0,0 +1,121 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ErrorResponse = require('./ErrorResponse');
+
+/**
+ * Stock Reservation
+ * Decrements stock with conditional updates so two concurrent checkouts
+ * can never both take the last unit. Every reservation either succeeds
+ * for all items or is rolled back completely.
+ */
+
+// Decrement one line; resolves to the updated product or null if the
+// requested quantity is no longer available. Variant lines decrement the
+// variant and the product total in the same update.
+const decrementItem = async (item) => {
+  const filter = { _id: item.productId, stock: { $gte: item.quantity } };
+  const inc = { stock: -item.quantity, salesCount: item.quantity };
+
+  if (item.variantId) {
+    filter.variants = { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } };
+    inc['variants.$.stock'] = -item.quantity;
+  }
+
+  const product = await Product.findOneAndUpdate(filter, { $inc: inc }, { new: true });
+
+  if (product && product.stock <= 0) {
+    await Product.updateOne(
+      { _id: product._id, stock: { $lte: 0 } },
+      { $set: { inStock: false } }
+    );
+  }
+
+  return product;
+};
+
+const incrementItem = (item) => {
+  const filter = { _id: item.productId };
+  const inc = { stock: item.quantity, salesCount: -item.quantity };
+
+  if (item.variantId) {
+    filter['variants._id'] = item.variantId;
+    inc['variants.$.stock'] = item.quantity;
+  }
+
+  return Product.updateOne(filter, {
+    $inc: inc,
+    $set: { inStock: true }
+  });
+};
+
+// Put reserved quantities back, e.g. after a failed order save
+const releaseStock = async (items) => {
+  for (const item of items) {
+    await incrementItem(item);
+  }
+};
+
+// Reserve every line or none of them. Throws an ErrorResponse with code
+// INSUFFICIENT_STOCK naming the first line that couldn't be reserved.
+const reserveStock = async (items) => {
+  const reserved = [];
+
+  for (const item of items) {
+    const product = await decrementItem(item);
+
+    if (!product) {
+      await releaseStock(reserved);
+
+      const current = await Product.findById(item.productId).select('name stock variants');
+      const variant = current && item.variantId ? current.variants.id(item.variantId) : null;
+      const name = current ? current.name : item.productId;
+      const available = variant ? variant.stock : (current ? current.stock : 0);
+      const error = new ErrorResponse(
+        `Insufficient stock for ${name}. Available: ${available}`,
+        400,
+        'INSUFFICIENT_STOCK'
+      );
+      error.productId = item.productId.toString();
+      error.variantId = item.variantId ? item.variantId.toString() : undefined;
+      error.available = available;
+      throw error;
+    }
+
+    reserved.push(item);
+  }
+
+  return reserved;
+};
+
+// Return an order's items to stock exactly once, no matter how many
+// cancel/return requests race for the same order
+const restoreOrderStock = async (order) => {
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, stockRestored: { $ne: true } },
+    { $set: { stockRestored: true } }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  // Lines already restocked by a refund only return the remainder
+  const remaining = order.items
+    .filter(item => !item.isGiftCard())
+    .map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity - (item.restockedQuantity || 0)
+    }))
+    .filter(item => item.quantity > 0);
+
+  await releaseStock(remaining);
+  order.stockRestored = true;
+  return true;
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  restoreOrderStock
+};
@@ -0,0 +1,290 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const GiftCard = require('../models/GiftCard');
+const StoreCreditTransaction = require('../models/StoreCreditTransaction');
+const mailjetService = require('./mailjetEmailService');
+const ErrorResponse = require('./ErrorResponse');
+
+/**
+ * Store Credit
+ * The only place User.storeCreditBalance changes. Every change is an
+ * atomic $inc on the user (debits are conditional on the balance covering
+ * them) followed by a ledger entry recording the balance it left.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const GIFT_CARD_VALIDITY_DAYS = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS) || 365;
+
+const record = (user, type, amount, details) => StoreCreditTransaction.create({
+  userId: user._id,
+  type,
+  amount,
+  balanceAfter: user.storeCreditBalance,
+  reason: details.reason,
+  orderId: details.orderId,
+  refundId: details.refundId,
+  giftCardId: details.giftCardId,
+  note: details.note,
+  createdBy: details.createdBy
+});
+
+/**
+ * Add to a user's balance.
+ *
+ * @param {string} userId
+ * @param {number} amount
+ * @param {Object} details - { reason, orderId, refundId, giftCardId, note, createdBy }
+ * @returns {Promise<{ balance, transaction }>}
+ */
+const creditStoreCredit = async (userId, amount, details) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Store credit amount must be greater than zero', 400, 'INVALID_STORE_CREDIT_AMOUNT');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { storeCreditBalance: amount } },
+    { new: true, projection: { storeCreditBalance: 1 } }
+  );
+  if (!user) {
+    throw new ErrorResponse('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const transaction = await record(user, 'credit', amount, details);
+  return { balance: user.storeCreditBalance, transaction };
+};
+
+/**
+ * Take from a user's balance; fails without changing anything when the
+ * balance doesn't cover the amount.
+ *
+ * @param {string} userId
+ * @param {number} amount
+ * @param {Object} details - { reason, orderId, refundId, note, createdBy }
+ * @returns {Promise<{ balance, transaction }>}
+ */
+const debitStoreCredit = async (userId, amount, details) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) {
+    throw new ErrorResponse('Store credit amount must be greater than zero', 400, 'INVALID_STORE_CREDIT_AMOUNT');
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, storeCreditBalance: { $gte: amount } },
+    { $inc: { storeCreditBalance: -amount } },
+    { new: true, projection: { storeCreditBalance: 1 } }
+  );
+  if (!user) {
+    throw new ErrorResponse('Insufficient store credit', 400, 'INSUFFICIENT_STORE_CREDIT');
+  }
+
+  const transaction = await record(user, 'debit', amount, details);
+  return { balance: user.storeCreditBalance, transaction };
+};
+
+const getStoreCreditBalance = async (userId) => {
+  const user = await User.findById(userId).select('storeCreditBalance');
+  return user ? user.storeCreditBalance || 0 : 0;
+};
+
+// Move a gift card's whole balance into the user's store credit
+const redeemGiftCard = async (code, userId) => {
+  const card = await GiftCard.claim(code, userId);
+  if (!card) {
+    throw new ErrorResponse('This gift card is invalid, expired or already redeemed', 400, 'GIFT_CARD_INVALID');
+  }
+
+  try {
+    const result = await creditStoreCredit(userId, card.balance, {
+      reason: 'gift_card',
+      giftCardId: card._id,
+      note: `Gift card ${card.maskedCode}`
+    });
+    return { ...result, amount: card.balance };
+  } catch (error) {
+    // Put the card back so it can be redeemed again
+    await GiftCard.updateOne(
+      { _id: card._id, status: 'redeemed' },
+      { $set: { status: 'active', balance: card.balance }, $unset: { redeemedBy: 1, redeemedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+const deliverGiftCard = async (card) => {
+  if (!card.recipientEmail) {
+    return;
+  }
+
+  try {
+    await mailjetService.sendGiftCardEmail(card);
+    card.deliveredAt = new Date();
+    await card.save();
+  } catch (error) {
+    // The card is valid either way; staff can resend the code from admin
+    console.error('Gift card email error:', error);
+  }
+};
+
+// Create a card with a fresh code, retrying on the rare duplicate
+const issueGiftCard = async (fields) => {
+  const expiresAt = fields.expiresAt === undefined
+    ? new Date(Date.now() + GIFT_CARD_VALIDITY_DAYS * 24 * 60 * 60 * 1000)
+    : fields.expiresAt;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const card = await GiftCard.create({
+        ...fields,
+        code: GiftCard.generateCode(),
+        balance: fields.initialAmount,
+        expiresAt
+      });
+      await deliverGiftCard(card);
+      return card;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Issue the cards bought in a paid order. The order is claimed first, so
+// replayed payment callbacks never issue the same cards twice. Refunded
+// units and cancelled orders get no cards.
+const issueOrderGiftCards = async (order) => {
+  if (order.getGiftCardItems().length === 0) {
+    return [];
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: 'paid', orderStatus: { $ne: 'cancelled' }, giftCardsIssued: { $ne: true } },
+    { $set: { giftCardsIssued: true } },
+    { new: true }
+  );
+  if (!claimed) {
+    return [];
+  }
+
+  const cards = [];
+  for (const item of claimed.getGiftCardItems()) {
+    for (let unit = 0; unit < item.quantity - (item.refundedQuantity || 0); unit += 1) {
+      cards.push(await issueGiftCard({
+        initialAmount: item.price,
+        source: 'purchase',
+        orderId: claimed._id,
+        orderItemId: item._id,
+        purchasedBy: claimed.userId,
+        recipientName: item.giftCard.recipientName,
+        recipientEmail: item.giftCard.recipientEmail,
+        message: item.giftCard.message
+      }));
+    }
+  }
+  return cards;
+};
+
+const enableGiftCards = (cardIds) => (cardIds.length > 0
+  ? GiftCard.updateMany({ _id: { $in: cardIds }, status: 'disabled' }, { $set: { status: 'active' } })
+  : null);
+
+/**
+ * Disable the cards bought on refunded gift card lines, so the buyer can't
+ * get the money back and keep the card. Throws GIFT_CARD_REDEEMED, leaving
+ * every card as it was, when a card's balance is already spent.
+ *
+ * @param {Object} order - Order as claimed by the refund
+ * @param {Array} lines - [{ item, quantity }] being refunded
+ * @returns {Promise<Array>} Ids of the disabled cards, for enableGiftCards
+ */
+const disableRefundedGiftCards = async (order, lines) => {
+  // Cards not issued yet are never issued for refunded units
+  if (!order.giftCardsIssued) {
+    return [];
+  }
+
+  const disabled = [];
+  try {
+    for (const { item, quantity } of lines.filter(line => line.item.isGiftCard())) {
+      for (let unit = 0; unit < quantity; unit += 1) {
+        const card = await GiftCard.findOneAndUpdate(
+          { orderId: order._id, orderItemId: item._id, status: 'active' },
+          { $set: { status: 'disabled' } }
+        );
+        if (!card) {
+          throw new ErrorResponse(
+            `The gift card bought as ${item.name} has already been redeemed`,
+            400,
+            'GIFT_CARD_REDEEMED'
+          );
+        }
+        disabled.push(card._id);
+      }
+    }
+  } catch (error) {
+    await enableGiftCards(disabled);
+    throw error;
+  }
+  return disabled;
+};
+
+// Disable every unredeemed card bought in a cancelled order
+const disableOrderGiftCards = (order) => GiftCard.updateMany(
+  { orderId: order._id, status: 'active' },
+  { $set: { status: 'disabled' } }
+);
+
+// Return the store credit of an order that was never paid for (e.g. a
+// cancelled COD order). Paid orders get it back through refunds instead.
+const releaseOrderStoreCredit = async (order) => {
+  const outstanding = roundAmount((order.storeCreditApplied || 0) - (order.storeCreditRefunded || 0));
+  if (!order.userId || outstanding <= 0) {
+    return null;
+  }
+
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, storeCreditRefunded: order.storeCreditRefunded || 0 },
+    { $inc: { storeCreditRefunded: outstanding } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  return creditStoreCredit(order.userId, outstanding, {
+    reason: 'order_reversal',
+    orderId: order._id,
+    note: `Order ${order.orderNumber} cancelled`
+  });
+};
+
+/**
+ * Split a refund between store credit and the original payment method.
+ * Store credit spent on the order is returned first; with toStoreCredit the
+ * whole amount goes to store credit.
+ */
+const splitRefund = (order, amount, { toStoreCredit = false } = {}) => {
+  const creditOutstanding = Math.max(0, (order.storeCreditApplied || 0) - (order.storeCreditRefunded || 0));
+  const storeCredit = toStoreCredit ? amount : Math.min(amount, roundAmount(creditOutstanding));
+  return {
+    storeCredit: roundAmount(storeCredit),
+    original: roundAmount(amount - storeCredit)
+  };
+};
+
+module.exports = {
+  creditStoreCredit,
+  debitStoreCredit,
+  getStoreCreditBalance,
+  redeemGiftCard,
+  issueGiftCard,
+  issueOrderGiftCards,
+  disableRefundedGiftCards,
+  disableOrderGiftCards,
+  enableGiftCards,
+  releaseOrderStoreCredit,
+  splitRefund
+};
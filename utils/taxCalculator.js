@@ -0,0 +1,95 @@
+const defaultConfig = require('../config/tax');
+
+/**
+ * Tax Calculator
+ * Works out VAT per line for cart totals and order creation. Promotion
+ * discounts stay on their own lines; order-level discounts are spread
+ * across lines by value before tax is applied, the same way refunds spread
+ * them back.
+ *
+ * With tax-inclusive prices the VAT is already part of the line total and
+ * is only reported; with exclusive prices it is added on top.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const matchesAny = (list, values) => list.some(entry => values.includes(normalize(entry)));
+
+// Tax rule for one line: first rule whose conditions all match
+const resolveTaxRule = (category, address = {}, config = defaultConfig) => {
+  const regions = [normalize(address.city), normalize(address.state)].filter(Boolean);
+  const country = normalize(address.country || 'Bangladesh');
+
+  const rule = config.rules.find(r => !r.isDefault &&
+    (!r.categories || matchesAny(r.categories, [normalize(category)])) &&
+    (!r.regions || matchesAny(r.regions, regions)) &&
+    (!r.countries || matchesAny(r.countries, [country])) &&
+    (!r.excludeCountries || !matchesAny(r.excludeCountries, [country])));
+
+  return rule || config.rules.find(r => r.isDefault) || { id: 'none', name: 'No tax', rate: 0 };
+};
+
+/**
+ * Tax a set of lines.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - [{ category, price, quantity, discount }]; discount
+ *   is a line-level discount (e.g. a promotion) on the whole line
+ * @param {Object} [params.address] - Shipping address with city/state/country
+ * @param {number} [params.discount=0] - Order-level discount, spread across lines
+ * @param {Object} [config] - Tax rules, defaults to config/tax.js
+ * @returns {{ pricesIncludeTax, lines, tax, taxAdded }} lines are in item order;
+ *   taxAdded is what the tax adds to the order total (0 when prices include it)
+ */
+const calculateTax = ({ items = [], address = {}, discount = 0 } = {}, config = defaultConfig) => {
+  const lineAmount = (item) => item.price * item.quantity - (item.discount || 0);
+  const subtotal = items.reduce((sum, item) => sum + lineAmount(item), 0);
+  const ratio = subtotal > 0 ? Math.max(0, subtotal - discount) / subtotal : 1;
+
+  const lines = items.map(item => {
+    const rule = resolveTaxRule(item.category, address, config);
+    const taxableAmount = roundAmount(lineAmount(item) * ratio);
+    const taxAmount = config.pricesIncludeTax
+      ? roundAmount(taxableAmount * rule.rate / (1 + rule.rate))
+      : roundAmount(taxableAmount * rule.rate);
+
+    return {
+      taxRule: rule.id,
+      taxName: rule.name,
+      taxRate: rule.rate,
+      taxableAmount,
+      taxAmount
+    };
+  });
+
+  const tax = roundAmount(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+  return {
+    pricesIncludeTax: config.pricesIncludeTax,
+    lines,
+    tax,
+    taxAdded: config.pricesIncludeTax ? 0 : tax
+  };
+};
+
+// Invoice VAT summary: one row per rate
+const summarizeTax = (lines) => {
+  const byRule = {};
+  lines.forEach(line => {
+    const key = line.taxRule || 'none';
+    if (!byRule[key]) {
+      byRule[key] = { taxRule: key, taxName: line.taxName, taxRate: line.taxRate || 0, taxableAmount: 0, taxAmount: 0 };
+    }
+    byRule[key].taxableAmount = roundAmount(byRule[key].taxableAmount + (line.taxableAmount || 0));
+    byRule[key].taxAmount = roundAmount(byRule[key].taxAmount + (line.taxAmount || 0));
+  });
+  return Object.values(byRule);
+};
+
+module.exports = {
+  calculateTax,
+  resolveTaxRule,
+  summarizeTax
+};
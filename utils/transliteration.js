@@ -0,0 +1,107 @@
+/**
+ * Bangla ↔ Latin
+ * Turns Bangla script into the Latin spelling customers type ("Banglish"),
+ * and reduces either spelling to a phonetic key so that পাঞ্জাবি, panjabi
+ * and punjabee end up close enough for fuzzy matching to join them.
+ */
+
+const INDEPENDENT_VOWELS = {
+  'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+  'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou'
+};
+
+const VOWEL_SIGNS = {
+  'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+  'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou'
+};
+
+const CONSONANTS = {
+  'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+  'চ': 'ch', 'ছ': 'chh', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+  'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+  'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+  'প': 'p', 'ফ': 'f', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+  'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h',
+  '\u09DC': 'r', '\u09DD': 'rh', '\u09DF': 'y'
+};
+
+// NFC splits ড়, ঢ় and য় into consonant + nukta; put them back together
+const NUKTA_FORMS = [
+  [/\u09A1\u09BC/g, '\u09DC'],
+  [/\u09A2\u09BC/g, '\u09DD'],
+  [/\u09AF\u09BC/g, '\u09DF']
+];
+
+const OTHER_SIGNS = {
+  'ৎ': 't', 'ং': 'ng', 'ঃ': 'h', 'ঁ': '', '\u09BC': ''
+};
+
+const HASANT = '্';
+const BANGLA_DIGITS = '০১২৩৪৫৬৭৮৯';
+const BANGLA_PATTERN = /[ঀ-৿]/;
+
+const hasBangla = (text) => BANGLA_PATTERN.test(text);
+
+/**
+ * Latin spelling of Bangla text; other characters pass through. A consonant
+ * carries the inherent "o" only when another consonant follows directly:
+ * it is usually silent at the end of a word (কলম → kolom, কামিজ → kamij),
+ * and a hasant joins consonants without it (পাঞ্জাবি → panjabi).
+ */
+const banglaToLatin = (text) => {
+  const normalized = NUKTA_FORMS.reduce(
+    (value, [pattern, replacement]) => value.replace(pattern, replacement),
+    String(text || '').normalize('NFC')
+  );
+  const chars = Array.from(normalized);
+  let output = '';
+
+  chars.forEach((char, index) => {
+    const next = chars[index + 1];
+    if (CONSONANTS[char] !== undefined) {
+      output += CONSONANTS[char];
+      if (next && CONSONANTS[next] !== undefined) {
+        output += 'o';
+      }
+    } else if (INDEPENDENT_VOWELS[char] !== undefined) {
+      output += INDEPENDENT_VOWELS[char];
+    } else if (VOWEL_SIGNS[char] !== undefined) {
+      output += VOWEL_SIGNS[char];
+    } else if (OTHER_SIGNS[char] !== undefined) {
+      output += OTHER_SIGNS[char];
+    } else if (BANGLA_DIGITS.includes(char)) {
+      output += String(BANGLA_DIGITS.indexOf(char));
+    } else if (char !== HASANT) {
+      output += char;
+    }
+  });
+
+  return output;
+};
+
+/**
+ * Spelling-insensitive key for a Latin (or Bangla) word. Drops the
+ * distinctions Banglish spelling doesn't keep: aspiration (kh/k), a/o for
+ * the inherent vowel, ee/i, oo/u, z/j, v/bh, w/o and doubled letters.
+ */
+const phoneticKey = (word) => {
+  const latin = hasBangla(word) ? banglaToLatin(word) : String(word || '');
+  return latin
+    .toLowerCase()
+    .replace(/ph/g, 'f')
+    .replace(/([bcdgjkpst])h/g, '$1')
+    .replace(/z/g, 'j')
+    .replace(/v/g, 'b')
+    .replace(/w/g, 'o')
+    .replace(/q/g, 'k')
+    .replace(/ee|ea|y/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/o/g, 'a')
+    .replace(/(.)\1+/g, '$1');
+};
+
+module.exports = {
+  hasBangla,
+  banglaToLatin,
+  phoneticKey
+};
@@ -101,7 +101,13 @@ const orderValidation = Joi.object({
       productId: Joi.string().hex().length(24).required(),
       quantity: Joi.number().integer().positive().required(),
       size: Joi.string().optional(),
-      color: Joi.string().optional()
+      color: Joi.string().optional(),
+      sku: Joi.string().max(50).optional(),
+      giftCard: Joi.object({
+        recipientName: Joi.string().max(100).trim().optional(),
+        recipientEmail: Joi.string().email().max(100).required(),
+        message: Joi.string().max(300).optional()
+      }).optional()
     })
   ).min(1).required(),
   shippingAddress: Joi.object({
@@ -120,7 +126,10 @@ const orderValidation = Joi.object({
     zipCode: Joi.string().max(10).optional(),
     state: Joi.string().max(50).optional()
   }).optional(),
-  paymentMethod: Joi.string().valid('bkash', 'nagad', 'rocket', 'upay', 'cod').required(),
+  paymentMethod: Joi.string().valid('bkash', 'nagad', 'rocket', 'upay', 'cod', 'store_credit').required(),
+  storeCreditAmount: Joi.number().min(0).optional(),
+  guestEmail: Joi.string().email().max(100).optional(),
+  courier: Joi.string().max(30).optional(),
   notes: Joi.string().max(500).optional(),
   couponCode: Joi.string().max(50).optional(),
   isGift: Joi.boolean().optional(),
@@ -159,7 +168,7 @@ const categoryValidation = Joi.object({
   description: Joi.string().max(500).trim().optional(),
   image: Joi.string().uri().optional(),
   icon: Joi.string().optional(),
-  parentCategory: Joi.string().hex().length(24).optional(),
+  parentCategory: Joi.string().hex().length(24).allow(null).optional(),
   isActive: Joi.boolean().optional(),
   sortOrder: Joi.number().integer().optional(),
   seo: Joi.object({
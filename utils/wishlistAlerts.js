@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const WishlistAlert = require('../models/WishlistAlert');
+const mailjetService = require('./mailjetEmailService');
+const defaultConfig = require('../config/wishlistAlerts');
+const { createAlertUnsubscribeToken } = require('./cartToken');
+
+/**
+ * Wishlist Alerts
+ * Tells shoppers when a product on their wishlist comes back in stock or
+ * drops in price. Every product write path (admin edits, orders, returns,
+ * imports) changes stock or price, so alerts come from a periodic check of
+ * each subscription against the product rather than from hooks.
+ *
+ * Alerts go out as a Notification, pushed to connected clients and emailed
+ * as the shopper's notification preferences allow.
+ */
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const isAvailable = (product) => product.status === 'active' && product.stock > 0;
+
+// Alert due for a subscription, or null
+const getDueAlert = (subscription, product, config = defaultConfig) => {
+  if (!isAvailable(product)) {
+    return null;
+  }
+
+  if (subscription.backInStock && subscription.wasAvailable === false) {
+    return { type: 'product_back_in_stock' };
+  }
+
+  const threshold = subscription.priceDropPercent || config.priceDropPercent;
+  if (subscription.priceDrop && subscription.basePrice > 0 &&
+    product.price <= subscription.basePrice * (1 - threshold / 100)) {
+    return {
+      type: 'price_drop',
+      previousPrice: subscription.basePrice,
+      percent: Math.round((1 - product.price / subscription.basePrice) * 100)
+    };
+  }
+
+  return null;
+};
+
+const isRateLimited = (subscription, now, config = defaultConfig) => Boolean(subscription.lastAlertAt) &&
+  now - subscription.lastAlertAt < config.minHoursBetweenAlerts * HOUR;
+
+/**
+ * Subscribe a shopper to alerts for a product, measured from its current
+ * price and stock. Existing subscriptions keep their settings.
+ *
+ * @returns {Promise<Object|null>} The subscription, or null for unknown products
+ */
+const subscribe = async (userId, productId) => {
+  if (!mongoose.isValidObjectId(productId)) {
+    return null;
+  }
+
+  const product = await Product.findById(productId).select('price stock status');
+  if (!product) {
+    return null;
+  }
+
+  return WishlistAlert.findOneAndUpdate(
+    { userId, productId },
+    { $setOnInsert: { basePrice: product.price, wasAvailable: isAvailable(product) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const deliverAlert = async (user, preferences, product, alert, config) => {
+  const productUrl = `${process.env.FRONTEND_URL}/products/${product._id}`;
+  const channels = {
+    push: preferences.push !== false,
+    email: Boolean(user.email) && preferences.email !== false
+  };
+
+  const notification = await Notification.createFromTemplate(user._id, alert.type, {
+    productName: product.name,
+    price: product.price,
+    previousPrice: alert.previousPrice,
+    productId: product._id.toString(),
+    url: productUrl,
+    imageUrl: product.images && product.images[0],
+    amount: product.price
+  }, { channels });
+
+  if (!channels.email) {
+    return;
+  }
+
+  // The notification is already out; a failed email doesn't undo the alert
+  try {
+    const token = createAlertUnsubscribeToken({
+      userId: user._id.toString(),
+      productId: product._id.toString()
+    }, config.unsubscribeLinkDays * DAY);
+
+    await mailjetService.sendWishlistAlertEmail(user, {
+      ...alert,
+      product,
+      productUrl,
+      unsubscribeUrl: `${process.env.FRONTEND_URL}/wishlist/alerts/unsubscribe?token=${encodeURIComponent(token)}`
+    });
+    await notification.markAsSent('email');
+  } catch (error) {
+    console.error(`Wishlist alert email error (${user._id}):`, error.message);
+  }
+};
+
+// Check one subscription. Returns 'sent' or 'skipped'.
+const checkSubscription = async (subscription, product, now, config) => {
+  const available = isAvailable(product);
+  const alert = getDueAlert(subscription, product, config);
+
+  // Keep availability current so a later restock is noticed; a rate
+  // limited alert is left due for a later run
+  if (!alert || isRateLimited(subscription, now, config)) {
+    if (!alert && subscription.wasAvailable !== available) {
+      await WishlistAlert.updateOne({ _id: subscription._id }, { $set: { wasAvailable: available } });
+    }
+    return 'skipped';
+  }
+
+  // Shoppers who turned alerts off are moved past this one silently
+  const user = await User.findById(subscription.userId).select('name email isActive preferences');
+  const preferences = (user && user.preferences && user.preferences.notifications) || {};
+  if (!user || !user.isActive || preferences.wishlistAlerts === false) {
+    await WishlistAlert.updateOne(
+      { _id: subscription._id },
+      { $set: { wasAvailable: available, basePrice: product.price } }
+    );
+    return 'skipped';
+  }
+
+  // Claim the alert; fails if another run sent it first
+  const claimed = await WishlistAlert.findOneAndUpdate(
+    { _id: subscription._id, lastAlertAt: subscription.lastAlertAt || null },
+    {
+      $set: { lastAlertAt: now, wasAvailable: available, basePrice: product.price },
+      $inc: { alertsSent: 1 }
+    }
+  );
+  if (!claimed) {
+    return 'skipped';
+  }
+
+  try {
+    await deliverAlert(user, preferences, product, alert, config);
+  } catch (error) {
+    // Hand the alert back so the next run retries it
+    await WishlistAlert.updateOne(
+      { _id: subscription._id, lastAlertAt: now },
+      {
+        $set: {
+          lastAlertAt: subscription.lastAlertAt || null,
+          wasAvailable: subscription.wasAvailable,
+          basePrice: subscription.basePrice
+        },
+        $inc: { alertsSent: -1 }
+      }
+    );
+    throw error;
+  }
+
+  return 'sent';
+};
+
+/**
+ * Check every subscription and send the alerts that are due. Failures are
+ * counted, not thrown.
+ *
+ * @returns {Promise<{ checked, sent, failed }>}
+ */
+const runWishlistAlerts = async (config = defaultConfig) => {
+  const result = { checked: 0, sent: 0, failed: 0 };
+  if (!config.enabled) {
+    return result;
+  }
+
+  const now = new Date();
+  const subscribed = { $or: [{ backInStock: true }, { priceDrop: true }] };
+  const productIds = await WishlistAlert.distinct('productId', subscribed);
+
+  for (let i = 0; i < productIds.length; i += config.batchSize) {
+    const batch = productIds.slice(i, i + config.batchSize);
+    const [products, subscriptions] = await Promise.all([
+      Product.find({ _id: { $in: batch } }).select('name price stock status images'),
+      WishlistAlert.find({ productId: { $in: batch }, ...subscribed })
+    ]);
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    for (const subscription of subscriptions) {
+      const product = productsById.get(subscription.productId.toString());
+      if (!product) {
+        continue;
+      }
+
+      result.checked++;
+      try {
+        if (await checkSubscription(subscription, product, now, config) === 'sent') {
+          result.sent++;
+        }
+      } catch (error) {
+        result.failed++;
+        console.error(`Wishlist alert error (${subscription._id}):`, error.message);
+      }
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  subscribe,
+  runWishlistAlerts,
+  getDueAlert,
+  isRateLimited
+};